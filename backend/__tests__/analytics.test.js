@@ -0,0 +1,105 @@
+/**
+ * @fileoverview Unit tests for the usage analytics.
+ * Covers error classification, summaries and the retention of events.
+ */
+
+const { classifyError, createUsageTracker } = require('../lib/analytics');
+const { InvalidModelOutputError } = require('../lib/factCheck');
+
+const HOUR = 3600 * 1000;
+
+describe('Usage Analytics', () => {
+  let time;
+  const now = () => time;
+
+  beforeEach(() => {
+    time = Date.UTC(2026, 0, 1, 12);
+  });
+
+  describe('classifyError', () => {
+    it('names pipeline errors by class and others by status', () => {
+      expect(classifyError(502, new InvalidModelOutputError(['$.score is required']))).toBe('invalid_model_output');
+      expect(classifyError(429)).toBe('rate_limited');
+      expect(classifyError(500, new Error('boom'))).toBe('internal');
+      expect(classifyError(200, new Error('stream failed'))).toBe('internal');
+      expect(classifyError(418)).toBe('http_418');
+    });
+  });
+
+  describe('summarize', () => {
+    it('summarizes requests, verdicts, latency, errors and cache use', () => {
+      const tracker = createUsageTracker({ now });
+      tracker.record({
+        endpoint: 'POST /api/fact-check',
+        status: 200,
+        durationMs: 100,
+        checks: [{ text: 'The Earth is flat.', grade: 'Absolutely False', cached: false }]
+      });
+      time += HOUR;
+      tracker.record({
+        endpoint: 'POST /api/fact-check',
+        status: 200,
+        durationMs: 20,
+        checks: [{ text: 'the earth is flat', grade: 'Absolutely False', cached: true }]
+      });
+      tracker.record({ endpoint: 'POST /api/analyze', status: 429, durationMs: 3, errorType: 'rate_limited' });
+
+      const summary = tracker.summarize({ hours: 2 });
+
+      expect(summary).toEqual(expect.objectContaining({
+        requests: 3,
+        errors: 1,
+        errorRate: 0.333,
+        errorsByType: { rate_limited: 1 },
+        cache: { hits: 1, misses: 1, hitRatio: 0.5 },
+        topClaims: [{ text: 'The Earth is flat.', count: 2, lastGrade: 'Absolutely False' }]
+      }));
+      expect(summary.gradeDistribution).toEqual({
+        'Absolutely False': 2,
+        'Mostly False': 0,
+        Neutral: 0,
+        'Mostly True': 0,
+        Truth: 0
+      });
+      expect(summary.latency).toEqual({
+        averageMs: 41,
+        p95Ms: 100,
+        byEndpoint: {
+          'POST /api/fact-check': { requests: 2, averageMs: 60 },
+          'POST /api/analyze': { requests: 1, averageMs: 3 }
+        }
+      });
+      expect(summary.timeline.map(bucket => bucket.requests)).toEqual([0, 1, 2]);
+      expect(summary.timeline[2].errors).toBe(1);
+    });
+
+    it('leaves older requests out of the period', () => {
+      const tracker = createUsageTracker({ now });
+      tracker.record({ endpoint: 'POST /api/fact-check', status: 200, durationMs: 10 });
+      time += 3 * HOUR;
+
+      expect(tracker.summarize({ hours: 1 })).toEqual(expect.objectContaining({
+        requests: 0,
+        errorRate: null,
+        latency: { averageMs: null, p95Ms: null, byEndpoint: {} }
+      }));
+      expect(tracker.summarize({ hours: 4 }).requests).toBe(1);
+    });
+  });
+
+  describe('retention', () => {
+    it('drops expired events and the oldest beyond the limit', () => {
+      const tracker = createUsageTracker({ now, retentionHours: 2, maxEvents: 2 });
+      ['first', 'second', 'third'].forEach(text => tracker.record({
+        endpoint: 'POST /api/fact-check',
+        status: 200,
+        durationMs: 1,
+        checks: [{ text, grade: 'Neutral', cached: false }]
+      }));
+      expect(tracker.summarize().topClaims.map(claim => claim.text)).toEqual(['second', 'third']);
+
+      time += 3 * HOUR;
+      expect(tracker.summarize({ hours: 720 }).requests).toBe(0);
+    });
+  });
+});
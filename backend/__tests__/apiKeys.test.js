@@ -0,0 +1,202 @@
+/**
+ * @fileoverview Unit tests for partner API keys: the key store with its monthly quotas, and
+ * the authentication middleware in front of the fact-checking endpoints.
+ */
+
+const express = require('express');
+const request = require('supertest');
+const { createApiKeyStore, hashApiKey, API_KEY_PATTERN, InvalidApiKeyError } = require('../lib/apiKeys');
+const { createApiKeyAuth } = require('../middleware/apiKeyAuth');
+const { createMemoryStore } = require('../stores/memory');
+
+describe('API Key Store', () => {
+  let store;
+  let now;
+  let apiKeys;
+
+  beforeEach(() => {
+    store = createMemoryStore();
+    now = Date.parse('2026-03-31T23:00:00Z');
+    apiKeys = createApiKeyStore({ store, defaultMonthlyQuota: 3, now: () => now });
+  });
+
+  it('creates keys that are stored as a hash only', async () => {
+    const { key, apiKey } = await apiKeys.create({ name: '  Partner Newsroom ' });
+
+    expect(key).toMatch(API_KEY_PATTERN);
+    expect(apiKey).toEqual({
+      id: expect.any(String),
+      name: 'Partner Newsroom',
+      prefix: key.slice(0, 12),
+      monthlyQuota: 3,
+      createdAt: '2026-03-31T23:00:00.000Z',
+      revokedAt: null
+    });
+    expect(JSON.stringify(await store.entries())).not.toContain(key);
+    expect(await store.get(`key:${hashApiKey(key)}`)).toEqual(expect.objectContaining({ id: apiKey.id }));
+  });
+
+  it('rejects keys without a name or with an invalid quota', async () => {
+    await expect(apiKeys.create({ name: ' ' })).rejects.toThrow(InvalidApiKeyError);
+    await expect(apiKeys.create({ name: 'Partner', monthlyQuota: 0 })).rejects.toThrow('positive integer');
+    await expect(apiKeys.create({ name: 'Partner', monthlyQuota: '100' })).rejects.toThrow(InvalidApiKeyError);
+  });
+
+  it('authenticates existing keys only', async () => {
+    const { key, apiKey } = await apiKeys.create({ name: 'Partner' });
+
+    expect(await apiKeys.authenticate(key)).toEqual(apiKey);
+    expect(await apiKeys.authenticate(`${key.slice(0, -1)}${key.endsWith('A') ? 'B' : 'A'}`)).toBeNull();
+    expect(await apiKeys.authenticate('not-a-key')).toBeNull();
+  });
+
+  it('counts usage against the monthly quota and resets it every month', async () => {
+    const { apiKey } = await apiKeys.create({ name: 'Partner' });
+
+    expect(await apiKeys.consume(apiKey, 2)).toEqual({
+      allowed: true,
+      used: 2,
+      quota: 3,
+      remaining: 1,
+      resetsAt: '2026-04-01T00:00:00.000Z'
+    });
+    expect(await apiKeys.consume(apiKey, 2)).toEqual(expect.objectContaining({ allowed: false, used: 2, remaining: 1 }));
+    expect(await apiKeys.consume(apiKey)).toEqual(expect.objectContaining({ allowed: true, used: 3, remaining: 0 }));
+
+    now = Date.parse('2026-04-01T00:00:01Z');
+    expect(await apiKeys.consume(apiKey)).toEqual(expect.objectContaining({ allowed: true, used: 1 }));
+  });
+
+  it('counts concurrent requests without losing any', async () => {
+    const { apiKey } = await apiKeys.create({ name: 'Partner', monthlyQuota: 100 });
+
+    await Promise.all(Array.from({ length: 10 }, () => apiKeys.consume(apiKey)));
+
+    expect((await apiKeys.list())[0].usage).toEqual({ month: '2026-03', used: 10 });
+  });
+
+  it('revokes keys and lists them with their usage', async () => {
+    const first = await apiKeys.create({ name: 'First' });
+    now += 1000;
+    const second = await apiKeys.create({ name: 'Second', monthlyQuota: 50 });
+    await apiKeys.consume(second.apiKey);
+
+    const revoked = await apiKeys.revoke(first.apiKey.id);
+
+    expect(revoked.revokedAt).toBe('2026-03-31T23:00:01.000Z');
+    expect((await apiKeys.authenticate(first.key)).revokedAt).toBe(revoked.revokedAt);
+    expect(await apiKeys.revoke('unknown')).toBeNull();
+    expect(await apiKeys.list()).toEqual([
+      { ...revoked, usage: { month: '2026-03', used: 0 } },
+      { ...second.apiKey, usage: { month: '2026-03', used: 1 } }
+    ]);
+  });
+});
+
+describe('API Key Authentication', () => {
+  let apiKeys;
+
+  /**
+   * Builds an app whose fact-check and batch routes require API keys, unless called from the web app,
+   * and charge the quota once the request is valid.
+   * @param {Object} [options] - Authentication options
+   * @returns {express.Application} App
+   */
+  const buildApp = ({ required = true } = {}) => {
+    const apiKeyAuth = createApiKeyAuth({
+      apiKeys,
+      required,
+      isAllowedOrigin: origin => origin === 'https://truthcheck.me'
+    });
+    const app = express();
+    app.use(express.json());
+    app.post('/check', apiKeyAuth, async (req, res) => {
+      if (!(await apiKeyAuth.charge(req, res))) return;
+      res.json({ apiKeyId: req.apiKey ? req.apiKey.id : null });
+    });
+    app.post('/batch', apiKeyAuth, async (req, res) => {
+      if (!Array.isArray(req.body.statements)) return res.status(400).json({ error: 'Invalid statements' });
+      if (!(await apiKeyAuth.charge(req, res, req.body.statements.length))) return;
+      res.json({ ok: true });
+    });
+    return app;
+  };
+
+  beforeEach(() => {
+    apiKeys = createApiKeyStore({ store: createMemoryStore(), defaultMonthlyQuota: 3 });
+  });
+
+  it('lets browser requests from allowed origins through without a key', async () => {
+    const response = await request(buildApp()).post('/check').set('Origin', 'https://truthcheck.me');
+
+    expect(response.statusCode).toBe(200);
+    expect(response.body).toEqual({ apiKeyId: null });
+  });
+
+  it('requires a key from other clients, unless keys are optional', async () => {
+    const server = await request(buildApp()).post('/check');
+    const otherSite = await request(buildApp()).post('/check').set('Origin', 'https://example.com');
+    const optional = await request(buildApp({ required: false })).post('/check');
+
+    expect(server.statusCode).toBe(401);
+    expect(server.body).toEqual({
+      error: { code: 'api_key_required', message: 'API key required', details: 'Send your API key in the X-API-Key header' }
+    });
+    expect(otherSite.statusCode).toBe(401);
+    expect(optional.statusCode).toBe(200);
+  });
+
+  it('authenticates keys and reports the remaining quota', async () => {
+    const { key, apiKey } = await apiKeys.create({ name: 'Partner' });
+    const response = await request(buildApp()).post('/check').set('X-API-Key', key);
+
+    expect(response.statusCode).toBe(200);
+    expect(response.body).toEqual({ apiKeyId: apiKey.id });
+    expect(response.headers['x-quota-limit']).toBe('3');
+    expect(response.headers['x-quota-remaining']).toBe('2');
+    expect(Date.parse(response.headers['x-quota-reset'])).toBeGreaterThan(Date.now());
+  });
+
+  it('rejects unknown keys with 401 and revoked keys with 403', async () => {
+    const { key, apiKey } = await apiKeys.create({ name: 'Partner' });
+    await apiKeys.revoke(apiKey.id);
+
+    const unknown = await request(buildApp({ required: false })).post('/check').set('X-API-Key', 'tcm_guess');
+    const revoked = await request(buildApp()).post('/check').set('X-API-Key', key).set('Origin', 'https://truthcheck.me');
+
+    expect(unknown.statusCode).toBe(401);
+    expect(unknown.body.error).toEqual(expect.objectContaining({ code: 'invalid_api_key', message: 'Invalid API key' }));
+    expect(revoked.statusCode).toBe(403);
+    expect(revoked.body).toEqual({
+      error: {
+        code: 'api_key_revoked',
+        message: 'API key revoked',
+        details: expect.stringContaining('This API key was revoked on')
+      }
+    });
+  });
+
+  it('counts batches per statement and rejects requests over the monthly quota', async () => {
+    const { key } = await apiKeys.create({ name: 'Partner' });
+    const app = buildApp();
+
+    const batch = await request(app).post('/batch').set('X-API-Key', key).send({ statements: ['a', 'b'] });
+    const overQuota = await request(app).post('/batch').set('X-API-Key', key).send({ statements: ['c', 'd'] });
+    const invalid = await request(app).post('/batch').set('X-API-Key', key).send({});
+    const single = await request(app).post('/check').set('X-API-Key', key);
+
+    expect(batch.statusCode).toBe(200);
+    expect(invalid.statusCode).toBe(400);
+    expect(overQuota.statusCode).toBe(429);
+    expect(overQuota.headers['retry-after']).toMatch(/^\d+$/);
+    expect(overQuota.body).toEqual({
+      error: {
+        code: 'quota_exceeded',
+        message: 'Monthly quota exceeded',
+        details: { quota: 3, used: 2, resetsAt: expect.any(String) }
+      }
+    });
+    expect(single.statusCode).toBe(200);
+    expect(single.headers['x-quota-remaining']).toBe('0');
+  });
+});
@@ -0,0 +1,126 @@
+/**
+ * @fileoverview Unit tests for fact-checking articles by URL.
+ * Covers URL detection, article extraction and excerpts. Pages are served by a local
+ * HTTP fixture server, so no test depends on the network.
+ */
+
+const http = require('http');
+const { ArticleError, isUrl, extractArticle, fetchArticle, excerptAround } = require('../lib/article');
+
+describe('Article Extraction', () => {
+  it('detects URL input', () => {
+    expect(isUrl(' https://news.example/story?id=1 ')).toBe(true);
+    expect(isUrl('http://localhost:3000')).toBe(true);
+    expect(isUrl('The site https://news.example says so')).toBe(false);
+    expect(isUrl('javascript:alert(1)')).toBe(false);
+    expect(isUrl('https://')).toBe(false);
+  });
+
+  it('extracts the headline, canonical URL and main text without boilerplate', () => {
+    const article = extractArticle(`
+      <html><head>
+        <meta content="Moon landing &amp; after" property="og:title">
+        <link href="/stories/moon" rel="canonical">
+        <title>Moon | Example News</title>
+      </head><body>
+        <header><p>Example News - the best news on the whole internet</p></header>
+        <nav><ul><li>Home</li><li>World</li></ul></nav>
+        <main>
+          <h1>Moon landing</h1>
+          <p>Apollo 11 landed on the Moon on 20 July 1969, with two astronauts aboard.</p>
+          <h2>Aftermath</h2>
+          <p>Share this article</p>
+          <p>Short.</p>
+          <!-- <p>A commented-out paragraph that should never be analyzed at all.</p> -->
+          <p>Neil Armstrong was the first person to walk on the lunar surface.</p>
+          <aside><p>Related stories: ten things you did not know about the Moon.</p></aside>
+        </main>
+        <footer><p>© 2024 Example News. All rights reserved worldwide.</p></footer>
+      </body></html>`, 'https://news.example/moon?ref=home');
+
+    expect(article).toEqual({
+      title: 'Moon landing & after',
+      canonicalUrl: 'https://news.example/stories/moon',
+      text: 'Apollo 11 landed on the Moon on 20 July 1969, with two astronauts aboard.\n\n' +
+        'Aftermath\n\n' +
+        'Neil Armstrong was the first person to walk on the lunar surface.',
+      truncated: false
+    });
+  });
+
+  it('falls back to the page text and URL when there are no paragraphs or canonical link', () => {
+    const article = extractArticle('<title>Plain</title><body><div>Water boils at 100 degrees.</div></body>', 'https://a.example/');
+    expect(article).toEqual({
+      title: 'Plain',
+      canonicalUrl: 'https://a.example/',
+      text: 'Water boils at 100 degrees.',
+      truncated: false
+    });
+  });
+
+  it('cuts off very long articles', () => {
+    const paragraph = `<p>${'A sentence about the topic at hand. '.repeat(20)}</p>`;
+    const article = extractArticle(`<article>${paragraph.repeat(50)}</article>`, 'https://a.example/');
+    expect(article.text).toHaveLength(20000);
+    expect(article.truncated).toBe(true);
+  });
+
+  it('finds the sentence a claim comes from', () => {
+    const text = 'First sentence. The bridge opened in 2024 after delays. Last one.\n\nNext paragraph.';
+    const start = text.indexOf('The bridge opened in 2024');
+    expect(excerptAround(text, start, start + 'The bridge opened in 2024'.length))
+      .toBe('The bridge opened in 2024 after delays.');
+    const last = text.indexOf('Last one.');
+    expect(excerptAround(text, last, last + 'Last one.'.length)).toBe('Last one.');
+    expect(excerptAround(text, null, null)).toBeNull();
+  });
+
+  describe('fetchArticle', () => {
+    let server;
+    let baseUrl;
+
+    beforeAll(async () => {
+      server = http.createServer((req, res) => {
+        if (req.url === '/story') {
+          res.writeHead(200, { 'Content-Type': 'text/html' });
+          res.end('<article><h1>Story</h1><p>The Harbor Bridge opened to traffic in 2024 after years of work.</p></article>');
+        } else if (req.url === '/data') {
+          res.writeHead(200, { 'Content-Type': 'application/json' });
+          res.end('{}');
+        } else if (req.url === '/empty') {
+          res.writeHead(200, { 'Content-Type': 'text/html' });
+          res.end('<html><body><script>app()</script></body></html>');
+        } else {
+          res.writeHead(404, { 'Content-Type': 'text/html' });
+          res.end('Not found');
+        }
+      });
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    afterAll(() => new Promise(resolve => server.close(resolve)));
+
+    it('fetches and extracts an article', async () => {
+      expect(await fetchArticle(`${baseUrl}/story`, { allowPrivateHosts: true })).toEqual({
+        title: 'Story',
+        canonicalUrl: `${baseUrl}/story`,
+        text: 'The Harbor Bridge opened to traffic in 2024 after years of work.',
+        truncated: false
+      });
+    });
+
+    it('rejects pages that are missing, not HTML or without text', async () => {
+      await expect(fetchArticle(`${baseUrl}/missing`, { allowPrivateHosts: true }))
+        .rejects.toThrow(new ArticleError('The page returned HTTP 404'));
+      await expect(fetchArticle(`${baseUrl}/data`, { allowPrivateHosts: true }))
+        .rejects.toThrow('The page is not an article (application/json)');
+      await expect(fetchArticle(`${baseUrl}/empty`, { allowPrivateHosts: true }))
+        .rejects.toThrow('No article text found on the page');
+    });
+
+    it('refuses internal addresses by default', async () => {
+      await expect(fetchArticle(`${baseUrl}/story`)).rejects.toThrow(/internal address/);
+    });
+  });
+});
@@ -0,0 +1,149 @@
+/**
+ * @fileoverview Unit tests for citation verification.
+ * Sources are served by a local HTTP fixture server, so no test depends on the network.
+ */
+
+const http = require('http');
+const { extractKeyTerms, createCitationVerifier } = require('../lib/citations');
+const { fetchPage, isPrivateAddress } = require('../lib/fetchPage');
+
+/**
+ * Fixture pages, by path.
+ * @type {Object<string, Function>}
+ */
+const ROUTES = {
+  '/relevant': (res) => {
+    res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+    res.end('<html><head><title>Eiffel Tower &amp; Paris</title></head>'
+      + '<body><p>The Eiffel Tower in Paris was completed in 1889.</p></body></html>');
+  },
+  '/unrelated': (res) => {
+    res.writeHead(200, { 'Content-Type': 'text/html' });
+    res.end('<html><head><title>Cooking</title></head><body><p>How to bake bread.</p>'
+      + '<script>var tower = "eiffel paris 1889";</script></body></html>');
+  },
+  '/missing': (res) => {
+    res.writeHead(404, { 'Content-Type': 'text/html' });
+    res.end('<title>Not found</title>');
+  },
+  '/moved': (res) => {
+    res.writeHead(301, { Location: '/relevant' });
+    res.end();
+  },
+  '/loop': (res) => {
+    res.writeHead(302, { Location: '/loop' });
+    res.end();
+  },
+  '/image': (res) => {
+    res.writeHead(200, { 'Content-Type': 'image/png' });
+    res.end(Buffer.alloc(16));
+  },
+  '/slow': (res) => {
+    setTimeout(() => {
+      res.writeHead(200, { 'Content-Type': 'text/plain' });
+      res.end('Eiffel Tower Paris 1889');
+    }, 500);
+  },
+  '/big': (res) => {
+    res.writeHead(200, { 'Content-Type': 'text/plain' });
+    res.end('x'.repeat(50000) + ' Eiffel Tower Paris 1889');
+  }
+};
+
+describe('Citation Verification', () => {
+  const claim = 'The Eiffel Tower in Paris was completed in 1889';
+  let server;
+  let baseUrl;
+  let verifier;
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => (ROUTES[req.url] || ROUTES['/missing'])(res));
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+    verifier = createCitationVerifier({ allowPrivateHosts: true, timeoutMs: 200, maxBytes: 10000 });
+  });
+
+  afterAll(() => new Promise(resolve => server.close(resolve)));
+
+  /**
+   * Verifies a single source pointing at a fixture page.
+   * @param {string} path - Fixture path
+   * @returns {Promise<Object>} Verification of the source
+   */
+  const verify = async (path) => {
+    const [source] = await verifier.verifySources(claim, [{ title: 'Source', url: `${baseUrl}${path}` }]);
+    return source.verification;
+  };
+
+  it('extracts key terms without stopwords', () => {
+    expect(extractKeyTerms(claim)).toEqual(['eiffel', 'tower', 'paris', 'completed', '1889']);
+  });
+
+  it('marks pages mentioning the claim as verified, with their title', async () => {
+    expect(await verify('/relevant')).toEqual({
+      status: 'verified',
+      httpStatus: 200,
+      pageTitle: 'Eiffel Tower & Paris',
+      matchedTerms: ['eiffel', 'tower', 'paris', 'completed', '1889']
+    });
+  });
+
+  it('follows redirects', async () => {
+    expect(await verify('/moved')).toEqual(expect.objectContaining({ status: 'verified', httpStatus: 200 }));
+  });
+
+  it('marks pages that do not mention the claim as unrelated, ignoring scripts', async () => {
+    expect(await verify('/unrelated')).toEqual(expect.objectContaining({
+      status: 'unrelated',
+      httpStatus: 200,
+      pageTitle: 'Cooking',
+      matchedTerms: []
+    }));
+  });
+
+  it('marks non-text content as unrelated', async () => {
+    expect(await verify('/image')).toEqual(expect.objectContaining({ status: 'unrelated', httpStatus: 200 }));
+  });
+
+  it('marks HTTP errors as unreachable', async () => {
+    expect(await verify('/missing')).toEqual(expect.objectContaining({ status: 'unreachable', httpStatus: 404 }));
+  });
+
+  it('marks slow pages as unreachable', async () => {
+    expect(await verify('/slow')).toEqual(expect.objectContaining({
+      status: 'unreachable',
+      httpStatus: null,
+      reason: 'Timed out after 200ms'
+    }));
+  });
+
+  it('gives up on redirect loops', async () => {
+    expect(await verify('/loop')).toEqual(expect.objectContaining({ status: 'unreachable' }));
+  });
+
+  it('only reads pages up to the size limit', async () => {
+    const page = await fetchPage(`${baseUrl}/big`, { allowPrivateHosts: true, maxBytes: 10000 });
+    expect(page.body).toHaveLength(10000);
+    expect(page.truncated).toBe(true);
+    expect(await verify('/big')).toEqual(expect.objectContaining({ status: 'unrelated' }));
+  });
+
+  it('leaves sources without a URL unverified', async () => {
+    const [source] = await verifier.verifySources(claim, [{ title: 'Common knowledge', url: null }]);
+    expect(source).toEqual({ title: 'Common knowledge', url: null, verification: null });
+  });
+
+  it('refuses to fetch internal addresses by default', async () => {
+    expect(isPrivateAddress('127.0.0.1')).toBe(true);
+    expect(isPrivateAddress('::ffff:10.1.2.3')).toBe(true);
+    expect(isPrivateAddress('93.184.216.34')).toBe(false);
+
+    const [source] = await createCitationVerifier().verifySources(claim, [{ title: 'Internal', url: `${baseUrl}/relevant` }]);
+    expect(source.verification).toEqual(expect.objectContaining({ status: 'unreachable', httpStatus: null }));
+    expect(source.verification.reason).toMatch(/internal address/);
+  });
+
+  it('rejects unsupported protocols', async () => {
+    await expect(fetchPage('file:///etc/passwd')).rejects.toThrow('Unsupported protocol: file:');
+  });
+});
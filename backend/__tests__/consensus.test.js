@@ -0,0 +1,173 @@
+/**
+ * @fileoverview Unit tests for consensus fact-checking.
+ * Covers combining independent verdicts into one, running the samples against
+ * providers and turning consensus mode on from configuration.
+ */
+
+const {
+  medianScore,
+  aggregateVerdicts,
+  createConsensusChecker,
+  createConsensusCheckerFromEnv
+} = require('../lib/consensus');
+const { gradeFromScore } = require('../lib/factCheck');
+const { createMockProvider } = require('../providers/mock');
+
+/**
+ * Build a verdict as returned by a fact-check.
+ * @param {number} score - Score from 1 to 5
+ * @param {Object} [overrides] - Other fields
+ * @returns {Object} Verdict
+ */
+const verdict = (score, overrides = {}) => ({
+  grade: gradeFromScore(score),
+  score,
+  confidence: 0.8,
+  reasoning: `Reasoning for ${score}`,
+  sources: [],
+  language: 'en',
+  model: 'gpt-4o-mini',
+  ...overrides
+});
+
+/**
+ * Create a provider answering with the given fact-checks in turn.
+ * @param {Array<Object|Error>} answers - Answers, or errors to throw
+ * @param {string} [model='scripted'] - Model name
+ * @returns {LLMProvider} Provider with a mocked `complete` method
+ */
+const createScriptedProvider = (answers, model = 'scripted') => {
+  const complete = jest.fn();
+  answers.forEach(answer => complete.mockImplementationOnce(async () => {
+    if (answer instanceof Error) throw answer;
+    return { content: JSON.stringify(answer) };
+  }));
+  return { name: 'scripted', model, complete };
+};
+
+describe('Consensus', () => {
+  describe('medianScore', () => {
+    it('takes the middle score', () => {
+      expect(medianScore([5, 1, 4])).toBe(4);
+    });
+
+    it('rounds the mean of the two middle scores', () => {
+      expect(medianScore([1, 2, 4, 5])).toBe(3);
+      expect(medianScore([4, 5])).toBe(5);
+    });
+  });
+
+  describe('aggregateVerdicts', () => {
+    it('reports unanimous verdicts without dissents', () => {
+      const result = aggregateVerdicts([verdict(4), verdict(4, { confidence: 0.6 }), verdict(4)]);
+      expect(result).toEqual(expect.objectContaining({ grade: 'Mostly True', score: 4, confidence: 0.73 }));
+      expect(result.consensus).toEqual({
+        samples: 3,
+        failedSamples: 0,
+        models: ['gpt-4o-mini'],
+        agreement: 1,
+        level: 'unanimous',
+        dissents: []
+      });
+    });
+
+    it('keeps the reasoning of the most confident agreeing verdict and lists dissents', () => {
+      const result = aggregateVerdicts([
+        verdict(2, { reasoning: 'Unsure', confidence: 0.5 }),
+        verdict(2, { reasoning: 'Well documented', confidence: 0.9, model: 'gpt-4o' }),
+        verdict(5, { reasoning: 'Seems right', confidence: 0.4 })
+      ]);
+      expect(result.reasoning).toBe('Well documented');
+      expect(result.consensus).toEqual(expect.objectContaining({
+        models: ['gpt-4o-mini', 'gpt-4o'],
+        agreement: 0.67,
+        level: 'majority',
+        dissents: [{ model: 'gpt-4o-mini', grade: 'Truth', score: 5, confidence: 0.4, reasoning: 'Seems right' }]
+      }));
+    });
+
+    it('reports a split when no score has a majority', () => {
+      const result = aggregateVerdicts([verdict(1), verdict(3), verdict(5), verdict(3, { confidence: null })]);
+      expect(result.score).toBe(3);
+      expect(result.consensus.level).toBe('split');
+      expect(result.consensus.dissents.map(dissent => dissent.score)).toEqual([1, 5]);
+    });
+
+    it('falls back to the closest verdicts when none has the median score', () => {
+      const result = aggregateVerdicts([verdict(2, { reasoning: 'Low' }), verdict(4, { reasoning: 'High', confidence: 0.9 })]);
+      expect(result.score).toBe(3);
+      expect(result.reasoning).toBe('High');
+      expect(result.consensus.agreement).toBe(0);
+      expect(result.consensus.dissents).toHaveLength(2);
+    });
+
+    it('reports a null confidence when no verdict has one', () => {
+      expect(aggregateVerdicts([verdict(3, { confidence: null })]).confidence).toBeNull();
+    });
+  });
+
+  describe('createConsensusChecker', () => {
+    const answer = (score) => ({ score, confidence: 0.7, reasoning: `Score ${score}`, sources: [] });
+
+    it('samples every provider several times at the consensus temperature', async () => {
+      const first = createScriptedProvider([answer(4), answer(4)], 'model-a');
+      const second = createScriptedProvider([answer(2), answer(4)], 'model-b');
+      const checker = createConsensusChecker({ providers: [first, second], samples: 2, temperature: 0.9 });
+
+      const result = await checker.check('The sky is blue.');
+
+      expect(checker.samples).toBe(4);
+      expect(first.complete).toHaveBeenCalledTimes(2);
+      expect(first.complete).toHaveBeenCalledWith(expect.objectContaining({ temperature: 0.9 }));
+      expect(result).toEqual(expect.objectContaining({ grade: 'Mostly True', score: 4, language: 'en' }));
+      expect(result.consensus).toEqual(expect.objectContaining({
+        samples: 4,
+        models: ['model-a', 'model-b'],
+        agreement: 0.75,
+        level: 'majority',
+        dissents: [expect.objectContaining({ model: 'model-b', grade: 'Mostly False', score: 2 })]
+      }));
+    });
+
+    it('leaves failed samples out', async () => {
+      const provider = createScriptedProvider([answer(5), new Error('Timeout'), answer(5)]);
+      const result = await createConsensusChecker({ providers: [provider] }).check('Water is wet.');
+      expect(result.consensus).toEqual(expect.objectContaining({ samples: 2, failedSamples: 1, level: 'unanimous' }));
+    });
+
+    it('fails when every sample fails', async () => {
+      const provider = createScriptedProvider([new Error('Timeout'), new Error('Down')]);
+      await expect(createConsensusChecker({ providers: [provider], samples: 2 }).check('Water is wet.'))
+        .rejects.toThrow('Timeout');
+    });
+  });
+
+  describe('createConsensusCheckerFromEnv', () => {
+    const provider = createMockProvider();
+
+    it('is off by default', () => {
+      expect(createConsensusCheckerFromEnv(provider, {})).toBeNull();
+      expect(createConsensusCheckerFromEnv(null, { CONSENSUS_SAMPLES: '3' })).toBeNull();
+    });
+
+    it('samples the configured provider several times', () => {
+      expect(createConsensusCheckerFromEnv(provider, { CONSENSUS_SAMPLES: '3' }).samples).toBe(3);
+    });
+
+    it('rejects sample counts that are not positive whole numbers', () => {
+      expect(() => createConsensusCheckerFromEnv(provider, { CONSENSUS_SAMPLES: 'three' })).toThrow('CONSENSUS_SAMPLES');
+      expect(() => createConsensusCheckerFromEnv(provider, { CONSENSUS_SAMPLES: '0' })).toThrow('CONSENSUS_SAMPLES');
+      expect(() => createConsensusCheckerFromEnv(provider, { CONSENSUS_SAMPLES: '2.5' })).toThrow('CONSENSUS_SAMPLES');
+    });
+
+    it('asks each configured model', async () => {
+      const checker = createConsensusCheckerFromEnv(provider, {
+        LLM_PROVIDER: 'mock',
+        CONSENSUS_MODELS: 'mock-a, mock-b'
+      });
+      const result = await checker.check('The Moon orbits the Earth.');
+      expect(checker.samples).toBe(2);
+      expect(result.consensus.models).toEqual(['mock-a', 'mock-b']);
+    });
+  });
+});
@@ -0,0 +1,50 @@
+/**
+ * @fileoverview Unit tests for the cross-origin policy.
+ */
+
+const { createCorsOptions } = require('../middleware/cors');
+
+/**
+ * Ask the CORS options whether an origin is allowed.
+ * @param {Object} options - CORS options
+ * @param {string} [origin] - Request origin
+ * @returns {boolean} Whether the origin is allowed
+ */
+const allows = (options, origin) => {
+  let allowed;
+  options.origin(origin, (error, result) => {
+    allowed = result;
+  });
+  return allowed;
+};
+
+describe('CORS Policy', () => {
+  it('allows the web app and any extension in development', () => {
+    const options = createCorsOptions({ NODE_ENV: 'development' });
+
+    expect(allows(options, 'http://localhost:3000')).toBe(true);
+    expect(allows(options, 'chrome-extension://abcdefghijklmnop')).toBe(true);
+    expect(allows(options, 'moz-extension://0f1e2d3c-4b5a-6978-8796-a5b4c3d2e1f0')).toBe(true);
+    expect(allows(options, 'https://truthcheck.me')).toBe(false);
+  });
+
+  it('only allows configured extensions in production', () => {
+    const options = createCorsOptions({ NODE_ENV: 'production', CORS_EXTENSION_IDS: 'abcdefghijklmnop, other' });
+
+    expect(allows(options, 'https://truthcheck.me')).toBe(true);
+    expect(allows(options, 'chrome-extension://abcdefghijklmnop')).toBe(true);
+    expect(allows(options, 'chrome-extension://unknownextension')).toBe(false);
+    expect(allows(createCorsOptions({ NODE_ENV: 'production' }), 'chrome-extension://abcdefghijklmnop')).toBe(false);
+  });
+
+  it('lets requests without an origin through', () => {
+    expect(allows(createCorsOptions({ NODE_ENV: 'production' }), undefined)).toBe(true);
+  });
+
+  it('rejects look-alike origins', () => {
+    const options = createCorsOptions({ NODE_ENV: 'development' });
+
+    expect(allows(options, 'chrome-extension://abc/evil')).toBe(false);
+    expect(allows(options, 'http://localhost:3000.evil.example')).toBe(false);
+  });
+});
@@ -0,0 +1,176 @@
+/**
+ * @fileoverview Unit tests for the offline evaluation harness.
+ * Covers dataset parsing, running claims through the pipeline with scripted and mock
+ * providers, the summary metrics and the Markdown report.
+ */
+
+const path = require('path');
+const {
+  parseDataset,
+  loadDataset,
+  runEvaluation,
+  summarizeResults,
+  createReport,
+  compareReports,
+  reportToMarkdown
+} = require('../lib/evaluation');
+const { createMockProvider } = require('../providers/mock');
+
+/**
+ * Build a provider that answers with a fixed sequence of contents.
+ * @param {string[]} contents - Raw answers, in order
+ * @returns {LLMProvider} Provider with a mocked `complete` method
+ */
+const createScriptedProvider = (contents) => {
+  const complete = jest.fn();
+  contents.forEach(content => complete.mockResolvedValueOnce({ content }));
+  return { name: 'scripted', model: 'scripted', complete };
+};
+
+/**
+ * Raw answer giving a score.
+ * @param {number} score - Score from 1 to 5
+ * @returns {string} JSON answer
+ */
+const answer = score => JSON.stringify({ score, confidence: 0.8, reasoning: 'Because.', sources: [] });
+
+describe('Evaluation', () => {
+  describe('parseDataset', () => {
+    it('reads labelled claims, skipping comments and blank lines', () => {
+      const dataset = parseDataset([
+        '# Benchmark',
+        '{"id": "a", "text": " Water boils at 100 °C. ", "expected": "truth"}',
+        '',
+        '{"text": "Bats are blind.", "expected": 2}'
+      ].join('\n'));
+
+      expect(dataset).toEqual([
+        { id: 'a', text: 'Water boils at 100 °C.', expected: 'Truth', expectedScore: 5 },
+        { id: '2', text: 'Bats are blind.', expected: 'Mostly False', expectedScore: 2 }
+      ]);
+    });
+
+    it('rejects malformed lines with their position', () => {
+      expect(() => parseDataset('{"text": "Claim"', 'claims.jsonl')).toThrow('claims.jsonl:1');
+      expect(() => parseDataset('{"text": "Claim", "expected": "Maybe"}')).toThrow('dataset:1: expected must be one of');
+      expect(() => parseDataset('{"text": "Claim", "expected": 6}')).toThrow('expected must be one of');
+      expect(() => parseDataset('{"expected": "Truth"}')).toThrow('text is required');
+      expect(() => parseDataset('{"id": 1, "text": "A", "expected": 1}\n{"id": "1", "text": "B", "expected": 1}'))
+        .toThrow('dataset:2: duplicate id "1"');
+      expect(() => parseDataset('# Nothing yet')).toThrow('no claims');
+    });
+
+    it('loads the bundled benchmark', () => {
+      const dataset = loadDataset(path.join(__dirname, '..', 'eval', 'claims.jsonl'));
+
+      expect(dataset.length).toBeGreaterThanOrEqual(25);
+      expect(new Set(dataset.map(claim => claim.expected)).size).toBe(5);
+    });
+  });
+
+  describe('runEvaluation', () => {
+    const dataset = parseDataset([
+      '{"id": "a", "text": "First", "expected": "Truth"}',
+      '{"id": "b", "text": "Second", "expected": "Mostly False"}',
+      '{"id": "c", "text": "Third", "expected": "Neutral"}'
+    ].join('\n'));
+
+    it('counts answers that could not be parsed, including those fixed by the retry', async () => {
+      const provider = createScriptedProvider([answer(5), 'No idea.', answer(3), 'Nope', 'Still no']);
+
+      const results = await runEvaluation(provider, dataset);
+
+      expect(results.map(({ id, grade, score, answers, parseFailures, error }) => ({ id, grade, score, answers, parseFailures, error })))
+        .toEqual([
+          { id: 'a', grade: 'Truth', score: 5, answers: 1, parseFailures: 0, error: null },
+          { id: 'b', grade: 'Neutral', score: 3, answers: 2, parseFailures: 1, error: null },
+          { id: 'c', grade: null, score: null, answers: 2, parseFailures: 2, error: 'invalid_model_output' }
+        ]);
+      expect(results[0].promptVersion).toBe('v1');
+    });
+
+    it('summarizes accuracy, off-by-one accuracy, the confusion matrix and parse failures', async () => {
+      const provider = createScriptedProvider([answer(5), 'No idea.', answer(3), 'Nope', 'Still no']);
+
+      const summary = summarizeResults(await runEvaluation(provider, dataset));
+
+      expect(summary).toEqual(expect.objectContaining({
+        total: 3,
+        checked: 2,
+        failed: 1,
+        accuracy: 0.3333,
+        offByOneAccuracy: 0.6667,
+        meanAbsoluteError: 0.5,
+        answers: 5,
+        parseFailures: 3,
+        parseFailureRate: 0.6
+      }));
+      expect(summary.confusionMatrix.counts[4]).toEqual([0, 0, 0, 0, 1]);
+      expect(summary.confusionMatrix.counts[1]).toEqual([0, 0, 1, 0, 0]);
+      expect(summary.confusionMatrix.counts[2]).toEqual([0, 0, 0, 0, 0]);
+    });
+
+    it('runs offline with the mock provider and the same verdicts every time', async () => {
+      const benchmark = loadDataset(path.join(__dirname, '..', 'eval', 'claims.jsonl'));
+      const run = () => runEvaluation(createMockProvider(), benchmark, { concurrency: 4 });
+
+      const first = await run();
+      const second = await run();
+
+      expect(first.map(result => result.id)).toEqual(benchmark.map(claim => claim.id));
+      expect(first.every(result => result.error === null)).toBe(true);
+      expect(second.map(result => result.grade)).toEqual(first.map(result => result.grade));
+    });
+  });
+
+  describe('reports', () => {
+    /**
+     * Build a report from fixed results.
+     * @param {Array<Array>} rows - Expected and given scores, and prompt version
+     * @returns {Object} Report
+     */
+    const reportOf = rows => createReport({
+      dataset: 'claims.jsonl',
+      provider: { name: 'mock', model: 'mock' },
+      startedAt: '2026-01-01T00:00:00.000Z',
+      durationMs: 1500,
+      results: rows.map(([expectedScore, score, promptVersion], index) => ({
+        id: `c${index}`,
+        text: `Claim | ${index}`,
+        expected: ['Absolutely False', 'Mostly False', 'Neutral', 'Mostly True', 'Truth'][expectedScore - 1],
+        expectedScore,
+        grade: score ? ['Absolutely False', 'Mostly False', 'Neutral', 'Mostly True', 'Truth'][score - 1] : null,
+        score,
+        promptVersion,
+        error: score ? null : 'invalid_model_output',
+        answers: score ? 1 : 2,
+        parseFailures: score ? 0 : 2
+      }))
+    });
+
+    it('breaks the summary down by prompt version and compares runs', () => {
+      const report = reportOf([[5, 5, 'v1'], [1, 2, 'v1'], [3, 3, 'v2'], [4, null, 'v2']]);
+      const baseline = reportOf([[5, 4, 'v1'], [1, 2, 'v1']]);
+
+      expect(report.byPromptVersion.v1.accuracy).toBe(0.5);
+      expect(report.byPromptVersion.v2.failed).toBe(1);
+      expect(compareReports(report, baseline)).toEqual(expect.objectContaining({
+        accuracy: { current: 0.5, baseline: 0, delta: 0.5 },
+        offByOneAccuracy: { current: 0.75, baseline: 1, delta: -0.25 }
+      }));
+    });
+
+    it('renders Markdown with the metrics, the comparison, the confusion matrix and the misses', () => {
+      const report = reportOf([[5, 5, 'v1'], [1, 2, 'v1'], [3, 3, 'v2'], [4, null, 'v2']]);
+      const markdown = reportToMarkdown(report, reportOf([[5, 4, 'v1']]));
+
+      expect(markdown).toContain('| Accuracy | 50.0% |');
+      expect(markdown).toContain('| Parse-failure rate | 40.0% (2 of 5 answers) |');
+      expect(markdown).toContain('| Accuracy | 0.0% | 50.0% | +50.0 pts |');
+      expect(markdown).toContain('| v2 | 2 | 50.0% | 50.0% | 66.7% |');
+      expect(markdown).toContain('| Absolutely False | 0 | 1 | 0 | 0 | 0 |');
+      expect(markdown).toContain('| c1 | Claim \\| 1 | Absolutely False | Mostly False |');
+      expect(markdown).toContain('| c3 | Claim \\| 3 | Mostly True | not checked (invalid_model_output) |');
+    });
+  });
+});
@@ -0,0 +1,105 @@
+/**
+ * @fileoverview Unit tests for the local evidence corpus.
+ * Covers document parsing, passage splitting, ranking of passages and persistence.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  InvalidDocumentError,
+  detectFormat,
+  parseDocument,
+  splitPassages,
+  createEvidenceIndex
+} = require('../lib/evidence');
+const { createMemoryStore } = require('../stores/memory');
+const { createFileStore } = require('../stores/file');
+
+describe('Evidence Corpus', () => {
+  it('detects the format from the file name', () => {
+    expect(detectFormat('notes/Report.MD')).toBe('markdown');
+    expect(detectFormat('page.htm')).toBe('html');
+    expect(detectFormat('facts.txt')).toBe('text');
+  });
+
+  it('strips Markdown formatting and keeps the first heading as title', () => {
+    const { title, blocks } = parseDocument(
+      '# Moon Facts\n\nThe **Moon** orbits [Earth](https://example.com).\n\n- It has no atmosphere',
+      'markdown'
+    );
+    expect(title).toBe('Moon Facts');
+    expect(blocks).toEqual(['Moon Facts', 'The Moon orbits Earth.', 'It has no atmosphere']);
+  });
+
+  it('splits HTML into paragraphs and ignores scripts and the head', () => {
+    const { title, blocks } = parseDocument(
+      '<html><head><title>Moon &amp; Sun</title></head><body><p>First.</p><script>x()</script><p>Second.</p></body></html>',
+      'html'
+    );
+    expect(title).toBe('Moon & Sun');
+    expect(blocks.filter(Boolean)).toEqual(['First.', 'Second.']);
+  });
+
+  it('merges short paragraphs and splits long ones between sentences', () => {
+    expect(splitPassages(['One.', 'Two.'])).toEqual(['One. Two.']);
+
+    const sentence = `${'word '.repeat(50).trim()}.`;
+    const passages = splitPassages([Array(10).fill(sentence).join(' ')]);
+    expect(passages.length).toBeGreaterThan(1);
+    passages.forEach(passage => expect(passage.length).toBeLessThanOrEqual(600));
+  });
+
+  it('ranks the passages that best match a claim first', async () => {
+    const index = createEvidenceIndex({ store: createMemoryStore(), topK: 2 });
+    await index.ingest({ id: 'moon', content: 'The Moon orbits the Earth every 27 days.' });
+    await index.ingest({ id: 'mars', content: 'Mars has two moons, Phobos and Deimos. Mars orbits the Sun.' });
+    await index.ingest({ id: 'bread', content: 'Bread is baked from flour, water and yeast.' });
+
+    const results = await index.search('How many days does the Moon take to orbit the Earth?');
+    expect(results.map(result => result.documentId)).toEqual(['moon']);
+    expect(results[0]).toEqual(expect.objectContaining({
+      title: 'The Moon orbits the Earth every 27 days.',
+      url: null,
+      passage: 0,
+      snippet: 'The Moon orbits the Earth every 27 days.'
+    }));
+    expect(await index.search('Bread')).toHaveLength(1);
+    expect(await index.search('the of and')).toEqual([]);
+  });
+
+  it('replaces documents with the same id and forgets removed ones', async () => {
+    const index = createEvidenceIndex({ store: createMemoryStore() });
+    await index.ingest({ id: 'doc', title: 'Doc', content: 'Venus is the hottest planet.' });
+    await index.ingest({ id: 'doc', title: 'Doc', content: 'Mercury is the closest planet.' });
+
+    expect(await index.search('hottest planet Venus')).toEqual([]);
+    expect(await index.search('closest planet')).toHaveLength(1);
+
+    expect(await index.remove('doc')).toBe(true);
+    expect(await index.search('closest planet')).toEqual([]);
+    expect(await index.list()).toEqual([]);
+  });
+
+  it('rejects invalid documents', async () => {
+    const index = createEvidenceIndex({ store: createMemoryStore() });
+    await expect(index.ingest({ content: '' })).rejects.toThrow(InvalidDocumentError);
+    await expect(index.ingest({ content: 'Text', id: '../etc' })).rejects.toThrow(InvalidDocumentError);
+    await expect(index.ingest({ content: 'Text', url: 'javascript:alert(1)' })).rejects.toThrow(InvalidDocumentError);
+    await expect(index.ingest({ content: '<p> </p>', format: 'html' })).rejects.toThrow('Document has no text');
+  });
+
+  it('persists documents with the file backend', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'evidence-'));
+    const filePath = path.join(dir, 'evidence.json');
+    try {
+      await createEvidenceIndex({ store: createFileStore(filePath) })
+        .ingest({ id: 'moon', content: 'The Moon orbits the Earth.' });
+
+      const reopened = createEvidenceIndex({ store: createFileStore(filePath) });
+      expect(await reopened.search('Moon orbits')).toEqual([expect.objectContaining({ documentId: 'moon' })]);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
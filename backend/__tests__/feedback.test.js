@@ -0,0 +1,103 @@
+/**
+ * @fileoverview Unit tests for reader feedback.
+ * Covers feedback validation, the per-client feedback store and the dispute export.
+ */
+
+const {
+  validateFeedback,
+  disputesToCsv,
+  createFeedbackStore,
+  exportDisputes,
+  InvalidFeedbackError
+} = require('../lib/feedback');
+const { createMemoryStore } = require('../stores/memory');
+
+const FACT_CHECK_ID = 'AAAAAAAAAAAAAAAAAAAAAA';
+
+describe('Reader Feedback', () => {
+  describe('validateFeedback', () => {
+    it('keeps only the fields of votes', () => {
+      expect(validateFeedback({ factCheckId: FACT_CHECK_ID, vote: 'up', reason: 'Great', extra: true }))
+        .toEqual({ factCheckId: FACT_CHECK_ID, vote: 'up', reason: null, counterSource: null });
+    });
+
+    it('trims disputes', () => {
+      expect(validateFeedback({
+        factCheckId: FACT_CHECK_ID,
+        vote: 'dispute',
+        reason: '  The figure is from 2019.  ',
+        counterSource: ' https://example.org/stats '
+      })).toEqual({
+        factCheckId: FACT_CHECK_ID,
+        vote: 'dispute',
+        reason: 'The figure is from 2019.',
+        counterSource: 'https://example.org/stats'
+      });
+    });
+
+    it.each([
+      ['a missing fact check id', { vote: 'up' }, /Fact check id/],
+      ['a malformed fact check id', { factCheckId: '../etc', vote: 'up' }, /Fact check id/],
+      ['a dispute without reason', { factCheckId: FACT_CHECK_ID, vote: 'dispute' }, /Reason is required/],
+      ['an overlong reason', { factCheckId: FACT_CHECK_ID, vote: 'dispute', reason: 'x'.repeat(1001) }, /Reason is required/],
+      ['a link-stuffed reason', {
+        factCheckId: FACT_CHECK_ID,
+        vote: 'dispute',
+        reason: 'See http://a.example http://b.example http://c.example'
+      }, /at most 2 links/],
+      ['a non-web counter-source', {
+        factCheckId: FACT_CHECK_ID,
+        vote: 'dispute',
+        reason: 'Wrong year given.',
+        counterSource: 'ftp://x'
+      }, /Counter-source/]
+    ])('rejects %s', (description, body, message) => {
+      expect(() => validateFeedback(body)).toThrow(InvalidFeedbackError);
+      expect(() => validateFeedback(body)).toThrow(message);
+    });
+  });
+
+  describe('createFeedbackStore', () => {
+    it('keeps one submission per client and fact check', async () => {
+      const store = createMemoryStore();
+      const feedbackStore = createFeedbackStore({ store, salt: 'test' });
+      const vote = { factCheckId: FACT_CHECK_ID, vote: 'up', reason: null, counterSource: null };
+
+      await feedbackStore.submit(vote, '203.0.113.1');
+      const { replaced } = await feedbackStore.submit({ ...vote, vote: 'down' }, '203.0.113.1');
+      await feedbackStore.submit(vote, '203.0.113.2');
+
+      expect(replaced).toBe(true);
+      expect(await feedbackStore.summarize(FACT_CHECK_ID)).toEqual({ up: 1, down: 1, dispute: 0 });
+      expect(JSON.stringify(await store.entries())).not.toContain('203.0.113');
+    });
+  });
+
+  describe('exportDisputes', () => {
+    it('joins disputes with the disputed fact checks', async () => {
+      const feedbackStore = createFeedbackStore({ store: createMemoryStore() });
+      const recordStore = {
+        get: async id => (id === FACT_CHECK_ID
+          ? { id, text: 'Water boils at 50 °C.', grade: 'Truth', score: 5, confidence: 0.9, model: 'mock', provider: 'mock', promptVersion: 'v1' }
+          : null)
+      };
+      await feedbackStore.submit({ factCheckId: FACT_CHECK_ID, vote: 'up', reason: null, counterSource: null }, 'a');
+      await feedbackStore.submit({
+        factCheckId: FACT_CHECK_ID,
+        vote: 'dispute',
+        reason: '=HYPERLINK("http://evil.example")',
+        counterSource: null
+      }, 'b');
+
+      const disputes = await exportDisputes(feedbackStore, recordStore);
+
+      expect(disputes).toEqual([expect.objectContaining({
+        factCheckId: FACT_CHECK_ID,
+        factCheck: expect.objectContaining({ text: 'Water boils at 50 °C.', score: 5 })
+      })]);
+      expect(disputesToCsv(disputes).split('\r\n')[1]).toBe(
+        `${disputes[0].createdAt},${FACT_CHECK_ID},Water boils at 50 °C.,Truth,5,0.9,mock,v1,"'=HYPERLINK(""http://evil.example"")",`
+      );
+    });
+  });
+});
@@ -0,0 +1,186 @@
+/**
+ * @fileoverview Unit tests for batch jobs and webhook delivery.
+ * Webhooks are received by a local HTTP fixture server, so no test depends on the network.
+ */
+
+const http = require('http');
+const { createJobQueue } = require('../lib/jobs');
+const { deliverWebhook, signPayload } = require('../lib/webhooks');
+const { createMemoryStore } = require('../stores/memory');
+
+/**
+ * Wait until a job is completed.
+ * @param {Object} queue - Job queue
+ * @param {string} id - Job identifier
+ * @returns {Promise<Object>} Completed job
+ */
+const waitForJob = async (queue, id) => {
+  for (let attempt = 0; attempt < 100; attempt++) {
+    const job = await queue.get(id);
+    if (job.status === 'completed') return job;
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  throw new Error(`Job ${id} did not complete`);
+};
+
+describe('Batch Jobs', () => {
+  it('processes items with bounded concurrency and reports failures per item', async () => {
+    let running = 0;
+    let maxRunning = 0;
+    const processItem = jest.fn(async (input) => {
+      running += 1;
+      maxRunning = Math.max(maxRunning, running);
+      await new Promise(resolve => setTimeout(resolve, 5));
+      running -= 1;
+      if (input === 'bad') throw new Error('Model failed');
+      return { grade: 'Truth', input };
+    });
+    const queue = createJobQueue({ store: createMemoryStore(), processItem, concurrency: 2 });
+
+    const created = await queue.create(['a', 'bad', 'c', 'd', 'e']);
+    expect(created).toEqual(expect.objectContaining({ status: 'running', total: 5, succeeded: 0, failed: 0 }));
+
+    const job = await waitForJob(queue, created.id);
+    expect(maxRunning).toBe(2);
+    expect(processItem).toHaveBeenCalledTimes(5);
+    expect(job).toEqual(expect.objectContaining({ status: 'completed', succeeded: 4, failed: 1 }));
+    expect(job.items[0]).toEqual({ index: 0, input: 'a', status: 'succeeded', result: { grade: 'Truth', input: 'a' } });
+    expect(job.items[1]).toEqual({ index: 1, input: 'bad', status: 'failed', error: 'Model failed' });
+  });
+
+  it('shares the concurrency limit across jobs', async () => {
+    let running = 0;
+    let maxRunning = 0;
+    const queue = createJobQueue({
+      store: createMemoryStore(),
+      concurrency: 1,
+      processItem: async () => {
+        running += 1;
+        maxRunning = Math.max(maxRunning, running);
+        await new Promise(resolve => setTimeout(resolve, 2));
+        running -= 1;
+      }
+    });
+
+    const jobs = await Promise.all([queue.create(['a', 'b']), queue.create(['c', 'd'])]);
+    await Promise.all(jobs.map(job => waitForJob(queue, job.id)));
+    expect(maxRunning).toBe(1);
+  });
+
+  it('stores the outcome of the completion handler on the job', async () => {
+    const onComplete = jest.fn(async () => ({ status: 'delivered' }));
+    const queue = createJobQueue({ store: createMemoryStore(), processItem: async () => ({}), onComplete });
+
+    const created = await queue.create(['a'], { webhookUrl: 'https://hooks.example/done' });
+    await waitForJob(queue, created.id);
+    await new Promise(resolve => setImmediate(resolve));
+
+    expect(onComplete).toHaveBeenCalledWith(expect.objectContaining({ id: created.id, status: 'completed' }));
+    expect(await queue.get(created.id)).toEqual(expect.objectContaining({
+      webhookUrl: 'https://hooks.example/done',
+      notification: { status: 'delivered' }
+    }));
+  });
+
+  it('resumes unfinished jobs and prunes expired ones', async () => {
+    const store = createMemoryStore();
+    let now = Date.parse('2026-01-01T00:00:00Z');
+    await store.set('x'.repeat(22), {
+      id: 'x'.repeat(22),
+      status: 'running',
+      total: 2,
+      succeeded: 1,
+      failed: 0,
+      items: [{ index: 0, input: 'done', status: 'succeeded', result: {} }, { index: 1, input: 'left', status: 'pending' }]
+    });
+    const processItem = jest.fn(async () => ({}));
+    const queue = createJobQueue({ store, processItem, retentionSeconds: 60, now: () => now });
+
+    expect(await queue.resume()).toBe(1);
+    const job = await waitForJob(queue, 'x'.repeat(22));
+    expect(processItem).toHaveBeenCalledWith('left');
+    expect(job.succeeded).toBe(2);
+
+    now += 61 * 1000;
+    await queue.create(['new']);
+    expect(await queue.get('x'.repeat(22))).toBeNull();
+  });
+
+  it('returns null for unknown or malformed job ids', async () => {
+    const queue = createJobQueue({ store: createMemoryStore(), processItem: async () => ({}) });
+    expect(await queue.get('A'.repeat(22))).toBeNull();
+    expect(await queue.get('../etc/passwd')).toBeNull();
+  });
+});
+
+describe('Webhook Delivery', () => {
+  let server;
+  let baseUrl;
+  let received;
+  let responses;
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', (chunk) => { body += chunk; });
+      req.on('end', () => {
+        received.push({ url: req.url, headers: req.headers, body });
+        res.writeHead(responses.shift() || 200);
+        res.end();
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  beforeEach(() => {
+    received = [];
+    responses = [];
+  });
+
+  afterAll(() => new Promise(resolve => server.close(resolve)));
+
+  it('posts a signed JSON payload', async () => {
+    const outcome = await deliverWebhook(`${baseUrl}/hook`, 'job.completed', { job: { id: 'abc' } }, {
+      secret: 'shh',
+      allowPrivateHosts: true
+    });
+
+    expect(outcome).toEqual({ status: 'delivered', attempts: 1, httpStatus: 200, error: null });
+    expect(received).toHaveLength(1);
+    const [{ headers, body }] = received;
+    expect(JSON.parse(body)).toEqual({ job: { id: 'abc' } });
+    expect(headers['x-truthcheck-event']).toBe('job.completed');
+    expect(headers['x-truthcheck-signature']).toBe(signPayload('shh', body));
+  });
+
+  it('retries failed deliveries with backoff', async () => {
+    responses = [500, 503];
+    const outcome = await deliverWebhook(`${baseUrl}/hook`, 'job.completed', {}, {
+      allowPrivateHosts: true,
+      backoffMs: 1
+    });
+
+    expect(outcome).toEqual({ status: 'delivered', attempts: 3, httpStatus: 200, error: null });
+    expect(received).toHaveLength(3);
+  });
+
+  it('gives up after the last attempt', async () => {
+    responses = [500, 500];
+    const outcome = await deliverWebhook(`${baseUrl}/hook`, 'job.completed', {}, {
+      allowPrivateHosts: true,
+      attempts: 2,
+      backoffMs: 1
+    });
+
+    expect(outcome).toEqual({ status: 'failed', attempts: 2, httpStatus: 500, error: 'HTTP 500' });
+  });
+
+  it('refuses to post to internal addresses', async () => {
+    const outcome = await deliverWebhook(`${baseUrl}/hook`, 'job.completed', {}, { backoffMs: 1 });
+
+    expect(outcome).toEqual(expect.objectContaining({ status: 'failed', attempts: 1 }));
+    expect(outcome.error).toMatch(/internal address/);
+    expect(received).toHaveLength(0);
+  });
+});
@@ -0,0 +1,35 @@
+/**
+ * @fileoverview Unit tests for language detection.
+ */
+
+const { detectLanguage, languageName } = require('../lib/language');
+
+describe('Language Detection', () => {
+  it.each([
+    ['The Eiffel Tower is in Paris and was built in 1889.', 'en'],
+    ['La Torre Eiffel está en París y fue construida en 1889.', 'es'],
+    ['La tour Eiffel est à Paris et a été construite en 1889.', 'fr'],
+    ['Der Eiffelturm ist in Paris und wurde 1889 gebaut.', 'de'],
+    ['La Torre Eiffel è a Parigi ed è stata costruita nel 1889.', 'it'],
+    ['A Torre Eiffel fica em Paris e foi construída em 1889.', 'pt']
+  ])('detects the language of "%s"', (text, language) => {
+    expect(detectLanguage(text)).toBe(language);
+  });
+
+  it('tells short sentences of related languages apart', () => {
+    expect(detectLanguage('La Tierra es plana.')).toBe('es');
+    expect(detectLanguage('La Terre est plate.')).toBe('fr');
+    expect(detectLanguage('Os gatos são animais.')).toBe('pt');
+  });
+
+  it('falls back when the text is inconclusive', () => {
+    expect(detectLanguage('Paris')).toBe('en');
+    expect(detectLanguage('1889', 'fr')).toBe('fr');
+    expect(detectLanguage('')).toBe('en');
+  });
+
+  it('names languages for prompts', () => {
+    expect(languageName('es')).toBe('Spanish');
+    expect(languageName('xx')).toBe('English');
+  });
+});
@@ -0,0 +1,242 @@
+/**
+ * @fileoverview Unit tests for the structured logger and the request context middleware.
+ * Log entries are captured instead of written to standard output, so that tests can assert
+ * what is logged and, above all, what never is.
+ */
+
+const express = require('express');
+const request = require('supertest');
+const { createLogger, createLoggerFromEnv } = require('../lib/logger');
+const { createRequestContext } = require('../middleware/requestContext');
+
+/**
+ * Create a logger whose entries are collected in an array.
+ * @param {Object} [options] - Logger options
+ * @returns {{logger: Object, lines: string[], entries: Function}} Logger, raw lines and parsed entries
+ */
+const createCapturingLogger = (options = {}) => {
+  const lines = [];
+  const logger = createLogger({ write: line => lines.push(line), now: () => 0, ...options });
+  return { logger, lines, entries: () => lines.map(line => JSON.parse(line)) };
+};
+
+describe('Logger', () => {
+  it('writes one JSON line per entry with its level and fields', () => {
+    const { logger, lines } = createCapturingLogger();
+    logger.info('Fact-check complete', { grade: 'Truth', score: 5 });
+
+    expect(lines).toEqual([
+      '{"time":"1970-01-01T00:00:00.000Z","level":"info","msg":"Fact-check complete","grade":"Truth","score":5}\n'
+    ]);
+  });
+
+  it('leaves out entries below the configured level', () => {
+    const { logger, entries } = createCapturingLogger({ level: 'warn' });
+    logger.debug('Request received');
+    logger.info('Fact-check complete');
+    logger.warn('Rate limit exceeded');
+    logger.error('Fact-check error');
+
+    expect(entries().map(entry => entry.level)).toEqual(['warn', 'error']);
+  });
+
+  it('is silent in tests unless configured otherwise', () => {
+    expect(createLoggerFromEnv({ NODE_ENV: 'test' }).level).toBe('silent');
+    expect(createLoggerFromEnv({ NODE_ENV: 'test', LOG_LEVEL: 'DEBUG' }).level).toBe('debug');
+    expect(createLoggerFromEnv({}).level).toBe('info');
+  });
+
+  it('redacts credentials at any depth', () => {
+    const { logger, lines } = createCapturingLogger();
+    logger.info('Request received', {
+      headers: { Authorization: 'Bearer s3cr3t', cookie: 'session=abc123', 'x-api-key': 'key-456' },
+      options: [{ token: 'tok-789', password: 'hunter2' }]
+    });
+
+    const output = lines.join('');
+    ['s3cr3t', 'abc123', 'key-456', 'tok-789', 'hunter2'].forEach(secret => expect(output).not.toContain(secret));
+    expect(JSON.parse(output).headers).toEqual({
+      Authorization: '[REDACTED]',
+      cookie: '[REDACTED]',
+      'x-api-key': '[REDACTED]'
+    });
+  });
+
+  it('truncates user text to the configured length', () => {
+    const { logger, entries } = createCapturingLogger({ maxTextLength: 10 });
+    logger.info('Received fact-check request', { text: 'My neighbour Jane Doe was born in 1984.', statements: [{ text: 'Short' }] });
+
+    expect(entries()[0]).toEqual(expect.objectContaining({
+      text: 'My neighbo…',
+      statements: [{ text: 'Short' }]
+    }));
+  });
+
+  it('can leave user text out entirely', () => {
+    const { logger, lines } = createCapturingLogger({ maxTextLength: 0 });
+    logger.info('Received feedback', { reason: 'Private details' });
+
+    expect(lines.join('')).not.toContain('Private');
+  });
+
+  it('rejects text lengths that are not whole numbers, rather than logging full text', () => {
+    expect(createLoggerFromEnv({ LOG_TEXT_MAX_LENGTH: '0' }).level).toBe('info');
+    expect(() => createLoggerFromEnv({ LOG_TEXT_MAX_LENGTH: 'abc' })).toThrow('LOG_TEXT_MAX_LENGTH');
+    expect(() => createLoggerFromEnv({ LOG_TEXT_MAX_LENGTH: '-5' })).toThrow('LOG_TEXT_MAX_LENGTH');
+    expect(() => createLoggerFromEnv({ LOG_TEXT_MAX_LENGTH: '12.5' })).toThrow('LOG_TEXT_MAX_LENGTH');
+  });
+
+  it('serializes errors and handles circular references', () => {
+    const { logger, entries } = createCapturingLogger();
+    const error = new Error('Upstream failed');
+    error.status = 502;
+    const loop = { name: 'loop' };
+    loop.self = loop;
+    logger.error('Fact-check error', { error, loop });
+
+    const [entry] = entries();
+    expect(entry.error).toEqual(expect.objectContaining({ name: 'Error', message: 'Upstream failed', status: 502 }));
+    expect(entry.error.stack).toContain('Upstream failed');
+    expect(entry.loop).toEqual({ name: 'loop', self: '[Circular]' });
+  });
+
+  it('adds the bindings of child loggers to their entries', () => {
+    const { logger, entries } = createCapturingLogger();
+    logger.child({ requestId: 'abc' }).info('Request completed', { status: 200 });
+
+    expect(entries()[0]).toEqual(expect.objectContaining({ requestId: 'abc', status: 200 }));
+  });
+});
+
+describe('Request Context', () => {
+  /**
+   * Build an app using the request context middleware with a capturing logger.
+   * @returns {{app: express.Application, lines: string[], entries: Function}} App and captured log
+   */
+  const buildApp = () => {
+    const capture = createCapturingLogger({ level: 'debug', maxTextLength: 10 });
+    const app = express();
+    app.use(createRequestContext(capture.logger));
+    app.use(express.json());
+    app.post('/check', (req, res) => {
+      req.log.info('Received fact-check request', { text: req.body.text });
+      res.json({ ok: true });
+    });
+    app.get('/fail', (req, res) => res.status(500).json({ error: 'Failed' }));
+    return { app, ...capture };
+  };
+
+  it('generates a request id, echoes it and adds it to the log entries', async () => {
+    const { app, entries } = buildApp();
+    const response = await request(app).post('/check').send({ text: 'Hello' });
+
+    const requestId = response.headers['x-request-id'];
+    expect(requestId).toMatch(/^[0-9a-f-]{36}$/);
+    expect(entries().map(entry => [entry.msg, entry.requestId])).toEqual([
+      ['Request received', requestId],
+      ['Received fact-check request', requestId],
+      ['Request completed', requestId]
+    ]);
+    expect(entries()[2]).toEqual(expect.objectContaining({ method: 'POST', path: '/check', status: 200 }));
+  });
+
+  it('reuses well-formed incoming request ids only', async () => {
+    const { app } = buildApp();
+    const reused = await request(app).post('/check').set('X-Request-Id', 'edge-1234').send({ text: 'Hi' });
+    const replaced = await request(app).post('/check').set('X-Request-Id', 'not a valid id!').send({ text: 'Hi' });
+
+    expect(reused.headers['x-request-id']).toBe('edge-1234');
+    expect(replaced.headers['x-request-id']).not.toBe('not a valid id!');
+  });
+
+  it('adds the request id to error responses', async () => {
+    const { app, entries } = buildApp();
+    const response = await request(app).get('/fail');
+
+    expect(response.body).toEqual({ error: 'Failed', requestId: response.headers['x-request-id'] });
+    expect(entries().pop()).toEqual(expect.objectContaining({ level: 'error', status: 500 }));
+  });
+
+  it('never logs credentials, request bodies or full user text', async () => {
+    const { app, lines } = buildApp();
+    await request(app)
+      .post('/check?lang=en')
+      .set('Authorization', 'Bearer admin-s3cr3t')
+      .set('Cookie', 'session=cookie-value')
+      .set('X-API-Key', 'tcm_live_key')
+      .send({ text: 'Confidential statement about a private person', password: 'body-secret' });
+
+    const output = lines.join('');
+    ['admin-s3cr3t', 'cookie-value', 'tcm_live_key', 'body-secret', 'private person'].forEach(secret => {
+      expect(output).not.toContain(secret);
+    });
+  });
+});
+
+describe('Server Logging', () => {
+  const savedEnv = { ...process.env };
+  let app;
+  let output;
+
+  beforeAll(() => {
+    Object.assign(process.env, {
+      LOG_LEVEL: 'debug',
+      LOG_TEXT_MAX_LENGTH: '12',
+      LLM_PROVIDER: 'mock',
+      ADMIN_TOKEN: 'admin-s3cr3t',
+      FACT_CHECK_STORE_BACKEND: 'memory',
+      FEEDBACK_STORE_BACKEND: 'memory',
+      EVIDENCE_STORE_BACKEND: 'memory',
+      API_KEY_STORE_BACKEND: 'memory',
+      CITATION_VERIFICATION: 'off'
+    });
+    jest.isolateModules(() => {
+      app = require('../server');
+    });
+  });
+
+  afterAll(() => {
+    process.env = savedEnv;
+  });
+
+  beforeEach(() => {
+    output = '';
+    jest.spyOn(process.stdout, 'write').mockImplementation((chunk) => {
+      output += chunk;
+      return true;
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('logs fact-checks without credentials, full statements or model answers', async () => {
+    const { body: { key } } = await request(app)
+      .post('/api/admin/api-keys')
+      .set('Authorization', 'Bearer admin-s3cr3t')
+      .send({ name: 'Partner' });
+    const response = await request(app)
+      .post('/api/fact-check')
+      .set('Authorization', 'Bearer admin-s3cr3t')
+      .set('Cookie', 'session=cookie-value')
+      .set('X-API-Key', key)
+      .send({ text: 'My neighbour at 12 Elm Street earns 90k a year.' });
+
+    expect(response.statusCode).toBe(200);
+    expect(output).toContain(`"requestId":"${response.headers['x-request-id']}"`);
+    expect(output).toContain('"msg":"Fact-check complete"');
+    ['admin-s3cr3t', 'cookie-value', key, 'Elm Street', 'mock verdict'].forEach(secret => {
+      expect(output).not.toContain(secret);
+    });
+  });
+
+  it('logs admin requests without the admin credential', async () => {
+    await request(app).get('/api/admin/analytics').set('Authorization', 'Bearer admin-s3cr3t');
+    await request(app).get('/api/admin/analytics').set('Authorization', 'Bearer wrong-guess');
+
+    expect(output).toContain('"status":403');
+    expect(output).not.toContain('admin-s3cr3t');
+    expect(output).not.toContain('wrong-guess');
+  });
+});
@@ -0,0 +1,171 @@
+/**
+ * @fileoverview Unit tests for the Prometheus metrics, the HTTP metrics middleware and
+ * the instrumented LLM providers.
+ */
+
+const express = require('express');
+const request = require('supertest');
+const { createRegistry, createMetrics, createHttpMetricsMiddleware } = require('../lib/metrics');
+const { instrumentProvider } = require('../providers/instrument');
+const { createMockProvider } = require('../providers/mock');
+
+describe('Metrics Registry', () => {
+  it('renders counters with their help, type and labelled series', () => {
+    const registry = createRegistry();
+    const counter = registry.counter({ name: 'jobs_total', help: 'Jobs run.', labelNames: ['status'] });
+    counter.inc({ status: 'done' });
+    counter.inc({ status: 'done' }, 2);
+    counter.inc({ status: 'failed' });
+
+    expect(registry.render()).toBe([
+      '# HELP jobs_total Jobs run.',
+      '# TYPE jobs_total counter',
+      'jobs_total{status="done"} 3',
+      'jobs_total{status="failed"} 1',
+      ''
+    ].join('\n'));
+  });
+
+  it('renders histograms as cumulative buckets with their sum and count', () => {
+    const registry = createRegistry();
+    const histogram = registry.histogram({ name: 'duration_seconds', help: 'Durations.', buckets: [1, 0.1] });
+    [0.05, 0.5, 3].forEach(value => histogram.observe({}, value));
+
+    expect(registry.render()).toBe([
+      '# HELP duration_seconds Durations.',
+      '# TYPE duration_seconds histogram',
+      'duration_seconds_bucket{le="0.1"} 1',
+      'duration_seconds_bucket{le="1"} 2',
+      'duration_seconds_bucket{le="+Inf"} 3',
+      'duration_seconds_sum 3.55',
+      'duration_seconds_count 3',
+      ''
+    ].join('\n'));
+  });
+
+  it('escapes label values and reads gauges when rendering', () => {
+    const registry = createRegistry();
+    let value = 1;
+    registry.gauge({ name: 'queue_size', help: 'Queued items.', collect: () => value });
+    registry.counter({ name: 'errors_total', help: 'Errors.', labelNames: ['type'] }).inc({ type: 'say "hi"\\\n' });
+    value = 7;
+
+    const output = registry.render();
+    expect(output).toContain('queue_size 7\n');
+    expect(output).toContain('errors_total{type="say \\"hi\\"\\\\\\n"} 1\n');
+  });
+
+  it('refuses to define a metric twice', () => {
+    const registry = createRegistry();
+    registry.counter({ name: 'jobs_total', help: 'Jobs run.' });
+    expect(() => registry.counter({ name: 'jobs_total', help: 'Jobs run.' })).toThrow('already defined');
+  });
+});
+
+describe('HTTP Metrics Middleware', () => {
+  it('records requests by route pattern and status, and the grades given', async () => {
+    const metrics = createMetrics();
+    const app = express();
+    app.use(createHttpMetricsMiddleware(metrics));
+    app.get('/api/fact-checks/:id', (req, res) => {
+      res.locals.checks = [{ text: 'The sky is blue.', grade: 'Truth', cached: true }];
+      res.json({ id: req.params.id });
+    });
+
+    await request(app).get('/api/fact-checks/abc');
+    await request(app).get('/api/fact-checks/def');
+    await request(app).get('/nowhere');
+
+    const output = metrics.render();
+    expect(output).toContain('http_requests_total{method="GET",route="/api/fact-checks/:id",status="200"} 2\n');
+    expect(output).toContain('http_requests_total{method="GET",route="unmatched",status="404"} 1\n');
+    expect(output).toContain('http_request_duration_seconds_count{method="GET",route="/api/fact-checks/:id",status="200"} 2\n');
+    expect(output).toContain('fact_check_grades_total{grade="Truth",cached="true"} 2\n');
+    expect(output).not.toContain('abc');
+    expect(output).not.toContain('The sky is blue.');
+  });
+});
+
+describe('Instrumented Providers', () => {
+  const factCheckRequest = {
+    messages: [{ role: 'user', content: 'The sky is blue.' }],
+    schema: { name: 'fact_check', schema: { type: 'object' } }
+  };
+
+  it('times completions and counts their tokens', async () => {
+    const metrics = createMetrics();
+    const provider = instrumentProvider({
+      ...createMockProvider(),
+      complete: async () => ({ content: '{}', usage: { prompt_tokens: 100, completion_tokens: 20 } })
+    }, metrics);
+
+    await provider.complete(factCheckRequest);
+    await provider.complete(factCheckRequest);
+
+    const output = metrics.render();
+    expect(provider).toEqual(expect.objectContaining({ name: 'mock', model: 'mock' }));
+    expect(output).toContain('llm_call_duration_seconds_count{provider="mock",model="mock",operation="complete",outcome="success"} 2\n');
+    expect(output).toContain('llm_tokens_total{provider="mock",model="mock",type="prompt"} 200\n');
+    expect(output).toContain('llm_tokens_total{provider="mock",model="mock",type="completion"} 40\n');
+  });
+
+  it('records failed completions', async () => {
+    const metrics = createMetrics();
+    const provider = instrumentProvider({
+      ...createMockProvider(),
+      complete: async () => { throw new Error('Upstream failed'); }
+    }, metrics);
+
+    await expect(provider.complete(factCheckRequest)).rejects.toThrow('Upstream failed');
+    expect(metrics.render()).toContain(
+      'llm_call_duration_seconds_count{provider="mock",model="mock",operation="complete",outcome="error"} 1\n'
+    );
+  });
+
+  it('passes streams through and counts the usage returned at their end', async () => {
+    const metrics = createMetrics();
+    const provider = instrumentProvider({
+      ...createMockProvider(),
+      async *stream() {
+        yield '{"score"';
+        yield ': 5}';
+        return { usage: { prompt_tokens: 50, completion_tokens: 5 } };
+      }
+    }, metrics);
+
+    let content = '';
+    for await (const delta of provider.stream(factCheckRequest)) {
+      content += delta;
+    }
+
+    const output = metrics.render();
+    expect(content).toBe('{"score": 5}');
+    expect(output).toContain('llm_call_duration_seconds_count{provider="mock",model="mock",operation="stream",outcome="success"} 1\n');
+    expect(output).toContain('llm_tokens_total{provider="mock",model="mock",type="completion"} 5\n');
+  });
+
+  it('records streams the caller stops reading as aborted and closes them', async () => {
+    const metrics = createMetrics();
+    let closed = false;
+    const provider = instrumentProvider({
+      ...createMockProvider(),
+      async *stream() {
+        try {
+          yield 'a';
+          yield 'b';
+        } finally {
+          closed = true;
+        }
+      }
+    }, metrics);
+
+    for await (const delta of provider.stream(factCheckRequest)) {
+      if (delta === 'a') break;
+    }
+
+    expect(closed).toBe(true);
+    expect(metrics.render()).toContain(
+      'llm_call_duration_seconds_count{provider="mock",model="mock",operation="stream",outcome="aborted"} 1\n'
+    );
+  });
+});
@@ -0,0 +1,177 @@
+/**
+ * @fileoverview Unit tests for the versioned API contract: the OpenAPI document, the schema
+ * features it relies on, request and response validation against it, and the deprecated
+ * unversioned alias.
+ */
+
+const express = require('express');
+const request = require('supertest');
+const { validate } = require('../lib/schema');
+const { openApiDocument, findOperation } = require('../lib/openapi');
+const { createApiContract } = require('../middleware/apiContract');
+const { createDeprecatedApiAlias, isLegacyApiPath } = require('../middleware/deprecatedApi');
+const { sendError, toLegacyErrorBody } = require('../lib/apiErrors');
+
+describe('Schema References and Patterns', () => {
+  const root = {
+    components: {
+      schemas: {
+        Id: { type: 'string', pattern: '^[a-z]+$' },
+        Counts: { type: 'object', additionalProperties: { type: 'integer' } }
+      }
+    }
+  };
+
+  it('resolves local references against the root document', () => {
+    const schema = { type: 'array', items: { $ref: '#/components/schemas/Id' } };
+
+    expect(validate(schema, ['abc'], '$', root)).toEqual([]);
+    expect(validate(schema, ['abc', 'A1'], '$', root)).toEqual(['$[1] must match the pattern ^[a-z]+$']);
+    expect(() => validate({ $ref: '#/components/schemas/Missing' }, 'abc', '$', root)).toThrow('Cannot resolve');
+  });
+
+  it('validates additional properties against a schema', () => {
+    const schema = { $ref: '#/components/schemas/Counts' };
+
+    expect(validate(schema, { up: 1, down: 0 }, '$', root)).toEqual([]);
+    expect(validate(schema, { up: 'one' }, '$', root)).toEqual(['$.up must be of type integer']);
+  });
+});
+
+describe('OpenAPI Document', () => {
+  it('only references schemas it defines', () => {
+    const refs = JSON.stringify(openApiDocument).match(/#\/components\/schemas\/\w+/g);
+
+    expect(refs.length).toBeGreaterThan(0);
+    refs.forEach(ref => {
+      expect(openApiDocument.components.schemas).toHaveProperty(ref.split('/').pop());
+    });
+  });
+
+  it('finds the operation handling a request path', () => {
+    expect(findOperation('GET', '/jobs/abc123').operation.operationId).toBe('getJob');
+    expect(findOperation('post', '/fact-check/').operation.operationId).toBe('factCheck');
+    expect(findOperation('GET', '/fact-check')).toBeNull();
+    expect(findOperation('GET', '/unknown')).toBeNull();
+  });
+});
+
+describe('API Contract', () => {
+  /**
+   * Builds an app serving the fact-check operation with a configurable answer.
+   * @param {Object} options - Contract options
+   * @param {Object} answer - Body sent by the handler
+   * @returns {express.Application} App
+   */
+  const buildApp = (options, answer = { grade: 'Truth' }) => {
+    const app = express();
+    app.use(express.json());
+    app.use(createApiContract(options));
+    app.post('/fact-check', (req, res) => res.json(answer));
+    app.get('/undocumented', (req, res) => res.json({ ok: true }));
+    return app;
+  };
+
+  const validFactCheck = {
+    grade: 'Truth',
+    score: 5,
+    confidence: null,
+    reasoning: 'Well established.',
+    sources: [],
+    cached: false,
+    checkedAt: '2026-01-01T00:00:00.000Z'
+  };
+
+  it('rejects requests that do not match the document with every problem', async () => {
+    const response = await request(buildApp({ responseValidation: 'off' })).post('/fact-check').send({ text: 3 });
+
+    expect(response.statusCode).toBe(400);
+    expect(response.body).toEqual({
+      error: {
+        code: 'invalid_request',
+        message: 'The request does not match the API schema',
+        details: { errors: ['body.text must be of type string'] }
+      }
+    });
+  });
+
+  it('lets invalid requests through when request validation is off', async () => {
+    const response = await request(buildApp({ validateRequests: false, responseValidation: 'off' }))
+      .post('/fact-check')
+      .send({});
+
+    expect(response.statusCode).toBe(200);
+  });
+
+  it('replaces responses that do not match the document in strict mode', async () => {
+    const valid = await request(buildApp({ responseValidation: 'strict' }, validFactCheck))
+      .post('/fact-check')
+      .send({ text: 'Statement' });
+    const invalid = await request(buildApp({ responseValidation: 'strict' }))
+      .post('/fact-check')
+      .send({ text: 'Statement' });
+    const warned = await request(buildApp({ responseValidation: 'warn' }))
+      .post('/fact-check')
+      .send({ text: 'Statement' });
+
+    expect(valid.statusCode).toBe(200);
+    expect(invalid.statusCode).toBe(500);
+    expect(invalid.body.error.code).toBe('invalid_response');
+    expect(invalid.body.error.details.errors).toContain('response.score is required');
+    expect(warned.statusCode).toBe(200);
+    expect(warned.body).toEqual({ grade: 'Truth' });
+  });
+
+  it('leaves routes the document does not describe alone', async () => {
+    const response = await request(buildApp({ responseValidation: 'strict' })).get('/undocumented');
+
+    expect(response.body).toEqual({ ok: true });
+  });
+
+  it('rejects unknown response validation modes', () => {
+    expect(() => createApiContract({ responseValidation: 'loud' })).toThrow('API_RESPONSE_VALIDATION');
+  });
+});
+
+describe('Deprecated API Alias', () => {
+  /**
+   * Builds an app answering every request with an error.
+   * @param {Object} [options] - Alias options
+   * @returns {express.Application} App
+   */
+  const buildApp = (options) => {
+    const app = express();
+    app.use(createDeprecatedApiAlias(options));
+    app.use((req, res) => sendError(res, 404, 'not_found', 'Job not found', { id: 'abc' }));
+    return app;
+  };
+
+  it('tells unversioned API paths apart', () => {
+    expect(isLegacyApiPath('/api/fact-check')).toBe(true);
+    expect(isLegacyApiPath('/api/v1/fact-check')).toBe(false);
+    expect(isLegacyApiPath('/api/v1')).toBe(false);
+    expect(isLegacyApiPath('/api/v10/fact-check')).toBe(true);
+    expect(isLegacyApiPath('/health')).toBe(false);
+  });
+
+  it('marks unversioned requests as deprecated and keeps their earlier error bodies', async () => {
+    const legacy = await request(buildApp({ sunset: '2027-06-30' })).get('/api/jobs/abc');
+    const versioned = await request(buildApp()).get('/api/v1/jobs/abc');
+
+    expect(legacy.headers.deprecation).toBe('true');
+    expect(legacy.headers.link).toBe('</api/v1/jobs/abc>; rel="successor-version"');
+    expect(legacy.headers.sunset).toBe('Wed, 30 Jun 2027 00:00:00 GMT');
+    expect(legacy.body).toEqual({ error: 'Job not found', details: { id: 'abc' } });
+    expect(versioned.headers.deprecation).toBeUndefined();
+    expect(versioned.body).toEqual({ error: { code: 'not_found', message: 'Job not found', details: { id: 'abc' } } });
+  });
+
+  it('converts error bodies without details and keeps their other fields', () => {
+    expect(toLegacyErrorBody({ error: { code: 'not_found', message: 'Not Found' }, requestId: 'r1' }))
+      .toEqual({ error: 'Not Found', requestId: 'r1' });
+  });
+
+  it('rejects invalid sunset dates', () => {
+    expect(() => createDeprecatedApiAlias({ sunset: 'someday' })).toThrow('LEGACY_API_SUNSET');
+  });
+});
@@ -0,0 +1,97 @@
+/**
+ * @fileoverview Unit tests for the versioned prompt templates.
+ * Covers loading and rendering templates, parsing version weights, and sticky weighted
+ * assignment of texts to versions.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  loadPromptVersions,
+  renderPrompt,
+  parsePromptWeights,
+  createPromptSelector,
+  createPromptSelectorFromEnv
+} = require('../lib/prompts');
+const { factCheck } = require('../lib/factCheck');
+
+describe('Prompt Versions', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'prompts-'));
+    fs.mkdirSync(path.join(dir, 'check'));
+    fs.writeFileSync(path.join(dir, 'check', 'v1.txt'), 'First {{scale}}.\n');
+    fs.writeFileSync(path.join(dir, 'check', 'v2.txt'), 'Second {{ scale }}.');
+    fs.writeFileSync(path.join(dir, 'check', 'v10.txt'), 'Tenth.');
+    fs.writeFileSync(path.join(dir, 'check', 'notes.md'), 'Not a version.');
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('loads every version in numeric order', () => {
+    expect(loadPromptVersions('check', dir)).toEqual({ v1: 'First {{scale}}.', v2: 'Second {{ scale }}.', v10: 'Tenth.' });
+    expect(Object.keys(loadPromptVersions('check', dir))).toEqual(['v1', 'v2', 'v10']);
+    expect(() => loadPromptVersions('missing', dir)).toThrow('No versions of the "missing" prompt');
+  });
+
+  it('fills in placeholders and rejects missing values', () => {
+    expect(renderPrompt('Score {{scale}}, up to {{ max }}.', { scale: '1 to 5', max: 3 })).toBe('Score 1 to 5, up to 3.');
+    expect(() => renderPrompt('Score {{scale}}.', {})).toThrow('No value for the {{scale}} placeholder');
+  });
+
+  it('parses single and weighted versions', () => {
+    expect(parsePromptWeights('v2')).toEqual({ v2: 1 });
+    expect(parsePromptWeights(' v1=90, v2=10 ')).toEqual({ v1: 90, v2: 10 });
+    expect(() => parsePromptWeights('latest')).toThrow('Invalid prompt version "latest"');
+    expect(() => parsePromptWeights('v1=0')).toThrow('Invalid prompt version "v1=0"');
+  });
+
+  it('uses the latest version by default', () => {
+    const selector = createPromptSelector({ name: 'check', dir });
+
+    expect(selector.weights).toEqual({ v10: 1 });
+    expect(selector.select('Any text')).toEqual({ version: 'v10', template: 'Tenth.' });
+  });
+
+  it('splits texts between versions by weight, the same way every time', () => {
+    const selector = createPromptSelector({ name: 'check', weights: { v1: 75, v2: 25 }, dir });
+    const texts = Array.from({ length: 400 }, (_, index) => `Statement number ${index}`);
+    const versions = texts.map(text => selector.select(text).version);
+    const share = versions.filter(version => version === 'v1').length / texts.length;
+
+    expect(share).toBeGreaterThan(0.65);
+    expect(share).toBeLessThan(0.85);
+    expect(selector.select('  STATEMENT number 7!')).toEqual(selector.select('Statement number 7'));
+    expect(texts.map(text => selector.select(text).version)).toEqual(versions);
+  });
+
+  it('rejects versions that do not exist', () => {
+    expect(() => createPromptSelector({ name: 'check', weights: { v3: 1 }, dir }))
+      .toThrow('Unknown "check" prompt versions: v3. Available: v1, v2, v10.');
+  });
+
+  it('reads the versions from the environment', () => {
+    const selector = createPromptSelectorFromEnv('fact-check', { FACT_CHECK_PROMPT_VERSIONS: 'v1=1' });
+
+    expect(selector.weights).toEqual({ v1: 1 });
+    expect(() => createPromptSelectorFromEnv('fact-check', { FACT_CHECK_PROMPT_VERSIONS: 'v99' })).toThrow('Unknown');
+  });
+
+  it('sends the selected version and records it with the verdict', async () => {
+    const complete = jest.fn().mockResolvedValue({
+      content: JSON.stringify({ score: 5, confidence: 0.9, reasoning: 'Well established.', sources: [] })
+    });
+    const provider = { name: 'scripted', model: 'scripted', complete };
+    const prompt = createPromptSelector({ name: 'check', weights: { v2: 1 }, dir }).select('Claim');
+
+    const result = await factCheck(provider, 'Claim', { prompt: { ...prompt, template: 'Score {{gradeScale}}.' } });
+
+    expect(result.promptVersion).toBe('v2');
+    expect(complete.mock.calls[0][0].messages[0].content)
+      .toBe('Score 1 means Absolutely False, 2 means Mostly False, 3 means Neutral, 4 means Mostly True, 5 means Truth.');
+  });
+});
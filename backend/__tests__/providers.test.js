@@ -0,0 +1,137 @@
+/**
+ * @fileoverview Unit tests for the LLM provider layer.
+ * Covers provider selection from configuration, the OpenAI-compatible local provider
+ * and the deterministic mock provider, including running the server fully offline.
+ */
+
+const request = require('supertest');
+const OpenAI = require('openai');
+const { createProvider, ProviderConfigError } = require('../providers');
+const { createMockProvider } = require('../providers/mock');
+const { factCheckSchema } = require('../lib/factCheck');
+const { validate } = require('../lib/schema');
+
+jest.mock('openai');
+
+describe('LLM Providers', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  /**
+   * Test suite for provider selection.
+   */
+  describe('createProvider', () => {
+    it('defaults to OpenAI with gpt-4o-mini', () => {
+      const provider = createProvider({ OPENAI_API_KEY: 'sk-test' });
+      expect(provider).toEqual(expect.objectContaining({ name: 'openai', model: 'gpt-4o-mini' }));
+      expect(OpenAI).toHaveBeenCalledWith({ apiKey: 'sk-test', maxRetries: 0 });
+    });
+
+    it('points the local provider at an OpenAI-compatible server', () => {
+      const provider = createProvider({
+        LLM_PROVIDER: 'local',
+        LLM_BASE_URL: 'http://localhost:8080/v1',
+        LLM_MODEL: 'qwen2.5'
+      });
+      expect(provider).toEqual(expect.objectContaining({ name: 'local', model: 'qwen2.5' }));
+      expect(OpenAI).toHaveBeenCalledWith({ apiKey: 'not-needed', maxRetries: 0, baseURL: 'http://localhost:8080/v1' });
+    });
+
+    it('rejects unknown providers', () => {
+      expect(() => createProvider({ LLM_PROVIDER: 'carrier-pigeon' })).toThrow(ProviderConfigError);
+    });
+  });
+
+  /**
+   * Test suite for the OpenAI-compatible local provider.
+   */
+  describe('Local Provider', () => {
+    it('describes the schema in a system message', async () => {
+      const create = jest.fn().mockResolvedValue({ choices: [{ message: { content: '{}' } }] });
+      OpenAI.mockImplementation(() => ({ chat: { completions: { create } } }));
+
+      const provider = createProvider({ LLM_PROVIDER: 'local' });
+      await provider.complete({
+        messages: [{ role: 'user', content: 'Test statement' }],
+        schema: { name: 'fact_check', schema: factCheckSchema }
+      });
+
+      const { messages } = create.mock.calls[0][0];
+      expect(messages[messages.length - 1]).toEqual({
+        role: 'system',
+        content: expect.stringContaining('JSON Schema')
+      });
+    });
+
+    it('only asks OpenAI itself for the token usage of streams', async () => {
+      const create = jest.fn(async function* () {
+        yield { choices: [{ delta: { content: '{}' } }] };
+        yield { choices: [], usage: { prompt_tokens: 10, completion_tokens: 2 } };
+      });
+      OpenAI.mockImplementation(() => ({ chat: { completions: { create } } }));
+      const streamRequest = { messages: [{ role: 'user', content: 'Test statement' }] };
+
+      const openaiStream = createProvider({ OPENAI_API_KEY: 'sk-test' }).stream(streamRequest);
+      const deltas = [];
+      let next = await openaiStream.next();
+      for (; !next.done; next = await openaiStream.next()) deltas.push(next.value);
+      for await (const delta of createProvider({ LLM_PROVIDER: 'local' }).stream(streamRequest)) deltas.push(delta);
+
+      expect(deltas).toEqual(['{}', '{}']);
+      expect(next.value).toEqual({ usage: { prompt_tokens: 10, completion_tokens: 2 } });
+      expect(create.mock.calls[0][0].stream_options).toEqual({ include_usage: true });
+      expect(create.mock.calls[1][0].stream_options).toBeUndefined();
+    });
+  });
+
+  /**
+   * Test suite for the deterministic mock provider.
+   */
+  describe('Mock Provider', () => {
+    const factCheckRequest = (text) => ({
+      messages: [{ role: 'user', content: text }],
+      schema: { name: 'fact_check', schema: factCheckSchema }
+    });
+
+    it('returns the same schema-valid answer for the same input', async () => {
+      const provider = createMockProvider();
+      const first = await provider.complete(factCheckRequest('The sky is blue.'));
+      const second = await provider.complete(factCheckRequest('The sky is blue.'));
+
+      expect(first.content).toBe(second.content);
+      expect(validate(factCheckSchema, JSON.parse(first.content))).toEqual([]);
+    });
+
+    it('streams the same content it completes', async () => {
+      const provider = createMockProvider({ chunkSize: 5 });
+      const { content } = await provider.complete(factCheckRequest('The sky is blue.'));
+
+      const deltas = [];
+      for await (const delta of provider.stream(factCheckRequest('The sky is blue.'))) {
+        deltas.push(delta);
+      }
+      expect(deltas.length).toBeGreaterThan(1);
+      expect(deltas.join('')).toBe(content);
+    });
+
+    it('runs the server end to end without network access', async () => {
+      let app;
+      const env = { ...process.env };
+      process.env.LLM_PROVIDER = 'mock';
+      process.env.FACT_CHECK_STORE_BACKEND = 'memory';
+      jest.isolateModules(() => {
+        app = require('../server');
+      });
+      process.env = env;
+
+      const response = await request(app)
+        .post('/api/analyze')
+        .send({ text: 'The sky is blue. Grass is green.' });
+
+      expect(response.statusCode).toBe(200);
+      expect(response.body.claims.map(claim => claim.text)).toEqual(['The sky is blue.', 'Grass is green.']);
+      expect(OpenAI).not.toHaveBeenCalled();
+    });
+  });
+});
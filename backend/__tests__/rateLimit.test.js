@@ -0,0 +1,135 @@
+/**
+ * @fileoverview Unit tests for the token-bucket rate limiting middleware.
+ * Uses a minimal Express app and a controllable clock so that refills are deterministic.
+ */
+
+const express = require('express');
+const request = require('supertest');
+const { createRateLimiter } = require('../middleware/rateLimit');
+
+describe('Rate Limiting', () => {
+  let now;
+  let app;
+
+  /**
+   * Builds an app whose only route is guarded by a limiter with the given configuration.
+   * @param {Object} env - Rate limit configuration
+   * @returns {express.Application} App
+   */
+  const buildApp = (env) => {
+    const limitedApp = express();
+    // Stands in for the API key authentication, which identifies the key of a request
+    limitedApp.use((req, res, next) => {
+      if (req.get('X-API-Key')) req.apiKey = { id: req.get('X-API-Key') };
+      next();
+    });
+    limitedApp.post('/limited', createRateLimiter(env, () => now), (req, res) => res.json({ ok: true }));
+    return limitedApp;
+  };
+
+  beforeEach(() => {
+    now = 0;
+    app = buildApp({ RATE_LIMIT_IP_LIMIT: '2', RATE_LIMIT_IP_WINDOW_SECONDS: '10', RATE_LIMIT_KEY_LIMIT: '3' });
+  });
+
+  it('sets rate limit headers on allowed requests', async () => {
+    const response = await request(app).post('/limited');
+
+    expect(response.statusCode).toBe(200);
+    expect(response.headers['ratelimit-limit']).toBe('2');
+    expect(response.headers['ratelimit-remaining']).toBe('1');
+    expect(response.headers['ratelimit-reset']).toBe('5');
+  });
+
+  it('returns 429 with Retry-After once the bucket is empty', async () => {
+    await request(app).post('/limited');
+    await request(app).post('/limited');
+    const response = await request(app).post('/limited');
+
+    expect(response.statusCode).toBe(429);
+    expect(response.headers['retry-after']).toBe('5');
+    expect(response.headers['ratelimit-remaining']).toBe('0');
+    expect(response.body).toEqual({
+      error: { code: 'rate_limited', message: 'Too many requests, please try again later', details: { retryAfter: 5 } }
+    });
+  });
+
+  it('refills tokens over time', async () => {
+    await request(app).post('/limited');
+    await request(app).post('/limited');
+    now = 5000;
+    const response = await request(app).post('/limited');
+
+    expect(response.statusCode).toBe(200);
+  });
+
+  it('limits API keys separately from IP addresses, with their own limit', async () => {
+    await request(app).post('/limited');
+    await request(app).post('/limited');
+
+    for (let i = 0; i < 3; i++) {
+      const keyed = await request(app).post('/limited').set('X-API-Key', 'partner-key');
+      expect(keyed.statusCode).toBe(200);
+    }
+    const limited = await request(app).post('/limited').set('X-API-Key', 'partner-key');
+    const otherKey = await request(app).post('/limited').set('X-API-Key', 'other-key');
+
+    expect(limited.statusCode).toBe(429);
+    expect(otherKey.statusCode).toBe(200);
+  });
+
+  it('limits unauthenticated X-API-Key headers per IP address', async () => {
+    const unauthenticated = express();
+    unauthenticated.post('/limited', createRateLimiter({ RATE_LIMIT_IP_LIMIT: '1' }, () => now), (req, res) => res.json({ ok: true }));
+
+    await request(unauthenticated).post('/limited').set('X-API-Key', 'made-up-1');
+    const response = await request(unauthenticated).post('/limited').set('X-API-Key', 'made-up-2');
+
+    expect(response.statusCode).toBe(429);
+  });
+
+  it('takes as many tokens as a request costs, from the same buckets', async () => {
+    const limiter = createRateLimiter({ RATE_LIMIT_IP_LIMIT: '5', RATE_LIMIT_IP_WINDOW_SECONDS: '10' }, () => now);
+    const costly = express();
+    costly.post('/batch', express.json(), limiter.cost(req => req.body.statements.length), (req, res) => res.json({ ok: true }));
+    costly.post('/single', limiter, (req, res) => res.json({ ok: true }));
+
+    const batch = await request(costly).post('/batch').send({ statements: ['a', 'b', 'c', 'd'] });
+    const single = await request(costly).post('/single');
+    const limited = await request(costly).post('/batch').send({ statements: ['a', 'b'] });
+    const oversized = await request(costly).post('/batch').send({ statements: ['a', 'b', 'c', 'd', 'e', 'f'] });
+
+    expect(batch.statusCode).toBe(200);
+    expect(batch.headers['ratelimit-remaining']).toBe('1');
+    expect(single.statusCode).toBe(200);
+    expect(limited.statusCode).toBe(429);
+    expect(limited.headers['retry-after']).toBe('4');
+    expect(oversized.statusCode).toBe(429);
+    expect(oversized.body.error.details).toEqual({ cost: 6, limit: 5 });
+  });
+
+  it('takes more tokens once a request knows what it costs', async () => {
+    const limiter = createRateLimiter({ RATE_LIMIT_IP_LIMIT: '5', RATE_LIMIT_IP_WINDOW_SECONDS: '10' }, () => now);
+    const analyzing = express();
+    analyzing.post('/analyze', express.json(), limiter, (req, res) => {
+      if (!limiter.take(req, res, req.body.claims - 1)) return;
+      res.json({ ok: true });
+    });
+
+    const analysis = await request(analyzing).post('/analyze').send({ claims: 4 });
+    const limited = await request(analyzing).post('/analyze').send({ claims: 2 });
+
+    expect(analysis.statusCode).toBe(200);
+    expect(analysis.headers['ratelimit-remaining']).toBe('1');
+    expect(limited.statusCode).toBe(429);
+  });
+
+  it('never limits allow-listed origins', async () => {
+    app = buildApp({ RATE_LIMIT_IP_LIMIT: '1', RATE_LIMIT_ALLOWLIST: 'https://truthcheck.me' });
+
+    for (let i = 0; i < 3; i++) {
+      const response = await request(app).post('/limited').set('Origin', 'https://truthcheck.me');
+      expect(response.statusCode).toBe(200);
+    }
+  });
+});
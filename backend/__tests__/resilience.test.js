@@ -0,0 +1,192 @@
+/**
+ * @fileoverview Unit tests for the provider timeouts, retries and circuit breaker.
+ * Covers which errors are retried, the backoff, the timeout of calls and streams, and the
+ * circuit breaker opening, failing fast and closing again after a trial call.
+ */
+
+const {
+  UpstreamError,
+  UpstreamTimeoutError,
+  CircuitOpenError,
+  createCircuitBreaker,
+  createResilientProvider
+} = require('../providers/resilience');
+const { createProvider, ProviderConfigError } = require('../providers');
+
+/**
+ * Build an error as thrown by the OpenAI client.
+ * @param {number} [status] - HTTP status, none for connection errors
+ * @returns {Error} Error
+ */
+const apiError = (status) => Object.assign(
+  new Error(status ? `Upstream said ${status}` : 'Connection error.'),
+  status ? { status } : { name: 'APIConnectionError' }
+);
+
+/**
+ * Build a provider whose calls are scripted.
+ * @param {jest.Mock} complete - Mocked `complete`
+ * @param {Function} [stream] - Generator used as `stream`
+ * @returns {LLMProvider} Provider
+ */
+const scripted = (complete, stream) => ({ name: 'scripted', model: 'scripted', complete, stream });
+
+/**
+ * Options that make retries immediate.
+ * @type {Object}
+ */
+const FAST = { retryBaseMs: 0, random: () => 0 };
+
+describe('Provider Resilience', () => {
+  describe('createResilientProvider', () => {
+    it('retries transient errors with exponential backoff', async () => {
+      const complete = jest.fn()
+        .mockRejectedValueOnce(apiError(503))
+        .mockRejectedValueOnce(apiError(429))
+        .mockResolvedValueOnce({ content: 'Answer', usage: null });
+      const provider = createResilientProvider(scripted(complete), { retryBaseMs: 10, random: () => 0.5 });
+      const start = Date.now();
+
+      expect(await provider.complete({ messages: [] })).toEqual({ content: 'Answer', usage: null });
+      expect(complete).toHaveBeenCalledTimes(3);
+      // Half of 10 ms, then half of 20 ms
+      expect(Date.now() - start).toBeGreaterThanOrEqual(14);
+    });
+
+    it('gives up after the last retry with an error that hides the upstream message', async () => {
+      const complete = jest.fn().mockRejectedValue(apiError());
+      const provider = createResilientProvider(scripted(complete), { ...FAST, maxRetries: 1 });
+
+      const error = await provider.complete({ messages: [] }).catch(failure => failure);
+
+      expect(error).toBeInstanceOf(UpstreamError);
+      expect(error.message).toBe('The language model request failed');
+      expect(error.cause.message).toBe('Connection error.');
+      expect(complete).toHaveBeenCalledTimes(2);
+    });
+
+    it('does not retry errors the upstream answers with', async () => {
+      const complete = jest.fn().mockRejectedValue(apiError(401));
+      const provider = createResilientProvider(scripted(complete), FAST);
+
+      await expect(provider.complete({ messages: [] })).rejects.toMatchObject({
+        name: 'UpstreamError',
+        status: 401,
+        message: 'The language model request failed with status 401'
+      });
+      expect(complete).toHaveBeenCalledTimes(1);
+    });
+
+    it('aborts calls that take longer than the timeout', async () => {
+      const signals = [];
+      const complete = jest.fn((request, { signal }) => {
+        signals.push(signal);
+        return new Promise(() => {});
+      });
+      const provider = createResilientProvider(scripted(complete), { ...FAST, timeoutMs: 20, maxRetries: 1 });
+
+      await expect(provider.complete({ messages: [] })).rejects.toBeInstanceOf(UpstreamTimeoutError);
+      expect(complete).toHaveBeenCalledTimes(2);
+      expect(signals.every(signal => signal.aborted)).toBe(true);
+    });
+
+    it('stops retrying when the caller aborts', async () => {
+      const controller = new AbortController();
+      const complete = jest.fn(() => {
+        controller.abort();
+        return Promise.reject(apiError(500));
+      });
+      const provider = createResilientProvider(scripted(complete), FAST);
+
+      await expect(provider.complete({ messages: [] }, { signal: controller.signal })).rejects.toThrow('Upstream said 500');
+      expect(complete).toHaveBeenCalledTimes(1);
+      expect(provider.health().failures).toBe(0);
+    });
+
+    it('retries streams that fail before their first delta, and not after', async () => {
+      let calls = 0;
+      const provider = createResilientProvider(scripted(null, async function* () {
+        calls += 1;
+        if (calls === 1) throw apiError(502);
+        yield 'Hello';
+        if (calls === 2) throw apiError(502);
+        return { usage: null };
+      }), FAST);
+      const read = async () => {
+        const deltas = [];
+        for await (const delta of provider.stream({ messages: [] })) deltas.push(delta);
+        return deltas;
+      };
+
+      await expect(read()).rejects.toMatchObject({ name: 'UpstreamError', status: 502 });
+      expect(calls).toBe(2);
+      expect(await read()).toEqual(['Hello']);
+    });
+
+    it('gives up on streams that stall between deltas', async () => {
+      const provider = createResilientProvider(scripted(null, async function* () {
+        yield 'Hello';
+        await new Promise(() => {});
+      }), { ...FAST, timeoutMs: 20 });
+      const deltas = [];
+
+      await expect((async () => {
+        for await (const delta of provider.stream({ messages: [] })) deltas.push(delta);
+      })()).rejects.toBeInstanceOf(UpstreamTimeoutError);
+      expect(deltas).toEqual(['Hello']);
+    });
+
+    it('opens the circuit after repeated failures and closes it after a successful trial call', async () => {
+      let time = 0;
+      const complete = jest.fn().mockRejectedValue(apiError(500));
+      const provider = createResilientProvider(scripted(complete), {
+        ...FAST,
+        maxRetries: 0,
+        failureThreshold: 2,
+        resetMs: 1000,
+        now: () => time
+      });
+
+      await expect(provider.complete({ messages: [] })).rejects.toBeInstanceOf(UpstreamError);
+      await expect(provider.complete({ messages: [] })).rejects.toBeInstanceOf(UpstreamError);
+      expect(provider.health()).toEqual({ state: 'open', failures: 2, retryAfterMs: 1000 });
+
+      time = 400;
+      await expect(provider.complete({ messages: [] })).rejects.toMatchObject({ name: 'CircuitOpenError', retryAfterMs: 600 });
+      expect(complete).toHaveBeenCalledTimes(2);
+
+      time = 1000;
+      expect(provider.health().state).toBe('half_open');
+      complete.mockResolvedValueOnce({ content: 'Back', usage: null });
+      await provider.complete({ messages: [] });
+      expect(provider.health()).toEqual({ state: 'closed', failures: 0, retryAfterMs: 0 });
+    });
+  });
+
+  describe('createCircuitBreaker', () => {
+    it('lets a single trial call through while half-open and reopens if it fails', () => {
+      let time = 0;
+      const onChange = jest.fn();
+      const breaker = createCircuitBreaker({ failureThreshold: 1, resetMs: 100, now: () => time, onChange });
+
+      breaker.acquire();
+      breaker.fail();
+      time = 100;
+      breaker.acquire();
+      expect(() => breaker.acquire()).toThrow(CircuitOpenError);
+      breaker.fail();
+
+      expect(breaker.status()).toEqual({ state: 'open', failures: 2, retryAfterMs: 100 });
+      expect(onChange.mock.calls.map(([state]) => state)).toEqual(['open', 'half_open', 'open']);
+    });
+  });
+
+  describe('createProvider', () => {
+    it('reads the resilience options and rejects invalid values', () => {
+      expect(createProvider({ LLM_PROVIDER: 'mock' }).health()).toEqual({ state: 'closed', failures: 0, retryAfterMs: 0 });
+      expect(() => createProvider({ LLM_PROVIDER: 'mock', LLM_TIMEOUT_MS: 'soon' })).toThrow(ProviderConfigError);
+      expect(() => createProvider({ LLM_PROVIDER: 'mock', LLM_MAX_RETRIES: '-1' })).toThrow('LLM_MAX_RETRIES');
+      expect(() => createProvider({ LLM_PROVIDER: 'mock', LLM_CIRCUIT_FAILURE_THRESHOLD: '0' })).toThrow('LLM_CIRCUIT_FAILURE_THRESHOLD');
+    });
+  });
+});
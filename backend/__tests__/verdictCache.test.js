@@ -0,0 +1,108 @@
+/**
+ * @fileoverview Unit tests for the verdict cache and its store backends.
+ * Covers text normalization, expiry and eviction of cached verdicts, and persistence of the
+ * file backend, including after a failed write.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { normalizeText, createVerdictCache, createVerdictCacheFromEnv } = require('../lib/verdictCache');
+const { createMemoryStore } = require('../stores/memory');
+const { createFileStore } = require('../stores/file');
+
+describe('Verdict Cache', () => {
+  const verdict = { grade: 'Truth', reasoning: 'Because.', sources: [] };
+
+  it('normalizes case, whitespace and final punctuation', () => {
+    expect(normalizeText('  The   Earth, is ROUND!! ')).toBe('the earth, is round');
+  });
+
+  it('keeps the punctuation and symbols that change a claim', () => {
+    expect(normalizeText('It was -5°C.')).not.toBe(normalizeText('It was 5°C.'));
+    expect(normalizeText('It costs $5')).not.toBe(normalizeText('It costs €5'));
+  });
+
+  it('evicts the oldest verdicts beyond the maximum number of entries of the memory backend', async () => {
+    const cache = createVerdictCache({ store: createMemoryStore({ maxEntries: 2 }) });
+    const compute = jest.fn().mockResolvedValue(verdict);
+
+    await cache.wrap('First', compute);
+    await cache.wrap('Second', compute);
+    await cache.wrap('Third', compute);
+
+    expect(await cache.get('First')).toBeNull();
+    expect(await cache.get('Second')).not.toBeNull();
+    expect(await cache.get('Third')).not.toBeNull();
+    expect(() => createVerdictCacheFromEnv({ VERDICT_CACHE_MAX_ENTRIES: '0' })).toThrow('VERDICT_CACHE_MAX_ENTRIES');
+  });
+
+  it('keeps the verdicts of different prompt versions apart', async () => {
+    const cache = createVerdictCache({ store: createMemoryStore() });
+    const compute = jest.fn().mockResolvedValue(verdict);
+
+    await cache.wrap('Claim', compute, { version: 'v1' });
+    expect(await cache.wrap('claim', compute, { version: 'v1' })).toEqual(expect.objectContaining({ cached: true }));
+    expect(await cache.wrap('claim', compute, { version: 'v2' })).toEqual(expect.objectContaining({ cached: false }));
+    expect(compute).toHaveBeenCalledTimes(2);
+
+    expect(await cache.invalidate('Claim', { version: 'v2' })).toBe(true);
+    expect(await cache.get('Claim', { version: 'v1' })).not.toBeNull();
+  });
+
+  it('expires verdicts after the configured TTL', async () => {
+    let now = 0;
+    const cache = createVerdictCache({ store: createMemoryStore(), ttlSeconds: 60, now: () => now });
+    const compute = jest.fn().mockResolvedValue(verdict);
+
+    await cache.wrap('Claim', compute);
+    now = 59 * 1000;
+    expect(await cache.wrap('claim', compute)).toEqual(expect.objectContaining({ cached: true }));
+    now = 60 * 1000;
+    expect(await cache.wrap('claim', compute)).toEqual(expect.objectContaining({ cached: false }));
+    expect(compute).toHaveBeenCalledTimes(2);
+  });
+
+  it('rejects TTLs that are not positive numbers', () => {
+    expect(createVerdictCacheFromEnv({ VERDICT_CACHE_TTL_SECONDS: '90' })).not.toBeNull();
+    expect(() => createVerdictCacheFromEnv({ VERDICT_CACHE_TTL_SECONDS: 'a day' })).toThrow('VERDICT_CACHE_TTL_SECONDS');
+    expect(() => createVerdictCacheFromEnv({ VERDICT_CACHE_TTL_SECONDS: '0' })).toThrow('VERDICT_CACHE_TTL_SECONDS');
+    expect(() => createVerdictCacheFromEnv({ VERDICT_CACHE_TTL_SECONDS: '-60' })).toThrow('VERDICT_CACHE_TTL_SECONDS');
+  });
+
+  it('persists verdicts across restarts with the file backend', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'verdict-cache-'));
+    const filePath = path.join(dir, 'nested', 'cache.json');
+    try {
+      await createVerdictCache({ store: createFileStore(filePath) }).wrap('Claim', async () => verdict);
+
+      const reopened = createVerdictCache({ store: createFileStore(filePath) });
+      const compute = jest.fn();
+      expect(await reopened.wrap('claim.', compute)).toEqual({
+        ...verdict,
+        cached: true,
+        checkedAt: expect.any(String)
+      });
+      expect(compute).not.toHaveBeenCalled();
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('keeps writing to the file backend after a failed write', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'file-store-'));
+    const filePath = path.join(dir, 'store.json');
+    const writeFile = jest.spyOn(fs.promises, 'writeFile').mockRejectedValueOnce(new Error('ENOSPC: no space left on device'));
+    try {
+      const store = createFileStore(filePath);
+
+      await expect(store.set('first', 1)).rejects.toThrow('ENOSPC');
+      await store.set('second', 2);
+
+      expect(JSON.parse(fs.readFileSync(filePath, 'utf8'))).toEqual({ first: 1, second: 2 });
+    } finally {
+      writeFile.mockRestore();
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
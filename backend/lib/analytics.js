@@ -0,0 +1,230 @@
+/**
+ * @fileoverview Usage analytics for the admin dashboard.
+ * Every request to a fact-checking endpoint is recorded with its outcome, latency and the
+ * statements it checked, and summarized on demand. Events are kept in memory, oldest first,
+ * so the analytics start over when the server restarts. Configured with:
+ *
+ * - `ANALYTICS_RETENTION_HOURS` - How long events are kept (default 168, i.e. a week)
+ * - `ANALYTICS_MAX_EVENTS` - Events kept at most, the oldest being dropped first (default 50000)
+ * @module lib/analytics
+ */
+
+const { normalizeText } = require('./verdictCache');
+const { GRADES } = require('./factCheck');
+
+/**
+ * Error types reported for errors that are not identified by their class, by status code.
+ * @type {Object<number, string>}
+ */
+const ERROR_TYPES_BY_STATUS = {
+  400: 'invalid_request',
+  404: 'not_found',
+  413: 'payload_too_large',
+  422: 'unprocessable',
+  429: 'rate_limited',
+  502: 'upstream',
+  503: 'unavailable'
+};
+
+/**
+ * Error types of the errors thrown by the fact-checking pipeline, by error name.
+ * @type {Object<string, string>}
+ */
+const ERROR_TYPES_BY_NAME = {
+  InvalidModelOutputError: 'invalid_model_output',
+  ArticleError: 'article_unreadable',
+  FetchPageError: 'article_fetch_failed'
+};
+
+/**
+ * Classify a failed request.
+ * @param {number} status - Response status code
+ * @param {?Error} [error] - Error that failed the request, if known
+ * @returns {string} Error type
+ */
+const classifyError = (status, error) => {
+  if (error && ERROR_TYPES_BY_NAME[error.name]) return ERROR_TYPES_BY_NAME[error.name];
+  return ERROR_TYPES_BY_STATUS[status] || (status >= 500 || error ? 'internal' : `http_${status}`);
+};
+
+/**
+ * Value at a percentile of sorted numbers, by the nearest-rank method.
+ * @param {number[]} sorted - Numbers in ascending order
+ * @param {number} percentile - Percentile from 0 to 100
+ * @returns {?number} Value, or null without numbers
+ */
+const percentileOf = (sorted, percentile) => {
+  if (!sorted.length) return null;
+  return sorted[Math.max(0, Math.ceil(percentile / 100 * sorted.length) - 1)];
+};
+
+/**
+ * Round a ratio to three decimals.
+ * @param {number} part - Numerator
+ * @param {number} whole - Denominator
+ * @returns {?number} Ratio, or null when the denominator is 0
+ */
+const ratio = (part, whole) => (whole ? Math.round(part / whole * 1000) / 1000 : null);
+
+/**
+ * Create a usage tracker.
+ * @param {Object} [options] - Tracker options
+ * @param {number} [options.retentionHours=168] - How long events are kept
+ * @param {number} [options.maxEvents=50000] - Events kept at most
+ * @param {Function} [options.now=Date.now] - Clock, in milliseconds
+ * @returns {Object} Usage tracker
+ */
+const createUsageTracker = ({ retentionHours = 168, maxEvents = 50000, now = Date.now } = {}) => {
+  const events = [];
+
+  /**
+   * Drop the events that are too old or too many.
+   * @param {number} time - Current time
+   */
+  const prune = (time) => {
+    const cutoff = time - retentionHours * 3600 * 1000;
+    let expired = 0;
+    while (expired < events.length && events[expired].timestamp < cutoff) expired++;
+    events.splice(0, Math.max(expired, events.length - maxEvents));
+  };
+
+  return {
+    /**
+     * Record a request.
+     * @param {Object} event - Request outcome
+     * @param {string} event.endpoint - Endpoint, e.g. `POST /api/fact-check`
+     * @param {number} event.status - Response status code
+     * @param {number} event.durationMs - Time taken to respond
+     * @param {?string} [event.errorType] - Error type when the request failed
+     * @param {Array<{text: string, grade: ?string, cached: ?boolean}>} [event.checks] - Statements
+     * checked, with their grade and whether it came from the verdict cache
+     */
+    record({ endpoint, status, durationMs, errorType = null, checks = [] }) {
+      const timestamp = now();
+      events.push({ timestamp, endpoint, status, durationMs, errorType, checks });
+      prune(timestamp);
+    },
+
+    /**
+     * Summarize the requests of a recent period.
+     * @param {Object} [options] - Summary options
+     * @param {number} [options.hours=24] - Length of the period, ending now
+     * @param {number} [options.bucketMinutes=60] - Length of each interval of the request timeline
+     * @param {number} [options.topClaims=10] - Number of most-checked claims to list
+     * @returns {Object} Summary with the period, request totals and error rate, the request
+     * timeline, latency, errors by type, grade distribution, cache hit ratio and most-checked claims
+     */
+    summarize({ hours = 24, bucketMinutes = 60, topClaims = 10 } = {}) {
+      const until = now();
+      prune(until);
+      const since = until - hours * 3600 * 1000;
+      const recent = events.filter(event => event.timestamp >= since);
+
+      const bucketMs = bucketMinutes * 60 * 1000;
+      const firstBucket = Math.floor(since / bucketMs) * bucketMs;
+      const timeline = [];
+      for (let start = firstBucket; start <= until; start += bucketMs) {
+        timeline.push({ start: new Date(start).toISOString(), requests: 0, errors: 0 });
+      }
+
+      const errorsByType = {};
+      const gradeDistribution = Object.fromEntries(GRADES.map(grade => [grade, 0]));
+      const claims = new Map();
+      const cache = { hits: 0, misses: 0 };
+      const latencyByEndpoint = {};
+      let errors = 0;
+
+      recent.forEach(event => {
+        const bucket = timeline[Math.floor((event.timestamp - firstBucket) / bucketMs)];
+        bucket.requests += 1;
+        if (event.errorType) {
+          errors += 1;
+          bucket.errors += 1;
+          errorsByType[event.errorType] = (errorsByType[event.errorType] || 0) + 1;
+        }
+
+        const endpoint = latencyByEndpoint[event.endpoint] || { requests: 0, totalMs: 0 };
+        endpoint.requests += 1;
+        endpoint.totalMs += event.durationMs;
+        latencyByEndpoint[event.endpoint] = endpoint;
+
+        event.checks.forEach(({ text, grade, cached }) => {
+          if (grade in gradeDistribution) gradeDistribution[grade] += 1;
+          if (cached === true) cache.hits += 1;
+          if (cached === false) cache.misses += 1;
+
+          const key = normalizeText(text);
+          const claim = claims.get(key) || { text, count: 0, lastGrade: null };
+          claim.count += 1;
+          claim.lastGrade = grade || claim.lastGrade;
+          claims.set(key, claim);
+        });
+      });
+
+      const durations = recent.map(event => event.durationMs).sort((a, b) => a - b);
+
+      return {
+        since: new Date(since).toISOString(),
+        until: new Date(until).toISOString(),
+        requests: recent.length,
+        errors,
+        errorRate: ratio(errors, recent.length),
+        timeline,
+        latency: {
+          averageMs: durations.length ? Math.round(durations.reduce((sum, ms) => sum + ms, 0) / durations.length) : null,
+          p95Ms: percentileOf(durations, 95),
+          byEndpoint: Object.fromEntries(Object.entries(latencyByEndpoint).map(([endpoint, { requests, totalMs }]) => [
+            endpoint,
+            { requests, averageMs: Math.round(totalMs / requests) }
+          ]))
+        },
+        errorsByType,
+        gradeDistribution,
+        cache: { ...cache, hitRatio: ratio(cache.hits, cache.hits + cache.misses) },
+        topClaims: [...claims.values()]
+          .sort((a, b) => b.count - a.count)
+          .slice(0, topClaims)
+      };
+    }
+  };
+};
+
+/**
+ * Create Express middleware recording each request to the tracker once it is answered, or
+ * once the client has gone away.
+ * Handlers describe what they checked in `res.locals.checks` and, when they catch an
+ * error, leave it in `res.locals.error` so that it is classified by type.
+ * @param {Object} tracker - Usage tracker
+ * @returns {Function} Express middleware
+ */
+const createUsageMiddleware = (tracker) => (req, res, next) => {
+  const start = process.hrtime.bigint();
+  res.once('close', () => {
+    const { error, checks } = res.locals;
+    tracker.record({
+      endpoint: `${req.method} ${req.baseUrl}${req.route ? req.route.path : req.path}`,
+      status: res.statusCode,
+      durationMs: Math.round(Number(process.hrtime.bigint() - start) / 1e6),
+      errorType: res.statusCode >= 400 || error ? classifyError(res.statusCode, error) : null,
+      checks: checks || []
+    });
+  });
+  next();
+};
+
+/**
+ * Create the usage tracker configured by the environment.
+ * @param {Object} [env=process.env] - Configuration variables
+ * @returns {Object} Usage tracker
+ */
+const createUsageTrackerFromEnv = (env = process.env) => createUsageTracker({
+  retentionHours: Number(env.ANALYTICS_RETENTION_HOURS || 168),
+  maxEvents: Number(env.ANALYTICS_MAX_EVENTS || 50000)
+});
+
+module.exports = {
+  classifyError,
+  createUsageTracker,
+  createUsageMiddleware,
+  createUsageTrackerFromEnv
+};
@@ -0,0 +1,79 @@
+/**
+ * @fileoverview Error objects returned by the API.
+ * Every error response has the same shape, `{ error: { code, message, details } }`, where
+ * `code` is a stable machine-readable identifier, `message` a human-readable summary and
+ * `details` optional extra information (a string, or an object such as the fields that
+ * failed validation). The codes are listed in `ERROR_CODES` and in the OpenAPI document.
+ * The deprecated unversioned endpoints keep their original `{ error, details }` shape.
+ * @module lib/apiErrors
+ */
+
+/**
+ * Error codes, with the status they are returned with.
+ * @type {Object<string, number>}
+ */
+const ERROR_CODES = {
+  invalid_request: 400,
+  invalid_json: 400,
+  api_key_required: 401,
+  invalid_api_key: 401,
+  credential_required: 401,
+  api_key_revoked: 403,
+  invalid_credential: 403,
+  not_found: 404,
+  payload_too_large: 413,
+  unreadable_article: 422,
+  input_rejected: 422,
+  rate_limited: 429,
+  quota_exceeded: 429,
+  internal_error: 500,
+  invalid_response: 500,
+  invalid_model_output: 502,
+  upstream_error: 502,
+  unavailable: 503,
+  upstream_timeout: 504
+};
+
+/**
+ * Build an error response body.
+ * @param {string} code - Error code, one of `ERROR_CODES`
+ * @param {string} message - Human-readable summary
+ * @param {*} [details] - Extra information, left out when undefined
+ * @returns {{error: {code: string, message: string, details: *}}} Error body
+ */
+const errorBody = (code, message, details) => ({
+  error: { code, message, ...(details !== undefined && { details }) }
+});
+
+/**
+ * Send an error response.
+ * @param {express.Response} res - Express response object
+ * @param {number} status - HTTP status code
+ * @param {string} code - Error code, one of `ERROR_CODES`
+ * @param {string} message - Human-readable summary
+ * @param {*} [details] - Extra information
+ * @returns {express.Response} The response
+ */
+const sendError = (res, status, code, message, details) => res.status(status).json(errorBody(code, message, details));
+
+/**
+ * Check whether a response body is an error body.
+ * @param {*} body - Response body
+ * @returns {boolean} True if the body has an error object with a code
+ */
+const isErrorBody = (body) => Boolean(body && typeof body === 'object' && body.error &&
+  typeof body.error === 'object' && typeof body.error.code === 'string');
+
+/**
+ * Convert an error body to the shape of the deprecated unversioned endpoints:
+ * `{ error: message, details }`. Other fields, such as the request id, are kept.
+ * @param {Object} body - Error body
+ * @returns {Object} Legacy error body
+ */
+const toLegacyErrorBody = ({ error, ...rest }) => ({
+  error: error.message,
+  ...(error.details !== undefined && { details: error.details }),
+  ...rest
+});
+
+module.exports = { ERROR_CODES, errorBody, sendError, isErrorBody, toLegacyErrorBody };
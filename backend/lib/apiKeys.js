@@ -0,0 +1,258 @@
+/**
+ * @fileoverview API keys for partners calling the fact-checking API from their own servers.
+ * A key is shown once, when it is created; only its SHA-256 hash is stored, so a leaked store
+ * does not leak usable keys. Keys are 192-bit random values, so a fast hash is enough. Each key
+ * has a monthly quota of fact-checks, counted per calendar month (UTC), and can be revoked.
+ * Configured with:
+ *
+ * - `API_KEY_STORE_BACKEND` - `file` (default) or `memory`
+ * - `API_KEY_STORE_FILE` - JSON file used by the file backend (default `data/api-keys.json`)
+ * - `API_KEY_DEFAULT_MONTHLY_QUOTA` - Quota of keys created without one (default 10000)
+ * @module lib/apiKeys
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const { createMemoryStore } = require('../stores/memory');
+const { createFileStore } = require('../stores/file');
+
+/**
+ * Prefix of every API key, so that leaked keys are easy to recognize.
+ * @type {string}
+ */
+const KEY_PREFIX = 'tcm_';
+
+/**
+ * Format of an API key: the prefix followed by 24 random bytes, base64url-encoded.
+ * @type {RegExp}
+ */
+const API_KEY_PATTERN = /^tcm_[A-Za-z0-9_-]{32}$/;
+
+/**
+ * Characters of a key kept in listings, enough to tell keys apart.
+ * @type {number}
+ */
+const VISIBLE_KEY_LENGTH = 12;
+
+/**
+ * Maximum length of a key name.
+ * @type {number}
+ */
+const MAX_NAME_LENGTH = 100;
+
+/**
+ * Error thrown when the settings of a new API key are invalid. Its message can be shown to the admin.
+ */
+class InvalidApiKeyError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'InvalidApiKeyError';
+  }
+}
+
+/**
+ * Hash an API key for storage and lookup.
+ * @param {string} key - API key
+ * @returns {string} Hex-encoded SHA-256 hash
+ */
+const hashApiKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+/**
+ * Calendar month of a time, in UTC.
+ * @param {number} time - Time, in milliseconds
+ * @returns {string} Month, as `YYYY-MM`
+ */
+const monthOf = (time) => new Date(time).toISOString().slice(0, 7);
+
+/**
+ * Start of the calendar month after a time, in UTC, when quotas reset.
+ * @param {number} time - Time, in milliseconds
+ * @returns {string} ISO timestamp
+ */
+const nextMonthStart = (time) => {
+  const date = new Date(time);
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1)).toISOString();
+};
+
+/**
+ * Shape a stored key for API responses, without its hash.
+ * @param {Object} record - Stored key
+ * @returns {Object} Key id, name, visible prefix, monthly quota, createdAt and revokedAt
+ */
+const toView = ({ id, name, prefix, monthlyQuota, createdAt, revokedAt }) => ({
+  id,
+  name,
+  prefix,
+  monthlyQuota,
+  createdAt,
+  revokedAt
+});
+
+/**
+ * Create an API key store on top of a key-value store.
+ * Keys are stored under `key:<hash>` and monthly usage under `usage:<id>:<month>`.
+ * @param {Object} options - API key store options
+ * @param {KeyValueStore} options.store - Store holding the keys and their usage
+ * @param {number} [options.defaultMonthlyQuota=10000] - Quota of keys created without one
+ * @param {Function} [options.now=Date.now] - Clock, in milliseconds
+ * @returns {Object} API key store
+ */
+const createApiKeyStore = ({ store, defaultMonthlyQuota = 10000, now = Date.now }) => {
+  // Usage updates are read-modify-write, so they run one at a time
+  let pendingUpdate = Promise.resolve();
+
+  /**
+   * Run an update after the pending ones.
+   * @param {Function} update - Async update
+   * @returns {Promise<*>} Result of the update
+   */
+  const serialize = (update) => {
+    const result = pendingUpdate.then(update);
+    pendingUpdate = result.catch(() => {});
+    return result;
+  };
+
+  /**
+   * All stored keys.
+   * @returns {Promise<Array<Object>>} Stored keys, with their hash
+   */
+  const all = async () => (await store.entries())
+    .filter(([entryKey]) => entryKey.startsWith('key:'))
+    .map(([, record]) => record);
+
+  /**
+   * Fact-checks made with a key in a month.
+   * @param {string} id - Key identifier
+   * @param {string} month - Month, as `YYYY-MM`
+   * @returns {Promise<number>} Usage count
+   */
+  const usageOf = async (id, month) => (await store.get(`usage:${id}:${month}`)) || 0;
+
+  return {
+    /**
+     * Create a key.
+     * @param {Object} settings - Key settings
+     * @param {string} settings.name - Who the key is for
+     * @param {number} [settings.monthlyQuota] - Fact-checks allowed per month
+     * @returns {Promise<{key: string, apiKey: Object}>} The key itself, only ever returned here,
+     * and its stored details
+     * @throws {InvalidApiKeyError} If the name or quota is invalid
+     */
+    async create({ name, monthlyQuota = defaultMonthlyQuota } = {}) {
+      const trimmed = typeof name === 'string' ? name.trim() : '';
+      if (!trimmed || trimmed.length > MAX_NAME_LENGTH) {
+        throw new InvalidApiKeyError(`Name is required and must be at most ${MAX_NAME_LENGTH} characters`);
+      }
+      if (!Number.isInteger(monthlyQuota) || monthlyQuota < 1) {
+        throw new InvalidApiKeyError('Monthly quota must be a positive integer');
+      }
+
+      const key = `${KEY_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+      const record = {
+        id: crypto.randomBytes(9).toString('base64url'),
+        name: trimmed,
+        prefix: key.slice(0, VISIBLE_KEY_LENGTH),
+        hash: hashApiKey(key),
+        monthlyQuota,
+        createdAt: new Date(now()).toISOString(),
+        revokedAt: null
+      };
+      await store.set(`key:${record.hash}`, record);
+      return { key, apiKey: toView(record) };
+    },
+
+    /**
+     * Look up the key a client presented.
+     * @param {string} key - API key
+     * @returns {Promise<?Object>} Stored key, revoked or not, or null if there is no such key
+     */
+    async authenticate(key) {
+      if (typeof key !== 'string' || !API_KEY_PATTERN.test(key)) return null;
+      const record = await store.get(`key:${hashApiKey(key)}`);
+      return record ? toView(record) : null;
+    },
+
+    /**
+     * Count fact-checks against the monthly quota of a key, unless they would exceed it.
+     * @param {Object} apiKey - Key, as returned by `authenticate`
+     * @param {number} [units=1] - Fact-checks requested
+     * @returns {Promise<{allowed: boolean, used: number, quota: number, remaining: number, resetsAt: string}>}
+     * Outcome, fact-checks counted this month, the quota, what is left of it and when it resets
+     */
+    consume(apiKey, units = 1) {
+      return serialize(async () => {
+        const time = now();
+        const month = monthOf(time);
+        let used = await usageOf(apiKey.id, month);
+        const allowed = used + units <= apiKey.monthlyQuota;
+        if (allowed) {
+          used += units;
+          await store.set(`usage:${apiKey.id}:${month}`, used);
+        }
+        return {
+          allowed,
+          used,
+          quota: apiKey.monthlyQuota,
+          remaining: Math.max(0, apiKey.monthlyQuota - used),
+          resetsAt: nextMonthStart(time)
+        };
+      });
+    },
+
+    /**
+     * Revoke a key. Requests made with it are rejected from then on.
+     * @param {string} id - Key identifier
+     * @returns {Promise<?Object>} The revoked key, or null if there is no such key
+     */
+    async revoke(id) {
+      const record = (await all()).find(candidate => candidate.id === id);
+      if (!record) return null;
+      const revoked = { ...record, revokedAt: record.revokedAt || new Date(now()).toISOString() };
+      await store.set(`key:${record.hash}`, revoked);
+      return toView(revoked);
+    },
+
+    /**
+     * List every key with its usage this month, oldest first.
+     * @returns {Promise<Array<Object>>} Keys, each with `usage` holding the month and the count
+     */
+    async list() {
+      const month = monthOf(now());
+      const records = (await all()).sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+      return Promise.all(records.map(async record => ({
+        ...toView(record),
+        usage: { month, used: await usageOf(record.id, month) }
+      })));
+    }
+  };
+};
+
+/**
+ * Create the API key store selected by configuration.
+ * @param {Object} [env=process.env] - Configuration variables
+ * @returns {Object} API key store
+ */
+const createApiKeyStoreFromEnv = (env = process.env) => {
+  const backend = (env.API_KEY_STORE_BACKEND || 'file').toLowerCase();
+  const defaultMonthlyQuota = Number(env.API_KEY_DEFAULT_MONTHLY_QUOTA || 10000);
+
+  switch (backend) {
+    case 'memory':
+      return createApiKeyStore({ store: createMemoryStore(), defaultMonthlyQuota });
+    case 'file':
+      return createApiKeyStore({
+        store: createFileStore(env.API_KEY_STORE_FILE || path.join(__dirname, '..', 'data', 'api-keys.json')),
+        defaultMonthlyQuota
+      });
+    default:
+      throw new Error(`Unknown API_KEY_STORE_BACKEND "${backend}". Use file or memory.`);
+  }
+};
+
+module.exports = {
+  API_KEY_PATTERN,
+  InvalidApiKeyError,
+  hashApiKey,
+  createApiKeyStore,
+  createApiKeyStoreFromEnv
+};
@@ -0,0 +1,268 @@
+/**
+ * @fileoverview Fact-checking of articles given by URL.
+ * The page is fetched server-side, its headline, canonical URL and main text are extracted
+ * while navigation and other boilerplate are dropped, and the text is analyzed claim by claim.
+ * Each verdict carries the excerpt of the article it refers to.
+ * @module lib/article
+ */
+
+const { fetchPage, decodeEntities, htmlToText } = require('./fetchPage');
+const { analyzeText } = require('./claims');
+
+/**
+ * Maximum number of characters of article text analyzed. Longer articles are cut off.
+ * @type {number}
+ */
+const MAX_ARTICLE_LENGTH = 20000;
+
+/**
+ * Maximum length of the excerpt attached to a verdict, in characters.
+ * @type {number}
+ */
+const MAX_EXCERPT_LENGTH = 400;
+
+/**
+ * Paragraphs shorter than this are considered boilerplate unless they are headings.
+ * @type {number}
+ */
+const MIN_PARAGRAPH_LENGTH = 40;
+
+/**
+ * Paragraphs that are typical page furniture rather than article content.
+ * @type {RegExp}
+ */
+const BOILERPLATE = /^(advertisement|share (this|on)|sign up|subscribe|read more|related( articles| stories)?|follow us|all rights reserved)\b|^(©|copyright\b)/i;
+
+/**
+ * Elements dropped before looking for the article text.
+ * @type {RegExp}
+ */
+const NON_CONTENT = /<(script|style|noscript|template|svg|iframe|form|nav|header|footer|aside|figure)\b[^>]*>[\s\S]*?<\/\1>/gi;
+
+/**
+ * Error raised when a page does not hold an article that can be checked.
+ */
+class ArticleError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ArticleError';
+  }
+}
+
+/**
+ * Check whether input is a single http(s) URL rather than a statement.
+ * @param {string} text - User input
+ * @returns {boolean} True if the input is a URL
+ */
+const isUrl = (text) => {
+  if (!/^https?:\/\/\S+$/i.test(text.trim())) return false;
+  try {
+    return Boolean(new URL(text.trim()).hostname);
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Parse the attributes of an HTML start tag.
+ * @param {string} tag - Start tag source
+ * @returns {Object<string, string>} Attribute values by lowercase name
+ */
+const parseAttributes = (tag) => {
+  const attributes = {};
+  const pattern = /([a-z][\w:-]*)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+))/gi;
+  for (const match of tag.matchAll(pattern)) {
+    attributes[match[1].toLowerCase()] = decodeEntities(match[2] ?? match[3] ?? match[4]);
+  }
+  return attributes;
+};
+
+/**
+ * Find the attributes of the first tag of a kind matching a predicate.
+ * @param {string} html - HTML source
+ * @param {string} tagName - Tag name, e.g. meta or link
+ * @param {Function} predicate - Receives the attributes of each tag
+ * @returns {?Object<string, string>} Attributes of the matching tag
+ */
+const findTag = (html, tagName, predicate) => {
+  for (const [tag] of html.matchAll(new RegExp(`<${tagName}\\b[^>]*>`, 'gi'))) {
+    const attributes = parseAttributes(tag);
+    if (predicate(attributes)) return attributes;
+  }
+  return null;
+};
+
+/**
+ * Read the content of a `<meta>` tag by `property` or `name`.
+ * @param {string} html - HTML source
+ * @param {string} key - Property or name, e.g. og:title
+ * @returns {?string} Trimmed content, or null if the tag is missing or empty
+ */
+const getMeta = (html, key) => {
+  const tag = findTag(html, 'meta', attributes => attributes.property === key || attributes.name === key);
+  return tag?.content?.trim() || null;
+};
+
+/**
+ * Select the part of the page holding the article: `<article>`, `<main>` or `<body>`.
+ * @param {string} html - HTML source, without non-content elements
+ * @returns {string} HTML of the main region
+ */
+const selectMainRegion = (html) => {
+  for (const tagName of ['article', 'main', 'body']) {
+    const start = html.search(new RegExp(`<${tagName}\\b`, 'i'));
+    const end = [...html.matchAll(new RegExp(`</${tagName}>`, 'gi'))].pop()?.index ?? -1;
+    if (start !== -1 && end > start) return html.slice(start, end);
+  }
+  return html;
+};
+
+/**
+ * Extract the headline, canonical URL and main text of an article.
+ * @param {string} html - HTML source of the page
+ * @param {string} pageUrl - URL the page was fetched from, used to resolve relative URLs
+ * @returns {{title: ?string, canonicalUrl: string, text: string, truncated: boolean}} Article
+ */
+const extractArticle = (html, pageUrl) => {
+  const source = html.replace(/<!--[\s\S]*?-->/g, ' ');
+  const region = selectMainRegion(source.replace(NON_CONTENT, ' '));
+
+  const headline = region.match(/<h1\b[^>]*>([\s\S]*?)<\/h1>/i);
+  const titleTag = source.match(/<title[^>]*>([\s\S]*?)<\/title>/i);
+  const title = getMeta(source, 'og:title')
+    || (headline && htmlToText(headline[1]))
+    || (titleTag && htmlToText(titleTag[1]))
+    || null;
+
+  const canonical = findTag(source, 'link', attributes => /(^|\s)canonical(\s|$)/i.test(attributes.rel || ''))?.href
+    || getMeta(source, 'og:url');
+  let canonicalUrl = pageUrl;
+  try {
+    if (canonical) canonicalUrl = new URL(canonical, pageUrl).toString();
+  } catch (error) {
+    // Keep the page URL when the canonical URL is malformed
+  }
+
+  let paragraphs = [...region.matchAll(/<(p|h[2-3]|blockquote)\b[^>]*>([\s\S]*?)<\/\1>/gi)]
+    .map(([, tagName, content]) => ({ heading: /^h/i.test(tagName), text: htmlToText(content) }))
+    .filter(({ heading, text }) => text && !BOILERPLATE.test(text) && (heading || text.length >= MIN_PARAGRAPH_LENGTH))
+    .map(({ text }) => text);
+  if (!paragraphs.length) {
+    paragraphs = [htmlToText(region)].filter(Boolean);
+  }
+
+  const text = paragraphs.join('\n\n');
+  return {
+    title,
+    canonicalUrl,
+    text: text.length > MAX_ARTICLE_LENGTH ? text.slice(0, MAX_ARTICLE_LENGTH) : text,
+    truncated: text.length > MAX_ARTICLE_LENGTH
+  };
+};
+
+/**
+ * Fetch a page and extract its article.
+ * @param {string} url - Article URL
+ * @param {Object} [fetchOptions] - Options passed to `fetchPage`
+ * @returns {Promise<Object>} Article with title, canonicalUrl, text and truncated
+ * @throws {FetchPageError} If the page cannot be fetched
+ * @throws {ArticleError} If the page is not an HTML article with text
+ */
+const fetchArticle = async (url, fetchOptions) => {
+  const page = await fetchPage(url, fetchOptions);
+  if (!page.ok) {
+    throw new ArticleError(`The page returned HTTP ${page.status}`);
+  }
+  if (page.contentType && !/html/i.test(page.contentType)) {
+    throw new ArticleError(`The page is not an article (${page.contentType.split(';')[0]})`);
+  }
+
+  const article = extractArticle(page.body, page.url);
+  if (!article.text) {
+    throw new ArticleError('No article text found on the page');
+  }
+  return article;
+};
+
+/**
+ * Find the sentences of a text around a span, to show what a verdict refers to.
+ * @param {string} text - Article text
+ * @param {?number} start - Start offset of the claim
+ * @param {?number} end - End offset of the claim
+ * @returns {?string} Excerpt, or null if the claim was not found in the text
+ */
+const excerptAround = (text, start, end) => {
+  if (start === null || start === undefined) return null;
+
+  const before = text.slice(0, start);
+  const sentenceStart = Math.max(before.lastIndexOf('\n'), before.search(/[.!?]\s+[^.!?]*$/) + 1, 0);
+  const after = text.slice(end - 1).search(/[.!?](\s|$)|\n/);
+  const sentenceEnd = after === -1 ? text.length : end + after;
+
+  const excerpt = text.slice(sentenceStart, sentenceEnd).trim();
+  return excerpt.length > MAX_EXCERPT_LENGTH
+    ? text.slice(start, end).trim()
+    : excerpt;
+};
+
+/**
+ * Fetch an article and fact-check each of its claims.
+ * The page is controlled by whoever wrote it, so its text is screened like user text before
+ * it reaches the model.
+ * @param {LLMProvider} provider - LLM provider
+ * @param {string} url - Article URL
+ * @param {Object} [options] - Analysis options
+ * @param {Function} [options.screen] - Screens the article text, given the text and
+ * `{ maxLength }`, resolving to `{ text }` with the cleaned text or rejecting it
+ * (see `lib/inputScreening`). The text is used as extracted when not given
+ * @param {Function} [options.check] - Fact-checks a single claim text
+ * @param {Function} [options.describeError] - Describes the error of a failed claim for clients
+ * @param {Object} [options.log] - Logger the details of failed claims are written to
+ * @param {Function} [options.admit] - Takes the extracted claims and resolves to whether to check them
+ * @param {Function} [options.selectExtractionPrompt] - Selects the extraction prompt version
+ * for the article text, the latest version by default
+ * @param {Object} [options.fetchOptions] - Options passed to `fetchPage`
+ * @returns {Promise<?Object>} `article` with url, canonicalUrl, title and truncated, `claims`
+ * with their verdict and `excerpt`, `summary` and `extractionPromptVersion`, or null if the
+ * claims were not admitted
+ * @throws {FetchPageError} If the page cannot be fetched
+ * @throws {ArticleError} If the page is not an HTML article with text
+ * @throws {InputRejectedError} If the article text is rejected by screening
+ */
+const analyzeArticle = async (provider, url, {
+  screen,
+  check,
+  describeError,
+  log,
+  admit,
+  selectExtractionPrompt,
+  fetchOptions
+} = {}) => {
+  const article = await fetchArticle(url, fetchOptions);
+  const text = screen ? (await screen(article.text, { maxLength: MAX_ARTICLE_LENGTH })).text : article.text;
+  const analysis = await analyzeText(provider, text, {
+    check,
+    describeError,
+    log,
+    admit,
+    ...(selectExtractionPrompt && { extractionPrompt: selectExtractionPrompt(text) })
+  });
+  if (!analysis) return null;
+  const { claims, summary, extractionPromptVersion } = analysis;
+
+  return {
+    article: { url, canonicalUrl: article.canonicalUrl, title: article.title, truncated: article.truncated },
+    claims: claims.map(claim => ({ ...claim, excerpt: excerptAround(text, claim.start, claim.end) })),
+    summary,
+    extractionPromptVersion
+  };
+};
+
+module.exports = {
+  ArticleError,
+  isUrl,
+  extractArticle,
+  fetchArticle,
+  excerptAround,
+  analyzeArticle
+};
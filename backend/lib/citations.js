@@ -0,0 +1,136 @@
+/**
+ * @fileoverview Verification of the sources cited by the model.
+ * Each cited URL is fetched and classified as:
+ *
+ * - `verified` - the page loads and mentions most key terms of the checked claim
+ * - `unrelated` - the page loads but does not mention the claim's key terms
+ * - `unreachable` - the page cannot be loaded or returns an HTTP error
+ *
+ * Sources without a URL cannot be checked and are left without a verification.
+ * Configured with:
+ *
+ * - `CITATION_VERIFICATION` - `on` (default) or `off`
+ * - `CITATION_TIMEOUT_MS` - Time allowed to fetch each source (default 5000)
+ * - `CITATION_MAX_BYTES` - Maximum bytes read from each source (default 1000000)
+ * @module lib/citations
+ */
+
+const { fetchPage, extractTitle, htmlToText } = require('./fetchPage');
+const { tokenize } = require('./terms');
+
+/**
+ * Minimum share of a claim's key terms a page must mention to count as verified.
+ * @type {number}
+ */
+const MATCH_THRESHOLD = 0.5;
+
+/**
+ * Maximum number of key terms extracted from a claim.
+ * @type {number}
+ */
+const MAX_KEY_TERMS = 10;
+
+/**
+ * Extract the key terms of a claim: distinct words that are not stopwords.
+ * @param {string} text - Claim text
+ * @returns {string[]} Lowercase key terms, in order of appearance
+ */
+const extractKeyTerms = (text) => [...new Set(tokenize(text))].slice(0, MAX_KEY_TERMS);
+
+/**
+ * Check whether a content type holds text that can be searched for key terms.
+ * @param {string} contentType - Content-Type header value
+ * @returns {boolean} True for HTML, XML, JSON and plain text
+ */
+const isReadable = (contentType) => !contentType || /text\/|html|xml|json/i.test(contentType);
+
+/**
+ * Verify a single cited source.
+ * @param {string[]} keyTerms - Key terms of the checked claim
+ * @param {{title: string, url: ?string}} source - Cited source
+ * @param {Object} fetchOptions - Options passed to `fetchPage`
+ * @returns {Promise<Object>} The source with a `verification` object holding `status`,
+ * `httpStatus`, `pageTitle`, `matchedTerms` and, when not verified, a `reason`
+ */
+const verifySource = async (keyTerms, source, fetchOptions) => {
+  if (!source.url) {
+    return { ...source, verification: null };
+  }
+
+  let page;
+  try {
+    page = await fetchPage(source.url, fetchOptions);
+  } catch (error) {
+    return {
+      ...source,
+      verification: { status: 'unreachable', httpStatus: null, pageTitle: null, matchedTerms: [], reason: error.message }
+    };
+  }
+
+  const verification = { httpStatus: page.status, pageTitle: null, matchedTerms: [] };
+  if (!page.ok) {
+    return { ...source, verification: { status: 'unreachable', ...verification, reason: `HTTP ${page.status}` } };
+  }
+  if (!isReadable(page.contentType)) {
+    return {
+      ...source,
+      verification: { status: 'unrelated', ...verification, reason: `Cannot read ${page.contentType} content` }
+    };
+  }
+
+  const isHtml = /html/i.test(page.contentType) || /^\s*</.test(page.body);
+  const pageText = (isHtml ? htmlToText(page.body) : page.body).toLowerCase();
+  verification.pageTitle = isHtml ? extractTitle(page.body) : null;
+  verification.matchedTerms = keyTerms.filter(term => pageText.includes(term));
+
+  const share = keyTerms.length ? verification.matchedTerms.length / keyTerms.length : 1;
+  if (share >= MATCH_THRESHOLD) {
+    return { ...source, verification: { status: 'verified', ...verification } };
+  }
+  return {
+    ...source,
+    verification: {
+      status: 'unrelated',
+      ...verification,
+      reason: `Page mentions ${verification.matchedTerms.length} of ${keyTerms.length} key terms of the claim`
+    }
+  };
+};
+
+/**
+ * Create a citation verifier.
+ * @param {Object} [fetchOptions] - Options passed to `fetchPage` (timeout, size limit, ...)
+ * @returns {Object} Citation verifier
+ */
+const createCitationVerifier = (fetchOptions = {}) => ({
+  /**
+   * Verify every cited source of a fact-check, concurrently.
+   * @param {string} text - Checked claim
+   * @param {Array<{title: string, url: ?string}>} sources - Cited sources
+   * @returns {Promise<Array<Object>>} Sources with their verification
+   */
+  verifySources(text, sources) {
+    const keyTerms = extractKeyTerms(text);
+    return Promise.all(sources.map(source => verifySource(keyTerms, source, fetchOptions)));
+  }
+});
+
+/**
+ * Create the citation verifier selected by configuration.
+ * @param {Object} [env=process.env] - Configuration variables
+ * @returns {?Object} Citation verifier, or null when verification is turned off
+ */
+const createCitationVerifierFromEnv = (env = process.env) => {
+  if ((env.CITATION_VERIFICATION || 'on').toLowerCase() === 'off') return null;
+  return createCitationVerifier({
+    timeoutMs: Number(env.CITATION_TIMEOUT_MS || 5000),
+    maxBytes: Number(env.CITATION_MAX_BYTES || 1000000)
+  });
+};
+
+module.exports = {
+  extractKeyTerms,
+  verifySource,
+  createCitationVerifier,
+  createCitationVerifierFromEnv
+};
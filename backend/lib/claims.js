@@ -0,0 +1,178 @@
+/**
+ * @fileoverview Claim extraction and per-claim fact-checking.
+ * Long text is broken into individual checkable claims, each claim is graded on its
+ * own, and the verdicts are summarized into an overall grade for the whole text.
+ * @module lib/claims
+ */
+
+const { GRADES, GENERATION_SETTINGS, gradeFromScore, factCheck } = require('./factCheck');
+const { createStructured } = require('./structuredOutput');
+const { logger } = require('./logger');
+const { createPromptSelector, renderPrompt } = require('./prompts');
+const { quoteUserText } = require('./inputScreening');
+
+/**
+ * Maximum number of claims graded for a single text.
+ * @type {number}
+ */
+const MAX_CLAIMS = 10;
+
+/**
+ * JSON Schema of a claim extraction answer.
+ * @type {Object}
+ */
+const claimsSchema = {
+  type: 'object',
+  properties: {
+    claims: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          text: { type: 'string' }
+        },
+        required: ['text'],
+        additionalProperties: false
+      }
+    }
+  },
+  required: ['claims'],
+  additionalProperties: false
+};
+
+/**
+ * Selector of the latest version of the claim extraction prompt (`prompts/claim-extraction`),
+ * used unless another version is given.
+ * @type {Object}
+ */
+const latestExtractionPrompt = createPromptSelector({ name: 'claim-extraction' });
+
+/**
+ * Find the character offsets of a claim in the original text.
+ * Searches from `fromIndex` first so that repeated claims map to successive occurrences,
+ * then falls back to a case-insensitive search of the whole text.
+ * @param {string} text - Original text
+ * @param {string} claim - Claim text
+ * @param {number} fromIndex - Index to start searching from
+ * @returns {{start: ?number, end: ?number}} Offsets, or nulls if the claim is not verbatim
+ */
+const locateClaim = (text, claim, fromIndex) => {
+  let start = text.indexOf(claim, fromIndex);
+  if (start === -1) start = text.indexOf(claim);
+  if (start === -1) start = text.toLowerCase().indexOf(claim.toLowerCase());
+  if (start === -1) return { start: null, end: null };
+  return { start, end: start + claim.length };
+};
+
+/**
+ * Extract individual claims from text, with their character offsets.
+ * If the model finds no claims, the whole text is treated as a single claim.
+ * @param {LLMProvider} provider - LLM provider
+ * @param {string} text - Text to analyze
+ * @param {{template: string}} [prompt] - Extraction prompt version, the latest by default
+ * @returns {Promise<Array<{text: string, start: ?number, end: ?number}>>} Extracted claims
+ */
+const extractClaims = async (provider, text, prompt = latestExtractionPrompt.select(text)) => {
+  const { claims } = await createStructured(provider, {
+    name: 'claims',
+    schema: claimsSchema,
+    settings: GENERATION_SETTINGS,
+    messages: [
+      { role: 'system', content: renderPrompt(prompt.template, { maxClaims: MAX_CLAIMS }) },
+      { role: 'user', content: quoteUserText(text) }
+    ]
+  });
+
+  const claimTexts = claims
+    .map(claim => claim.text.trim())
+    .filter(Boolean)
+    .slice(0, MAX_CLAIMS);
+
+  if (!claimTexts.length) {
+    return [{ text: text.trim(), ...locateClaim(text, text.trim(), 0) }];
+  }
+
+  let fromIndex = 0;
+  return claimTexts.map(claimText => {
+    const offsets = locateClaim(text, claimText, fromIndex);
+    if (offsets.end !== null) fromIndex = offsets.end;
+    return { text: claimText, ...offsets };
+  });
+};
+
+/**
+ * Summarize per-claim verdicts.
+ * The average score is taken over the graded claims, and the overall grade is the grade
+ * of that average rounded to the nearest score.
+ * @param {Array<Object>} claims - Claims with their verdicts
+ * @returns {Object} Summary with claim count, count per grade, average score and overall grade
+ */
+const summarizeClaims = (claims) => {
+  const gradeCounts = Object.fromEntries(GRADES.map(grade => [grade, 0]));
+  const graded = claims.filter(claim => claim.grade);
+  graded.forEach(claim => {
+    gradeCounts[claim.grade] += 1;
+  });
+
+  const averageScore = graded.length
+    ? Math.round(graded.reduce((sum, claim) => sum + claim.score, 0) / graded.length * 10) / 10
+    : null;
+
+  return {
+    totalClaims: claims.length,
+    failedClaims: claims.length - graded.length,
+    gradeCounts,
+    averageScore,
+    overallGrade: averageScore === null ? null : gradeFromScore(Math.round(averageScore))
+  };
+};
+
+/**
+ * Break text into claims and fact-check each one.
+ * A claim whose fact-check fails is reported with an `error` instead of failing the whole analysis.
+ * @param {LLMProvider} provider - LLM provider
+ * @param {string} text - Text to analyze
+ * @param {Object} [options] - Analysis options
+ * @param {Function} [options.check] - Fact-checks a single claim text, defaults to calling the provider
+ * @param {{version: string, template: string}} [options.extractionPrompt] - Extraction prompt
+ * version, the latest by default
+ * @param {Function} [options.describeError] - Takes the error of a failed claim and returns the
+ * `{code, message}` safe to show clients, a generic `internal_error` by default
+ * @param {Object} [options.log=logger] - Logger the details of failed claims are written to
+ * @param {Function} [options.admit] - Takes the extracted claims before they are checked and
+ * resolves to whether to check them, e.g. once they are counted against a rate limit
+ * @returns {Promise<?{claims: Array<Object>, summary: Object, extractionPromptVersion: string}>}
+ * Per-claim verdicts, each with the `promptVersion` that graded it or an `error` and `errorCode`,
+ * summary and the version of the extraction prompt, or null if the claims were not admitted
+ */
+const analyzeText = async (provider, text, {
+  check = claimText => factCheck(provider, claimText),
+  extractionPrompt = latestExtractionPrompt.select(text),
+  describeError = () => ({ code: 'internal_error', message: 'Failed to fact-check claim' }),
+  log = logger,
+  admit = async () => true
+} = {}) => {
+  const extracted = await extractClaims(provider, text, extractionPrompt);
+  if (!(await admit(extracted))) return null;
+
+  const settled = await Promise.allSettled(extracted.map(claim => check(claim.text)));
+  const claims = extracted.map((claim, index) => {
+    const outcome = settled[index];
+    if (outcome.status === 'fulfilled') {
+      return { ...claim, ...outcome.value };
+    }
+    log.error('Claim fact-check error', { error: outcome.reason });
+    const { code, message } = describeError(outcome.reason);
+    return { ...claim, error: message, errorCode: code };
+  });
+
+  return { claims, summary: summarizeClaims(claims), extractionPromptVersion: extractionPrompt.version };
+};
+
+module.exports = {
+  claimsSchema,
+  locateClaim,
+  extractClaims,
+  summarizeClaims,
+  analyzeText
+};
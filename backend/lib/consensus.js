@@ -0,0 +1,170 @@
+/**
+ * @fileoverview Consensus fact-checking.
+ * A single model answer can change from one run to the next, so in consensus mode a text is
+ * checked several times, independently, by one or more models, and the verdicts are combined:
+ * the final score is the median score, the reasoning and sources come from the most confident
+ * verdict with that score, and the response reports how many verdicts agreed and which ones
+ * dissented. Configured with:
+ *
+ * - `CONSENSUS_SAMPLES` - Verdicts requested from each model (default 1, i.e. consensus off
+ *   unless several models are configured)
+ * - `CONSENSUS_MODELS` - Comma-separated models of the configured provider to ask, instead of
+ *   the provider's own model alone
+ * - `CONSENSUS_TEMPERATURE` - Sampling temperature of each verdict (default 0.7), higher than
+ *   for single checks so that repeated samples are independent
+ * @module lib/consensus
+ */
+
+const { factCheck, gradeFromScore } = require('./factCheck');
+const { createProvider } = require('../providers');
+const { logger } = require('./logger');
+
+/**
+ * Describe how many verdicts agree with the final score.
+ * @param {number} share - Share of the verdicts with the final score, from 0 to 1
+ * @returns {string} `unanimous`, `majority` (more than half) or `split`
+ */
+const agreementLevel = (share) => {
+  if (share === 1) return 'unanimous';
+  return share > 0.5 ? 'majority' : 'split';
+};
+
+/**
+ * Median of a list of scores, rounded to a whole score.
+ * With an even number of scores the two middle ones are averaged.
+ * @param {number[]} scores - Scores from 1 to 5
+ * @returns {number} Median score
+ */
+const medianScore = (scores) => {
+  const sorted = [...scores].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : Math.round((sorted[middle - 1] + sorted[middle]) / 2);
+};
+
+/**
+ * Mean of the confidences that were reported.
+ * @param {Array<Object>} verdicts - Verdicts
+ * @returns {?number} Mean confidence, or null if no verdict reported one
+ */
+const meanConfidence = (verdicts) => {
+  const reported = verdicts.map(verdict => verdict.confidence).filter(confidence => typeof confidence === 'number');
+  if (!reported.length) return null;
+  return Math.round(reported.reduce((sum, confidence) => sum + confidence, 0) / reported.length * 100) / 100;
+};
+
+/**
+ * Combine independent verdicts on the same text into one.
+ * @param {Array<Object>} verdicts - Fact-checks, each with the `model` that produced it
+ * @param {Object} [options] - Aggregation options
+ * @param {number} [options.failedSamples=0] - Samples that produced no verdict
+ * @returns {Object} Fact-check with the combined grade, score and confidence, the reasoning and
+ * sources of the most representative verdict, and a `consensus` report
+ */
+const aggregateVerdicts = (verdicts, { failedSamples = 0 } = {}) => {
+  const score = medianScore(verdicts.map(verdict => verdict.score));
+  const agreeing = verdicts.filter(verdict => verdict.score === score);
+  // Without any verdict on the median, the closest ones stand for it
+  const distance = Math.min(...verdicts.map(verdict => Math.abs(verdict.score - score)));
+  const representatives = agreeing.length
+    ? agreeing
+    : verdicts.filter(verdict => Math.abs(verdict.score - score) === distance);
+  const representative = representatives.reduce((best, verdict) => (
+    (verdict.confidence ?? 0) > (best.confidence ?? 0) ? verdict : best
+  ));
+
+  const share = agreeing.length / verdicts.length;
+
+  return {
+    grade: gradeFromScore(score),
+    score,
+    confidence: meanConfidence(representatives),
+    reasoning: representative.reasoning,
+    sources: representative.sources,
+    language: representative.language,
+    promptVersion: representative.promptVersion,
+    consensus: {
+      samples: verdicts.length,
+      failedSamples,
+      models: [...new Set(verdicts.map(verdict => verdict.model))],
+      agreement: Math.round(share * 100) / 100,
+      level: agreementLevel(share),
+      dissents: verdicts
+        .filter(verdict => verdict.score !== score)
+        .map(({ model, grade, score: dissentScore, confidence, reasoning }) => ({
+          model,
+          grade,
+          score: dissentScore,
+          confidence,
+          reasoning
+        }))
+    }
+  };
+};
+
+/**
+ * Create a consensus checker.
+ * @param {Object} options - Checker options
+ * @param {Array<LLMProvider>} options.providers - Providers to ask, one per model
+ * @param {number} [options.samples=3] - Verdicts requested from each provider
+ * @param {number} [options.temperature=0.7] - Sampling temperature of each verdict
+ * @returns {Object} Consensus checker
+ */
+const createConsensusChecker = ({ providers, samples = 3, temperature = 0.7 }) => ({
+  samples: providers.length * samples,
+
+  /**
+   * Fact-check a text with every provider, several times, and combine the verdicts.
+   * Samples that fail are left out as long as at least one succeeds.
+   * @param {string} text - Text to be fact-checked
+   * @param {Object} [options] - Fact-check options, passed on to each sample
+   * @returns {Promise<Object>} Combined fact-check
+   * @throws {Error} The error of the first sample if every sample failed
+   */
+  async check(text, options = {}) {
+    const runs = providers.flatMap(provider => Array.from({ length: samples }, async () => ({
+      ...await factCheck(provider, text, { ...options, temperature }),
+      model: provider.model
+    })));
+    const outcomes = await Promise.allSettled(runs);
+    const verdicts = outcomes.filter(outcome => outcome.status === 'fulfilled').map(outcome => outcome.value);
+    const failures = outcomes.filter(outcome => outcome.status === 'rejected');
+
+    failures.forEach(failure => logger.warn('Consensus sample failed', { error: failure.reason.message }));
+    if (!verdicts.length) throw failures[0].reason;
+    return aggregateVerdicts(verdicts, { failedSamples: failures.length });
+  }
+});
+
+/**
+ * Create the consensus checker selected by configuration.
+ * @param {?LLMProvider} provider - Configured provider, asked when no other models are listed
+ * @param {Object} [env=process.env] - Configuration variables
+ * @returns {?Object} Consensus checker, or null when consensus mode is off
+ * @throws {Error} If the number of samples is not a positive whole number
+ * @throws {ProviderConfigError} If a listed model cannot be set up
+ */
+const createConsensusCheckerFromEnv = (provider, env = process.env) => {
+  if (!provider) return null;
+  const models = (env.CONSENSUS_MODELS || '').split(',').map(model => model.trim()).filter(Boolean);
+  const samples = Number(env.CONSENSUS_SAMPLES || 1);
+  if (!Number.isInteger(samples) || samples < 1) {
+    throw new Error(`Invalid CONSENSUS_SAMPLES "${env.CONSENSUS_SAMPLES}". Use a positive whole number.`);
+  }
+  const providers = models.length
+    ? models.map(model => createProvider({ ...env, LLM_MODEL: model }))
+    : [provider];
+
+  if (providers.length * samples < 2) return null;
+  return createConsensusChecker({
+    providers,
+    samples,
+    temperature: Number(env.CONSENSUS_TEMPERATURE || 0.7)
+  });
+};
+
+module.exports = {
+  medianScore,
+  aggregateVerdicts,
+  createConsensusChecker,
+  createConsensusCheckerFromEnv
+};
@@ -0,0 +1,381 @@
+/**
+ * @fileoverview Offline evaluation of the fact-check pipeline against labelled claims.
+ * A dataset is a JSON Lines file with one claim per line, `{ "id", "text", "expected" }`,
+ * where `expected` is a grade label or a score from 1 to 5. Each claim is checked with the
+ * given provider and prompt version, and the run is summarized as:
+ *
+ * - accuracy: share of the claims given exactly the expected grade
+ * - off-by-one accuracy: share of the claims within one level of the expected grade
+ * - a confusion matrix of expected grades (rows) against given grades (columns)
+ * - parse-failure rate: share of the model answers that could not be parsed into a verdict,
+ *   including answers that a retry then fixed
+ *
+ * Claims that could not be checked count as wrong in both accuracies and are left out of the
+ * confusion matrix. Reports are plain JSON, so that runs can be stored and compared, and can
+ * be rendered as Markdown.
+ * @module lib/evaluation
+ */
+
+const fs = require('fs');
+const { GRADES, scoreFromLabel, gradeFromScore, factCheck, InvalidModelOutputError } = require('./factCheck');
+
+/**
+ * Error thrown when a dataset is malformed.
+ */
+class InvalidDatasetError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'InvalidDatasetError';
+  }
+}
+
+/**
+ * Read the expected score of a labelled claim.
+ * @param {*} expected - Grade label or score
+ * @returns {?number} Score from 1 to 5, or null if it is not a grade
+ */
+const expectedScoreOf = (expected) => {
+  if (Number.isInteger(expected)) return expected >= 1 && expected <= GRADES.length ? expected : null;
+  return typeof expected === 'string' ? scoreFromLabel(expected) : null;
+};
+
+/**
+ * Parse a dataset of labelled claims.
+ * @param {string} content - JSON Lines, one claim per line; blank lines and lines starting
+ * with `#` are skipped
+ * @param {string} [source='dataset'] - Name of the dataset, for error messages
+ * @returns {Array<{id: string, text: string, expected: string, expectedScore: number}>} Claims
+ * @throws {InvalidDatasetError} If a line is not a labelled claim, or two claims share an id
+ */
+const parseDataset = (content, source = 'dataset') => {
+  const claims = [];
+  const ids = new Set();
+  content.split(/\r?\n/).forEach((line, index) => {
+    const trimmed = line.trim();
+    if (!trimmed || trimmed.startsWith('#')) return;
+    const where = `${source}:${index + 1}`;
+
+    let entry;
+    try {
+      entry = JSON.parse(trimmed);
+    } catch (error) {
+      throw new InvalidDatasetError(`${where}: ${error.message}`);
+    }
+    if (!entry || typeof entry.text !== 'string' || !entry.text.trim()) {
+      throw new InvalidDatasetError(`${where}: text is required and must be a string`);
+    }
+    const expectedScore = expectedScoreOf(entry.expected);
+    if (!expectedScore) {
+      throw new InvalidDatasetError(`${where}: expected must be one of ${GRADES.join(', ')} or a score from 1 to 5`);
+    }
+    const id = entry.id === undefined ? String(claims.length + 1) : String(entry.id);
+    if (ids.has(id)) {
+      throw new InvalidDatasetError(`${where}: duplicate id "${id}"`);
+    }
+    ids.add(id);
+    claims.push({ id, text: entry.text.trim(), expected: gradeFromScore(expectedScore), expectedScore });
+  });
+  if (!claims.length) {
+    throw new InvalidDatasetError(`${source}: no claims`);
+  }
+  return claims;
+};
+
+/**
+ * Load a dataset of labelled claims from a file.
+ * @param {string} filePath - JSON Lines file
+ * @returns {Array<Object>} Claims, as returned by `parseDataset`
+ * @throws {InvalidDatasetError} If the file is malformed
+ */
+const loadDataset = (filePath) => parseDataset(fs.readFileSync(filePath, 'utf8'), filePath);
+
+/**
+ * Wrap a provider to count the answers it gives. The fact-check pipeline only asks again
+ * when an answer could not be parsed, so every answer but the accepted one is a parse failure.
+ * @param {LLMProvider} provider - Provider to wrap
+ * @returns {{provider: LLMProvider, answers: function(): number}} Wrapped provider and its answer count
+ */
+const countAnswers = (provider) => {
+  let answers = 0;
+  return {
+    provider: {
+      ...provider,
+      async complete(request, options) {
+        const completion = await provider.complete(request, options);
+        answers += 1;
+        return completion;
+      }
+    },
+    answers: () => answers
+  };
+};
+
+/**
+ * Check one labelled claim.
+ * @param {LLMProvider} provider - LLM provider
+ * @param {Object} claim - Labelled claim
+ * @param {?Object} prompt - Prompt version to use, the latest by default
+ * @returns {Promise<Object>} Claim with the given grade and score, prompt version, number of
+ * answers and parse failures, and the error if it could not be checked
+ */
+const evaluateClaim = async (provider, claim, prompt) => {
+  const counted = countAnswers(provider);
+  const start = Date.now();
+  const outcome = { ...claim, grade: null, score: null, promptVersion: prompt ? prompt.version : null, error: null };
+  let accepted = 0;
+  try {
+    const verdict = await factCheck(counted.provider, claim.text, prompt ? { prompt } : {});
+    Object.assign(outcome, { grade: verdict.grade, score: verdict.score, promptVersion: verdict.promptVersion });
+    accepted = 1;
+  } catch (error) {
+    outcome.error = error instanceof InvalidModelOutputError ? 'invalid_model_output' : error.message;
+  }
+  return {
+    ...outcome,
+    answers: counted.answers(),
+    parseFailures: counted.answers() - accepted,
+    durationMs: Date.now() - start
+  };
+};
+
+/**
+ * Check every claim of a dataset, a few at a time, keeping the dataset order.
+ * @param {LLMProvider} provider - LLM provider
+ * @param {Array<Object>} dataset - Labelled claims
+ * @param {Object} [options] - Run options
+ * @param {Function} [options.selectPrompt] - Selects the prompt version for a claim text,
+ * the latest version by default
+ * @param {number} [options.concurrency=1] - Claims checked at the same time
+ * @param {Function} [options.onResult] - Called with each result and the number of settled claims
+ * @returns {Promise<Array<Object>>} Results, as returned by `evaluateClaim`
+ */
+const runEvaluation = async (provider, dataset, { selectPrompt, concurrency = 1, onResult = () => {} } = {}) => {
+  const results = new Array(dataset.length);
+  let next = 0;
+  let settled = 0;
+  const worker = async () => {
+    while (next < dataset.length) {
+      const index = next++;
+      const claim = dataset[index];
+      results[index] = await evaluateClaim(provider, claim, selectPrompt ? selectPrompt(claim.text) : null);
+      settled += 1;
+      onResult(results[index], settled);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.max(1, Math.min(concurrency, dataset.length)) }, worker));
+  return results;
+};
+
+/**
+ * Round a ratio for reporting.
+ * @param {number} numerator - Count
+ * @param {number} denominator - Total
+ * @returns {?number} Ratio with four decimals, or null if the total is zero
+ */
+const ratio = (numerator, denominator) => (denominator ? Math.round((numerator / denominator) * 10000) / 10000 : null);
+
+/**
+ * Summarize evaluation results.
+ * @param {Array<Object>} results - Results, as returned by `runEvaluation`
+ * @returns {Object} `total`, `checked` and `failed` claims, `accuracy`, `offByOneAccuracy`,
+ * `meanAbsoluteError` of the checked claims, `parseFailures` and `parseFailureRate` over
+ * every answer, and the `confusionMatrix` with its `labels` and `counts[expected][given]`
+ */
+const summarizeResults = (results) => {
+  const checked = results.filter(result => result.score !== null);
+  const exact = checked.filter(result => result.score === result.expectedScore).length;
+  const close = checked.filter(result => Math.abs(result.score - result.expectedScore) <= 1).length;
+  const answers = results.reduce((sum, result) => sum + result.answers, 0);
+  const parseFailures = results.reduce((sum, result) => sum + result.parseFailures, 0);
+  const counts = GRADES.map(() => GRADES.map(() => 0));
+  checked.forEach((result) => {
+    counts[result.expectedScore - 1][result.score - 1] += 1;
+  });
+
+  return {
+    total: results.length,
+    checked: checked.length,
+    failed: results.length - checked.length,
+    accuracy: ratio(exact, results.length),
+    offByOneAccuracy: ratio(close, results.length),
+    meanAbsoluteError: ratio(checked.reduce((sum, result) => sum + Math.abs(result.score - result.expectedScore), 0), checked.length),
+    answers,
+    parseFailures,
+    parseFailureRate: ratio(parseFailures, answers),
+    confusionMatrix: { labels: GRADES, counts }
+  };
+};
+
+/**
+ * Build the report of an evaluation run.
+ * @param {Object} run - Run details
+ * @param {string} run.dataset - Dataset name or path
+ * @param {LLMProvider} run.provider - Provider the claims were checked with
+ * @param {Array<Object>} run.results - Results, as returned by `runEvaluation`
+ * @param {string} run.startedAt - When the run started
+ * @param {number} run.durationMs - How long the run took
+ * @returns {Object} Report with the run details, the `summary`, a summary per prompt version
+ * in `byPromptVersion`, and the per-claim `results`
+ */
+const createReport = ({ dataset, provider, results, startedAt, durationMs }) => {
+  const versions = [...new Set(results.map(result => result.promptVersion).filter(Boolean))].sort();
+  return {
+    dataset,
+    provider: provider.name,
+    model: provider.model,
+    startedAt,
+    durationMs,
+    summary: summarizeResults(results),
+    byPromptVersion: Object.fromEntries(versions.map(version => [
+      version,
+      summarizeResults(results.filter(result => result.promptVersion === version))
+    ])),
+    results
+  };
+};
+
+/**
+ * Headline metrics of a report, compared between runs, with their labels.
+ * @type {Object<string, string>}
+ */
+const METRIC_LABELS = {
+  accuracy: 'Accuracy',
+  offByOneAccuracy: 'Off-by-one accuracy',
+  meanAbsoluteError: 'Mean absolute error',
+  parseFailureRate: 'Parse-failure rate'
+};
+
+/**
+ * Names of the headline metrics.
+ * @type {string[]}
+ */
+const COMPARED_METRICS = Object.keys(METRIC_LABELS);
+
+/**
+ * Compare the headline metrics of a report with an earlier one.
+ * @param {Object} report - Report of this run
+ * @param {Object} baseline - Report of an earlier run
+ * @returns {Object<string, {current: ?number, baseline: ?number, delta: ?number}>} Metrics with their change
+ */
+const compareReports = (report, baseline) => Object.fromEntries(COMPARED_METRICS.map((metric) => {
+  const current = report.summary[metric];
+  const previous = baseline.summary ? baseline.summary[metric] : null;
+  const delta = current === null || previous === null || previous === undefined
+    ? null
+    : Math.round((current - previous) * 10000) / 10000;
+  return [metric, { current, baseline: previous ?? null, delta }];
+}));
+
+/**
+ * Format a ratio as a percentage.
+ * @param {?number} value - Ratio
+ * @returns {string} Percentage, or a dash if there is none
+ */
+const percent = (value) => (value === null || value === undefined ? '-' : `${(value * 100).toFixed(1)}%`);
+
+/**
+ * Format a change of a ratio in percentage points.
+ * @param {?number} value - Change
+ * @returns {string} Signed change, or a dash if there is none
+ */
+const points = (value) => (value === null ? '-' : `${value >= 0 ? '+' : ''}${(value * 100).toFixed(1)} pts`);
+
+/**
+ * Escape a value for a Markdown table cell.
+ * @param {*} value - Cell value
+ * @returns {string} Cell
+ */
+const cell = (value) => String(value).replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+
+/**
+ * Render a report as Markdown.
+ * @param {Object} report - Report, as returned by `createReport`
+ * @param {Object} [baseline] - Report of an earlier run to compare with
+ * @returns {string} Markdown document
+ */
+const reportToMarkdown = (report, baseline) => {
+  const { summary } = report;
+  const lines = [
+    `# Fact-check evaluation: ${report.dataset}`,
+    '',
+    `Provider \`${report.provider}\`, model \`${report.model}\`, ${summary.total} claims, ` +
+      `started ${report.startedAt}, took ${(report.durationMs / 1000).toFixed(1)} s.`,
+    '',
+    '| Metric | Value |',
+    '| --- | --- |',
+    `| Accuracy | ${percent(summary.accuracy)} |`,
+    `| Off-by-one accuracy | ${percent(summary.offByOneAccuracy)} |`,
+    `| Mean absolute error | ${summary.meanAbsoluteError === null ? '-' : summary.meanAbsoluteError.toFixed(2)} |`,
+    `| Parse-failure rate | ${percent(summary.parseFailureRate)} (${summary.parseFailures} of ${summary.answers} answers) |`,
+    `| Claims not checked | ${summary.failed} |`
+  ];
+
+  if (baseline) {
+    const comparison = compareReports(report, baseline);
+    lines.push(
+      '',
+      `## Compared with ${baseline.model ? `\`${baseline.model}\`, ` : ''}${baseline.startedAt || 'the baseline'}`,
+      '',
+      '| Metric | Baseline | This run | Change |',
+      '| --- | --- | --- | --- |',
+      ...COMPARED_METRICS.map((metric) => {
+        const { current, baseline: previous, delta } = comparison[metric];
+        return metric === 'meanAbsoluteError'
+          ? `| ${METRIC_LABELS[metric]} | ${previous === null ? '-' : previous.toFixed(2)} | ${current === null ? '-' : current.toFixed(2)} | ${delta === null ? '-' : `${delta >= 0 ? '+' : ''}${delta.toFixed(2)}`} |`
+          : `| ${METRIC_LABELS[metric]} | ${percent(previous)} | ${percent(current)} | ${points(delta)} |`;
+      })
+    );
+  }
+
+  const versions = Object.entries(report.byPromptVersion || {});
+  if (versions.length > 1) {
+    lines.push(
+      '',
+      '## By prompt version',
+      '',
+      '| Version | Claims | Accuracy | Off-by-one accuracy | Parse-failure rate |',
+      '| --- | --- | --- | --- | --- |',
+      ...versions.map(([version, stats]) => (
+        `| ${version} | ${stats.total} | ${percent(stats.accuracy)} | ${percent(stats.offByOneAccuracy)} | ${percent(stats.parseFailureRate)} |`
+      ))
+    );
+  }
+
+  const { labels, counts } = summary.confusionMatrix;
+  lines.push(
+    '',
+    '## Confusion matrix',
+    '',
+    'Rows are the expected grades, columns the grades given.',
+    '',
+    `| Expected | ${labels.join(' | ')} |`,
+    `| --- | ${labels.map(() => '---').join(' | ')} |`,
+    ...labels.map((label, row) => `| ${label} | ${counts[row].join(' | ')} |`)
+  );
+
+  const misses = report.results.filter(result => result.score !== result.expectedScore);
+  if (misses.length) {
+    lines.push(
+      '',
+      '## Misses',
+      '',
+      '| Id | Claim | Expected | Given |',
+      '| --- | --- | --- | --- |',
+      ...misses.map(result => (
+        `| ${cell(result.id)} | ${cell(result.text)} | ${result.expected} | ${cell(result.grade || `not checked (${result.error})`)} |`
+      ))
+    );
+  }
+  return `${lines.join('\n')}\n`;
+};
+
+module.exports = {
+  InvalidDatasetError,
+  parseDataset,
+  loadDataset,
+  runEvaluation,
+  summarizeResults,
+  createReport,
+  compareReports,
+  reportToMarkdown
+};
@@ -0,0 +1,341 @@
+/**
+ * @fileoverview Local evidence corpus used for retrieval-augmented fact-checking.
+ * Reference documents (Markdown, plain text or HTML) are split into passages and indexed
+ * for full-text search. For every checked claim the best matching passages are passed to
+ * the model and returned as sources. Configured with:
+ *
+ * - `EVIDENCE_STORE_BACKEND` - `file` (default), `memory` or `none` to disable retrieval
+ * - `EVIDENCE_STORE_FILE` - JSON file used by the file backend (default `data/evidence.json`)
+ * - `EVIDENCE_TOP_K` - Maximum number of passages retrieved per claim (default 3)
+ * @module lib/evidence
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const { createMemoryStore } = require('../stores/memory');
+const { createFileStore } = require('../stores/file');
+const { extractTitle, htmlToText } = require('./fetchPage');
+const { tokenize } = require('./terms');
+
+/**
+ * Formats of documents that can be ingested.
+ * @type {string[]}
+ */
+const DOCUMENT_FORMATS = ['markdown', 'text', 'html'];
+
+/**
+ * Format of a document identifier.
+ * @type {RegExp}
+ */
+const DOCUMENT_ID_PATTERN = /^[A-Za-z0-9_.-]{1,100}$/;
+
+/**
+ * Target length of a passage, in characters. Paragraphs are merged up to this length
+ * and longer paragraphs are split between sentences.
+ * @type {number}
+ */
+const PASSAGE_LENGTH = 600;
+
+/**
+ * Maximum length of the snippet returned for a passage, in characters.
+ * @type {number}
+ */
+const SNIPPET_LENGTH = 300;
+
+/**
+ * BM25 term frequency saturation and length normalization parameters.
+ * @type {{k1: number, b: number}}
+ */
+const BM25 = { k1: 1.2, b: 0.75 };
+
+/**
+ * Error raised when a document cannot be ingested.
+ */
+class InvalidDocumentError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'InvalidDocumentError';
+  }
+}
+
+/**
+ * Guess the format of a document from its file name.
+ * @param {string} fileName - File name or path
+ * @returns {string} One of markdown, text or html
+ */
+const detectFormat = (fileName) => {
+  const extension = path.extname(fileName).toLowerCase();
+  if (['.md', '.markdown'].includes(extension)) return 'markdown';
+  if (['.html', '.htm'].includes(extension)) return 'html';
+  return 'text';
+};
+
+/**
+ * Convert Markdown to plain-text blocks, keeping the first heading as title.
+ * @param {string} markdown - Markdown source
+ * @returns {{title: ?string, blocks: string[]}} Title and paragraphs
+ */
+const parseMarkdown = (markdown) => {
+  const heading = markdown.match(/^#\s+(.+)$/m);
+  const text = markdown
+    .replace(/^```.*$/gm, '')
+    .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+    .replace(/^[ \t]{0,3}(#{1,6}|>|[-*+]|\d+\.)[ \t]+/gm, '')
+    .replace(/(\*\*|__|\*|_|`)(\S(?:.*?\S)?)\1/g, '$2');
+  return { title: heading ? heading[1].trim() : null, blocks: text.split(/\n\s*\n/) };
+};
+
+/**
+ * Convert HTML to plain-text blocks, one per block-level element.
+ * @param {string} html - HTML source
+ * @returns {{title: ?string, blocks: string[]}} Title and paragraphs
+ */
+const parseHtml = (html) => {
+  const body = html.replace(/<head[\s\S]*?<\/head>/i, ' ');
+  return {
+    title: extractTitle(html),
+    blocks: body.split(/<\/?(?:p|div|section|article|h[1-6]|li|ul|ol|table|tr|blockquote|pre|br)\b[^>]*>/i)
+      .map(htmlToText)
+  };
+};
+
+/**
+ * Split a document into plain-text paragraphs.
+ * @param {string} content - Document source
+ * @param {string} format - One of markdown, text or html
+ * @returns {{title: ?string, blocks: string[]}} Title, if the document has one, and paragraphs
+ */
+const parseDocument = (content, format) => {
+  switch (format) {
+    case 'markdown':
+      return parseMarkdown(content);
+    case 'html':
+      return parseHtml(content);
+    default:
+      return { title: null, blocks: content.split(/\n\s*\n/) };
+  }
+};
+
+/**
+ * Group paragraphs into passages of about `PASSAGE_LENGTH` characters.
+ * @param {string[]} blocks - Paragraphs
+ * @returns {string[]} Passages
+ */
+const splitPassages = (blocks) => {
+  const sentences = blocks
+    .map(block => block.replace(/\s+/g, ' ').trim())
+    .filter(Boolean)
+    .flatMap(block => (block.length > PASSAGE_LENGTH ? block.match(/[^.!?]+(?:[.!?]+\s*|$)/g) : [block]))
+    .map(sentence => sentence.trim())
+    .filter(Boolean);
+
+  const passages = [];
+  let current = '';
+  sentences.forEach((sentence) => {
+    if (current && current.length + sentence.length + 1 > PASSAGE_LENGTH) {
+      passages.push(current);
+      current = '';
+    }
+    current = current ? `${current} ${sentence}` : sentence;
+  });
+  if (current) passages.push(current);
+  return passages;
+};
+
+/**
+ * Shorten a passage for display.
+ * @param {string} text - Passage text
+ * @returns {string} Snippet of at most `SNIPPET_LENGTH` characters
+ */
+const toSnippet = (text) => (text.length > SNIPPET_LENGTH
+  ? `${text.slice(0, SNIPPET_LENGTH - 1).replace(/\s+\S*$/, '')}…`
+  : text);
+
+/**
+ * Turn a retrieved passage into a source of a fact-check.
+ * @param {Object} passage - Passage returned by `search`
+ * @returns {{title: string, url: ?string, documentId: string, snippet: string}} Source
+ */
+const toSource = ({ title, url, documentId, snippet }) => ({ title, url, documentId, snippet });
+
+/**
+ * Create an evidence index on top of a key-value store of documents.
+ * The search index is built in memory from the stored documents and rebuilt after changes.
+ * @param {Object} options - Index options
+ * @param {KeyValueStore} options.store - Store holding the documents
+ * @param {number} [options.topK=3] - Default number of passages returned by `search`
+ * @returns {Object} Evidence index
+ */
+const createEvidenceIndex = ({ store, topK = 3 }) => {
+  let index = null;
+
+  /**
+   * Build the search index from the stored documents.
+   * @returns {Promise<Object>} Passages with their term frequencies, document frequencies
+   * and average passage length
+   */
+  const buildIndex = async () => {
+    const passages = [];
+    const documentFrequency = new Map();
+    (await store.entries()).forEach(([, document]) => {
+      document.passages.forEach((text, position) => {
+        const terms = tokenize(text);
+        const frequencies = new Map();
+        terms.forEach(term => frequencies.set(term, (frequencies.get(term) || 0) + 1));
+        frequencies.forEach((count, term) => documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1));
+        passages.push({ document, position, text, length: terms.length, frequencies });
+      });
+    });
+    const averageLength = passages.reduce((sum, passage) => sum + passage.length, 0) / (passages.length || 1);
+    return { passages, documentFrequency, averageLength };
+  };
+
+  return {
+    /**
+     * Add a document to the corpus, replacing any document with the same identifier.
+     * @param {Object} document - Document to ingest
+     * @param {string} document.content - Document source
+     * @param {string} [document.format='text'] - One of markdown, text or html
+     * @param {string} [document.id] - Identifier, generated when omitted
+     * @param {string} [document.title] - Title, taken from the document or its first line when omitted
+     * @param {string} [document.url] - Where the original document can be read
+     * @returns {Promise<Object>} Summary of the stored document: id, title, url, format,
+     * passage count and ingestedAt
+     * @throws {InvalidDocumentError} If the document is invalid or has no text
+     */
+    async ingest({ content, format = 'text', id, title, url }) {
+      if (!content || typeof content !== 'string') {
+        throw new InvalidDocumentError('Content is required and must be a string');
+      }
+      if (!DOCUMENT_FORMATS.includes(format)) {
+        throw new InvalidDocumentError(`Format must be one of: ${DOCUMENT_FORMATS.join(', ')}`);
+      }
+      if (id !== undefined && (typeof id !== 'string' || !DOCUMENT_ID_PATTERN.test(id))) {
+        throw new InvalidDocumentError('Id may only contain letters, digits, dots, dashes and underscores');
+      }
+      if (url !== undefined && url !== null && !/^https?:\/\//i.test(url)) {
+        throw new InvalidDocumentError('URL must be an http or https URL');
+      }
+
+      const parsed = parseDocument(content, format);
+      const passages = splitPassages(parsed.blocks);
+      if (!passages.length) {
+        throw new InvalidDocumentError('Document has no text');
+      }
+
+      const document = {
+        id: id || crypto.randomBytes(8).toString('base64url'),
+        title: (typeof title === 'string' && title.trim()) || parsed.title || toSnippet(passages[0]).slice(0, 80),
+        url: url || null,
+        format,
+        passages,
+        ingestedAt: new Date().toISOString()
+      };
+      await store.set(document.id, document);
+      index = null;
+
+      const { passages: stored, ...summary } = document;
+      return { ...summary, passageCount: stored.length };
+    },
+
+    /**
+     * Remove a document from the corpus.
+     * @param {string} id - Document identifier
+     * @returns {Promise<boolean>} True if a document was removed
+     */
+    async remove(id) {
+      const removed = await store.delete(id);
+      if (removed) index = null;
+      return removed;
+    },
+
+    /**
+     * List the documents in the corpus.
+     * @returns {Promise<Array<Object>>} Document summaries, as returned by `ingest`
+     */
+    async list() {
+      return (await store.entries()).map(([, { passages, ...summary }]) => ({
+        ...summary,
+        passageCount: passages.length
+      }));
+    },
+
+    /**
+     * Find the passages that best match a claim, ranked with BM25.
+     * Passages must share at least two terms with the claim (or its only term).
+     * @param {string} text - Claim text
+     * @param {Object} [options] - Search options
+     * @param {number} [options.limit] - Maximum number of passages, defaults to `topK`
+     * @returns {Promise<Array<Object>>} Passages with documentId, title, url, passage
+     * position, text, snippet and score, best first
+     */
+    async search(text, { limit = topK } = {}) {
+      const queryTerms = [...new Set(tokenize(text))];
+      if (!queryTerms.length) return [];
+      index = index || await buildIndex();
+
+      const { passages, documentFrequency, averageLength } = index;
+      const minMatches = Math.min(2, queryTerms.length);
+      return passages
+        .map((passage) => {
+          const matched = queryTerms.filter(term => passage.frequencies.has(term));
+          const score = matched.reduce((sum, term) => {
+            const frequency = passage.frequencies.get(term);
+            const df = documentFrequency.get(term);
+            const idf = Math.log(1 + (passages.length - df + 0.5) / (df + 0.5));
+            const norm = BM25.k1 * (1 - BM25.b + BM25.b * (passage.length / averageLength));
+            return sum + idf * (frequency * (BM25.k1 + 1)) / (frequency + norm);
+          }, 0);
+          return { passage, matches: matched.length, score };
+        })
+        .filter(({ matches }) => matches >= minMatches)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit)
+        .map(({ passage, score }) => ({
+          documentId: passage.document.id,
+          title: passage.document.title,
+          url: passage.document.url,
+          passage: passage.position,
+          text: passage.text,
+          snippet: toSnippet(passage.text),
+          score: Math.round(score * 1000) / 1000
+        }));
+    }
+  };
+};
+
+/**
+ * Create the evidence index selected by configuration.
+ * @param {Object} [env=process.env] - Configuration variables
+ * @returns {?Object} Evidence index, or null when retrieval is disabled
+ */
+const createEvidenceIndexFromEnv = (env = process.env) => {
+  const backend = (env.EVIDENCE_STORE_BACKEND || 'file').toLowerCase();
+  const topK = Number(env.EVIDENCE_TOP_K || 3);
+
+  switch (backend) {
+    case 'none':
+      return null;
+    case 'memory':
+      return createEvidenceIndex({ store: createMemoryStore(), topK });
+    case 'file':
+      return createEvidenceIndex({
+        store: createFileStore(env.EVIDENCE_STORE_FILE || path.join(__dirname, '..', 'data', 'evidence.json')),
+        topK
+      });
+    default:
+      throw new Error(`Unknown EVIDENCE_STORE_BACKEND "${backend}". Use file, memory or none.`);
+  }
+};
+
+module.exports = {
+  DOCUMENT_FORMATS,
+  InvalidDocumentError,
+  detectFormat,
+  parseDocument,
+  splitPassages,
+  toSource,
+  createEvidenceIndex,
+  createEvidenceIndexFromEnv
+};
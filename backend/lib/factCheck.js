@@ -0,0 +1,383 @@
+/**
+ * @fileoverview Fact-checking pipeline built on structured model outputs.
+ * The model is asked for a JSON object constrained by a JSON Schema, with a numeric
+ * `score` from 1 (absolutely false) to 5 (truth) and its `confidence` from 0 to 1. The
+ * grade label returned to clients is derived from the score and, like the score, is the
+ * same whatever the language of the text; only the reasoning is written in that language.
+ * Near-miss answers (a grade label instead of a score, off-scale scores, percentages,
+ * sources given as a string) are repaired before validation. The system prompt is a versioned
+ * template (`prompts/fact-check`), and every verdict records its `promptVersion`.
+ * @module lib/factCheck
+ */
+
+const {
+  InvalidModelOutputError,
+  parseStructured,
+  readPartialString,
+  readPartialNumber,
+  createStructured
+} = require('./structuredOutput');
+const { detectLanguage, languageName } = require('./language');
+const { logger } = require('./logger');
+const { metrics } = require('./metrics');
+const { createPromptSelector, renderPrompt } = require('./prompts');
+const { quoteUserText } = require('./inputScreening');
+
+/**
+ * Grade labels, from least to most truthful. The label of score `n` is `GRADES[n - 1]`.
+ * @type {string[]}
+ */
+const GRADES = ['Absolutely False', 'Mostly False', 'Neutral', 'Mostly True', 'Truth'];
+
+/**
+ * Other labels models commonly use, mapped to the score they stand for.
+ * @type {Object<string, number>}
+ */
+const LABEL_SCORES = {
+  'false': 1,
+  'pants on fire': 1,
+  'incorrect': 1,
+  'fabricated': 1,
+  'mostly incorrect': 2,
+  'misleading': 2,
+  'mostly inaccurate': 2,
+  'half true': 3,
+  'mixed': 3,
+  'mixture': 3,
+  'partly true': 3,
+  'unproven': 3,
+  'unverifiable': 3,
+  'unverified': 3,
+  'mostly accurate': 4,
+  'mostly correct': 4,
+  'largely true': 4,
+  'true': 5,
+  'correct': 5,
+  'accurate': 5
+};
+
+/**
+ * Map a grade label to its score, accepting other casing, spacing and common synonyms.
+ * @param {string} label - Grade label
+ * @returns {?number} Score from 1 to 5, or null if the label is not recognized
+ */
+const scoreFromLabel = (label) => {
+  const normalized = label.toLowerCase().replace(/[^a-z]+/g, ' ').trim();
+  const index = GRADES.findIndex(grade => grade.toLowerCase() === normalized);
+  if (index !== -1) return index + 1;
+  return LABEL_SCORES[normalized] ?? null;
+};
+
+/**
+ * Derive the grade label of a score.
+ * @param {number} score - Score from 1 to 5
+ * @returns {string} Grade label
+ */
+const gradeFromScore = (score) => GRADES[score - 1];
+
+/**
+ * JSON Schema of a fact-check answer.
+ * Kept within the subset accepted by OpenAI strict structured outputs, so the score range
+ * is an enum and the confidence range is enforced by the repair step.
+ * @type {Object}
+ */
+const factCheckSchema = {
+  type: 'object',
+  properties: {
+    score: { type: 'integer', enum: [1, 2, 3, 4, 5] },
+    confidence: { type: ['number', 'null'] },
+    reasoning: { type: 'string' },
+    sources: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          title: { type: 'string' },
+          url: { type: ['string', 'null'] }
+        },
+        required: ['title', 'url'],
+        additionalProperties: false
+      }
+    }
+  },
+  required: ['score', 'confidence', 'reasoning', 'sources'],
+  additionalProperties: false
+};
+
+/**
+ * Variables of the system prompt template.
+ * @type {Object<string, string>}
+ */
+const PROMPT_VARIABLES = {
+  gradeScale: GRADES.map((grade, index) => `${index + 1} means ${grade}`).join(', ')
+};
+
+/**
+ * Selector of the latest version of the system prompt, used unless another version is given.
+ * @type {Object}
+ */
+const latestPrompt = createPromptSelector({ name: 'fact-check' });
+
+/**
+ * Generation settings used for fact-checking.
+ * @type {Object}
+ */
+const GENERATION_SETTINGS = {
+  temperature: 0.3,
+  maxTokens: 600
+};
+
+/**
+ * Turn a loosely formatted source into a `{ title, url }` object.
+ * @param {string|Object} source - Source as a string or object
+ * @returns {Object} Normalized source
+ */
+const normalizeSource = (source) => {
+  if (typeof source === 'string') {
+    const cleanSource = source.trim().replace(/^(-|\d+\.)\s*/, '');
+    return { title: cleanSource, url: /^https?:\/\//i.test(cleanSource) ? cleanSource : null };
+  }
+  if (source && typeof source === 'object' && !Array.isArray(source)) {
+    const url = typeof source.url === 'string' && source.url.trim() ? source.url.trim() : null;
+    const title = typeof source.title === 'string' && source.title.trim() ? source.title.trim() : url;
+    return { title, url };
+  }
+  return source;
+};
+
+/**
+ * Bring a score given in another form onto the 1 to 5 scale.
+ * Numeric strings are parsed, fractional scores rounded and off-scale scores clamped.
+ * @param {*} score - Score from the model
+ * @returns {*} Repaired score, or the value unchanged if it is not numeric
+ */
+const repairScore = (score) => {
+  const value = typeof score === 'string' && score.trim() ? Number(score) : score;
+  if (typeof value !== 'number' || !Number.isFinite(value)) return score;
+  return Math.min(5, Math.max(1, Math.round(value)));
+};
+
+/**
+ * Bring a confidence given in another form into the 0 to 1 range.
+ * Percentages (e.g. 85 or "85%") are divided by 100 and other values are clamped.
+ * @param {*} confidence - Confidence from the model
+ * @returns {*} Repaired confidence, null if missing, or the value unchanged if it is not numeric
+ */
+const repairConfidence = (confidence) => {
+  if (confidence === undefined) return null;
+  const value = typeof confidence === 'string' && confidence.trim()
+    ? Number(confidence.trim().replace(/%$/, ''))
+    : confidence;
+  if (typeof value !== 'number' || !Number.isFinite(value)) return confidence;
+  const fraction = value > 1 ? value / 100 : value;
+  return Math.min(1, Math.max(0, Math.round(fraction * 100) / 100));
+};
+
+/**
+ * Repair near-miss answers so that they validate against the schema.
+ * Fixes scores given as a grade label (including common synonyms) or off the scale,
+ * confidences given as percentages or missing, surrounding whitespace, and sources given
+ * as a string or as an array of strings. Anything else is left for validation to reject.
+ * @param {*} value - Parsed model output
+ * @returns {*} Repaired value
+ */
+const repairFactCheck = (value) => {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return value;
+  const { grade, ...repaired } = value;
+
+  if (repaired.score === undefined && typeof grade === 'string') {
+    const score = scoreFromLabel(grade);
+    if (score) repaired.score = score;
+  } else if (typeof repaired.score === 'string' && scoreFromLabel(repaired.score)) {
+    repaired.score = scoreFromLabel(repaired.score);
+  }
+  if (repaired.score !== undefined) {
+    repaired.score = repairScore(repaired.score);
+  }
+  repaired.confidence = repairConfidence(repaired.confidence);
+
+  if (typeof repaired.reasoning === 'string') {
+    repaired.reasoning = repaired.reasoning.trim();
+  }
+  if (typeof repaired.sources === 'string') {
+    repaired.sources = repaired.sources.split(/[\n,]/).filter(source => source.trim());
+  }
+  if (Array.isArray(repaired.sources)) {
+    repaired.sources = repaired.sources.map(normalizeSource);
+  }
+  return repaired;
+};
+
+/**
+ * Add the grade label derived from the score to a validated fact-check.
+ * @param {Object} value - Fact-check with score, confidence, reasoning and sources
+ * @returns {Object} Fact-check with grade, score, confidence, reasoning and sources
+ */
+const withGrade = (value) => ({ grade: gradeFromScore(value.score), ...value });
+
+/**
+ * Format passages retrieved from the evidence corpus as a system message.
+ * @param {Array<Object>} evidence - Passages with title and text
+ * @returns {string} Message content
+ */
+const formatEvidence = (evidence) => 'Reference passages from the TruthCheckMe evidence library follow. ' +
+  'When they are relevant, base your analysis on them rather than on general knowledge, and cite them ' +
+  'by title in your sources.\n\n' +
+  evidence.map((passage, index) => `[${index + 1}] ${passage.title}\n${passage.text}`).join('\n\n');
+
+/**
+ * Build the chat messages for a fact-check request.
+ * @param {string} text - Text to be fact-checked
+ * @param {Array<Object>} [evidence=[]] - Passages retrieved from the evidence corpus
+ * @param {string} [language='en'] - Language to write the reasoning in, as an ISO 639-1 code
+ * @param {{template: string}} [prompt] - System prompt version, the latest by default
+ * @returns {Array<Object>} Chat messages
+ */
+const buildMessages = (text, evidence = [], language = 'en', prompt = latestPrompt.select(text)) => [
+  { role: 'system', content: renderPrompt(prompt.template, PROMPT_VARIABLES) },
+  {
+    role: 'system',
+    content: `The text is written in ${languageName(language)}. Write your reasoning in ${languageName(language)}, ` +
+      'but keep source titles as they were published.'
+  },
+  ...(evidence.length ? [{ role: 'system', content: formatEvidence(evidence) }] : []),
+  { role: 'user', content: quoteUserText(text) }
+];
+
+/**
+ * Extra checks on a schema-valid fact-check.
+ * @param {Object} value - Fact-check
+ * @returns {string[]} Validation errors
+ */
+const checkFactCheck = (value) => (value.reasoning ? [] : ['$.reasoning must not be empty']);
+
+/**
+ * Parse, repair and validate raw fact-check output.
+ * @param {string} content - Raw model output
+ * @returns {{value: (Object|undefined), errors: string[]}} The fact-check and any validation errors
+ */
+const parseFactCheck = (content) => {
+  const result = parseStructured(content, {
+    schema: factCheckSchema,
+    repair: repairFactCheck,
+    check: checkFactCheck
+  });
+  return result.errors.length ? result : { ...result, value: withGrade(result.value) };
+};
+
+/**
+ * Fact-check a text.
+ * @param {LLMProvider} provider - LLM provider
+ * @param {string} text - Text to be fact-checked
+ * @param {Object} [options] - Fact-check options
+ * @param {Array<Object>} [options.evidence] - Passages from the evidence corpus to give the model
+ * @param {string} [options.language] - Language of the text, detected from the text by default
+ * @param {number} [options.temperature] - Sampling temperature, instead of the usual one
+ * @param {{version: string, template: string}} [options.prompt] - System prompt version, as
+ * selected by a prompt selector, the latest by default
+ * @returns {Promise<Object>} Fact-check with grade, score, confidence, reasoning, sources, the
+ * language of the reasoning and the `promptVersion` that produced it
+ * @throws {InvalidModelOutputError} If the model keeps returning invalid output
+ */
+const factCheck = async (provider, text, {
+  evidence,
+  language = detectLanguage(text),
+  temperature,
+  prompt = latestPrompt.select(text)
+} = {}) => {
+  const value = await createStructured(provider, {
+    name: 'fact_check',
+    schema: factCheckSchema,
+    settings: temperature === undefined ? GENERATION_SETTINGS : { ...GENERATION_SETTINGS, temperature },
+    messages: buildMessages(text, evidence, language, prompt),
+    repair: repairFactCheck,
+    check: checkFactCheck
+  });
+  return { ...withGrade(value), language, promptVersion: prompt.version };
+};
+
+/**
+ * Read the score from a partial model answer, as soon as it is complete.
+ * Models that answer with a grade label rather than a score are also understood.
+ * @param {string} buffer - Model output received so far
+ * @returns {?number} Score from 1 to 5, or null while it is not known
+ */
+const readPartialScore = (buffer) => {
+  const score = readPartialNumber(buffer, 'score');
+  if (score !== null) return repairScore(score);
+  const grade = readPartialString(buffer, 'grade');
+  return grade && grade.complete ? scoreFromLabel(grade.value) : null;
+};
+
+/**
+ * Fact-check a text, streaming the answer as the model generates it.
+ * Yields a `grade` event with the grade and score once the score is known, `reasoning`
+ * events with each new piece of reasoning text, then `sources` and finally `done` with
+ * the validated result.
+ * If the streamed answer turns out to be invalid, the text is checked again without
+ * streaming and `done` carries that result instead, which supersedes earlier events.
+ * @param {LLMProvider} provider - LLM provider
+ * @param {string} text - Text to be fact-checked
+ * @param {Object} [options] - Streaming options
+ * @param {AbortSignal} [options.signal] - Aborts the upstream request when triggered
+ * @param {Array<Object>} [options.evidence] - Passages from the evidence corpus to give the model
+ * @param {string} [options.language] - Language of the text, detected from the text by default
+ * @param {{version: string, template: string}} [options.prompt] - System prompt version, the latest by default
+ * @yields {{event: string, data: Object}} Fact-check events
+ */
+async function* streamFactCheck(provider, text, {
+  signal,
+  evidence,
+  language = detectLanguage(text),
+  prompt = latestPrompt.select(text)
+} = {}) {
+  const stream = provider.stream({
+    ...GENERATION_SETTINGS,
+    messages: buildMessages(text, evidence, language, prompt),
+    schema: { name: 'fact_check', schema: factCheckSchema }
+  }, { signal });
+
+  let content = '';
+  let gradeSent = false;
+  let reasoningSent = 0;
+  for await (const delta of stream) {
+    content += delta;
+
+    if (!gradeSent) {
+      const score = readPartialScore(content);
+      if (score) {
+        gradeSent = true;
+        yield { event: 'grade', data: { grade: gradeFromScore(score), score } };
+      }
+    }
+
+    const reasoning = readPartialString(content, 'reasoning');
+    if (reasoning && reasoning.value.length > reasoningSent) {
+      yield { event: 'reasoning', data: { delta: reasoning.value.slice(reasoningSent) } };
+      reasoningSent = reasoning.value.length;
+    }
+  }
+
+  const result = parseFactCheck(content);
+  if (result.errors.length) {
+    metrics.parseFailures.inc({ schema: 'fact_check' });
+    logger.warn('Invalid streamed fact_check output, checking again', { errors: result.errors });
+    yield { event: 'done', data: await factCheck(provider, text, { evidence, language, prompt }) };
+    return;
+  }
+
+  yield { event: 'sources', data: { sources: result.value.sources } };
+  yield { event: 'done', data: { ...result.value, language, promptVersion: prompt.version } };
+}
+
+module.exports = {
+  GRADES,
+  scoreFromLabel,
+  gradeFromScore,
+  GENERATION_SETTINGS,
+  factCheckSchema,
+  InvalidModelOutputError,
+  parseFactCheck,
+  factCheck,
+  streamFactCheck
+};
@@ -0,0 +1,82 @@
+/**
+ * @fileoverview Persistent fact-check records.
+ * Every fact-check is stored under a random identifier so that it can be shared as a
+ * permalink. Identifiers are 128-bit random values, so they are stable and unguessable.
+ * Configured with:
+ *
+ * - `FACT_CHECK_STORE_BACKEND` - `file` (default) or `memory`
+ * - `FACT_CHECK_STORE_FILE` - JSON file used by the file backend (default `data/fact-checks.json`)
+ * @module lib/factCheckRecords
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const { createMemoryStore } = require('../stores/memory');
+const { createFileStore } = require('../stores/file');
+
+/**
+ * Format of a record identifier: 16 random bytes, base64url-encoded.
+ * @type {RegExp}
+ */
+const RECORD_ID_PATTERN = /^[A-Za-z0-9_-]{22}$/;
+
+/**
+ * Generate a new record identifier.
+ * @returns {string} Identifier
+ */
+const generateId = () => crypto.randomBytes(16).toString('base64url');
+
+/**
+ * Create a record store on top of a key-value store.
+ * @param {Object} options - Record store options
+ * @param {KeyValueStore} options.store - Store holding the records
+ * @returns {Object} Record store
+ */
+const createRecordStore = ({ store }) => ({
+  /**
+   * Persist a fact-check.
+   * @param {Object} record - Record fields: text, the result fields, model and provider
+   * @returns {Promise<Object>} Stored record, including its `id` and `createdAt`
+   */
+  async create(record) {
+    const stored = { id: generateId(), ...record, createdAt: new Date().toISOString() };
+    await store.set(stored.id, stored);
+    return stored;
+  },
+
+  /**
+   * Look up a record by identifier.
+   * @param {string} id - Record identifier
+   * @returns {Promise<?Object>} Record, or null if there is none with that identifier
+   */
+  async get(id) {
+    if (!RECORD_ID_PATTERN.test(id)) return null;
+    return (await store.get(id)) || null;
+  }
+});
+
+/**
+ * Create the record store selected by configuration.
+ * @param {Object} [env=process.env] - Configuration variables
+ * @returns {Object} Record store
+ */
+const createRecordStoreFromEnv = (env = process.env) => {
+  const backend = (env.FACT_CHECK_STORE_BACKEND || 'file').toLowerCase();
+
+  switch (backend) {
+    case 'memory':
+      return createRecordStore({ store: createMemoryStore() });
+    case 'file':
+      return createRecordStore({
+        store: createFileStore(env.FACT_CHECK_STORE_FILE || path.join(__dirname, '..', 'data', 'fact-checks.json'))
+      });
+    default:
+      throw new Error(`Unknown FACT_CHECK_STORE_BACKEND "${backend}". Use file or memory.`);
+  }
+};
+
+module.exports = {
+  RECORD_ID_PATTERN,
+  createRecordStore,
+  createRecordStoreFromEnv
+};
@@ -0,0 +1,259 @@
+/**
+ * @fileoverview Reader feedback on verdicts.
+ * Readers can vote a fact-check up or down, or dispute it with a reason and, optionally,
+ * a counter-source. Disputes are exported so that model mistakes can be audited.
+ *
+ * To keep the feedback meaningful, each client has a single say per fact-check: a new
+ * submission replaces the previous one. Clients are told apart by a salted hash of their
+ * address, so no address is stored. Configured with:
+ *
+ * - `FEEDBACK_STORE_BACKEND` - `file` (default) or `memory`
+ * - `FEEDBACK_STORE_FILE` - JSON file used by the file backend (default `data/feedback.json`)
+ * - `FEEDBACK_SALT` - Salt of the client hashes. When unset a random salt is used, so a client
+ *   can submit again for the same fact-check after a restart
+ * - `FEEDBACK_RATE_LIMIT_IP_LIMIT` / `FEEDBACK_RATE_LIMIT_IP_WINDOW_SECONDS` - Submissions allowed
+ *   per window for each IP address (default 10 per 3600 seconds)
+ * @module lib/feedback
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const { createMemoryStore } = require('../stores/memory');
+const { createFileStore } = require('../stores/file');
+const { RECORD_ID_PATTERN } = require('./factCheckRecords');
+
+/**
+ * Kinds of feedback.
+ * @type {string[]}
+ */
+const VOTES = ['up', 'down', 'dispute'];
+
+/**
+ * Length limits of a dispute reason, in characters.
+ * @type {{min: number, max: number}}
+ */
+const REASON_LENGTH = { min: 10, max: 1000 };
+
+/**
+ * Links allowed in a dispute reason. Link-stuffed reasons are almost always spam.
+ * @type {number}
+ */
+const MAX_REASON_LINKS = 2;
+
+/**
+ * Maximum length of a counter-source URL.
+ * @type {number}
+ */
+const MAX_URL_LENGTH = 2000;
+
+/**
+ * Columns of the dispute export, in order.
+ * @type {string[]}
+ */
+const EXPORT_COLUMNS = ['createdAt', 'factCheckId', 'text', 'grade', 'score', 'confidence', 'model', 'promptVersion', 'reason', 'counterSource'];
+
+/**
+ * Error thrown when feedback is invalid. Its message can be shown to the reader.
+ */
+class InvalidFeedbackError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'InvalidFeedbackError';
+  }
+}
+
+/**
+ * Check submitted feedback and keep only its known fields.
+ * @param {Object} body - Submitted feedback
+ * @returns {{factCheckId: string, vote: string, reason: ?string, counterSource: ?string}} Feedback
+ * @throws {InvalidFeedbackError} If a field is missing or invalid
+ */
+const validateFeedback = (body = {}) => {
+  const { factCheckId, vote, reason, counterSource } = body;
+
+  if (typeof factCheckId !== 'string' || !RECORD_ID_PATTERN.test(factCheckId)) {
+    throw new InvalidFeedbackError('Fact check id is required and must be a fact check identifier');
+  }
+  if (!VOTES.includes(vote)) {
+    throw new InvalidFeedbackError(`Vote must be one of: ${VOTES.join(', ')}`);
+  }
+  if (vote !== 'dispute') {
+    return { factCheckId, vote, reason: null, counterSource: null };
+  }
+
+  const trimmed = typeof reason === 'string' ? reason.trim() : '';
+  if (trimmed.length < REASON_LENGTH.min || trimmed.length > REASON_LENGTH.max) {
+    throw new InvalidFeedbackError(
+      `Reason is required to dispute a verdict and must be ${REASON_LENGTH.min} to ${REASON_LENGTH.max} characters`
+    );
+  }
+  if ((trimmed.match(/https?:\/\//gi) || []).length > MAX_REASON_LINKS) {
+    throw new InvalidFeedbackError(`Reason may contain at most ${MAX_REASON_LINKS} links`);
+  }
+  if (counterSource !== undefined && counterSource !== null && counterSource !== '') {
+    if (typeof counterSource !== 'string' || counterSource.length > MAX_URL_LENGTH ||
+        !/^https?:\/\/[^\s]+$/i.test(counterSource.trim())) {
+      throw new InvalidFeedbackError('Counter-source must be an http or https URL');
+    }
+  }
+
+  return { factCheckId, vote, reason: trimmed, counterSource: counterSource ? counterSource.trim() : null };
+};
+
+/**
+ * Quote a value for CSV. Values that a spreadsheet would run as a formula are prefixed
+ * with an apostrophe, since disputes are free text written by anyone.
+ * @param {*} value - Cell value
+ * @returns {string} CSV cell
+ */
+const toCsvCell = (value) => {
+  if (value === null || value === undefined) return '';
+  let cell = String(value);
+  if (/^[=+\-@\t\r]/.test(cell)) cell = `'${cell}`;
+  return /[",\r\n]/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell;
+};
+
+/**
+ * Format exported disputes as CSV, one row per dispute.
+ * @param {Array<Object>} disputes - Disputes with their fact-check, as returned by `exportDisputes`
+ * @returns {string} CSV document with a header row
+ */
+const disputesToCsv = (disputes) => [
+  EXPORT_COLUMNS.join(','),
+  ...disputes.map(dispute => {
+    const row = { ...dispute.factCheck, ...dispute };
+    return EXPORT_COLUMNS.map(column => toCsvCell(row[column])).join(',');
+  })
+].join('\r\n') + '\r\n';
+
+/**
+ * Create a feedback store on top of a key-value store.
+ * @param {Object} options - Feedback store options
+ * @param {KeyValueStore} options.store - Store holding the feedback
+ * @param {string} [options.salt] - Salt of the client hashes, random when omitted
+ * @returns {Object} Feedback store
+ */
+const createFeedbackStore = ({ store, salt = crypto.randomBytes(16).toString('hex') }) => {
+  /**
+   * Key of a client's feedback on a fact-check.
+   * @param {string} factCheckId - Fact-check identifier
+   * @param {string} client - Client address
+   * @returns {string} Store key
+   */
+  const keyFor = (factCheckId, client) => {
+    const clientHash = crypto.createHmac('sha256', salt).update(client).digest('base64url');
+    return `${factCheckId}:${clientHash}`;
+  };
+
+  /**
+   * All stored feedback.
+   * @returns {Promise<Array<Object>>} Feedback entries
+   */
+  const all = async () => (await store.entries()).map(([, feedback]) => feedback);
+
+  return {
+    /**
+     * Record a client's feedback on a fact-check, replacing the feedback it gave before.
+     * @param {Object} feedback - Validated feedback
+     * @param {string} client - Client address
+     * @returns {Promise<{feedback: Object, replaced: boolean}>} Stored feedback, with its `id`
+     * and `createdAt`, and whether it replaced earlier feedback
+     */
+    async submit(feedback, client) {
+      const key = keyFor(feedback.factCheckId, client);
+      const previous = await store.get(key);
+      const stored = {
+        id: previous ? previous.id : crypto.randomBytes(12).toString('base64url'),
+        ...feedback,
+        createdAt: new Date().toISOString()
+      };
+      await store.set(key, stored);
+      return { feedback: stored, replaced: Boolean(previous) };
+    },
+
+    /**
+     * Count the feedback on a fact-check.
+     * @param {string} factCheckId - Fact-check identifier
+     * @returns {Promise<{up: number, down: number, dispute: number}>} Number of each kind of feedback
+     */
+    async summarize(factCheckId) {
+      const counts = Object.fromEntries(VOTES.map(vote => [vote, 0]));
+      (await all())
+        .filter(feedback => feedback.factCheckId === factCheckId)
+        .forEach(feedback => { counts[feedback.vote] += 1; });
+      return counts;
+    },
+
+    /**
+     * List every dispute, oldest first.
+     * @returns {Promise<Array<Object>>} Disputes
+     */
+    async listDisputes() {
+      return (await all())
+        .filter(feedback => feedback.vote === 'dispute')
+        .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    }
+  };
+};
+
+/**
+ * Join disputes with the fact-checks they dispute, for auditing.
+ * @param {Object} feedbackStore - Feedback store
+ * @param {Object} recordStore - Fact-check record store
+ * @returns {Promise<Array<Object>>} Disputes, each with the disputed `factCheck`'s text,
+ * grade, score, confidence, model, provider, promptVersion and createdAt, or null if it no longer exists
+ */
+const exportDisputes = async (feedbackStore, recordStore) => Promise.all(
+  (await feedbackStore.listDisputes()).map(async ({ id, factCheckId, reason, counterSource, createdAt }) => {
+    const record = await recordStore.get(factCheckId);
+    return {
+      id,
+      factCheckId,
+      reason,
+      counterSource,
+      createdAt,
+      factCheck: record && {
+        text: record.text,
+        grade: record.grade,
+        score: record.score,
+        confidence: record.confidence,
+        model: record.model,
+        provider: record.provider,
+        promptVersion: record.promptVersion,
+        createdAt: record.createdAt
+      }
+    };
+  })
+);
+
+/**
+ * Create the feedback store selected by configuration.
+ * @param {Object} [env=process.env] - Configuration variables
+ * @returns {Object} Feedback store
+ */
+const createFeedbackStoreFromEnv = (env = process.env) => {
+  const backend = (env.FEEDBACK_STORE_BACKEND || 'file').toLowerCase();
+  const salt = env.FEEDBACK_SALT || undefined;
+
+  switch (backend) {
+    case 'memory':
+      return createFeedbackStore({ store: createMemoryStore(), salt });
+    case 'file':
+      return createFeedbackStore({
+        store: createFileStore(env.FEEDBACK_STORE_FILE || path.join(__dirname, '..', 'data', 'feedback.json')),
+        salt
+      });
+    default:
+      throw new Error(`Unknown FEEDBACK_STORE_BACKEND "${backend}". Use file or memory.`);
+  }
+};
+
+module.exports = {
+  VOTES,
+  InvalidFeedbackError,
+  validateFeedback,
+  disputesToCsv,
+  createFeedbackStore,
+  exportDisputes,
+  createFeedbackStoreFromEnv
+};
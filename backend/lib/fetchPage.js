@@ -0,0 +1,217 @@
+/**
+ * @fileoverview Bounded fetching of web pages on behalf of users and the model.
+ * Every fetch has a timeout and a maximum body size, only follows a few redirects and,
+ * unless explicitly allowed, refuses hosts that resolve to private or loopback addresses
+ * so that model-provided URLs cannot be used to reach internal services.
+ * @module lib/fetchPage
+ */
+
+const dns = require('dns');
+const net = require('net');
+
+/**
+ * User agent sent with every request.
+ * @type {string}
+ */
+const USER_AGENT = 'TruthCheckMe/1.0 (+https://truthcheck.me)';
+
+/**
+ * Address ranges that must not be fetched: private, loopback, link-local and similar.
+ * @type {net.BlockList}
+ */
+const PRIVATE_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.168.0.0', 16], ['224.0.0.0', 4]
+].forEach(([address, prefix]) => PRIVATE_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => PRIVATE_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+/**
+ * Error raised when a page cannot be fetched.
+ */
+class FetchPageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'FetchPageError';
+  }
+}
+
+/**
+ * Check whether an IP address is private, loopback or otherwise internal.
+ * IPv4-mapped IPv6 addresses are checked as IPv4.
+ * @param {string} address - IP address
+ * @returns {boolean} True if the address must not be fetched
+ */
+const isPrivateAddress = (address) => {
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) return PRIVATE_ADDRESSES.check(mapped[1], 'ipv4');
+  return PRIVATE_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+};
+
+/**
+ * Ensure that a host name only resolves to public addresses.
+ * @param {string} hostname - Host name or IP literal
+ * @throws {FetchPageError} If the host resolves to an internal address
+ */
+const assertPublicHost = async (hostname) => {
+  const host = hostname.replace(/^\[|\]$/g, '');
+  const addresses = net.isIP(host)
+    ? [{ address: host }]
+    : await dns.promises.lookup(host, { all: true });
+  if (addresses.some(({ address }) => isPrivateAddress(address))) {
+    throw new FetchPageError(`Refusing to fetch internal address for ${hostname}`);
+  }
+};
+
+/**
+ * Read a response body, stopping once `maxBytes` have been received.
+ * @param {Response} response - Fetch response
+ * @param {number} maxBytes - Maximum number of bytes to read
+ * @returns {Promise<{body: string, truncated: boolean}>} Body text and whether it was cut off
+ */
+const readBody = async (response, maxBytes) => {
+  if (!response.body) return { body: '', truncated: false };
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let body = '';
+  let received = 0;
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) return { body: body + decoder.decode(), truncated: false };
+
+    const remaining = maxBytes - received;
+    received += value.length;
+    if (value.length >= remaining) {
+      await reader.cancel();
+      return { body: body + decoder.decode(value.subarray(0, remaining)), truncated: true };
+    }
+    body += decoder.decode(value, { stream: true });
+  }
+};
+
+/**
+ * Fetch a page with a timeout, a size limit and manual, checked redirects.
+ * @param {string} url - URL to fetch
+ * @param {Object} [options] - Fetch options
+ * @param {number} [options.timeoutMs=5000] - Time allowed for the whole fetch, redirects included
+ * @param {number} [options.maxBytes=1000000] - Maximum number of body bytes read
+ * @param {number} [options.maxRedirects=3] - Maximum number of redirects followed
+ * @param {boolean} [options.allowPrivateHosts=false] - Allow internal addresses (for tests)
+ * @returns {Promise<Object>} Page with `status`, `ok`, final `url`, `contentType`, `body` and `truncated`
+ * @throws {FetchPageError} If the URL is not allowed, times out or cannot be reached
+ */
+const fetchPage = async (url, {
+  timeoutMs = 5000,
+  maxBytes = 1000000,
+  maxRedirects = 3,
+  allowPrivateHosts = false
+} = {}) => {
+  const signal = AbortSignal.timeout(timeoutMs);
+
+  let current;
+  try {
+    current = new URL(url);
+  } catch (error) {
+    throw new FetchPageError(`Invalid URL: ${url}`);
+  }
+
+  for (let redirects = 0; ; redirects++) {
+    if (current.protocol !== 'http:' && current.protocol !== 'https:') {
+      throw new FetchPageError(`Unsupported protocol: ${current.protocol}`);
+    }
+    if (!allowPrivateHosts) {
+      await assertPublicHost(current.hostname);
+    }
+
+    let response;
+    try {
+      response = await fetch(current, {
+        redirect: 'manual',
+        signal,
+        headers: { 'User-Agent': USER_AGENT, Accept: 'text/html,application/xhtml+xml,text/plain;q=0.9,*/*;q=0.5' }
+      });
+    } catch (error) {
+      throw new FetchPageError(error.name === 'TimeoutError'
+        ? `Timed out after ${timeoutMs}ms`
+        : `Could not reach ${current.host}: ${error.cause?.code || error.message}`);
+    }
+
+    const location = response.headers.get('location');
+    if (response.status >= 300 && response.status < 400 && location) {
+      if (redirects >= maxRedirects) {
+        throw new FetchPageError(`Too many redirects (more than ${maxRedirects})`);
+      }
+      current = new URL(location, current);
+      continue;
+    }
+
+    let body;
+    try {
+      body = await readBody(response, maxBytes);
+    } catch (error) {
+      throw new FetchPageError(error.name === 'TimeoutError' ? `Timed out after ${timeoutMs}ms` : error.message);
+    }
+    return {
+      status: response.status,
+      ok: response.ok,
+      url: current.toString(),
+      contentType: response.headers.get('content-type') || '',
+      ...body
+    };
+  }
+};
+
+/**
+ * Named HTML character references decoded by `decodeEntities`.
+ * @type {Object<string, string>}
+ */
+const NAMED_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+/**
+ * Decode HTML character references.
+ * @param {string} text - Text with character references
+ * @returns {string} Decoded text
+ */
+const decodeEntities = (text) => text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+  if (entity[0] === '#') {
+    const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+    return Number.isFinite(code) && code <= 0x10ffff ? String.fromCodePoint(code) : match;
+  }
+  return NAMED_ENTITIES[entity.toLowerCase()] ?? match;
+});
+
+/**
+ * Extract the document title of an HTML page.
+ * @param {string} html - HTML source
+ * @returns {?string} Title, or null if the page has none
+ */
+const extractTitle = (html) => {
+  const match = html.match(/<title[^>]*>([\s\S]*?)<\/title>/i);
+  const title = match && decodeEntities(match[1]).replace(/\s+/g, ' ').trim();
+  return title || null;
+};
+
+/**
+ * Convert HTML to plain text, dropping scripts, styles and markup.
+ * @param {string} html - HTML source
+ * @returns {string} Visible text with collapsed whitespace
+ */
+const htmlToText = (html) => decodeEntities(html
+  .replace(/<!--[\s\S]*?-->/g, ' ')
+  .replace(/<(script|style|noscript|template)[^>]*>[\s\S]*?<\/\1>/gi, ' ')
+  .replace(/<[^>]+>/g, ' '))
+  .replace(/\s+/g, ' ')
+  .trim();
+
+module.exports = {
+  FetchPageError,
+  isPrivateAddress,
+  assertPublicHost,
+  fetchPage,
+  decodeEntities,
+  extractTitle,
+  htmlToText
+};
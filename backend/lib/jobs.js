@@ -0,0 +1,233 @@
+/**
+ * @fileoverview Asynchronous batch jobs.
+ * A job holds a list of items that are processed in the background by a shared pool of
+ * workers, so that no more than a bounded number of items are in flight at once across all
+ * jobs. Each item succeeds or fails on its own, and the job completes once every item is
+ * settled. Configured with:
+ *
+ * - `BATCH_CONCURRENCY` - Items processed at the same time across all jobs (default 3)
+ * - `BATCH_MAX_ITEMS` - Maximum number of items in a job (default 500)
+ * - `JOB_STORE_BACKEND` - `memory` (default) or `file`; unfinished file-backed jobs are
+ *   resumed when the server restarts
+ * - `JOB_STORE_FILE` - JSON file used by the file backend (default `data/jobs.json`)
+ * - `JOB_RETENTION_SECONDS` - How long completed jobs are kept (default 604800, one week)
+ * @module lib/jobs
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const { createMemoryStore } = require('../stores/memory');
+const { createFileStore } = require('../stores/file');
+const { logger } = require('./logger');
+
+/**
+ * Format of a job identifier: 16 random bytes, base64url-encoded.
+ * @type {RegExp}
+ */
+const JOB_ID_PATTERN = /^[A-Za-z0-9_-]{22}$/;
+
+/**
+ * Create a job queue.
+ * @param {Object} options - Queue options
+ * @param {KeyValueStore} options.store - Store holding the jobs
+ * @param {Function} options.processItem - Processes the input of an item, resolving to its result
+ * @param {Function} [options.onComplete] - Called with each job once all its items are settled;
+ * may return an object that is stored on the job as `notification`
+ * @param {number} [options.concurrency=3] - Items processed at the same time across all jobs
+ * @param {number} [options.maxItems=500] - Maximum number of items in a job
+ * @param {number} [options.retentionSeconds=604800] - How long completed jobs are kept
+ * @param {Function} [options.now=Date.now] - Clock, in milliseconds
+ * @returns {Object} Job queue
+ */
+const createJobQueue = ({
+  store,
+  processItem,
+  onComplete = async () => undefined,
+  concurrency = 3,
+  maxItems = 500,
+  retentionSeconds = 7 * 24 * 60 * 60,
+  now = Date.now
+}) => {
+  const pending = [];
+  let active = 0;
+
+  /**
+   * Persist a job, logging rather than failing when the store cannot be written.
+   * @param {Object} job - Job
+   */
+  const save = async (job) => {
+    try {
+      await store.set(job.id, job);
+    } catch (error) {
+      logger.error('Error saving job', { jobId: job.id, error });
+    }
+  };
+
+  /**
+   * Process one item of a job and record its outcome.
+   * @param {{job: Object, index: number}} task - Job and item position
+   */
+  const runTask = async ({ job, index }) => {
+    const item = job.items[index];
+    if (job.status === 'queued') {
+      job.status = 'running';
+      job.startedAt = new Date(now()).toISOString();
+    }
+
+    try {
+      item.result = await processItem(item.input);
+      item.status = 'succeeded';
+      job.succeeded += 1;
+    } catch (error) {
+      logger.warn('Job item failed', { jobId: job.id, index, error: error.message });
+      item.status = 'failed';
+      item.error = error.message;
+      job.failed += 1;
+    }
+
+    if (job.succeeded + job.failed < job.total) {
+      return save(job);
+    }
+    job.status = 'completed';
+    job.completedAt = new Date(now()).toISOString();
+    await save(job);
+
+    try {
+      const notification = await onComplete(job);
+      if (notification) {
+        job.notification = notification;
+        await save(job);
+      }
+    } catch (error) {
+      logger.error('Job completion handler failed', { jobId: job.id, error });
+    }
+  };
+
+  /**
+   * Start queued items while there is spare capacity.
+   */
+  const pump = () => {
+    while (active < concurrency && pending.length) {
+      const task = pending.shift();
+      active += 1;
+      runTask(task)
+        .catch(error => logger.error('Job task error', { error }))
+        .finally(() => {
+          active -= 1;
+          pump();
+        });
+    }
+  };
+
+  /**
+   * Queue the unsettled items of a job.
+   * @param {Object} job - Job
+   */
+  const enqueue = (job) => {
+    job.items.forEach((item, index) => {
+      if (item.status === 'pending') pending.push({ job, index });
+    });
+    pump();
+  };
+
+  /**
+   * Remove completed jobs older than the retention period.
+   */
+  const prune = async () => {
+    const cutoff = now() - retentionSeconds * 1000;
+    for (const [id, job] of await store.entries()) {
+      if (job.status === 'completed' && Date.parse(job.completedAt) < cutoff) {
+        await store.delete(id);
+      }
+    }
+  };
+
+  return {
+    maxItems,
+
+    /**
+     * Create a job and start processing it in the background.
+     * @param {Array<*>} inputs - Item inputs, passed to `processItem`
+     * @param {Object} [metadata] - Extra fields stored on the job, e.g. the webhook URL
+     * @returns {Promise<Object>} The created job
+     */
+    async create(inputs, metadata = {}) {
+      await prune().catch(error => logger.error('Error pruning jobs', { error }));
+
+      const job = {
+        id: crypto.randomBytes(16).toString('base64url'),
+        status: 'queued',
+        ...metadata,
+        total: inputs.length,
+        succeeded: 0,
+        failed: 0,
+        createdAt: new Date(now()).toISOString(),
+        startedAt: null,
+        completedAt: null,
+        items: inputs.map((input, index) => ({ index, input, status: 'pending' }))
+      };
+      await store.set(job.id, job);
+      enqueue(job);
+      return job;
+    },
+
+    /**
+     * Look up a job by identifier.
+     * @param {string} id - Job identifier
+     * @returns {Promise<?Object>} Job, or null if there is none with that identifier
+     */
+    async get(id) {
+      if (!JOB_ID_PATTERN.test(id)) return null;
+      return (await store.get(id)) || null;
+    },
+
+    /**
+     * Resume the jobs left unfinished by a previous run, e.g. after a restart.
+     * @returns {Promise<number>} Number of resumed jobs
+     */
+    async resume() {
+      const unfinished = (await store.entries())
+        .map(([, job]) => job)
+        .filter(job => job.status !== 'completed');
+      unfinished.forEach(enqueue);
+      return unfinished.length;
+    }
+  };
+};
+
+/**
+ * Create the job queue selected by configuration.
+ * @param {Object} handlers - Job handlers
+ * @param {Function} handlers.processItem - Processes the input of an item
+ * @param {Function} [handlers.onComplete] - Called with each completed job
+ * @param {Object} [env=process.env] - Configuration variables
+ * @returns {Object} Job queue
+ */
+const createJobQueueFromEnv = ({ processItem, onComplete }, env = process.env) => {
+  const backend = (env.JOB_STORE_BACKEND || 'memory').toLowerCase();
+  const options = {
+    processItem,
+    onComplete,
+    concurrency: Number(env.BATCH_CONCURRENCY || 3),
+    maxItems: Number(env.BATCH_MAX_ITEMS || 500),
+    retentionSeconds: Number(env.JOB_RETENTION_SECONDS || 7 * 24 * 60 * 60)
+  };
+
+  switch (backend) {
+    case 'memory':
+      return createJobQueue({ ...options, store: createMemoryStore() });
+    case 'file':
+      return createJobQueue({
+        ...options,
+        store: createFileStore(env.JOB_STORE_FILE || path.join(__dirname, '..', 'data', 'jobs.json'))
+      });
+    default:
+      throw new Error(`Unknown JOB_STORE_BACKEND "${backend}". Use memory or file.`);
+  }
+};
+
+module.exports = {
+  JOB_ID_PATTERN,
+  createJobQueue,
+  createJobQueueFromEnv
+};
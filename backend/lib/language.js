@@ -0,0 +1,110 @@
+/**
+ * @fileoverview Detection of the language a text is written in.
+ * Texts are scored by how many of their words are frequent function words of each supported
+ * language. This needs no model call and is reliable for a sentence or more; texts too short
+ * to tell are assumed to be in the default language.
+ * @module lib/language
+ */
+
+/**
+ * Supported languages, keyed by ISO 639-1 code, with their English name and their most
+ * frequent function words. Words shared by several languages still count for each of them.
+ * @type {Object<string, {name: string, words: Set<string>}>}
+ */
+const LANGUAGES = {
+  en: {
+    name: 'English',
+    words: new Set([
+      'the', 'and', 'is', 'are', 'was', 'were', 'of', 'to', 'in', 'that', 'it', 'for', 'on', 'with',
+      'as', 'by', 'this', 'has', 'have', 'not', 'from', 'be', 'at', 'or', 'which', 'its', 'than'
+    ])
+  },
+  es: {
+    name: 'Spanish',
+    words: new Set([
+      'el', 'la', 'los', 'las', 'de', 'del', 'que', 'y', 'en', 'un', 'una', 'es', 'son', 'por', 'con',
+      'para', 'como', 'pero', 'más', 'fue', 'está', 'están', 'se', 'lo', 'al', 'sus', 'su', 'ha'
+    ])
+  },
+  fr: {
+    name: 'French',
+    words: new Set([
+      'le', 'la', 'les', 'de', 'des', 'du', 'et', 'est', 'sont', 'un', 'une', 'que', 'qui', 'en', 'dans',
+      'pour', 'par', 'sur', 'avec', 'pas', 'plus', 'au', 'aux', 'ce', 'cette', 'été', 'il', 'elle', 'ont',
+      'à', 'l', 'd', 'qu', 'n'
+    ])
+  },
+  de: {
+    name: 'German',
+    words: new Set([
+      'der', 'die', 'das', 'und', 'ist', 'sind', 'nicht', 'mit', 'von', 'den', 'dem', 'ein', 'eine',
+      'auf', 'für', 'im', 'auch', 'es', 'wurde', 'hat', 'zu', 'sich', 'des', 'als', 'bei', 'wird'
+    ])
+  },
+  it: {
+    name: 'Italian',
+    words: new Set([
+      'il', 'lo', 'la', 'gli', 'le', 'di', 'che', 'è', 'sono', 'un', 'una', 'per', 'con', 'non', 'del',
+      'della', 'dei', 'nel', 'nella', 'da', 'al', 'ha', 'anche', 'più', 'stato', 'questo'
+    ])
+  },
+  pt: {
+    name: 'Portuguese',
+    words: new Set([
+      'o', 'a', 'os', 'as', 'de', 'do', 'da', 'dos', 'das', 'que', 'e', 'é', 'são', 'um', 'uma', 'em',
+      'no', 'na', 'para', 'com', 'não', 'por', 'mais', 'foi', 'está', 'seu', 'sua', 'ao'
+    ])
+  }
+};
+
+/**
+ * Language assumed when a text gives too little to go on.
+ * @type {string}
+ */
+const DEFAULT_LANGUAGE = 'en';
+
+/**
+ * Function words that belong to a single supported language, keyed by language code.
+ * They tell closely related languages apart, e.g. Spanish "los" from Portuguese "os".
+ * @type {Object<string, Set<string>>}
+ */
+const DISTINCTIVE_WORDS = Object.fromEntries(Object.entries(LANGUAGES).map(([code, { words }]) => [
+  code,
+  new Set([...words].filter(word => Object.entries(LANGUAGES)
+    .every(([other, language]) => other === code || !language.words.has(word))))
+]));
+
+/**
+ * Detect the language of a text.
+ * Each language scores a point per function word in the text and another per word that
+ * only it uses; the highest score wins. Texts scoring less than two points for every
+ * language are inconclusive.
+ * @param {string} text - Text to examine
+ * @param {string} [fallback=DEFAULT_LANGUAGE] - Language returned when the text is inconclusive
+ * @returns {string} ISO 639-1 code of one of the supported languages
+ */
+const detectLanguage = (text, fallback = DEFAULT_LANGUAGE) => {
+  const words = text.normalize('NFC').toLowerCase().match(/\p{L}+/gu) || [];
+  let best = { code: fallback, score: 0 };
+
+  for (const [code, language] of Object.entries(LANGUAGES)) {
+    const hits = words.filter(word => language.words.has(word)).length;
+    const score = hits + words.filter(word => DISTINCTIVE_WORDS[code].has(word)).length;
+    if (score > best.score) best = { code, score };
+  }
+  return best.score >= 2 ? best.code : fallback;
+};
+
+/**
+ * Get the English name of a supported language, for use in prompts.
+ * @param {string} code - ISO 639-1 code
+ * @returns {string} Language name, or the name of the default language for unknown codes
+ */
+const languageName = (code) => (LANGUAGES[code] || LANGUAGES[DEFAULT_LANGUAGE]).name;
+
+module.exports = {
+  LANGUAGES,
+  DEFAULT_LANGUAGE,
+  detectLanguage,
+  languageName
+};
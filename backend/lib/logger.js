@@ -0,0 +1,182 @@
+/**
+ * @fileoverview Structured JSON logger.
+ * Each entry is written as one line of JSON with its time, level and message, followed by
+ * the fields given with it. Logs must not leak credentials or what readers check, so:
+ *
+ * - fields named like credentials (`authorization`, `cookie`, `x-api-key`, `token`, ...) are
+ *   replaced by `[REDACTED]`, at any depth
+ * - user-written text (`text`, `reason`, ...) is cut to a configurable length, with its full
+ *   length reported next to it
+ *
+ * Configured with:
+ *
+ * - `LOG_LEVEL` - `debug`, `info` (default), `warn`, `error` or `silent`. Defaults to `silent`
+ *   when `NODE_ENV` is `test`
+ * - `LOG_TEXT_MAX_LENGTH` - Characters of user text kept in logs (default 50, 0 to leave it out)
+ * @module lib/logger
+ */
+
+/**
+ * Severity of each level, from least to most severe.
+ * @type {Object<string, number>}
+ */
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: Infinity };
+
+/**
+ * Field names whose values are never logged, compared case-insensitively.
+ * @type {Set<string>}
+ */
+const REDACTED_FIELDS = new Set([
+  'authorization',
+  'proxy-authorization',
+  'cookie',
+  'set-cookie',
+  'x-api-key',
+  'apikey',
+  'api_key',
+  'token',
+  'password',
+  'secret'
+]);
+
+/**
+ * Field names holding text written by readers, which is truncated.
+ * @type {Set<string>}
+ */
+const USER_TEXT_FIELDS = new Set(['text', 'statement', 'reason', 'excerpt']);
+
+/**
+ * Replacement of redacted values.
+ * @type {string}
+ */
+const REDACTED = '[REDACTED]';
+
+/**
+ * Shorten user text for logging.
+ * @param {string} text - User text
+ * @param {number} maxLength - Characters to keep, 0 to keep none
+ * @returns {string} The beginning of the text, marked when cut
+ */
+const truncateText = (text, maxLength) => {
+  if (maxLength <= 0) return REDACTED;
+  return text.length > maxLength ? `${text.slice(0, maxLength)}…` : text;
+};
+
+/**
+ * Copy log fields with credentials redacted, user text truncated and errors made serializable.
+ * @param {*} value - Field value
+ * @param {number} maxTextLength - Characters of user text to keep
+ * @param {string} [key] - Name of the field holding the value
+ * @param {WeakSet} [seen] - Objects already visited, to cut circular references
+ * @returns {*} Safe value
+ */
+const sanitize = (value, maxTextLength, key = '', seen = new WeakSet()) => {
+  const name = key.toLowerCase();
+  if (REDACTED_FIELDS.has(name)) return REDACTED;
+  if (typeof value === 'string') {
+    return USER_TEXT_FIELDS.has(name) ? truncateText(value, maxTextLength) : value;
+  }
+  if (typeof value === 'bigint') return value.toString();
+  if (!value || typeof value !== 'object') return value;
+  if (seen.has(value)) return '[Circular]';
+  seen.add(value);
+
+  if (value instanceof Error) {
+    return sanitize({
+      name: value.name,
+      message: value.message,
+      ...(value.status && { status: value.status }),
+      ...(value.code && { code: value.code }),
+      stack: value.stack
+    }, maxTextLength, key, seen);
+  }
+  if (value instanceof Date) return value.toISOString();
+  if (Array.isArray(value)) return value.map(item => sanitize(item, maxTextLength, key, seen));
+  return Object.fromEntries(Object.entries(value).map(([field, fieldValue]) => [
+    field,
+    sanitize(fieldValue, maxTextLength, field, seen)
+  ]));
+};
+
+/**
+ * Create a logger.
+ * @param {Object} [options] - Logger options
+ * @param {string} [options.level=info] - Least severe level written
+ * @param {number} [options.maxTextLength=50] - Characters of user text kept
+ * @param {Object} [options.bindings] - Fields added to every entry, e.g. the request id
+ * @param {Function} [options.write] - Writes a line, to standard output by default
+ * @param {Function} [options.now=Date.now] - Clock, in milliseconds
+ * @returns {Object} Logger with `debug`, `info`, `warn` and `error` methods, each taking a
+ * message and optional fields, and `child` to add bindings
+ * @throws {Error} If the text length is not a whole number of 0 or more
+ */
+const createLogger = ({
+  level = 'info',
+  maxTextLength = 50,
+  bindings = {},
+  write = line => process.stdout.write(line),
+  now = Date.now
+} = {}) => {
+  if (!Number.isInteger(maxTextLength) || maxTextLength < 0) {
+    throw new Error(`Invalid LOG_TEXT_MAX_LENGTH "${maxTextLength}". Use a whole number, 0 or more.`);
+  }
+  const threshold = LEVELS[level] ?? LEVELS.info;
+
+  /**
+   * Write an entry at a level.
+   * @param {string} entryLevel - Level of the entry
+   * @param {string} message - What happened
+   * @param {Object} [fields] - Details
+   */
+  const log = (entryLevel, message, fields = {}) => {
+    if (LEVELS[entryLevel] < threshold) return;
+    const entry = sanitize({ ...bindings, ...fields }, maxTextLength);
+    write(`${JSON.stringify({ time: new Date(now()).toISOString(), level: entryLevel, msg: message, ...entry })}\n`);
+  };
+
+  return {
+    level,
+    debug: (message, fields) => log('debug', message, fields),
+    info: (message, fields) => log('info', message, fields),
+    warn: (message, fields) => log('warn', message, fields),
+    error: (message, fields) => log('error', message, fields),
+
+    /**
+     * Create a logger adding fields to every entry.
+     * @param {Object} childBindings - Fields to add
+     * @returns {Object} Logger
+     */
+    child: (childBindings) => createLogger({
+      level,
+      maxTextLength,
+      bindings: { ...bindings, ...childBindings },
+      write,
+      now
+    })
+  };
+};
+
+/**
+ * Create the logger configured by the environment.
+ * @param {Object} [env=process.env] - Configuration variables
+ * @returns {Object} Logger
+ */
+const createLoggerFromEnv = (env = process.env) => createLogger({
+  level: (env.LOG_LEVEL || (env.NODE_ENV === 'test' ? 'silent' : 'info')).toLowerCase(),
+  maxTextLength: Number(env.LOG_TEXT_MAX_LENGTH ?? 50)
+});
+
+/**
+ * Application-wide logger.
+ * @type {Object}
+ */
+const logger = createLoggerFromEnv();
+
+module.exports = {
+  LEVELS,
+  truncateText,
+  sanitize,
+  createLogger,
+  createLoggerFromEnv,
+  logger
+};
@@ -0,0 +1,328 @@
+/**
+ * @fileoverview Operational metrics in the Prometheus text exposition format.
+ * Counters and histograms are kept in memory, labelled, and rendered on demand by the
+ * `/metrics` endpoint for Prometheus to scrape. The application metrics cover:
+ *
+ * - HTTP requests, counted and timed by method, route and status
+ * - LLM calls, timed by provider, model, operation and outcome, and the tokens they used
+ * - model answers that could not be parsed or did not match their schema
+ * - the grades of the verdicts given, fresh or from the cache
+ *
+ * Labels only ever hold bounded values (route patterns, not URLs; never user text), so that
+ * the number of series stays small. Configured with:
+ *
+ * - `METRICS_TOKEN` - Credential required to read `/metrics`, sent as
+ *   `Authorization: Bearer <token>`. When unset, the endpoint is open
+ * @module lib/metrics
+ */
+
+/**
+ * Content type of the Prometheus text exposition format.
+ * @type {string}
+ */
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+/**
+ * Upper bounds, in seconds, of the buckets of the HTTP request duration histogram.
+ * @type {number[]}
+ */
+const HTTP_DURATION_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+/**
+ * Upper bounds, in seconds, of the buckets of the LLM call duration histogram.
+ * @type {number[]}
+ */
+const LLM_DURATION_BUCKETS = [0.25, 0.5, 1, 2.5, 5, 10, 20, 30, 60, 120];
+
+/**
+ * Format a sample value.
+ * @param {number} value - Value
+ * @returns {string} Value as Prometheus expects it
+ */
+const formatValue = (value) => {
+  if (Number.isNaN(value)) return 'NaN';
+  if (!Number.isFinite(value)) return value > 0 ? '+Inf' : '-Inf';
+  return String(value);
+};
+
+/**
+ * Escape a label value.
+ * @param {*} value - Label value
+ * @returns {string} Escaped value
+ */
+const escapeLabelValue = (value) => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/\n/g, '\\n')
+  .replace(/"/g, '\\"');
+
+/**
+ * Format a set of labels.
+ * @param {Array<[string, *]>} pairs - Label names and values
+ * @returns {string} Labels in braces, or an empty string without labels
+ */
+const formatLabels = (pairs) => (pairs.length
+  ? `{${pairs.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}`
+  : '');
+
+/**
+ * Create a registry of metrics.
+ * @returns {Object} Registry with `counter`, `histogram` and `gauge` to define metrics, and
+ * `render` to produce the exposition text
+ */
+const createRegistry = () => {
+  const metrics = [];
+
+  /**
+   * Define a metric and keep it for rendering.
+   * @param {Object} definition - Metric name, help text, type and label names
+   * @returns {Object} Metric state
+   */
+  const define = ({ name, help, type, labelNames = [] }) => {
+    if (metrics.some(metric => metric.name === name)) {
+      throw new Error(`Metric ${name} is already defined`);
+    }
+    const metric = { name, help, type, labelNames, series: new Map() };
+    metrics.push(metric);
+    return metric;
+  };
+
+  /**
+   * Find or create the series of a metric for a set of labels.
+   * Labels that are not given are left empty.
+   * @param {Object} metric - Metric state
+   * @param {Object} labels - Label values by name
+   * @param {Function} initial - Creates the value of a new series
+   * @returns {Object} Series, with its label values and value
+   */
+  const seriesFor = (metric, labels, initial) => {
+    const values = metric.labelNames.map(labelName => String(labels[labelName] ?? ''));
+    const key = JSON.stringify(values);
+    if (!metric.series.has(key)) {
+      metric.series.set(key, { values, value: initial() });
+    }
+    return metric.series.get(key);
+  };
+
+  /**
+   * Render the samples of a metric.
+   * @param {Object} metric - Metric state
+   * @returns {string[]} Sample lines
+   */
+  const renderSamples = (metric) => {
+    if (metric.collect) {
+      return [`${metric.name} ${formatValue(metric.collect())}`];
+    }
+    return [...metric.series.values()].flatMap(({ values, value }) => {
+      const pairs = metric.labelNames.map((labelName, index) => [labelName, values[index]]);
+      if (metric.type !== 'histogram') {
+        return [`${metric.name}${formatLabels(pairs)} ${formatValue(value)}`];
+      }
+      return [
+        ...metric.buckets.map((bound, index) => (
+          `${metric.name}_bucket${formatLabels([...pairs, ['le', formatValue(bound)]])} ${value.counts[index]}`
+        )),
+        `${metric.name}_bucket${formatLabels([...pairs, ['le', '+Inf']])} ${value.count}`,
+        `${metric.name}_sum${formatLabels(pairs)} ${formatValue(value.sum)}`,
+        `${metric.name}_count${formatLabels(pairs)} ${value.count}`
+      ];
+    });
+  };
+
+  return {
+    /**
+     * Define a counter, a value that only goes up.
+     * @param {Object} options - Counter options
+     * @param {string} options.name - Metric name, ending in `_total`
+     * @param {string} options.help - What is counted
+     * @param {string[]} [options.labelNames] - Names of its labels
+     * @returns {{inc: function(Object=, number=)}} Counter, incremented by a value (1 by default)
+     * for a set of labels
+     */
+    counter: (options) => {
+      const metric = define({ ...options, type: 'counter' });
+      return {
+        inc: (labels = {}, value = 1) => {
+          seriesFor(metric, labels, () => 0).value += value;
+        }
+      };
+    },
+
+    /**
+     * Define a histogram, counting observations in cumulative buckets.
+     * @param {Object} options - Histogram options
+     * @param {string} options.name - Metric name
+     * @param {string} options.help - What is observed
+     * @param {string[]} [options.labelNames] - Names of its labels
+     * @param {number[]} options.buckets - Upper bounds of the buckets, in ascending order
+     * @returns {{observe: function(Object, number)}} Histogram, observing a value for a set of labels
+     */
+    histogram: ({ buckets, ...options }) => {
+      const metric = define({ ...options, type: 'histogram' });
+      metric.buckets = [...buckets].sort((a, b) => a - b);
+      return {
+        observe: (labels, value) => {
+          const series = seriesFor(metric, labels, () => ({
+            counts: metric.buckets.map(() => 0),
+            sum: 0,
+            count: 0
+          }));
+          metric.buckets.forEach((bound, index) => {
+            if (value <= bound) series.value.counts[index] += 1;
+          });
+          series.value.sum += value;
+          series.value.count += 1;
+        }
+      };
+    },
+
+    /**
+     * Define a gauge whose value is read when the metrics are rendered.
+     * @param {Object} options - Gauge options
+     * @param {string} options.name - Metric name
+     * @param {string} options.help - What is measured
+     * @param {function(): number} options.collect - Reads the current value
+     */
+    gauge: ({ collect, ...options }) => {
+      define({ ...options, type: 'gauge' }).collect = collect;
+    },
+
+    /**
+     * Render every metric in the Prometheus text exposition format.
+     * @returns {string} Exposition text
+     */
+    render: () => metrics.map(metric => [
+      `# HELP ${metric.name} ${metric.help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`,
+      `# TYPE ${metric.name} ${metric.type}`,
+      ...renderSamples(metric)
+    ].join('\n')).join('\n') + '\n'
+  };
+};
+
+/**
+ * Create the application metrics.
+ * @returns {Object} Metrics of the application, and `render` to produce their exposition text
+ */
+const createMetrics = () => {
+  const registry = createRegistry();
+  const startTime = Date.now() / 1000;
+
+  registry.gauge({
+    name: 'process_start_time_seconds',
+    help: 'Start time of the process since the Unix epoch, in seconds.',
+    collect: () => startTime
+  });
+  registry.gauge({
+    name: 'process_resident_memory_bytes',
+    help: 'Resident memory size, in bytes.',
+    collect: () => process.memoryUsage.rss()
+  });
+
+  return {
+    httpRequests: registry.counter({
+      name: 'http_requests_total',
+      help: 'HTTP requests handled, by method, route and status.',
+      labelNames: ['method', 'route', 'status']
+    }),
+    httpRequestDuration: registry.histogram({
+      name: 'http_request_duration_seconds',
+      help: 'Time to handle HTTP requests, by method, route and status, in seconds.',
+      labelNames: ['method', 'route', 'status'],
+      buckets: HTTP_DURATION_BUCKETS
+    }),
+    llmCallDuration: registry.histogram({
+      name: 'llm_call_duration_seconds',
+      help: 'Duration of LLM calls, by provider, model, operation and outcome, in seconds.',
+      labelNames: ['provider', 'model', 'operation', 'outcome'],
+      buckets: LLM_DURATION_BUCKETS
+    }),
+    llmTokens: registry.counter({
+      name: 'llm_tokens_total',
+      help: 'Tokens used by LLM calls, by provider, model and type (prompt or completion).',
+      labelNames: ['provider', 'model', 'type']
+    }),
+    llmRetries: registry.counter({
+      name: 'llm_retries_total',
+      help: 'LLM calls retried after a transient error, by provider, model and reason.',
+      labelNames: ['provider', 'model', 'reason']
+    }),
+    llmCircuitTransitions: registry.counter({
+      name: 'llm_circuit_transitions_total',
+      help: 'Changes of the LLM circuit breaker state, by provider, model and new state.',
+      labelNames: ['provider', 'model', 'state']
+    }),
+    parseFailures: registry.counter({
+      name: 'llm_output_parse_failures_total',
+      help: 'Model answers that were not valid JSON or did not match their schema, by schema.',
+      labelNames: ['schema']
+    }),
+    inputRejections: registry.counter({
+      name: 'input_rejections_total',
+      help: 'Texts rejected by input screening before reaching the model, by reason.',
+      labelNames: ['reason']
+    }),
+    grades: registry.counter({
+      name: 'fact_check_grades_total',
+      help: 'Verdicts given, by grade and whether they came from the cache.',
+      labelNames: ['grade', 'cached']
+    }),
+    render: registry.render
+  };
+};
+
+/**
+ * Route label of a request: the pattern of the route that handled it, so that requests for
+ * different ids share a series. Requests rejected before reaching their route are labelled
+ * with the pattern set in `res.locals.route` (see `middleware/apiContract`), and requests no
+ * route handled with `unmatched`.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {string} Route label
+ */
+const routeOf = (req, res) => {
+  if (req.route) return `${req.baseUrl}${req.route.path}`;
+  return res.locals.route || 'unmatched';
+};
+
+/**
+ * Count verdicts in the grade metrics.
+ * @param {Object} appMetrics - Application metrics
+ * @param {Array<{grade: ?string, cached: boolean}>} checks - Verdicts given
+ */
+const countGrades = (appMetrics, checks) => {
+  checks.forEach(({ grade, cached }) => {
+    if (grade) appMetrics.grades.inc({ grade, cached: Boolean(cached) });
+  });
+};
+
+/**
+ * Create the middleware counting and timing every HTTP request, measured when the response
+ * is closed. Requests the client aborts are recorded with the status set so far. The
+ * verdicts a handler gave, listed in `res.locals.checks`, are counted in the grade metrics.
+ * @param {Object} appMetrics - Application metrics
+ * @returns {Function} Express middleware
+ */
+const createHttpMetricsMiddleware = (appMetrics) => (req, res, next) => {
+  const start = process.hrtime.bigint();
+  res.once('close', () => {
+    const labels = { method: req.method, route: routeOf(req, res), status: res.statusCode };
+    appMetrics.httpRequests.inc(labels);
+    appMetrics.httpRequestDuration.observe(labels, Number(process.hrtime.bigint() - start) / 1e9);
+    countGrades(appMetrics, res.locals.checks || []);
+  });
+  next();
+};
+
+/**
+ * Application-wide metrics.
+ * @type {Object}
+ */
+const metrics = createMetrics();
+
+module.exports = {
+  CONTENT_TYPE,
+  createRegistry,
+  createMetrics,
+  countGrades,
+  createHttpMetricsMiddleware,
+  metrics
+};
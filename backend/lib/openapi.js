@@ -0,0 +1,725 @@
+/**
+ * @fileoverview OpenAPI 3.1 description of the versioned API served under `/api/v1`.
+ * The document is served at `GET /api/v1/openapi.json` and is also the contract the
+ * server enforces: request bodies and query parameters are validated against it before
+ * they reach the handlers, and responses are checked against it before they are sent
+ * (see `middleware/apiContract`). Schemas only use the subset of JSON Schema supported
+ * by `lib/schema`.
+ * @module lib/openapi
+ */
+
+const { version } = require('../package.json');
+const { ERROR_CODES } = require('./apiErrors');
+const { GRADES } = require('./factCheck');
+const { VOTES } = require('./feedback');
+const { DOCUMENT_FORMATS } = require('./evidence');
+const { RECORD_ID_PATTERN } = require('./factCheckRecords');
+
+/**
+ * Reference a schema of the document's components.
+ * @param {string} name - Schema name
+ * @returns {{$ref: string}} Reference
+ */
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+/**
+ * Describe a JSON request or response body.
+ * @param {Object} schema - Body schema
+ * @returns {Object} Content object
+ */
+const json = (schema) => ({ 'application/json': { schema } });
+
+/**
+ * Descriptions of the error statuses.
+ * @type {Object<number, string>}
+ */
+const ERROR_DESCRIPTIONS = {
+  400: 'The request is invalid',
+  401: 'An API key or credential is required, or the API key is unknown',
+  403: 'The API key was revoked, or the credential is wrong',
+  404: 'The resource does not exist',
+  422: 'The text was rejected by input screening, or the page at the URL is not an article with text',
+  429: 'The rate limit or the monthly quota of the API key is exceeded',
+  500: 'The server failed to handle the request',
+  502: 'The model output or an upstream page could not be used, or the model call failed',
+  503: 'The service needed by the endpoint is unavailable, or the model is failing and calls to it are suspended',
+  504: 'The model did not answer in time'
+};
+
+/**
+ * Describe the error responses of an operation.
+ * @param {...number} statuses - Error statuses the operation can answer with
+ * @returns {Object<string, Object>} Response objects, by status
+ */
+const errors = (...statuses) => Object.fromEntries(statuses.map(status => [
+  String(status),
+  { description: ERROR_DESCRIPTIONS[status], content: json(ref('Error')) }
+]));
+
+/**
+ * Statuses every endpoint calling the LLM can fail with.
+ * @type {number[]}
+ */
+const LLM_ERRORS = [400, 401, 403, 429, 500, 503];
+
+/**
+ * Statuses every admin endpoint can fail with.
+ * @type {number[]}
+ */
+const ADMIN_ERRORS = [401, 403, 429, 500, 503];
+
+/**
+ * Security requirement of the endpoints calling the LLM: an API key, unless called from an
+ * allowed browser origin.
+ * @type {Array<Object>}
+ */
+const API_KEY_SECURITY = [{ apiKey: [] }, {}];
+
+/**
+ * Security requirement of the admin endpoints.
+ * @type {Array<Object>}
+ */
+const ADMIN_SECURITY = [{ adminToken: [] }];
+
+/**
+ * Path parameter holding an identifier.
+ * @param {string} description - What the identifier identifies
+ * @returns {Object} Parameter object
+ */
+const idParameter = (description) => ({
+  name: 'id',
+  in: 'path',
+  required: true,
+  description,
+  schema: { type: 'string' }
+});
+
+/**
+ * Schema of a query parameter holding a positive number.
+ * @type {Object}
+ */
+const NUMBER_QUERY = { type: 'string', pattern: '^[0-9]+(\\.[0-9]+)?$' };
+
+/**
+ * Reusable schemas.
+ * @type {Object<string, Object>}
+ */
+const schemas = {
+  Error: {
+    type: 'object',
+    properties: {
+      error: {
+        type: 'object',
+        properties: {
+          code: { type: 'string', enum: Object.keys(ERROR_CODES) },
+          message: { type: 'string' },
+          details: { description: 'Extra information: a string, or an object such as the invalid fields' }
+        },
+        required: ['code', 'message'],
+        additionalProperties: false
+      },
+      requestId: { type: 'string', description: 'Request id, to quote when reporting a problem' }
+    },
+    required: ['error']
+  },
+  Source: {
+    type: 'object',
+    properties: {
+      title: { type: 'string' },
+      url: { type: ['string', 'null'] },
+      verification: {
+        type: ['object', 'null'],
+        properties: {
+          status: { type: 'string', enum: ['verified', 'unreachable', 'unrelated'] },
+          httpStatus: { type: ['integer', 'null'] },
+          pageTitle: { type: ['string', 'null'] },
+          matchedTerms: { type: 'array', items: { type: 'string' } },
+          reason: { type: 'string' }
+        },
+        required: ['status']
+      },
+      documentId: { type: 'string', description: 'Evidence corpus document the passage comes from' },
+      snippet: { type: 'string' }
+    },
+    required: ['title']
+  },
+  Consensus: {
+    type: 'object',
+    properties: {
+      samples: { type: 'integer' },
+      failedSamples: { type: 'integer' },
+      models: { type: 'array', items: { type: 'string' } },
+      agreement: { type: 'number', minimum: 0, maximum: 1 },
+      level: { type: 'string', enum: ['unanimous', 'majority', 'split'] },
+      dissents: { type: 'array', items: { type: 'object' } }
+    },
+    required: ['samples', 'agreement', 'level']
+  },
+  FactCheck: {
+    type: 'object',
+    properties: {
+      id: { type: 'string', description: 'Identifier of the stored record, for the permalink' },
+      grade: { type: 'string', enum: GRADES },
+      score: { type: 'integer', minimum: 1, maximum: 5 },
+      confidence: { type: ['number', 'null'], minimum: 0, maximum: 1 },
+      reasoning: { type: 'string' },
+      language: { type: 'string', description: 'ISO 639-1 code of the language of the text' },
+      promptVersion: { type: 'string', description: 'Version of the system prompt that produced the verdict' },
+      sources: { type: 'array', items: ref('Source') },
+      consensus: ref('Consensus'),
+      cached: { type: 'boolean' },
+      checkedAt: { type: 'string' }
+    },
+    required: ['grade', 'score', 'confidence', 'reasoning', 'sources', 'cached', 'checkedAt']
+  },
+  Claim: {
+    type: 'object',
+    description: 'A claim with its verdict fields, or an `error` if it could not be checked',
+    properties: {
+      text: { type: 'string' },
+      start: { type: ['integer', 'null'] },
+      end: { type: ['integer', 'null'] },
+      excerpt: { type: ['string', 'null'] },
+      grade: { type: 'string', enum: GRADES },
+      score: { type: 'integer', minimum: 1, maximum: 5 },
+      sources: { type: 'array', items: ref('Source') },
+      promptVersion: { type: 'string' },
+      error: { type: 'string' },
+      errorCode: { type: 'string' }
+    },
+    required: ['text']
+  },
+  Analysis: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      article: {
+        type: 'object',
+        properties: {
+          url: { type: 'string' },
+          canonicalUrl: { type: ['string', 'null'] },
+          title: { type: ['string', 'null'] },
+          truncated: { type: 'boolean' }
+        },
+        required: ['url', 'truncated']
+      },
+      claims: { type: 'array', items: ref('Claim') },
+      summary: {
+        type: 'object',
+        properties: {
+          totalClaims: { type: 'integer' },
+          failedClaims: { type: 'integer' },
+          gradeCounts: { type: 'object', additionalProperties: { type: 'integer' } },
+          averageScore: { type: ['number', 'null'] },
+          overallGrade: { type: ['string', 'null'] }
+        },
+        required: ['totalClaims', 'failedClaims', 'gradeCounts', 'averageScore', 'overallGrade']
+      },
+      extractionPromptVersion: { type: 'string', description: 'Version of the prompt that extracted the claims' }
+    },
+    required: ['claims', 'summary']
+  },
+  FactCheckRecord: {
+    type: 'object',
+    description: 'A stored fact-check or analysis, with the checked text and the model that produced it',
+    properties: {
+      id: { type: 'string' },
+      text: { type: 'string' },
+      model: { type: 'string' },
+      provider: { type: 'string' },
+      createdAt: { type: 'string' }
+    },
+    required: ['id', 'text', 'createdAt']
+  },
+  Job: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      status: { type: 'string', enum: ['queued', 'running', 'completed'] },
+      total: { type: 'integer' },
+      succeeded: { type: 'integer' },
+      failed: { type: 'integer' },
+      createdAt: { type: 'string' },
+      startedAt: { type: ['string', 'null'] },
+      completedAt: { type: ['string', 'null'] },
+      webhook: {
+        type: ['object', 'null'],
+        properties: {
+          url: { type: 'string' },
+          status: { type: 'string', enum: ['pending', 'delivered', 'failed'] }
+        },
+        required: ['url', 'status']
+      },
+      items: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            index: { type: 'integer' },
+            text: { type: 'string' },
+            status: { type: 'string', enum: ['pending', 'succeeded', 'failed'] },
+            result: ref('FactCheck'),
+            error: { type: 'string' }
+          },
+          required: ['index', 'text', 'status']
+        }
+      }
+    },
+    required: ['id', 'status', 'total', 'succeeded', 'failed', 'createdAt']
+  },
+  Feedback: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      factCheckId: { type: 'string' },
+      vote: { type: 'string', enum: VOTES },
+      reason: { type: ['string', 'null'] },
+      counterSource: { type: ['string', 'null'] },
+      createdAt: { type: 'string' }
+    },
+    required: ['id', 'factCheckId', 'vote', 'createdAt']
+  },
+  FeedbackResult: {
+    type: 'object',
+    properties: {
+      feedback: ref('Feedback'),
+      replaced: { type: 'boolean' },
+      totals: { type: 'object', additionalProperties: { type: 'integer' } }
+    },
+    required: ['feedback', 'replaced', 'totals']
+  },
+  Dispute: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      factCheckId: { type: 'string' },
+      reason: { type: 'string' },
+      counterSource: { type: ['string', 'null'] },
+      createdAt: { type: 'string' },
+      factCheck: { type: ['object', 'null'], description: 'The disputed fact-check, null if it was removed' }
+    },
+    required: ['id', 'factCheckId', 'reason', 'createdAt', 'factCheck']
+  },
+  Analytics: {
+    type: 'object',
+    properties: {
+      since: { type: 'string' },
+      until: { type: 'string' },
+      requests: { type: 'integer' },
+      errors: { type: 'integer' },
+      errorRate: { type: ['number', 'null'] },
+      timeline: { type: 'array', items: { type: 'object' } },
+      latency: { type: 'object' },
+      errorsByType: { type: 'object', additionalProperties: { type: 'integer' } },
+      gradeDistribution: { type: 'object', additionalProperties: { type: 'integer' } },
+      cache: { type: 'object' },
+      topClaims: { type: 'array', items: { type: 'object' } }
+    },
+    required: ['since', 'until', 'requests', 'errors', 'timeline']
+  },
+  Document: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      title: { type: ['string', 'null'] },
+      url: { type: ['string', 'null'] },
+      format: { type: 'string', enum: DOCUMENT_FORMATS },
+      passageCount: { type: 'integer' },
+      ingestedAt: { type: 'string' }
+    },
+    required: ['id', 'format', 'passageCount', 'ingestedAt']
+  },
+  ApiKey: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      name: { type: 'string' },
+      prefix: { type: 'string', description: 'First characters of the key, to tell keys apart' },
+      monthlyQuota: { type: 'integer' },
+      createdAt: { type: 'string' },
+      revokedAt: { type: ['string', 'null'] },
+      usage: {
+        type: 'object',
+        properties: {
+          month: { type: 'string' },
+          used: { type: 'integer' }
+        },
+        required: ['month', 'used']
+      }
+    },
+    required: ['id', 'name', 'prefix', 'monthlyQuota', 'createdAt', 'revokedAt']
+  },
+  Removed: {
+    type: 'object',
+    properties: { removed: { type: 'integer', minimum: 0 } },
+    required: ['removed']
+  },
+  TextRequest: {
+    type: 'object',
+    properties: {
+      text: { type: 'string', minLength: 1 }
+    },
+    required: ['text']
+  }
+};
+
+/**
+ * The OpenAPI document. Paths are relative to the `/api/v1` server URL.
+ * @type {Object}
+ */
+const openApiDocument = {
+  openapi: '3.1.0',
+  info: {
+    title: 'TruthCheck API',
+    version,
+    description: 'Fact-checks statements and articles with a language model, grading them from ' +
+      'Absolutely False to Truth. Errors are returned as `{ error: { code, message, details } }`. ' +
+      'The unversioned `/api` endpoints are a deprecated alias of these, answering with the ' +
+      'earlier `{ error, details }` error bodies.'
+  },
+  servers: [{ url: '/api/v1' }],
+  components: {
+    schemas,
+    securitySchemes: {
+      apiKey: { type: 'apiKey', in: 'header', name: 'X-API-Key' },
+      adminToken: { type: 'http', scheme: 'bearer' }
+    }
+  },
+  paths: {
+    '/openapi.json': {
+      get: {
+        operationId: 'getOpenApiDocument',
+        summary: 'This document',
+        responses: {
+          200: { description: 'OpenAPI document', content: json({ type: 'object' }) }
+        }
+      }
+    },
+    '/fact-check': {
+      post: {
+        operationId: 'factCheck',
+        summary: 'Fact-check a statement',
+        security: API_KEY_SECURITY,
+        requestBody: { required: true, content: json(ref('TextRequest')) },
+        responses: {
+          200: { description: 'Verdict', content: json(ref('FactCheck')) },
+          ...errors(...LLM_ERRORS, 422, 502, 504)
+        }
+      }
+    },
+    '/fact-check/stream': {
+      post: {
+        operationId: 'streamFactCheck',
+        summary: 'Fact-check a statement, streaming the verdict while it is generated',
+        description: 'Server-Sent Events, each with a JSON payload: `grade` (`{ grade, score }`), ' +
+          '`reasoning` (`{ delta }`), `sources` (`{ sources }`), `done` (the complete FactCheck, which ' +
+          'supersedes earlier events) and `error` (an Error body) if the fact-check fails after the ' +
+          'stream started.',
+        security: API_KEY_SECURITY,
+        requestBody: { required: true, content: json(ref('TextRequest')) },
+        responses: {
+          200: { description: 'Event stream', content: { 'text/event-stream': { schema: { type: 'string' } } } },
+          ...errors(...LLM_ERRORS, 422)
+        }
+      }
+    },
+    '/fact-check/batch': {
+      post: {
+        operationId: 'createBatch',
+        summary: 'Fact-check statements in the background',
+        description: 'Answers immediately with the job, whose progress and results are read from ' +
+          '`GET /jobs/{id}`. Counts one fact-check per statement against the API key quota.',
+        security: API_KEY_SECURITY,
+        requestBody: {
+          required: true,
+          content: json({
+            type: 'object',
+            properties: {
+              statements: { type: 'array', minItems: 1, items: { type: 'string', minLength: 1 } },
+              webhookUrl: {
+                type: 'string',
+                pattern: '^https?://',
+                description: 'Receives a `job.completed` POST once every statement is settled'
+              }
+            },
+            required: ['statements']
+          })
+        },
+        responses: {
+          202: { description: 'Created job, also linked from the Location header', content: json(ref('Job')) },
+          ...errors(...LLM_ERRORS, 422)
+        }
+      }
+    },
+    '/jobs/{id}': {
+      get: {
+        operationId: 'getJob',
+        summary: 'Progress and results of a batch job',
+        parameters: [idParameter('Job identifier')],
+        responses: {
+          200: { description: 'Job with its items', content: json(ref('Job')) },
+          ...errors(404, 500)
+        }
+      }
+    },
+    '/analyze': {
+      post: {
+        operationId: 'analyze',
+        summary: 'Break a text or an article into claims and fact-check each one',
+        description: 'Send either `text`, or the `url` of an article. A `text` that is a URL is ' +
+          'treated as the article URL. An analysis, of text or of an article, counts one fact-check per ' +
+          'extracted claim against the API key quota.',
+        security: API_KEY_SECURITY,
+        requestBody: {
+          required: true,
+          content: json({
+            type: 'object',
+            properties: {
+              text: { type: 'string', minLength: 1 },
+              url: { type: 'string', pattern: '^https?://' }
+            }
+          })
+        },
+        responses: {
+          200: { description: 'Per-claim verdicts and summary', content: json(ref('Analysis')) },
+          ...errors(...LLM_ERRORS, 422, 502, 504)
+        }
+      }
+    },
+    '/fact-checks/{id}': {
+      get: {
+        operationId: 'getFactCheck',
+        summary: 'Stored fact-check, backing the shareable permalinks',
+        parameters: [idParameter('Record identifier returned by the fact-checking endpoints')],
+        responses: {
+          200: { description: 'Stored fact-check or analysis', content: json(ref('FactCheckRecord')) },
+          ...errors(404, 500)
+        }
+      }
+    },
+    '/feedback': {
+      post: {
+        operationId: 'submitFeedback',
+        summary: 'Vote on a verdict or dispute it',
+        description: 'Each client has a single say per fact-check, so a new submission replaces the previous one.',
+        requestBody: {
+          required: true,
+          content: json({
+            type: 'object',
+            properties: {
+              factCheckId: { type: 'string', pattern: RECORD_ID_PATTERN.source },
+              vote: { type: 'string', enum: VOTES },
+              reason: { type: ['string', 'null'], description: 'Why the verdict is wrong, required for disputes' },
+              counterSource: { type: ['string', 'null'], description: 'URL of a source backing the dispute' }
+            },
+            required: ['factCheckId', 'vote']
+          })
+        },
+        responses: {
+          200: { description: 'Feedback replacing earlier feedback from the client', content: json(ref('FeedbackResult')) },
+          201: { description: 'Stored feedback', content: json(ref('FeedbackResult')) },
+          202: {
+            description: 'Feedback dropped as spam',
+            content: json({ type: 'object', properties: { accepted: { type: 'boolean' } }, required: ['accepted'] })
+          },
+          ...errors(400, 404, 429, 500, 503)
+        }
+      }
+    },
+    '/admin/feedback/disputes': {
+      get: {
+        operationId: 'exportDisputes',
+        summary: 'Disputed verdicts with the fact-checks they dispute',
+        security: ADMIN_SECURITY,
+        parameters: [{ name: 'format', in: 'query', schema: { type: 'string', enum: ['json', 'csv'] } }],
+        responses: {
+          200: {
+            description: 'Disputes, oldest first',
+            content: {
+              ...json({
+                type: 'object',
+                properties: { disputes: { type: 'array', items: ref('Dispute') } },
+                required: ['disputes']
+              }),
+              'text/csv': { schema: { type: 'string' } }
+            }
+          },
+          ...errors(400, ...ADMIN_ERRORS)
+        }
+      }
+    },
+    '/admin/analytics': {
+      get: {
+        operationId: 'getAnalytics',
+        summary: 'Usage of the fact-checking endpoints',
+        security: ADMIN_SECURITY,
+        parameters: [
+          { name: 'hours', in: 'query', description: 'Length of the period, up to 720 (default 24)', schema: NUMBER_QUERY },
+          { name: 'bucketMinutes', in: 'query', description: 'Length of each timeline interval (default 60)', schema: NUMBER_QUERY }
+        ],
+        responses: {
+          200: { description: 'Usage summary', content: json(ref('Analytics')) },
+          ...errors(400, ...ADMIN_ERRORS)
+        }
+      }
+    },
+    '/admin/cache': {
+      delete: {
+        operationId: 'invalidateCache',
+        summary: 'Remove the cached verdict of a text, or every cached verdict',
+        security: ADMIN_SECURITY,
+        requestBody: {
+          required: true,
+          content: json({
+            type: 'object',
+            properties: { text: { type: 'string' }, all: { type: 'boolean' } }
+          })
+        },
+        responses: {
+          200: { description: 'Number of removed verdicts', content: json(ref('Removed')) },
+          ...errors(400, 404, ...ADMIN_ERRORS)
+        }
+      }
+    },
+    '/admin/documents': {
+      post: {
+        operationId: 'ingestDocument',
+        summary: 'Add a reference document to the evidence corpus',
+        security: ADMIN_SECURITY,
+        requestBody: {
+          required: true,
+          content: json({
+            type: 'object',
+            properties: {
+              content: { type: 'string' },
+              format: { type: 'string', enum: DOCUMENT_FORMATS },
+              id: { type: 'string' },
+              title: { type: 'string' },
+              url: { type: 'string' }
+            },
+            required: ['content']
+          })
+        },
+        responses: {
+          201: { description: 'Stored document', content: json(ref('Document')) },
+          ...errors(400, 404, ...ADMIN_ERRORS)
+        }
+      },
+      get: {
+        operationId: 'listDocuments',
+        summary: 'Documents of the evidence corpus',
+        security: ADMIN_SECURITY,
+        responses: {
+          200: {
+            description: 'Documents',
+            content: json({
+              type: 'object',
+              properties: { documents: { type: 'array', items: ref('Document') } },
+              required: ['documents']
+            })
+          },
+          ...errors(404, ...ADMIN_ERRORS)
+        }
+      }
+    },
+    '/admin/documents/{id}': {
+      delete: {
+        operationId: 'removeDocument',
+        summary: 'Remove a document from the evidence corpus',
+        security: ADMIN_SECURITY,
+        parameters: [idParameter('Document identifier')],
+        responses: {
+          200: { description: 'Number of removed documents', content: json(ref('Removed')) },
+          ...errors(404, ...ADMIN_ERRORS)
+        }
+      }
+    },
+    '/admin/api-keys': {
+      post: {
+        operationId: 'createApiKey',
+        summary: 'Create an API key for a partner',
+        description: 'The key is only ever returned here: the server keeps its hash only.',
+        security: ADMIN_SECURITY,
+        requestBody: {
+          required: true,
+          content: json({
+            type: 'object',
+            properties: {
+              name: { type: 'string', minLength: 1 },
+              monthlyQuota: { type: 'integer', minimum: 1 }
+            },
+            required: ['name']
+          })
+        },
+        responses: {
+          201: {
+            description: 'The key and its stored details',
+            content: json({
+              type: 'object',
+              properties: { key: { type: 'string' }, apiKey: ref('ApiKey') },
+              required: ['key', 'apiKey']
+            })
+          },
+          ...errors(400, ...ADMIN_ERRORS)
+        }
+      },
+      get: {
+        operationId: 'listApiKeys',
+        summary: 'API keys with their usage this month',
+        security: ADMIN_SECURITY,
+        responses: {
+          200: {
+            description: 'Keys, oldest first',
+            content: json({
+              type: 'object',
+              properties: { apiKeys: { type: 'array', items: ref('ApiKey') } },
+              required: ['apiKeys']
+            })
+          },
+          ...errors(...ADMIN_ERRORS)
+        }
+      }
+    },
+    '/admin/api-keys/{id}': {
+      delete: {
+        operationId: 'revokeApiKey',
+        summary: 'Revoke an API key',
+        security: ADMIN_SECURITY,
+        parameters: [idParameter('Key identifier')],
+        responses: {
+          200: {
+            description: 'The revoked key',
+            content: json({ type: 'object', properties: { apiKey: ref('ApiKey') }, required: ['apiKey'] })
+          },
+          ...errors(404, ...ADMIN_ERRORS)
+        }
+      }
+    }
+  }
+};
+
+/**
+ * Compiled path templates of the document, e.g. `/jobs/{id}` as `^/jobs/([^/]+)/?$`.
+ * @type {Array<{template: string, pattern: RegExp}>}
+ */
+const compiledPaths = Object.keys(openApiDocument.paths).map(template => ({
+  template,
+  pattern: new RegExp(`^${template
+    .replace(/[.*+?^$()|[\]\\]/g, '\\$&')
+    .replace(/\{[^}]+\}/g, '([^/]+)')}/?$`)
+}));
+
+/**
+ * Find the operation of the document handling a request.
+ * @param {string} method - HTTP method
+ * @param {string} path - Request path, relative to the `/api/v1` server URL
+ * @returns {?{template: string, operation: Object}} Path template and operation, or null if
+ * the document has no such operation
+ */
+const findOperation = (method, path) => {
+  const match = compiledPaths.find(({ pattern }) => pattern.test(path));
+  const operation = match && openApiDocument.paths[match.template][method.toLowerCase()];
+  return operation ? { template: match.template, operation } : null;
+};
+
+module.exports = { openApiDocument, findOperation };
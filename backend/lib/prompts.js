@@ -0,0 +1,166 @@
+/**
+ * @fileoverview Versioned prompt templates and A/B assignment between versions.
+ * System prompts live in `prompts/<name>/<version>.txt`, e.g. `prompts/fact-check/v2.txt`,
+ * so that a wording change is a new file rather than a code change, and every verdict can
+ * record the version that produced it. Templates are plain text with `{{variable}}`
+ * placeholders. Traffic can be split between versions with weights; assignment is sticky,
+ * derived from a hash of the normalized text, so the same statement gets the same version
+ * (and the verdict cache stays consistent) as long as the weights stay the same.
+ * Configured with:
+ *
+ * - `FACT_CHECK_PROMPT_VERSIONS` - Versions of the fact-check prompt to use, as a single
+ *   version (`v1`) or weighted versions (`v1=90,v2=10`). Defaults to the latest version
+ * - `CLAIM_EXTRACTION_PROMPT_VERSIONS` - Same for the claim extraction prompt
+ * @module lib/prompts
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { normalizeText } = require('./verdictCache');
+
+/**
+ * Directory holding the prompt templates.
+ * @type {string}
+ */
+const PROMPTS_DIR = path.join(__dirname, '..', 'prompts');
+
+/**
+ * Format of a version, and of a template file name without its extension.
+ * @type {RegExp}
+ */
+const VERSION_PATTERN = /^v(\d+)$/;
+
+/**
+ * Error thrown when prompt versions are misconfigured.
+ */
+class PromptConfigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PromptConfigError';
+  }
+}
+
+/**
+ * Load every version of a prompt.
+ * @param {string} name - Prompt name, the directory of its templates
+ * @param {string} [dir=PROMPTS_DIR] - Directory holding the prompt directories
+ * @returns {Object<string, string>} Templates by version, oldest first
+ * @throws {PromptConfigError} If the prompt has no versions
+ */
+const loadPromptVersions = (name, dir = PROMPTS_DIR) => {
+  const promptDir = path.join(dir, name);
+  const files = fs.existsSync(promptDir) ? fs.readdirSync(promptDir) : [];
+  const versions = files
+    .map(file => path.basename(file, '.txt'))
+    .filter(version => VERSION_PATTERN.test(version) && files.includes(`${version}.txt`))
+    .sort((a, b) => Number(a.match(VERSION_PATTERN)[1]) - Number(b.match(VERSION_PATTERN)[1]));
+  if (!versions.length) {
+    throw new PromptConfigError(`No versions of the "${name}" prompt in ${promptDir}`);
+  }
+  return Object.fromEntries(versions.map(version => [
+    version,
+    fs.readFileSync(path.join(promptDir, `${version}.txt`), 'utf8').trim()
+  ]));
+};
+
+/**
+ * Fill in the placeholders of a template.
+ * @param {string} template - Template with `{{variable}}` placeholders
+ * @param {Object<string, *>} [variables={}] - Values of the placeholders
+ * @returns {string} Prompt
+ * @throws {PromptConfigError} If a placeholder has no value
+ */
+const renderPrompt = (template, variables = {}) => template.replace(/\{\{\s*(\w+)\s*\}\}/g, (placeholder, variable) => {
+  if (!(variable in variables)) {
+    throw new PromptConfigError(`No value for the ${placeholder} placeholder`);
+  }
+  return String(variables[variable]);
+});
+
+/**
+ * Parse a version list such as `v2` or `v1=90,v2=10`.
+ * @param {string} spec - Comma-separated versions, each with an optional weight
+ * @returns {Object<string, number>} Weights by version
+ * @throws {PromptConfigError} If a version or weight is malformed
+ */
+const parsePromptWeights = (spec) => Object.fromEntries(spec.split(',').map(entry => entry.trim()).filter(Boolean).map(entry => {
+  const [version, weight = '1'] = entry.split('=').map(part => part.trim());
+  if (!VERSION_PATTERN.test(version) || !(Number(weight) > 0)) {
+    throw new PromptConfigError(`Invalid prompt version "${entry}". Use a version such as v2, or v1=90,v2=10.`);
+  }
+  return [version, Number(weight)];
+}));
+
+/**
+ * Map a text to a stable point between 0 and 1.
+ * @param {string} name - Prompt name, so that experiments on different prompts are independent
+ * @param {string} text - Text the prompt is used for
+ * @returns {number} Point in [0, 1)
+ */
+const assignmentPoint = (name, text) => crypto
+  .createHash('sha256')
+  .update(`${name}:${normalizeText(text)}`)
+  .digest()
+  .readUInt32BE(0) / 2 ** 32;
+
+/**
+ * Create a selector of the version of a prompt to use for each text.
+ * @param {Object} options - Selector options
+ * @param {string} options.name - Prompt name
+ * @param {Object<string, number>} [options.weights] - Weights of the versions to use, the
+ * latest version alone by default
+ * @param {string} [options.dir=PROMPTS_DIR] - Directory holding the prompt directories
+ * @returns {{name: string, weights: Object<string, number>, select: Function}} Prompt selector
+ * @throws {PromptConfigError} If the prompt or a weighted version does not exist
+ */
+const createPromptSelector = ({ name, weights, dir = PROMPTS_DIR }) => {
+  const templates = loadPromptVersions(name, dir);
+  const versions = Object.keys(templates);
+  const active = weights && Object.keys(weights).length ? weights : { [versions[versions.length - 1]]: 1 };
+  const unknown = Object.keys(active).filter(version => !templates[version]);
+  if (unknown.length) {
+    throw new PromptConfigError(`Unknown "${name}" prompt versions: ${unknown.join(', ')}. Available: ${versions.join(', ')}.`);
+  }
+
+  const total = Object.values(active).reduce((sum, weight) => sum + weight, 0);
+  return {
+    name,
+    weights: active,
+
+    /**
+     * Select the prompt version to use for a text.
+     * @param {string} text - Text the prompt is used for
+     * @returns {{version: string, template: string}} Selected version and its template
+     */
+    select(text) {
+      let point = assignmentPoint(name, text) * total;
+      const entries = Object.entries(active);
+      const [version] = entries.find(([, weight]) => (point -= weight) < 0) || entries[entries.length - 1];
+      return { version, template: templates[version] };
+    }
+  };
+};
+
+/**
+ * Create the selector of a prompt's versions configured by the environment, read from
+ * `<NAME>_PROMPT_VERSIONS`.
+ * @param {string} name - Prompt name, e.g. `fact-check`
+ * @param {Object} [env=process.env] - Configuration variables
+ * @returns {Object} Prompt selector
+ * @throws {PromptConfigError} If the configured versions are malformed or do not exist
+ */
+const createPromptSelectorFromEnv = (name, env = process.env) => {
+  const spec = env[`${name.toUpperCase().replace(/-/g, '_')}_PROMPT_VERSIONS`];
+  return createPromptSelector({ name, weights: spec ? parsePromptWeights(spec) : undefined });
+};
+
+module.exports = {
+  PROMPTS_DIR,
+  PromptConfigError,
+  loadPromptVersions,
+  renderPrompt,
+  parsePromptWeights,
+  createPromptSelector,
+  createPromptSelectorFromEnv
+};
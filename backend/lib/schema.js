@@ -0,0 +1,137 @@
+/**
+ * @fileoverview Minimal JSON Schema validator.
+ * Supports the subset of JSON Schema used by the structured model outputs and the OpenAPI
+ * document: `type` (single or array), `enum`, `properties`, `required`,
+ * `additionalProperties` (`false` or a schema), `items`, `minItems`, `maxItems`,
+ * `minLength`, `maxLength`, `pattern`, `minimum`, `maximum` and local `$ref` pointers
+ * such as `#/components/schemas/FactCheck`.
+ * @module lib/schema
+ */
+
+/**
+ * Return the JSON Schema type name of a value.
+ * @param {*} value - Value to inspect
+ * @returns {string} One of null, array, integer, number, string, boolean, object
+ */
+const typeOf = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+};
+
+/**
+ * Check whether a value matches a JSON Schema type keyword.
+ * An integer also satisfies the `number` type.
+ * @param {*} value - Value to check
+ * @param {string|string[]} type - Allowed type or types
+ * @returns {boolean} True if the value matches one of the types
+ */
+const matchesType = (value, type) => {
+  const types = Array.isArray(type) ? type : [type];
+  const actual = typeOf(value);
+  return types.some(t => t === actual || (t === 'number' && actual === 'integer'));
+};
+
+/**
+ * Resolve a local `$ref` pointer against the document it belongs to.
+ * @param {Object} root - Document holding the referenced schemas
+ * @param {string} ref - JSON Pointer fragment, such as `#/components/schemas/FactCheck`
+ * @returns {Object} Referenced schema
+ * @throws {Error} If the pointer is not local or does not resolve
+ */
+const resolveRef = (root, ref) => {
+  if (!ref.startsWith('#/')) {
+    throw new Error(`Unsupported $ref "${ref}": only local references are supported`);
+  }
+  return ref.slice(2).split('/').reduce((node, segment) => {
+    const key = segment.replace(/~1/g, '/').replace(/~0/g, '~');
+    if (!node || typeof node !== 'object' || !(key in node)) {
+      throw new Error(`Cannot resolve $ref "${ref}"`);
+    }
+    return node[key];
+  }, root);
+};
+
+/**
+ * Validate a value against a schema.
+ * @param {Object} schema - JSON Schema (supported subset)
+ * @param {*} value - Value to validate
+ * @param {string} [path='$'] - Path of the value, used in error messages
+ * @param {Object} [root=schema] - Document against which `$ref` pointers are resolved
+ * @returns {string[]} List of validation errors, empty if the value is valid
+ */
+const validate = (schema, value, path = '$', root = schema) => {
+  if (schema.$ref) {
+    return validate(resolveRef(root, schema.$ref), value, path, root);
+  }
+
+  const errors = [];
+
+  if (schema.type && !matchesType(value, schema.type)) {
+    const expected = Array.isArray(schema.type) ? schema.type.join(' or ') : schema.type;
+    errors.push(`${path} must be of type ${expected}`);
+    return errors;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path} must be one of: ${schema.enum.join(', ')}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push(`${path} must be at least ${schema.minLength} characters long`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push(`${path} must be at most ${schema.maxLength} characters long`);
+    }
+    if (schema.pattern !== undefined && !new RegExp(schema.pattern, 'u').test(value)) {
+      errors.push(`${path} must match the pattern ${schema.pattern}`);
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${path} must be >= ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(`${path} must be <= ${schema.maximum}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${path} must contain at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push(`${path} must contain at most ${schema.maxItems} items`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => {
+        errors.push(...validate(schema.items, item, `${path}[${index}]`, root));
+      });
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    const properties = schema.properties || {};
+    for (const key of schema.required || []) {
+      if (!(key in value)) {
+        errors.push(`${path}.${key} is required`);
+      }
+    }
+    for (const [key, propertyValue] of Object.entries(value)) {
+      if (properties[key]) {
+        errors.push(...validate(properties[key], propertyValue, `${path}.${key}`, root));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path}.${key} is not allowed`);
+      } else if (typeof schema.additionalProperties === 'object') {
+        errors.push(...validate(schema.additionalProperties, propertyValue, `${path}.${key}`, root));
+      }
+    }
+  }
+
+  return errors;
+};
+
+module.exports = { validate, resolveRef };
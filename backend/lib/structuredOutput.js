@@ -0,0 +1,187 @@
+/**
+ * @fileoverview Helpers for requesting JSON-Schema-constrained answers from the model.
+ * Raw output is parsed, optionally repaired, validated against the schema and, if it
+ * still does not conform, the model is shown the errors and asked once more.
+ * @module lib/structuredOutput
+ */
+
+const { validate } = require('./schema');
+const { logger } = require('./logger');
+const { metrics } = require('./metrics');
+
+/**
+ * Error raised when the model output cannot be turned into a schema-conforming value.
+ */
+class InvalidModelOutputError extends Error {
+  /**
+   * @param {string[]} errors - Validation errors of the last attempt
+   */
+  constructor(errors) {
+    super(`Invalid response format: ${errors.join('; ')}`);
+    this.name = 'InvalidModelOutputError';
+    this.errors = errors;
+  }
+}
+
+/**
+ * Extract a JSON value from raw model output.
+ * Accepts bare JSON, JSON wrapped in a Markdown code fence, or JSON surrounded by prose.
+ * @param {string} content - Raw model output
+ * @returns {*} Parsed value, or undefined if no JSON object could be found
+ */
+const extractJson = (content) => {
+  if (typeof content !== 'string') return undefined;
+  const candidates = [content.trim()];
+
+  const fenced = content.match(/```(?:json)?\s*([\s\S]*?)```/i);
+  if (fenced) candidates.push(fenced[1].trim());
+
+  const start = content.indexOf('{');
+  const end = content.lastIndexOf('}');
+  if (start !== -1 && end > start) candidates.push(content.slice(start, end + 1));
+
+  for (const candidate of candidates) {
+    try {
+      return JSON.parse(candidate);
+    } catch (error) {
+      // Try the next candidate
+    }
+  }
+  return undefined;
+};
+
+/**
+ * Parse, repair and validate raw model output.
+ * @param {string} content - Raw model output
+ * @param {Object} options - Parsing options
+ * @param {Object} options.schema - JSON Schema the value must match
+ * @param {Function} [options.repair] - Maps a parsed value to a repaired one
+ * @param {Function} [options.check] - Returns extra errors for a schema-valid value
+ * @returns {{value: *, errors: string[]}} The parsed value and any validation errors
+ */
+const parseStructured = (content, { schema, repair = value => value, check = () => [] }) => {
+  const parsed = extractJson(content);
+  if (parsed === undefined) {
+    return { value: undefined, errors: ['response is not valid JSON'] };
+  }
+  const value = repair(parsed);
+  const errors = validate(schema, value);
+  if (!errors.length) {
+    errors.push(...check(value));
+  }
+  return { value, errors };
+};
+
+/**
+ * Characters produced by single-character JSON escape sequences.
+ * @type {Object<string, string>}
+ */
+const JSON_ESCAPES = { '"': '"', '\\': '\\', '/': '/', b: '\b', f: '\f', n: '\n', r: '\r', t: '\t' };
+
+/**
+ * Read the value of a string property from JSON that is still being generated.
+ * Used while streaming to surface a property before the whole object is complete.
+ * An escape sequence cut off at the end of the buffer is left out until it is complete.
+ * @param {string} buffer - JSON received so far
+ * @param {string} key - Name of the string property
+ * @returns {?{value: string, complete: boolean}} Decoded value so far and whether its
+ * closing quote has been received, or null if the property has not started yet
+ */
+const readPartialString = (buffer, key) => {
+  const match = new RegExp(`"${key}"\\s*:\\s*"`).exec(buffer);
+  if (!match) return null;
+
+  let value = '';
+  let i = match.index + match[0].length;
+  while (i < buffer.length) {
+    const char = buffer[i];
+    if (char === '"') {
+      return { value, complete: true };
+    }
+    if (char !== '\\') {
+      value += char;
+      i += 1;
+      continue;
+    }
+    const escaped = buffer[i + 1];
+    if (escaped === undefined) break;
+    if (escaped === 'u') {
+      const hex = buffer.slice(i + 2, i + 6);
+      if (hex.length < 4) break;
+      value += String.fromCharCode(parseInt(hex, 16));
+      i += 6;
+    } else {
+      value += JSON_ESCAPES[escaped] ?? escaped;
+      i += 2;
+    }
+  }
+  return { value, complete: false };
+};
+
+/**
+ * Read the value of a number property from JSON that is still being generated.
+ * A number is only known once a delimiter follows it, since more digits may still arrive.
+ * @param {string} buffer - JSON received so far
+ * @param {string} key - Name of the number property
+ * @returns {?number} Value, or null if the property is not complete yet
+ */
+const readPartialNumber = (buffer, key) => {
+  const match = new RegExp(`"${key}"\\s*:\\s*(-?\\d+(?:\\.\\d+)?(?:[eE][+-]?\\d+)?)\\s*[,}]`).exec(buffer);
+  return match ? Number(match[1]) : null;
+};
+
+/**
+ * Ask the model for a JSON answer constrained by a schema.
+ * If the first answer does not conform, the model is shown the validation errors
+ * and asked to answer again, once.
+ * @param {LLMProvider} provider - LLM provider
+ * @param {Object} options - Request options
+ * @param {string} options.name - Name of the schema, sent to the provider
+ * @param {Object} options.schema - JSON Schema the answer must match
+ * @param {Array<Object>} options.messages - Chat messages
+ * @param {Object} options.settings - Generation settings (temperature, maxTokens)
+ * @param {Function} [options.repair] - Maps a parsed value to a repaired one
+ * @param {Function} [options.check] - Returns extra errors for a schema-valid value
+ * @returns {Promise<*>} The validated answer
+ * @throws {InvalidModelOutputError} If the retried answer is still invalid
+ */
+const createStructured = async (provider, { name, schema, messages, settings, repair, check }) => {
+  const conversation = [...messages];
+
+  let errors = [];
+  for (let attempt = 0; attempt < 2; attempt++) {
+    const { content } = await provider.complete({
+      ...settings,
+      messages: conversation,
+      schema: { name, schema }
+    });
+
+    const result = parseStructured(content, { schema, repair, check });
+    if (!result.errors.length) {
+      return result.value;
+    }
+
+    errors = result.errors;
+    metrics.parseFailures.inc({ schema: name });
+    logger.warn('Invalid model output', { schema: name, attempt: attempt + 1, errors });
+    conversation.push(
+      { role: 'assistant', content: content || '' },
+      {
+        role: 'user',
+        content: `Your previous answer was invalid: ${errors.join('; ')}. ` +
+          'Reply again with only a JSON object that matches the required schema.'
+      }
+    );
+  }
+
+  throw new InvalidModelOutputError(errors);
+};
+
+module.exports = {
+  InvalidModelOutputError,
+  extractJson,
+  parseStructured,
+  readPartialString,
+  readPartialNumber,
+  createStructured
+};
@@ -0,0 +1,28 @@
+/**
+ * @fileoverview Splitting text into the terms used to match claims against documents.
+ * @module lib/terms
+ */
+
+/**
+ * Common English words that carry no meaning on their own.
+ * @type {Set<string>}
+ */
+const STOPWORDS = new Set([
+  'a', 'about', 'after', 'all', 'also', 'an', 'and', 'any', 'are', 'as', 'at', 'be', 'been', 'before',
+  'but', 'by', 'can', 'could', 'did', 'do', 'does', 'for', 'from', 'had', 'has', 'have', 'he', 'her',
+  'his', 'how', 'if', 'in', 'into', 'is', 'it', 'its', 'more', 'most', 'no', 'not', 'of', 'on', 'only',
+  'or', 'other', 'our', 'over', 'she', 'so', 'some', 'than', 'that', 'the', 'their', 'them', 'then',
+  'there', 'these', 'they', 'this', 'those', 'to', 'under', 'up', 'very', 'was', 'we', 'were', 'what',
+  'when', 'where', 'which', 'who', 'why', 'will', 'with', 'would', 'you', 'your'
+]);
+
+/**
+ * Split text into lowercase terms, dropping stopwords and words shorter than three
+ * letters. Numbers are kept whatever their length.
+ * @param {string} text - Text to split
+ * @returns {string[]} Terms, in order of appearance and with repetitions
+ */
+const tokenize = (text) => (text.normalize('NFKC').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+  .filter(word => (word.length >= 3 || /\d/.test(word)) && !STOPWORDS.has(word));
+
+module.exports = { STOPWORDS, tokenize };
@@ -0,0 +1,184 @@
+/**
+ * @fileoverview Cache of fact-check verdicts.
+ * Verdicts are keyed on a normalized form of the checked text, so resubmitting the same
+ * claim with different casing, spacing or final punctuation reuses the earlier verdict instead
+ * of calling the model again, and on the version of the prompt that graded it, so that a
+ * verdict is never served for a version other than the one selected. Other punctuation and symbols are kept, since they can change
+ * what a claim says ("-5 °C" and "5 °C", "$5" and "€5"). Configured with:
+ *
+ * - `VERDICT_CACHE_BACKEND` - `memory` (default), `file` or `none` to disable caching
+ * - `VERDICT_CACHE_FILE` - JSON file used by the file backend (default `data/verdict-cache.json`)
+ * - `VERDICT_CACHE_TTL_SECONDS` - How long a verdict stays valid (default 86400, one day)
+ * - `VERDICT_CACHE_MAX_ENTRIES` - Verdicts kept by the memory backend, the oldest being evicted
+ *   first (default 10000)
+ * @module lib/verdictCache
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const { createMemoryStore } = require('../stores/memory');
+const { createFileStore } = require('../stores/file');
+
+/**
+ * Default time-to-live of a cached verdict, in seconds.
+ * @type {number}
+ */
+const DEFAULT_TTL_SECONDS = 24 * 60 * 60;
+
+/**
+ * Default number of verdicts kept by the memory backend.
+ * @type {number}
+ */
+const DEFAULT_MAX_ENTRIES = 10000;
+
+/**
+ * Normalize text so that trivially different submissions of the same claim match.
+ * Applies Unicode compatibility normalization, lowercases, collapses whitespace and drops
+ * the punctuation that ends the text.
+ * @param {string} text - Submitted text
+ * @returns {string} Normalized text
+ */
+const normalizeText = (text) => text
+  .normalize('NFKC')
+  .toLowerCase()
+  .replace(/\s+/g, ' ')
+  .trim()
+  .replace(/[\s.,;:!?…]+$/u, '');
+
+/**
+ * Compute the cache key of a text.
+ * @param {string} text - Submitted text
+ * @param {string} [version] - Version of the prompt grading the text
+ * @returns {string} Cache key
+ */
+const cacheKey = (text, version) => crypto
+  .createHash('sha256')
+  .update(JSON.stringify([version ?? null, normalizeText(text)]))
+  .digest('hex');
+
+/**
+ * Create a verdict cache on top of a key-value store.
+ * @param {Object} options - Cache options
+ * @param {KeyValueStore} options.store - Store holding the cached verdicts
+ * @param {number} [options.ttlSeconds=86400] - Time-to-live of a verdict
+ * @param {Function} [options.now=Date.now] - Clock, in milliseconds
+ * @returns {Object} Verdict cache
+ */
+const createVerdictCache = ({ store, ttlSeconds = DEFAULT_TTL_SECONDS, now = Date.now }) => {
+  /**
+   * Look up a fresh cached verdict. Expired entries are removed.
+   * @param {string} text - Submitted text
+   * @param {Object} [options] - Lookup options
+   * @param {string} [options.version] - Version of the prompt grading the text
+   * @returns {Promise<?Object>} Cached entry with `result` and `checkedAt`, or null
+   */
+  const get = async (text, { version } = {}) => {
+    const key = cacheKey(text, version);
+    const entry = await store.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt <= now()) {
+      await store.delete(key);
+      return null;
+    }
+    return entry;
+  };
+
+  /**
+   * Store a verdict.
+   * @param {string} text - Submitted text
+   * @param {Object} result - Fact-check result
+   * @param {Object} [options] - Storage options
+   * @param {string} [options.version] - Version of the prompt that graded the text
+   * @returns {Promise<Object>} Stored entry
+   */
+  const set = async (text, result, { version } = {}) => {
+    const checkedAt = new Date(now()).toISOString();
+    const entry = { text, result, checkedAt, expiresAt: now() + ttlSeconds * 1000 };
+    await store.set(cacheKey(text, version), entry);
+    return entry;
+  };
+
+  return {
+    get,
+    set,
+
+    /**
+     * Return the cached verdict for a text, or compute and cache it.
+     * The result carries `cached` and `checkedAt` metadata.
+     * @param {string} text - Submitted text
+     * @param {Function} compute - Produces the verdict on a cache miss
+     * @param {Object} [options] - Cache options
+     * @param {string} [options.version] - Version of the prompt grading the text
+     * @returns {Promise<Object>} Verdict with cache metadata
+     */
+    async wrap(text, compute, options = {}) {
+      const hit = await get(text, options);
+      if (hit) {
+        return { ...hit.result, cached: true, checkedAt: hit.checkedAt };
+      }
+      const entry = await set(text, await compute(), options);
+      return { ...entry.result, cached: false, checkedAt: entry.checkedAt };
+    },
+
+    /**
+     * Remove the cached verdict for a text.
+     * @param {string} text - Text whose verdict is known to be wrong
+     * @param {Object} [options] - Invalidation options
+     * @param {string} [options.version] - Version of the prompt that graded the text
+     * @returns {Promise<boolean>} True if a verdict was removed
+     */
+    invalidate(text, { version } = {}) {
+      return store.delete(cacheKey(text, version));
+    },
+
+    /**
+     * Remove every cached verdict.
+     * @returns {Promise<number>} Number of verdicts removed
+     */
+    clear() {
+      return store.clear();
+    }
+  };
+};
+
+/**
+ * Create the verdict cache selected by configuration.
+ * @param {Object} [env=process.env] - Configuration variables
+ * @returns {?Object} Verdict cache, or null when caching is disabled
+ * @throws {Error} If the backend is unknown or its settings are invalid
+ */
+const createVerdictCacheFromEnv = (env = process.env) => {
+  const backend = (env.VERDICT_CACHE_BACKEND || 'memory').toLowerCase();
+  const ttlSeconds = env.VERDICT_CACHE_TTL_SECONDS
+    ? Number(env.VERDICT_CACHE_TTL_SECONDS)
+    : DEFAULT_TTL_SECONDS;
+  if (!Number.isFinite(ttlSeconds) || ttlSeconds <= 0) {
+    throw new Error(`Invalid VERDICT_CACHE_TTL_SECONDS "${env.VERDICT_CACHE_TTL_SECONDS}". Use a positive number of seconds.`);
+  }
+
+  switch (backend) {
+    case 'none':
+      return null;
+    case 'memory': {
+      const maxEntries = Number(env.VERDICT_CACHE_MAX_ENTRIES || DEFAULT_MAX_ENTRIES);
+      if (!Number.isInteger(maxEntries) || maxEntries < 1) {
+        throw new Error(`Invalid VERDICT_CACHE_MAX_ENTRIES "${env.VERDICT_CACHE_MAX_ENTRIES}". Use a positive whole number.`);
+      }
+      return createVerdictCache({ store: createMemoryStore({ maxEntries }), ttlSeconds });
+    }
+    case 'file':
+      return createVerdictCache({
+        store: createFileStore(env.VERDICT_CACHE_FILE || path.join(__dirname, '..', 'data', 'verdict-cache.json')),
+        ttlSeconds
+      });
+    default:
+      throw new Error(`Unknown VERDICT_CACHE_BACKEND "${backend}". Use memory, file or none.`);
+  }
+};
+
+module.exports = {
+  normalizeText,
+  cacheKey,
+  createVerdictCache,
+  createVerdictCacheFromEnv
+};
@@ -0,0 +1,89 @@
+/**
+ * @fileoverview Delivery of webhook notifications.
+ * Payloads are POSTed as JSON with a timeout and retried with exponential backoff. When a
+ * secret is configured, each request carries an HMAC-SHA256 signature of its body in the
+ * `X-TruthCheck-Signature` header (`sha256=<hex>`) so that receivers can authenticate it.
+ * Like fetched pages, webhooks are never sent to private or loopback addresses.
+ * @module lib/webhooks
+ */
+
+const crypto = require('crypto');
+const { assertPublicHost } = require('./fetchPage');
+
+/**
+ * Sign a webhook body.
+ * @param {string} secret - Shared secret
+ * @param {string} body - Request body
+ * @returns {string} Signature header value
+ */
+const signPayload = (secret, body) => `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+
+/**
+ * Wait for a while.
+ * @param {number} ms - Milliseconds to wait
+ * @returns {Promise<void>} Resolves after the delay
+ */
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Deliver a webhook, retrying failed attempts.
+ * Any 2xx response counts as delivered. Network errors, timeouts and other responses are retried.
+ * @param {string} url - Receiver URL
+ * @param {string} event - Event name, sent in the `X-TruthCheck-Event` header
+ * @param {Object} payload - JSON payload
+ * @param {Object} [options] - Delivery options
+ * @param {string} [options.secret] - Secret used to sign the payload
+ * @param {number} [options.timeoutMs=5000] - Time allowed for each attempt
+ * @param {number} [options.attempts=3] - Maximum number of attempts
+ * @param {number} [options.backoffMs=1000] - Delay before the first retry, doubled after each retry
+ * @param {boolean} [options.allowPrivateHosts=false] - Allow internal addresses (for tests)
+ * @returns {Promise<{status: string, attempts: number, httpStatus: ?number, error: ?string}>}
+ * Outcome: `delivered` or `failed`, with the last HTTP status or error
+ */
+const deliverWebhook = async (url, event, payload, {
+  secret,
+  timeoutMs = 5000,
+  attempts = 3,
+  backoffMs = 1000,
+  allowPrivateHosts = false
+} = {}) => {
+  const body = JSON.stringify(payload);
+  const headers = {
+    'Content-Type': 'application/json',
+    'User-Agent': 'TruthCheckMe-Webhook/1.0',
+    'X-TruthCheck-Event': event,
+    ...(secret ? { 'X-TruthCheck-Signature': signPayload(secret, body) } : {})
+  };
+
+  let outcome = { status: 'failed', attempts: 0, httpStatus: null, error: null };
+  for (let attempt = 1; attempt <= attempts; attempt++) {
+    if (attempt > 1) await delay(backoffMs * 2 ** (attempt - 2));
+    outcome = { ...outcome, attempts: attempt };
+    try {
+      const target = new URL(url);
+      if (!allowPrivateHosts) await assertPublicHost(target.hostname);
+
+      const response = await fetch(target, {
+        method: 'POST',
+        headers,
+        body,
+        redirect: 'manual',
+        signal: AbortSignal.timeout(timeoutMs)
+      });
+      if (response.ok) {
+        return { status: 'delivered', attempts: attempt, httpStatus: response.status, error: null };
+      }
+      outcome = { ...outcome, httpStatus: response.status, error: `HTTP ${response.status}` };
+    } catch (error) {
+      outcome = {
+        ...outcome,
+        httpStatus: null,
+        error: error.name === 'TimeoutError' ? `Timed out after ${timeoutMs}ms` : error.message
+      };
+      if (error.name === 'FetchPageError') break;
+    }
+  }
+  return outcome;
+};
+
+module.exports = { signPayload, deliverWebhook };
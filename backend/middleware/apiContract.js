@@ -0,0 +1,124 @@
+/**
+ * @fileoverview Enforcement of the OpenAPI document on the API routes.
+ * Requests to operations of the document have their JSON body and query parameters
+ * validated against it, and are rejected with a 400 `invalid_request` error listing every
+ * problem before they reach the handler. JSON responses are checked against the schema of
+ * their status, so that the document cannot silently drift from the handlers. Configured with:
+ *
+ * - `API_RESPONSE_VALIDATION` - What to do with a response that does not match the document:
+ *   `warn` (default) logs it and sends it anyway, `strict` replaces it with a 500
+ *   `invalid_response` error, and `off` skips the check
+ * @module middleware/apiContract
+ */
+
+const { validate } = require('../lib/schema');
+const { openApiDocument, findOperation } = require('../lib/openapi');
+const { errorBody } = require('../lib/apiErrors');
+const { logger } = require('../lib/logger');
+
+/**
+ * Response validation modes.
+ * @type {string[]}
+ */
+const RESPONSE_VALIDATION_MODES = ['off', 'warn', 'strict'];
+
+/**
+ * Validate a request against its operation.
+ * @param {Object} operation - OpenAPI operation
+ * @param {express.Request} req - Express request object
+ * @returns {string[]} Validation errors, empty if the request is valid
+ */
+const validateRequest = (operation, req) => {
+  const errors = [];
+  for (const parameter of operation.parameters || []) {
+    if (parameter.in !== 'query') continue;
+    const value = req.query[parameter.name];
+    if (value === undefined) {
+      if (parameter.required) errors.push(`query.${parameter.name} is required`);
+      continue;
+    }
+    errors.push(...validate(parameter.schema, value, `query.${parameter.name}`, openApiDocument));
+  }
+
+  const content = operation.requestBody && operation.requestBody.content['application/json'];
+  if (content) {
+    errors.push(...validate(content.schema, req.body, 'body', openApiDocument));
+  }
+  return errors;
+};
+
+/**
+ * Schema of the JSON response of an operation for a status.
+ * @param {Object} operation - OpenAPI operation
+ * @param {number} status - Response status code
+ * @returns {?Object} Response schema, or null if the document does not describe a JSON body
+ */
+const responseSchemaFor = (operation, status) => {
+  const response = operation.responses[String(status)] || operation.responses.default;
+  const content = response && response.content && response.content['application/json'];
+  return content ? content.schema : null;
+};
+
+/**
+ * Create the middleware enforcing the OpenAPI document on the routes mounted after it.
+ * Routes that the document does not describe are left alone.
+ * @param {Object} [options] - Enforcement options
+ * @param {boolean} [options.validateRequests=true] - Reject requests that do not match the document
+ * @param {string} [options.responseValidation='warn'] - One of `off`, `warn` or `strict`
+ * @returns {Function} Express middleware
+ */
+const createApiContract = ({ validateRequests = true, responseValidation = 'warn' } = {}) => {
+  if (!RESPONSE_VALIDATION_MODES.includes(responseValidation)) {
+    throw new Error(`Unknown API_RESPONSE_VALIDATION "${responseValidation}". Use ${RESPONSE_VALIDATION_MODES.join(', ')}.`);
+  }
+
+  return (req, res, next) => {
+    const match = findOperation(req.method, req.path);
+    if (!match) return next();
+    const { operation, template } = match;
+    const log = req.log || logger;
+    // Route pattern of the operation, labelling the metrics of requests rejected before reaching it
+    res.locals.route = `${req.baseUrl}${template.replace(/\{(\w+)\}/g, ':$1')}`;
+
+    if (responseValidation !== 'off') {
+      const json = res.json.bind(res);
+      res.json = (body) => {
+        const schema = responseSchemaFor(operation, res.statusCode);
+        const errors = schema ? validate(schema, body, 'response', openApiDocument) : [`status ${res.statusCode} is not documented`];
+        if (!errors.length) return json(body);
+
+        log.warn('Response does not match the API contract', {
+          operation: operation.operationId,
+          status: res.statusCode,
+          errors
+        });
+        if (responseValidation !== 'strict') return json(body);
+        res.status(500);
+        return json(errorBody('invalid_response', 'The server produced an invalid response', { operation: operation.operationId, errors }));
+      };
+    }
+
+    if (validateRequests) {
+      const errors = validateRequest(operation, req);
+      if (errors.length) {
+        log.warn('Rejected request not matching the API contract', { operation: operation.operationId, path: template, errors });
+        return res.status(400).json(errorBody('invalid_request', 'The request does not match the API schema', { errors }));
+      }
+    }
+    next();
+  };
+};
+
+/**
+ * Create the middleware enforcing the OpenAPI document, configured by the environment.
+ * @param {Object} [options] - Enforcement options
+ * @param {boolean} [options.validateRequests=true] - Reject requests that do not match the document
+ * @param {Object} [env=process.env] - Configuration variables
+ * @returns {Function} Express middleware
+ */
+const createApiContractFromEnv = ({ validateRequests = true } = {}, env = process.env) => createApiContract({
+  validateRequests,
+  responseValidation: (env.API_RESPONSE_VALIDATION || 'warn').toLowerCase()
+});
+
+module.exports = { createApiContract, createApiContractFromEnv };
@@ -0,0 +1,113 @@
+/**
+ * @fileoverview API key authentication and monthly quotas for the fact-checking endpoints.
+ * Partners calling the API from their own servers send their key as `X-API-Key`. The middleware
+ * authenticates the key; the handler then counts the request against the key's monthly quota
+ * with `charge`, once the request has passed validation, input screening and the rate limiter,
+ * so that rejected requests cost nothing. The quota is reported in the `X-Quota-Limit`,
+ * `X-Quota-Remaining` and `X-Quota-Reset` headers.
+ *
+ * Browser requests from the web app and the extension, recognized by their allowed `Origin`,
+ * need no key. This is a convenience for first-party clients, not a security boundary: any
+ * client that is not a browser can send an allowed `Origin`. Requests without a key, exempted or
+ * not, are still limited per IP address by the rate limiter; only keys get a larger budget.
+ * Configured with:
+ *
+ * - `API_KEYS_REQUIRED` - `true` to reject requests that have neither a key nor an allowed
+ *   origin, `false` to let them through, limited per IP address. Defaults to `true` in
+ *   production and `false` otherwise
+ * @module middleware/apiKeyAuth
+ */
+
+const { logger } = require('../lib/logger');
+const { sendError } = require('../lib/apiErrors');
+const { createOriginPolicyFromEnv } = require('./cors');
+
+/**
+ * Create the API key middleware.
+ * @param {Object} options - Authentication options
+ * @param {?Object} options.apiKeys - API key store, or null when it is unavailable
+ * @param {boolean} options.required - Whether requests without a key or an allowed origin are rejected
+ * @param {Function} options.isAllowedOrigin - Takes an origin and returns whether it may call the API
+ * @returns {Function} Express middleware authenticating the key and attaching it as `req.apiKey`,
+ * with `charge` to count the request against its quota
+ */
+const createApiKeyAuth = ({ apiKeys, required, isAllowedOrigin }) => {
+  const middleware = async (req, res, next) => {
+    const key = req.get('X-API-Key');
+    if (!key) {
+      if (!required || isAllowedOrigin(req.get('Origin'))) return next();
+      return sendError(res, 401, 'api_key_required', 'API key required', 'Send your API key in the X-API-Key header');
+    }
+
+    try {
+      if (!apiKeys) {
+        return sendError(res, 503, 'unavailable', 'API keys are temporarily unavailable');
+      }
+
+      const apiKey = await apiKeys.authenticate(key);
+      if (!apiKey) {
+        (req.log || logger).warn('Rejected unknown API key');
+        return sendError(res, 401, 'invalid_api_key', 'Invalid API key', 'The API key in the X-API-Key header does not exist');
+      }
+      if (apiKey.revokedAt) {
+        (req.log || logger).warn('Rejected revoked API key', { apiKeyId: apiKey.id });
+        return sendError(res, 403, 'api_key_revoked', 'API key revoked', `This API key was revoked on ${apiKey.revokedAt}`);
+      }
+
+      req.apiKey = apiKey;
+      if (req.log) req.log = req.log.child({ apiKeyId: apiKey.id });
+      next();
+    } catch (error) {
+      (req.log || logger).error('API key check error', { error });
+      sendError(res, 500, 'internal_error', 'Failed to check API key');
+    }
+  };
+
+  /**
+   * Count a request against the monthly quota of its key, once it has been validated and
+   * admitted by the rate limiter, answering with a 429 `quota_exceeded` error when the quota
+   * is used up. Requests without a key are not counted.
+   * @param {express.Request} req - Express request object, authenticated by the middleware
+   * @param {express.Response} res - Express response object
+   * @param {number} [units=1] - Fact-checks the request counts for
+   * @returns {Promise<boolean>} Whether the request may go on
+   * @throws {Error} If the quota cannot be read or updated
+   */
+  middleware.charge = async (req, res, units = 1) => {
+    if (!req.apiKey) return true;
+
+    const usage = await apiKeys.consume(req.apiKey, units);
+    res.set({
+      'X-Quota-Limit': String(usage.quota),
+      'X-Quota-Remaining': String(usage.remaining),
+      'X-Quota-Reset': usage.resetsAt
+    });
+    if (!usage.allowed) {
+      (req.log || logger).warn('Monthly quota exceeded', { apiKeyId: req.apiKey.id, used: usage.used, quota: usage.quota });
+      res.set('Retry-After', String(Math.ceil((Date.parse(usage.resetsAt) - Date.now()) / 1000)));
+      sendError(res, 429, 'quota_exceeded', 'Monthly quota exceeded', {
+        quota: usage.quota,
+        used: usage.used,
+        resetsAt: usage.resetsAt
+      });
+      return false;
+    }
+    return true;
+  };
+
+  return middleware;
+};
+
+/**
+ * Create the API key middleware configured by the environment.
+ * @param {?Object} apiKeys - API key store, or null when it is unavailable
+ * @param {Object} [env=process.env] - Configuration variables
+ * @returns {Function} API key middleware, with `charge`
+ */
+const createApiKeyAuthFromEnv = (apiKeys, env = process.env) => createApiKeyAuth({
+  apiKeys,
+  required: (env.API_KEYS_REQUIRED || (env.NODE_ENV === 'production' ? 'true' : 'false')).toLowerCase() === 'true',
+  isAllowedOrigin: createOriginPolicyFromEnv(env)
+});
+
+module.exports = { createApiKeyAuth, createApiKeyAuthFromEnv };
@@ -0,0 +1,83 @@
+/**
+ * @fileoverview Cross-origin policy for the API.
+ * Browsers may call the API from the web app and from the TruthCheckMe browser extension,
+ * whose pages and service worker have a `chrome-extension://<id>` (or `moz-extension://`,
+ * `safari-web-extension://`) origin. Requests without an `Origin` header, e.g. from servers
+ * and scripts, are not subject to CORS. Configured with:
+ *
+ * - `CORS_EXTENSION_IDS` - Comma-separated IDs of the extension builds allowed to call the API.
+ *   When unset, any extension is allowed outside production and none in production
+ * @module middleware/cors
+ */
+
+/**
+ * Web app origins allowed in production.
+ * @type {string[]}
+ */
+const PRODUCTION_ORIGINS = ['https://www.truthcheck.me', 'https://truthcheck.me', 'https://truthcheck-me.vercel.app'];
+
+/**
+ * Web app origin allowed in development.
+ * @type {string[]}
+ */
+const DEVELOPMENT_ORIGINS = ['http://localhost:3000'];
+
+/**
+ * Format of a browser extension origin, capturing the extension ID.
+ * @type {RegExp}
+ */
+const EXTENSION_ORIGIN_PATTERN = /^(?:chrome|moz|safari-web)-extension:\/\/([A-Za-z0-9-]+)$/;
+
+/**
+ * Create the function deciding which origins may call the API.
+ * @param {Object} options - Policy options
+ * @param {string[]} options.webOrigins - Web app origins
+ * @param {?string[]} options.extensionIds - Allowed extension IDs, or null to allow any extension
+ * @returns {Function} Takes an origin and returns whether it is allowed
+ */
+const createOriginPolicy = ({ webOrigins, extensionIds }) => (origin) => {
+  if (webOrigins.includes(origin)) return true;
+  const extension = EXTENSION_ORIGIN_PATTERN.exec(origin || '');
+  return Boolean(extension) && (extensionIds === null || extensionIds.includes(extension[1]));
+};
+
+/**
+ * Create the function deciding which origins may call the API, from configuration.
+ * @param {Object} [env=process.env] - Configuration variables
+ * @returns {Function} Takes an origin and returns whether it is allowed
+ */
+const createOriginPolicyFromEnv = (env = process.env) => {
+  const production = env.NODE_ENV === 'production';
+  const configuredIds = (env.CORS_EXTENSION_IDS || '').split(',').map(id => id.trim()).filter(Boolean);
+  return createOriginPolicy({
+    webOrigins: production ? PRODUCTION_ORIGINS : DEVELOPMENT_ORIGINS,
+    extensionIds: configuredIds.length || production ? configuredIds : null
+  });
+};
+
+/**
+ * Create the options of the `cors` middleware from configuration.
+ * @param {Object} [env=process.env] - Configuration variables
+ * @returns {Object} CORS options
+ */
+const createCorsOptions = (env = process.env) => {
+  const isAllowed = createOriginPolicyFromEnv(env);
+
+  return {
+    origin: (origin, callback) => callback(null, !origin || isAllowed(origin)),
+    methods: 'GET,HEAD,PUT,PATCH,POST,DELETE',
+    exposedHeaders: [
+      'Location', 'Retry-After', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'X-Request-Id',
+      'X-Quota-Limit', 'X-Quota-Remaining', 'X-Quota-Reset'
+    ],
+    credentials: false,
+    optionsSuccessStatus: 204
+  };
+};
+
+module.exports = {
+  EXTENSION_ORIGIN_PATTERN,
+  createOriginPolicy,
+  createOriginPolicyFromEnv,
+  createCorsOptions
+};
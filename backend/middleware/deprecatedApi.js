@@ -0,0 +1,62 @@
+/**
+ * @fileoverview Deprecated alias of the versioned API.
+ * The unversioned `/api/...` endpoints predate `/api/v1` and are kept for existing clients.
+ * They run the same handlers, without request validation, and answer with the earlier error
+ * bodies, `{ error: message, details }`. Every response is marked with a `Deprecation` header
+ * and a `Link` header pointing at its successor under `/api/v1`. Configured with:
+ *
+ * - `LEGACY_API_SUNSET` - Date after which the unversioned endpoints may be removed, sent in
+ *   the `Sunset` header when set (e.g. `2027-06-30`)
+ * @module middleware/deprecatedApi
+ */
+
+const { isErrorBody, toLegacyErrorBody } = require('../lib/apiErrors');
+
+/**
+ * Check whether a request targets the deprecated unversioned API.
+ * @param {string} path - Request path
+ * @returns {boolean} True for `/api/...` paths outside of `/api/v1`
+ */
+const isLegacyApiPath = (path) => path.startsWith('/api/') && !/^\/api\/v1(\/|$)/.test(path);
+
+/**
+ * Create the middleware marking requests to the unversioned API as deprecated and answering
+ * them with the earlier error bodies. Placed before body parsing so that its errors are
+ * converted too. Sets `res.locals.legacyApi` for handlers writing errors themselves, such as
+ * the streaming endpoint.
+ * @param {Object} [options] - Deprecation options
+ * @param {string} [options.sunset] - Date after which the endpoints may be removed
+ * @returns {Function} Express middleware
+ */
+const createDeprecatedApiAlias = ({ sunset } = {}) => {
+  const sunsetDate = sunset ? new Date(sunset) : null;
+  if (sunsetDate && Number.isNaN(sunsetDate.getTime())) {
+    throw new Error(`Invalid LEGACY_API_SUNSET "${sunset}". Use a date such as 2027-06-30.`);
+  }
+
+  return (req, res, next) => {
+    if (!isLegacyApiPath(req.path)) return next();
+
+    res.locals.legacyApi = true;
+    res.set({
+      Deprecation: 'true',
+      Link: `</api/v1${req.path.slice('/api'.length)}>; rel="successor-version"`,
+      ...(sunsetDate && { Sunset: sunsetDate.toUTCString() })
+    });
+
+    const json = res.json.bind(res);
+    res.json = (body) => json(isErrorBody(body) ? toLegacyErrorBody(body) : body);
+    next();
+  };
+};
+
+/**
+ * Create the deprecated alias middleware configured by the environment.
+ * @param {Object} [env=process.env] - Configuration variables
+ * @returns {Function} Express middleware
+ */
+const createDeprecatedApiAliasFromEnv = (env = process.env) => createDeprecatedApiAlias({
+  sunset: env.LEGACY_API_SUNSET
+});
+
+module.exports = { isLegacyApiPath, createDeprecatedApiAlias, createDeprecatedApiAliasFromEnv };
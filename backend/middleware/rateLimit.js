@@ -0,0 +1,179 @@
+/**
+ * @fileoverview Token-bucket rate limiting middleware.
+ * Each client gets a bucket of tokens that refills continuously; every request takes one
+ * token, or as many as the LLM calls it makes for batches, and requests are rejected with 429
+ * while the bucket does not hold enough tokens. Clients authenticated
+ * with an API key (`req.apiKey`, see `middleware/apiKeyAuth`) are limited per key, everyone
+ * else per IP address.
+ * Configured with:
+ *
+ * - `RATE_LIMIT_IP_LIMIT` / `RATE_LIMIT_IP_WINDOW_SECONDS` - Requests allowed per window
+ *   for each IP address (default 20 per 60 seconds)
+ * - `RATE_LIMIT_KEY_LIMIT` / `RATE_LIMIT_KEY_WINDOW_SECONDS` - Requests allowed per window
+ *   for each API key (default 120 per 60 seconds)
+ * - `RATE_LIMIT_ALLOWLIST` - Comma-separated origins or IP addresses that are never limited.
+ *   The `Origin` header is only trustworthy when sent by browsers, so list origins only
+ *   when that trade-off is acceptable.
+ * @module middleware/rateLimit
+ */
+
+const { logger } = require('../lib/logger');
+const { sendError } = require('../lib/apiErrors');
+
+/**
+ * Number of buckets above which full buckets are pruned.
+ * @type {number}
+ */
+const MAX_BUCKETS = 10000;
+
+/**
+ * Create a set of token buckets sharing the same limit.
+ * @param {Object} options - Bucket options
+ * @param {number} options.limit - Bucket capacity, i.e. requests allowed in a burst
+ * @param {number} options.windowSeconds - Time for an empty bucket to refill completely
+ * @param {Function} [options.now=Date.now] - Clock, in milliseconds
+ * @returns {Object} Token buckets
+ */
+const createTokenBuckets = ({ limit, windowSeconds, now = Date.now }) => {
+  const buckets = new Map();
+  const refillPerMs = limit / (windowSeconds * 1000);
+
+  /**
+   * Refill a bucket for the time elapsed since it was last updated.
+   * @param {{tokens: number, updatedAt: number}} bucket - Bucket
+   * @param {number} time - Current time
+   */
+  const refill = (bucket, time) => {
+    bucket.tokens = Math.min(limit, bucket.tokens + (time - bucket.updatedAt) * refillPerMs);
+    bucket.updatedAt = time;
+  };
+
+  /**
+   * Drop buckets that have refilled completely, since they hold no state.
+   * @param {number} time - Current time
+   */
+  const prune = (time) => {
+    for (const [key, bucket] of buckets) {
+      refill(bucket, time);
+      if (bucket.tokens >= limit) buckets.delete(key);
+    }
+  };
+
+  return {
+    limit,
+
+    /**
+     * Take tokens from a client's bucket.
+     * @param {string} key - Client identifier
+     * @param {number} [cost=1] - Tokens to take
+     * @returns {{allowed: boolean, remaining: number, resetSeconds: number, retryAfterSeconds: number}}
+     * Outcome, tokens left, seconds until the bucket is full again and, when rejected,
+     * seconds until enough tokens are available
+     */
+    take(key, cost = 1) {
+      const time = now();
+      if (buckets.size > MAX_BUCKETS) prune(time);
+
+      let bucket = buckets.get(key);
+      if (!bucket) {
+        bucket = { tokens: limit, updatedAt: time };
+        buckets.set(key, bucket);
+      }
+      refill(bucket, time);
+
+      const allowed = bucket.tokens >= cost;
+      if (allowed) bucket.tokens -= cost;
+
+      return {
+        allowed,
+        remaining: Math.floor(bucket.tokens),
+        resetSeconds: Math.ceil((limit - bucket.tokens) / refillPerMs / 1000),
+        retryAfterSeconds: allowed ? 0 : Math.ceil((cost - bucket.tokens) / refillPerMs / 1000)
+      };
+    }
+  };
+};
+
+/**
+ * Create the rate limiting middleware.
+ * @param {Object} [env=process.env] - Configuration variables
+ * @param {Function} [now=Date.now] - Clock, in milliseconds
+ * @returns {Function} Express middleware taking one token per request, with `cost(fn)`
+ * creating a middleware on the same buckets that takes `fn(req)` tokens per request, and
+ * `take(req, res, tokens)` taking more tokens for a request whose cost is only known once
+ * it is being handled
+ */
+const createRateLimiter = (env = process.env, now = Date.now) => {
+  const ipBuckets = createTokenBuckets({
+    limit: Number(env.RATE_LIMIT_IP_LIMIT || 20),
+    windowSeconds: Number(env.RATE_LIMIT_IP_WINDOW_SECONDS || 60),
+    now
+  });
+  const keyBuckets = createTokenBuckets({
+    limit: Number(env.RATE_LIMIT_KEY_LIMIT || 120),
+    windowSeconds: Number(env.RATE_LIMIT_KEY_WINDOW_SECONDS || 60),
+    now
+  });
+  const allowlist = new Set((env.RATE_LIMIT_ALLOWLIST || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean));
+
+  /**
+   * Take tokens from the bucket of a request's client, answering with a 429 `rate_limited`
+   * error when there are not enough.
+   * @param {express.Request} req - Express request object
+   * @param {express.Response} res - Express response object
+   * @param {number} tokens - Tokens the request takes
+   * @returns {boolean} Whether the request may go on
+   */
+  const admit = (req, res, tokens) => {
+    if (allowlist.has(req.get('Origin')) || allowlist.has(req.ip)) {
+      return true;
+    }
+
+    const { apiKey } = req;
+    const { limit, take } = apiKey ? keyBuckets : ipBuckets;
+    if (tokens > limit) {
+      (req.log || logger).warn('Request exceeds the rate limit', { client: apiKey ? `API key ${apiKey.id}` : req.ip, tokens });
+      sendError(res, 429, 'rate_limited', `This request counts as ${tokens} requests, more than the limit of ${limit}`, {
+        cost: tokens,
+        limit
+      });
+      return false;
+    }
+    const outcome = take(apiKey ? `key:${apiKey.id}` : `ip:${req.ip}`, tokens);
+
+    res.set({
+      'RateLimit-Limit': String(limit),
+      'RateLimit-Remaining': String(outcome.remaining),
+      'RateLimit-Reset': String(outcome.resetSeconds)
+    });
+
+    if (!outcome.allowed) {
+      (req.log || logger).warn('Rate limit exceeded', { client: apiKey ? `API key ${apiKey.id}` : req.ip });
+      res.set('Retry-After', String(outcome.retryAfterSeconds));
+      sendError(res, 429, 'rate_limited', 'Too many requests, please try again later', {
+        retryAfter: outcome.retryAfterSeconds
+      });
+      return false;
+    }
+    return true;
+  };
+
+  /**
+   * Create a middleware taking a number of tokens per request.
+   * @param {function(Object): number} cost - Tokens a request takes
+   * @returns {Function} Express middleware
+   */
+  const limiter = cost => (req, res, next) => {
+    if (admit(req, res, cost(req))) next();
+  };
+
+  const middleware = limiter(() => 1);
+  middleware.cost = limiter;
+  middleware.take = admit;
+  return middleware;
+};
+
+module.exports = { createTokenBuckets, createRateLimiter };
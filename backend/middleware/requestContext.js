@@ -0,0 +1,63 @@
+/**
+ * @fileoverview Per-request correlation id and logging middleware.
+ * Every request gets an id, taken from a well-formed incoming `X-Request-Id` header (e.g.
+ * set by a proxy) or generated. The id is echoed in the `X-Request-Id` response header and
+ * in the body of JSON error responses, and added to every log entry written through
+ * `req.log`, so that a reader reporting an error can be matched with the server logs.
+ * Request headers are only logged at the debug level, with credentials redacted, and
+ * request bodies are never logged.
+ * @module middleware/requestContext
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Format of an incoming request id that is reused as is.
+ * @type {RegExp}
+ */
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
+
+/**
+ * Log level of a completed request, by response status.
+ * @param {number} status - Response status code
+ * @returns {string} Level
+ */
+const levelForStatus = (status) => {
+  if (status >= 500) return 'error';
+  return status >= 400 ? 'warn' : 'info';
+};
+
+/**
+ * Create the middleware assigning request ids and logging requests.
+ * @param {Object} logger - Application logger
+ * @returns {Function} Express middleware
+ */
+const createRequestContext = (logger) => (req, res, next) => {
+  const incoming = req.get('X-Request-Id');
+  req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+  req.log = logger.child({ requestId: req.id });
+  res.set('X-Request-Id', req.id);
+
+  // Error bodies carry the request id, so that readers can quote it when reporting a problem
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    const isError = res.statusCode >= 400 && body && typeof body === 'object' && !Array.isArray(body) && 'error' in body;
+    return json(isError ? { ...body, requestId: req.id } : body);
+  };
+
+  const start = process.hrtime.bigint();
+  const path = req.originalUrl.split('?')[0];
+  req.log.debug('Request received', { method: req.method, path, headers: req.headers });
+  res.once('close', () => {
+    req.log[levelForStatus(res.statusCode)]('Request completed', {
+      method: req.method,
+      path,
+      status: res.statusCode,
+      durationMs: Math.round(Number(process.hrtime.bigint() - start) / 1e6),
+      ...(!res.writableFinished && { aborted: true })
+    });
+  });
+  next();
+};
+
+module.exports = { REQUEST_ID_PATTERN, createRequestContext };
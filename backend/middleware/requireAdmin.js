@@ -0,0 +1,45 @@
+/**
+ * @fileoverview Admin authentication middleware.
+ * Admin endpoints require the credential configured in `ADMIN_TOKEN`, sent as
+ * `Authorization: Bearer <token>`. When no token is configured, the admin API is disabled.
+ * @module middleware/requireAdmin
+ */
+
+const crypto = require('crypto');
+const { sendError } = require('../lib/apiErrors');
+
+/**
+ * Compare two strings in constant time.
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {boolean} True if the strings are equal
+ */
+const safeEqual = (a, b) => {
+  const hashA = crypto.createHash('sha256').update(a).digest();
+  const hashB = crypto.createHash('sha256').update(b).digest();
+  return crypto.timingSafeEqual(hashA, hashB);
+};
+
+/**
+ * Middleware that only lets requests carrying the admin token through.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Next middleware
+ */
+const requireAdmin = (req, res, next) => {
+  const adminToken = process.env.ADMIN_TOKEN;
+  if (!adminToken) {
+    return sendError(res, 503, 'unavailable', 'Admin access is not configured');
+  }
+
+  const [scheme, token] = (req.get('Authorization') || '').split(' ');
+  if (scheme !== 'Bearer' || !token) {
+    return sendError(res, 401, 'credential_required', 'Admin credential required');
+  }
+  if (!safeEqual(token, adminToken)) {
+    return sendError(res, 403, 'invalid_credential', 'Invalid admin credential');
+  }
+  next();
+};
+
+module.exports = { requireAdmin, safeEqual };
@@ -0,0 +1,32 @@
+/**
+ * @fileoverview Metrics authentication middleware.
+ * When `METRICS_TOKEN` is configured, the metrics endpoint requires it, sent as
+ * `Authorization: Bearer <token>` (Prometheus' `authorization` scrape setting). Without a
+ * token the metrics are open, as they carry no user data.
+ * @module middleware/requireMetricsToken
+ */
+
+const { safeEqual } = require('./requireAdmin');
+const { sendError } = require('../lib/apiErrors');
+
+/**
+ * Middleware that only lets requests carrying the metrics token through, when one is configured.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Next middleware
+ */
+const requireMetricsToken = (req, res, next) => {
+  const metricsToken = process.env.METRICS_TOKEN;
+  if (!metricsToken) return next();
+
+  const [scheme, token] = (req.get('Authorization') || '').split(' ');
+  if (scheme !== 'Bearer' || !token) {
+    return sendError(res, 401, 'credential_required', 'Metrics credential required');
+  }
+  if (!safeEqual(token, metricsToken)) {
+    return sendError(res, 403, 'invalid_credential', 'Invalid metrics credential');
+  }
+  next();
+};
+
+module.exports = { requireMetricsToken };
@@ -0,0 +1,148 @@
+/**
+ * @fileoverview LLM provider selection.
+ * A provider hides the vendor API behind a small interface so the route handlers
+ * never deal with a specific client. The provider is chosen by configuration:
+ *
+ * - `LLM_PROVIDER` - `openai` (default), `local` or `mock`
+ * - `LLM_MODEL` - Model name, defaults to `gpt-4o-mini` for OpenAI and `llama3.1` for local
+ * - `LLM_BASE_URL` - Base URL of the OpenAI-compatible local server
+ *   (defaults to Ollama's `http://localhost:11434/v1`; llama.cpp serves `http://localhost:8080/v1`)
+ * - `LLM_API_KEY` - API key for the local server, if it requires one
+ * - `OPENAI_API_KEY` - API key for OpenAI
+ *
+ * Calls are guarded by a timeout, retries and a circuit breaker (see `providers/resilience`):
+ *
+ * - `LLM_TIMEOUT_MS` - Time to wait for an answer, or for each delta of a stream (default 30000)
+ * - `LLM_MAX_RETRIES` - Retries of a call that failed with a transient error (default 2)
+ * - `LLM_RETRY_BASE_MS` - Delay before the first retry, doubled for each further one (default 500)
+ * - `LLM_CIRCUIT_FAILURE_THRESHOLD` - Consecutive failed calls that open the circuit (default 5)
+ * - `LLM_CIRCUIT_RESET_MS` - Time the circuit stays open before a trial call (default 30000)
+ * @module providers
+ */
+
+const { createOpenAIProvider } = require('./openai');
+const { createMockProvider } = require('./mock');
+const { instrumentProvider } = require('./instrument');
+const {
+  createResilientProvider,
+  DEFAULT_OPTIONS,
+  UpstreamError,
+  UpstreamTimeoutError,
+  CircuitOpenError
+} = require('./resilience');
+
+/**
+ * Provider-neutral completion request.
+ * @typedef {Object} CompletionRequest
+ * @property {Array<{role: string, content: string}>} messages - Chat messages
+ * @property {{name: string, schema: Object}} [schema] - JSON Schema the answer must match
+ * @property {number} [temperature] - Sampling temperature
+ * @property {number} [maxTokens] - Maximum number of tokens to generate
+ */
+
+/**
+ * LLM provider interface.
+ * @typedef {Object} LLMProvider
+ * @property {string} name - Provider name
+ * @property {string} model - Model used for every request
+ * @property {function(CompletionRequest, {signal: AbortSignal}=): Promise<{content: string, usage: ?Object}>} complete
+ * Generate a complete answer
+ * @property {function(CompletionRequest, {signal: AbortSignal}=): AsyncIterable<string>} stream
+ * Generate an answer as a sequence of text deltas, returning `{usage}` when the token usage is known
+ * @property {function(): {state: string, failures: number, retryAfterMs: number}} [health]
+ * Describe the circuit breaker guarding the provider's calls
+ */
+
+/**
+ * Error raised when the provider configuration is invalid.
+ */
+class ProviderConfigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ProviderConfigError';
+  }
+}
+
+/**
+ * Create the vendor provider selected by configuration.
+ * @param {Object} env - Configuration variables
+ * @returns {LLMProvider} Provider
+ * @throws {ProviderConfigError} If the provider is unknown or misconfigured
+ */
+const createVendorProvider = (env) => {
+  const providerName = (env.LLM_PROVIDER || 'openai').toLowerCase();
+
+  switch (providerName) {
+    case 'openai':
+      return createOpenAIProvider({
+        apiKey: env.OPENAI_API_KEY,
+        model: env.LLM_MODEL || 'gpt-4o-mini'
+      });
+    case 'local':
+      return createOpenAIProvider({
+        name: 'local',
+        apiKey: env.LLM_API_KEY || 'not-needed',
+        baseURL: env.LLM_BASE_URL || 'http://localhost:11434/v1',
+        model: env.LLM_MODEL || 'llama3.1',
+        schemaHint: true,
+        streamUsage: false
+      });
+    case 'mock':
+      return createMockProvider({ model: env.LLM_MODEL || 'mock' });
+    default:
+      throw new ProviderConfigError(`Unknown LLM_PROVIDER "${providerName}". Use openai, local or mock.`);
+  }
+};
+
+/**
+ * Read a whole number setting.
+ * @param {Object} env - Configuration variables
+ * @param {string} name - Variable name
+ * @param {number} defaultValue - Value when the variable is not set
+ * @param {number} min - Smallest valid value
+ * @returns {number} Value
+ * @throws {ProviderConfigError} If the value is not a whole number of at least `min`
+ */
+const readInteger = (env, name, defaultValue, min) => {
+  if (env[name] === undefined || env[name] === '') return defaultValue;
+  const value = Number(env[name]);
+  if (!Number.isInteger(value) || value < min) {
+    throw new ProviderConfigError(`Invalid ${name} "${env[name]}". Use a whole number of at least ${min}.`);
+  }
+  return value;
+};
+
+/**
+ * Read the timeout, retry and circuit breaker options from the configuration.
+ * @param {Object} env - Configuration variables
+ * @returns {Object} Resilience options
+ * @throws {ProviderConfigError} If a value is invalid
+ */
+const readResilienceOptions = env => ({
+  timeoutMs: readInteger(env, 'LLM_TIMEOUT_MS', DEFAULT_OPTIONS.timeoutMs, 1),
+  maxRetries: readInteger(env, 'LLM_MAX_RETRIES', DEFAULT_OPTIONS.maxRetries, 0),
+  retryBaseMs: readInteger(env, 'LLM_RETRY_BASE_MS', DEFAULT_OPTIONS.retryBaseMs, 0),
+  failureThreshold: readInteger(env, 'LLM_CIRCUIT_FAILURE_THRESHOLD', DEFAULT_OPTIONS.failureThreshold, 1),
+  resetMs: readInteger(env, 'LLM_CIRCUIT_RESET_MS', DEFAULT_OPTIONS.resetMs, 1)
+});
+
+/**
+ * Create the LLM provider selected by configuration, with the duration and token usage
+ * of its calls recorded in the application metrics, and its calls guarded by a timeout,
+ * retries and a circuit breaker.
+ * @param {Object} [env=process.env] - Configuration variables
+ * @returns {LLMProvider} Provider, with `health` describing its circuit breaker
+ * @throws {ProviderConfigError} If the provider is unknown or misconfigured
+ */
+const createProvider = (env = process.env) => {
+  const options = readResilienceOptions(env);
+  return createResilientProvider(instrumentProvider(createVendorProvider(env)), options);
+};
+
+module.exports = {
+  createProvider,
+  ProviderConfigError,
+  UpstreamError,
+  UpstreamTimeoutError,
+  CircuitOpenError
+};
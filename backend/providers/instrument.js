@@ -0,0 +1,85 @@
+/**
+ * @fileoverview Metrics for LLM providers.
+ * Wraps a provider so that each call is timed and the tokens it used are counted, whatever
+ * vendor is behind it. Streams are timed from the request to their last delta, and their
+ * usage is counted when the provider returns it at the end of the stream.
+ * @module providers/instrument
+ */
+
+const { metrics: appMetrics } = require('../lib/metrics');
+
+/**
+ * Wrap a provider to record the duration and token usage of its calls.
+ * @param {LLMProvider} provider - Provider to wrap
+ * @param {Object} [metrics] - Application metrics, the application-wide ones by default
+ * @returns {LLMProvider} Provider with the same name, model and behaviour
+ */
+const instrumentProvider = (provider, metrics = appMetrics) => {
+  const labels = { provider: provider.name, model: provider.model };
+
+  /**
+   * Record the duration of a call.
+   * @param {string} operation - `complete` or `stream`
+   * @param {string} outcome - `success`, `error` or, for streams the caller stopped reading, `aborted`
+   * @param {bigint} start - High-resolution time the call started
+   */
+  const observe = (operation, outcome, start) => {
+    metrics.llmCallDuration.observe(
+      { ...labels, operation, outcome },
+      Number(process.hrtime.bigint() - start) / 1e9
+    );
+  };
+
+  /**
+   * Count the tokens of a call, when the provider reports them.
+   * @param {?Object} usage - Token usage in the OpenAI format
+   */
+  const countTokens = (usage) => {
+    if (!usage) return;
+    metrics.llmTokens.inc({ ...labels, type: 'prompt' }, usage.prompt_tokens || 0);
+    metrics.llmTokens.inc({ ...labels, type: 'completion' }, usage.completion_tokens || 0);
+  };
+
+  return {
+    ...provider,
+
+    async complete(request, options) {
+      const start = process.hrtime.bigint();
+      try {
+        const completion = await provider.complete(request, options);
+        observe('complete', 'success', start);
+        countTokens(completion.usage);
+        return completion;
+      } catch (error) {
+        observe('complete', 'error', start);
+        throw error;
+      }
+    },
+
+    async *stream(request, options) {
+      const start = process.hrtime.bigint();
+      const iterator = provider.stream(request, options)[Symbol.asyncIterator]();
+      let outcome = 'aborted';
+      try {
+        for (;;) {
+          const { value, done } = await iterator.next();
+          if (done) {
+            outcome = 'success';
+            countTokens(value && value.usage);
+            return value;
+          }
+          yield value;
+        }
+      } catch (error) {
+        outcome = 'error';
+        throw error;
+      } finally {
+        // The caller stopped reading: let the provider release the underlying request
+        if (outcome === 'aborted' && iterator.return) await iterator.return();
+        observe('stream', outcome, start);
+      }
+    }
+  };
+};
+
+module.exports = { instrumentProvider };
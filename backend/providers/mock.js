@@ -0,0 +1,112 @@
+/**
+ * @fileoverview Deterministic mock LLM provider.
+ * Answers without any network access, so the whole app can run offline in
+ * development and CI. The same input always produces the same answer.
+ * @module providers/mock
+ */
+
+const crypto = require('crypto');
+const { unquoteUserText } = require('../lib/inputScreening');
+
+/**
+ * Grades the mock provider picks from, from least to most truthful.
+ * @type {string[]}
+ */
+const GRADES = ['Absolutely False', 'Mostly False', 'Neutral', 'Mostly True', 'Truth'];
+
+/**
+ * Hash a string into a non-negative integer.
+ * @param {string} text - Text to hash
+ * @returns {number} Hash value
+ */
+const hash = (text) => crypto.createHash('sha256').update(text).digest().readUInt32BE(0);
+
+/**
+ * Produce a placeholder value that matches a JSON Schema.
+ * @param {Object} schema - JSON Schema
+ * @param {string} seed - Seed that makes the value deterministic
+ * @returns {*} Value matching the schema
+ */
+const sampleFromSchema = (schema, seed) => {
+  if (schema.enum) return schema.enum[hash(seed) % schema.enum.length];
+  const type = Array.isArray(schema.type) ? schema.type[0] : schema.type;
+  switch (type) {
+    case 'object':
+      return Object.fromEntries(Object.entries(schema.properties || {})
+        .map(([key, property]) => [key, sampleFromSchema(property, `${seed}.${key}`)]));
+    case 'array':
+      return [];
+    case 'string':
+      return `mock ${seed.split('.').pop()}`;
+    case 'number':
+    case 'integer':
+      return schema.minimum ?? 0;
+    case 'boolean':
+      return false;
+    default:
+      return null;
+  }
+};
+
+/**
+ * Canned answers for the schemas used by the app, keyed by schema name.
+ * Each responder receives the text of the last user message, without its quoting.
+ * @type {Object<string, Function>}
+ */
+const RESPONDERS = {
+  fact_check: (text) => ({
+    score: hash(text) % GRADES.length + 1,
+    confidence: 0.5 + (hash(text) % 5) / 10,
+    reasoning: `This is a mock verdict generated offline for: "${text.slice(0, 100)}".`,
+    sources: []
+  }),
+  claims: (text) => ({
+    claims: (text.match(/[^.!?]+[.!?]*/g) || [])
+      .map(sentence => sentence.trim())
+      .filter(Boolean)
+      .map(sentence => ({ text: sentence }))
+  })
+};
+
+/**
+ * Create a deterministic mock provider.
+ * @param {Object} [options] - Provider options
+ * @param {string} [options.model='mock'] - Model name reported in responses
+ * @param {number} [options.chunkSize=16] - Characters per streamed chunk
+ * @returns {LLMProvider} Provider
+ */
+const createMockProvider = ({ model = 'mock', chunkSize = 16 } = {}) => {
+  /**
+   * Produce the answer for a request.
+   * @param {CompletionRequest} request - Provider-neutral request
+   * @returns {string} Answer content
+   */
+  const answer = ({ messages, schema }) => {
+    const userMessage = [...messages].reverse().find(message => message.role === 'user');
+    const text = userMessage ? unquoteUserText(userMessage.content) : '';
+    if (!schema) return `Mock answer for: ${text}`;
+    const responder = RESPONDERS[schema.name];
+    const value = responder ? responder(text) : sampleFromSchema(schema.schema, text);
+    return JSON.stringify(value);
+  };
+
+  return {
+    name: 'mock',
+    model,
+
+    async complete(request) {
+      const content = answer(request);
+      return { content, usage: { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 } };
+    },
+
+    async *stream(request, { signal } = {}) {
+      const content = answer(request);
+      for (let i = 0; i < content.length; i += chunkSize) {
+        if (signal && signal.aborted) return;
+        yield content.slice(i, i + chunkSize);
+      }
+    }
+  };
+};
+
+module.exports = { createMockProvider };
@@ -0,0 +1,94 @@
+/**
+ * @fileoverview LLM provider backed by the OpenAI chat completions API.
+ * Also used for OpenAI-compatible servers by pointing `baseURL` elsewhere.
+ * @module providers/openai
+ */
+
+const OpenAI = require('openai');
+
+/**
+ * Create a provider that talks to the OpenAI chat completions API.
+ * @param {Object} [options] - Provider options
+ * @param {string} [options.name='openai'] - Provider name, reported in responses and logs
+ * @param {string} [options.apiKey] - API key
+ * @param {string} [options.baseURL] - Base URL of an OpenAI-compatible API
+ * @param {string} [options.model='gpt-4o-mini'] - Model used for every request
+ * @param {boolean} [options.schemaHint=false] - Also describe the JSON Schema in a system
+ * message, for servers that do not enforce `response_format`
+ * @param {boolean} [options.streamUsage=true] - Ask for the token usage at the end of streams,
+ * which not every OpenAI-compatible server supports
+ * @returns {LLMProvider} Provider
+ */
+const createOpenAIProvider = ({
+  name = 'openai',
+  apiKey,
+  baseURL,
+  model = 'gpt-4o-mini',
+  schemaHint = false,
+  streamUsage = true
+} = {}) => {
+  // Retries are left to providers/resilience, which also counts them towards its circuit breaker
+  const client = new OpenAI({ apiKey, maxRetries: 0, ...(baseURL && { baseURL }) });
+
+  /**
+   * Build chat completion parameters for a request.
+   * @param {CompletionRequest} request - Provider-neutral request
+   * @returns {Object} Chat completion parameters
+   */
+  const buildParams = ({ messages, schema, temperature, maxTokens }) => {
+    const params = { model, temperature, max_tokens: maxTokens, messages };
+    if (schema) {
+      params.response_format = {
+        type: 'json_schema',
+        json_schema: { name: schema.name, strict: true, schema: schema.schema }
+      };
+      if (schemaHint) {
+        params.messages = [
+          ...messages,
+          { role: 'system', content: `Respond with only a JSON object matching this JSON Schema: ${JSON.stringify(schema.schema)}` }
+        ];
+      }
+    }
+    return params;
+  };
+
+  /**
+   * Call the chat completions API, passing request options only when there are any.
+   * @param {Object} params - Chat completion parameters
+   * @param {AbortSignal} [signal] - Aborts the request when triggered
+   * @returns {Promise<Object>} Completion, or a stream of chunks when `params.stream` is set
+   */
+  const create = (params, signal) => (signal
+    ? client.chat.completions.create(params, { signal })
+    : client.chat.completions.create(params));
+
+  return {
+    name,
+    model,
+
+    async complete(request, { signal } = {}) {
+      const completion = await create(buildParams(request), signal);
+      return {
+        content: completion.choices[0].message.content,
+        usage: completion.usage || null
+      };
+    },
+
+    async *stream(request, { signal } = {}) {
+      const stream = await create({
+        ...buildParams(request),
+        stream: true,
+        ...(streamUsage && { stream_options: { include_usage: true } })
+      }, signal);
+      let usage = null;
+      for await (const chunk of stream) {
+        const delta = chunk.choices[0]?.delta?.content;
+        if (delta) yield delta;
+        if (chunk.usage) usage = chunk.usage;
+      }
+      return { usage };
+    }
+  };
+};
+
+module.exports = { createOpenAIProvider };
@@ -0,0 +1,415 @@
+/**
+ * @fileoverview Timeouts, retries and a circuit breaker for LLM providers.
+ * Wraps a provider so that a slow or failing upstream cannot hold requests indefinitely:
+ *
+ * - each call is abandoned after a timeout. For streams the timeout applies to the wait for
+ *   each delta, so a long answer that keeps coming is not cut off
+ * - calls that fail with a transient error (timeout, connection error, 429 or 5xx) are retried
+ *   with exponential backoff and jitter. Streams are only retried before their first delta
+ * - after a number of consecutive failed calls the circuit opens, and calls fail immediately
+ *   with a `CircuitOpenError` instead of waiting on an unhealthy upstream. Once the reset delay
+ *   has passed, a single trial call is let through: the circuit closes if it succeeds and opens
+ *   again if it fails
+ *
+ * Errors the upstream answers with, such as a 400 for a bad request, are not retried and do not
+ * count towards opening the circuit. Every error of the upstream is rethrown as an
+ * `UpstreamError`, whose message never includes the vendor's own, with the original as `cause`.
+ * @module providers/resilience
+ */
+
+const { logger } = require('../lib/logger');
+const { metrics: appMetrics } = require('../lib/metrics');
+
+/**
+ * Default resilience options.
+ * @type {{timeoutMs: number, maxRetries: number, retryBaseMs: number, retryMaxMs: number, failureThreshold: number, resetMs: number}}
+ */
+const DEFAULT_OPTIONS = {
+  timeoutMs: 30000,
+  maxRetries: 2,
+  retryBaseMs: 500,
+  retryMaxMs: 10000,
+  failureThreshold: 5,
+  resetMs: 30000
+};
+
+/**
+ * Network error codes worth retrying.
+ * @type {string[]}
+ */
+const CONNECTION_ERROR_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN', 'ENOTFOUND'];
+
+/**
+ * Error raised when a call to the upstream LLM service fails.
+ */
+class UpstreamError extends Error {
+  /**
+   * @param {string} message - Human-readable explanation, safe to show to clients
+   * @param {Object} [options] - Error details
+   * @param {?number} [options.status] - HTTP status the upstream answered with, if any
+   * @param {Error} [options.cause] - Original error
+   */
+  constructor(message, { status = null, cause } = {}) {
+    super(message, { cause });
+    this.name = 'UpstreamError';
+    this.status = status;
+  }
+}
+
+/**
+ * Error raised when the upstream does not answer in time.
+ */
+class UpstreamTimeoutError extends UpstreamError {
+  /**
+   * @param {number} timeoutMs - Timeout that elapsed, in milliseconds
+   */
+  constructor(timeoutMs) {
+    super(`The language model did not answer within ${timeoutMs} ms`);
+    this.name = 'UpstreamTimeoutError';
+    this.timeoutMs = timeoutMs;
+  }
+}
+
+/**
+ * Error raised without calling the upstream while the circuit is open.
+ */
+class CircuitOpenError extends UpstreamError {
+  /**
+   * @param {number} retryAfterMs - Time until a trial call is let through, in milliseconds
+   */
+  constructor(retryAfterMs) {
+    super('The language model is unavailable after repeated failures');
+    this.name = 'CircuitOpenError';
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+/**
+ * Classify an error of the upstream.
+ * @param {Error} error - Error thrown by the provider
+ * @returns {?string} Retry reason (`timeout`, `connection`, `rate_limited` or `server_error`),
+ * or null if the error is not transient
+ */
+const retryReason = (error) => {
+  if (error instanceof UpstreamTimeoutError || error.name === 'APIConnectionTimeoutError') return 'timeout';
+  if (typeof error.status === 'number') {
+    if (error.status === 429) return 'rate_limited';
+    if (error.status === 408 || error.status === 409 || error.status >= 500) return 'server_error';
+    return null;
+  }
+  if (error.name === 'APIConnectionError' || CONNECTION_ERROR_CODES.includes(error.code)) return 'connection';
+  return null;
+};
+
+/**
+ * Wrap an error of the upstream as an `UpstreamError`, leaving ours as they are.
+ * @param {Error} error - Error thrown by the provider
+ * @returns {UpstreamError} Error to throw
+ */
+const toUpstreamError = (error) => {
+  if (error instanceof UpstreamError) return error;
+  const status = typeof error.status === 'number' ? error.status : null;
+  return new UpstreamError(
+    status ? `The language model request failed with status ${status}` : 'The language model request failed',
+    { status, cause: error }
+  );
+};
+
+/**
+ * Wait before retrying, stopping early if the caller aborts.
+ * @param {number} ms - Delay in milliseconds
+ * @param {AbortSignal} [signal] - Caller's abort signal
+ * @returns {Promise<void>} Resolves after the delay, rejects if the caller aborts
+ */
+const wait = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal && signal.aborted) return reject(signal.reason);
+  const onAbort = () => {
+    clearTimeout(timer);
+    reject(signal.reason);
+  };
+  const timer = setTimeout(() => {
+    if (signal) signal.removeEventListener('abort', onAbort);
+    resolve();
+  }, ms);
+  if (signal) signal.addEventListener('abort', onAbort, { once: true });
+});
+
+/**
+ * Create a circuit breaker.
+ * @param {Object} [options] - Breaker options
+ * @param {number} [options.failureThreshold=5] - Consecutive failed calls that open the circuit
+ * @param {number} [options.resetMs=30000] - Time the circuit stays open before a trial call, in milliseconds
+ * @param {function(): number} [options.now=Date.now] - Clock, for tests
+ * @param {function(string): void} [options.onChange] - Called with the new state when it changes
+ * @returns {Object} Circuit breaker
+ */
+const createCircuitBreaker = ({
+  failureThreshold = DEFAULT_OPTIONS.failureThreshold,
+  resetMs = DEFAULT_OPTIONS.resetMs,
+  now = Date.now,
+  onChange = () => {}
+} = {}) => {
+  let state = 'closed';
+  let failures = 0;
+  let openedAt = 0;
+  let trialInFlight = false;
+
+  /**
+   * Move to a new state.
+   * @param {string} next - `closed`, `open` or `half_open`
+   */
+  const transition = (next) => {
+    if (state === next) return;
+    state = next;
+    onChange(next);
+  };
+
+  /**
+   * Time until a trial call is let through, in milliseconds.
+   * @returns {number} Remaining time, 0 unless the circuit is open
+   */
+  const retryAfterMs = () => (state === 'open' ? Math.max(0, openedAt + resetMs - now()) : 0);
+
+  return {
+    /**
+     * Ask to make a call.
+     * @throws {CircuitOpenError} If the circuit is open, or half-open with a trial call in flight
+     */
+    acquire() {
+      if (state === 'open' && retryAfterMs() === 0) transition('half_open');
+      if (state === 'open') throw new CircuitOpenError(retryAfterMs());
+      if (state === 'half_open') {
+        if (trialInFlight) throw new CircuitOpenError(0);
+        trialInFlight = true;
+      }
+    },
+
+    /**
+     * Record a call that reached a healthy upstream, closing the circuit.
+     */
+    succeed() {
+      failures = 0;
+      trialInFlight = false;
+      transition('closed');
+    },
+
+    /**
+     * Record a call that failed because the upstream is unhealthy, opening the circuit once
+     * the threshold is reached or if it was the trial call.
+     */
+    fail() {
+      failures += 1;
+      trialInFlight = false;
+      if (state === 'half_open' || failures >= failureThreshold) {
+        openedAt = now();
+        transition('open');
+      }
+    },
+
+    /**
+     * Release a call that ended without telling anything about the upstream, such as one the
+     * caller aborted.
+     */
+    release() {
+      trialInFlight = false;
+    },
+
+    /**
+     * Describe the breaker.
+     * @returns {{state: string, failures: number, retryAfterMs: number}} Current state,
+     * consecutive failed calls and time until a trial call is let through
+     */
+    status() {
+      if (state === 'open' && retryAfterMs() === 0) transition('half_open');
+      return { state, failures, retryAfterMs: retryAfterMs() };
+    }
+  };
+};
+
+/**
+ * Wrap a provider with a timeout, retries and a circuit breaker.
+ * @param {LLMProvider} provider - Provider to wrap
+ * @param {Object} [options] - Resilience options
+ * @param {number} [options.timeoutMs=30000] - Time to wait for an answer, or for each delta of a stream, in milliseconds
+ * @param {number} [options.maxRetries=2] - Retries of a call that failed with a transient error
+ * @param {number} [options.retryBaseMs=500] - Delay before the first retry, doubled for each further one, in milliseconds
+ * @param {number} [options.retryMaxMs=10000] - Longest delay between retries, in milliseconds
+ * @param {number} [options.failureThreshold=5] - Consecutive failed calls that open the circuit
+ * @param {number} [options.resetMs=30000] - Time the circuit stays open before a trial call, in milliseconds
+ * @param {function(): number} [options.now=Date.now] - Clock, for tests
+ * @param {function(): number} [options.random=Math.random] - Source of the backoff jitter, for tests
+ * @param {Object} [metrics] - Application metrics, the application-wide ones by default
+ * @returns {LLMProvider} Provider with the same name and model, and `health` describing its circuit
+ */
+const createResilientProvider = (provider, options = {}, metrics = appMetrics) => {
+  const { timeoutMs, maxRetries, retryBaseMs, retryMaxMs, failureThreshold, resetMs } = { ...DEFAULT_OPTIONS, ...options };
+  const { now = Date.now, random = Math.random } = options;
+  const labels = { provider: provider.name, model: provider.model };
+  const breaker = createCircuitBreaker({
+    failureThreshold,
+    resetMs,
+    now,
+    onChange: (state) => {
+      metrics.llmCircuitTransitions.inc({ ...labels, state });
+      logger[state === 'open' ? 'error' : 'info']('LLM circuit breaker state changed', { ...labels, state });
+    }
+  });
+
+  /**
+   * Delay before a retry: exponential, capped, with full jitter so that clients retrying at
+   * the same time spread out.
+   * @param {number} retry - Retry number, from 0
+   * @returns {number} Delay in milliseconds
+   */
+  const backoff = retry => Math.round(random() * Math.min(retryMaxMs, retryBaseMs * 2 ** retry));
+
+  /**
+   * Run one step of a call, abandoning it after the timeout.
+   * @param {function(AbortSignal): Promise<*>} run - Step, given a signal aborted on timeout or by the caller
+   * @param {AbortController} controller - Controller of the attempt, aborted on timeout
+   * @returns {Promise<*>} Result of the step
+   * @throws {UpstreamTimeoutError} If the step takes longer than the timeout
+   */
+  const withTimeout = (run, controller) => {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => {
+        const error = new UpstreamTimeoutError(timeoutMs);
+        controller.abort(error);
+        reject(error);
+      }, timeoutMs);
+    });
+    const pending = run(controller.signal);
+    // A step that settles after the timeout has nobody waiting for it
+    pending.catch(() => {});
+    return Promise.race([pending, timeout]).finally(() => clearTimeout(timer));
+  };
+
+  /**
+   * Create the controller of an attempt, aborted when the caller aborts.
+   * @param {AbortSignal} [signal] - Caller's abort signal
+   * @returns {{controller: AbortController, detach: Function}} Controller, and a function to
+   * stop following the caller's signal
+   */
+  const attemptController = (signal) => {
+    const controller = new AbortController();
+    if (!signal) return { controller, detach: () => {} };
+    const onAbort = () => controller.abort(signal.reason);
+    if (signal.aborted) onAbort();
+    signal.addEventListener('abort', onAbort, { once: true });
+    return { controller, detach: () => signal.removeEventListener('abort', onAbort) };
+  };
+
+  /**
+   * Decide what to do after a failed attempt: wait and retry, or give up.
+   * @param {Error} error - Error of the attempt
+   * @param {number} retry - Retries made so far
+   * @param {AbortSignal} [signal] - Caller's abort signal
+   * @param {string} operation - `complete` or `stream`
+   * @returns {Promise<void>} Resolves once it is time to retry
+   * @throws {Error} The error to give up with: the caller's abort, or an `UpstreamError`
+   */
+  const handleFailure = async (error, retry, signal, operation) => {
+    if (signal && signal.aborted) {
+      breaker.release();
+      throw error;
+    }
+    const reason = retryReason(error);
+    if (!reason) {
+      breaker.succeed();
+      throw toUpstreamError(error);
+    }
+    if (retry >= maxRetries) {
+      breaker.fail();
+      logger.warn('LLM call failed', { ...labels, operation, reason, attempts: retry + 1 });
+      throw toUpstreamError(error);
+    }
+    const delayMs = backoff(retry);
+    metrics.llmRetries.inc({ ...labels, reason });
+    logger.warn('Retrying LLM call', { ...labels, operation, reason, retry: retry + 1, delayMs });
+    try {
+      await wait(delayMs, signal);
+    } catch (abort) {
+      breaker.release();
+      throw abort;
+    }
+  };
+
+  return {
+    ...provider,
+
+    /**
+     * Describe the circuit breaker, for readiness checks.
+     * @returns {{state: string, failures: number, retryAfterMs: number}} Circuit state
+     * (`closed`, `open` or `half_open`), consecutive failed calls and time until a trial call
+     */
+    health: () => breaker.status(),
+
+    async complete(request, { signal } = {}) {
+      breaker.acquire();
+      for (let retry = 0; ; retry++) {
+        const { controller, detach } = attemptController(signal);
+        try {
+          const completion = await withTimeout(attemptSignal => provider.complete(request, { signal: attemptSignal }), controller);
+          breaker.succeed();
+          return completion;
+        } catch (error) {
+          await handleFailure(error, retry, signal, 'complete');
+        } finally {
+          detach();
+        }
+      }
+    },
+
+    async *stream(request, { signal } = {}) {
+      breaker.acquire();
+      try {
+        for (let retry = 0; ; retry++) {
+          const { controller, detach } = attemptController(signal);
+          const iterator = provider.stream(request, { signal: controller.signal })[Symbol.asyncIterator]();
+          let started = false;
+          let finished = false;
+          try {
+            for (;;) {
+              const { value, done } = await withTimeout(() => iterator.next(), controller);
+              if (done) {
+                finished = true;
+                breaker.succeed();
+                return value;
+              }
+              started = true;
+              yield value;
+            }
+          } catch (error) {
+            finished = true;
+            if (!started) {
+              await handleFailure(error, retry, signal, 'stream');
+              continue;
+            }
+            // Deltas were already sent, so the stream cannot be retried without repeating them
+            if (signal && signal.aborted) throw error;
+            if (retryReason(error)) breaker.fail(); else breaker.succeed();
+            throw toUpstreamError(error);
+          } finally {
+            detach();
+            // The caller stopped reading: let the provider release the underlying request
+            if (!finished && iterator.return) await iterator.return();
+          }
+        }
+      } finally {
+        // Frees the trial call of a half-open circuit when the stream ended without a verdict
+        // on the upstream, such as when the caller stopped reading
+        breaker.release();
+      }
+    }
+  };
+};
+
+module.exports = {
+  DEFAULT_OPTIONS,
+  UpstreamError,
+  UpstreamTimeoutError,
+  CircuitOpenError,
+  createCircuitBreaker,
+  createResilientProvider
+};
@@ -0,0 +1,143 @@
+#!/usr/bin/env node
+/**
+ * @fileoverview Command-line evaluation of the fact-check pipeline against a labelled dataset.
+ * Usage:
+ *
+ *     npm run eval -- [dataset] [options]
+ *
+ *     --json <file>        Write the full report as JSON, to compare runs later
+ *     --markdown <file>    Write the report as Markdown instead of printing it
+ *     --baseline <file>    Compare with the JSON report of an earlier run
+ *     --limit <n>          Only check the first n claims
+ *     --concurrency <n>    Claims checked at the same time (default 1)
+ *
+ * The dataset defaults to the benchmark in `eval/claims.jsonl` (see `lib/evaluation` for the
+ * format). Claims are checked with the provider and prompt versions configured as for the
+ * server (`LLM_PROVIDER`, `LLM_MODEL`, `FACT_CHECK_PROMPT_VERSIONS`, ...), so
+ * `LLM_PROVIDER=mock npm run eval` runs offline. The Markdown report is printed unless
+ * `--markdown` is given, and logs are limited to errors unless `LOG_LEVEL` is set.
+ * @module scripts/evaluate
+ */
+
+require('dotenv').config();
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+const fs = require('fs');
+const path = require('path');
+const { createProvider } = require('../providers');
+const { createPromptSelectorFromEnv } = require('../lib/prompts');
+const { loadDataset, runEvaluation, createReport, reportToMarkdown } = require('../lib/evaluation');
+
+/**
+ * Benchmark checked when no dataset is given.
+ * @type {string}
+ */
+const DEFAULT_DATASET = path.join(__dirname, '..', 'eval', 'claims.jsonl');
+
+/**
+ * Options that take a value.
+ * @type {string[]}
+ */
+const OPTIONS = ['--json', '--markdown', '--baseline', '--limit', '--concurrency'];
+
+/**
+ * Parse the command-line arguments.
+ * @param {string[]} args - Command-line arguments
+ * @returns {{dataset: string, options: Object<string, string>}} Dataset path and options by name
+ * @throws {Error} If an option is unknown or has no value
+ */
+const parseArgs = (args) => {
+  const options = {};
+  const positional = [];
+  for (let i = 0; i < args.length; i++) {
+    if (!args[i].startsWith('--')) {
+      positional.push(args[i]);
+    } else if (!OPTIONS.includes(args[i]) || args[i + 1] === undefined) {
+      throw new Error(`Unknown option or missing value: ${args[i]}`);
+    } else {
+      options[args[i].slice(2)] = args[++i];
+    }
+  }
+  if (positional.length > 1) throw new Error('Only one dataset can be evaluated at a time');
+  return { dataset: positional[0] || DEFAULT_DATASET, options };
+};
+
+/**
+ * Read a positive whole number option.
+ * @param {string} [value] - Option value
+ * @param {string} name - Option name
+ * @returns {?number} Number, or null if the option is not set
+ * @throws {Error} If the value is not a positive whole number
+ */
+const positiveInteger = (value, name) => {
+  if (value === undefined) return null;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) throw new Error(`--${name} must be a positive whole number`);
+  return number;
+};
+
+/**
+ * Run the command.
+ * @param {string[]} args - Command-line arguments
+ * @returns {Promise<number>} Exit code
+ */
+const main = async (args) => {
+  let dataset;
+  let options;
+  let limit;
+  let concurrency;
+  let baseline;
+  try {
+    ({ dataset, options } = parseArgs(args));
+    limit = positiveInteger(options.limit, 'limit');
+    concurrency = positiveInteger(options.concurrency, 'concurrency') || 1;
+    baseline = options.baseline ? JSON.parse(fs.readFileSync(options.baseline, 'utf8')) : undefined;
+  } catch (error) {
+    console.error(error.message);
+    console.error('Usage: npm run eval -- [dataset] [--json <file>] [--markdown <file>] [--baseline <file>] [--limit <n>] [--concurrency <n>]');
+    return 1;
+  }
+
+  const claims = loadDataset(dataset);
+  const selected = limit ? claims.slice(0, limit) : claims;
+  const provider = createProvider();
+  const prompts = createPromptSelectorFromEnv('fact-check');
+
+  console.error(`Checking ${selected.length} claims with ${provider.name} (${provider.model})`);
+  const startedAt = new Date().toISOString();
+  const start = Date.now();
+  const results = await runEvaluation(provider, selected, {
+    selectPrompt: prompts.select,
+    concurrency,
+    onResult: (result, settled) => {
+      if (settled % 10 === 0 || settled === selected.length) console.error(`${settled}/${selected.length}`);
+    }
+  });
+  const relativePath = path.relative(process.cwd(), dataset);
+  const report = createReport({
+    dataset: relativePath && !relativePath.startsWith('..') ? relativePath : dataset,
+    provider,
+    results,
+    startedAt,
+    durationMs: Date.now() - start
+  });
+  const markdown = reportToMarkdown(report, baseline);
+
+  if (options.json) {
+    fs.writeFileSync(options.json, `${JSON.stringify(report, null, 2)}\n`);
+    console.error(`Wrote ${options.json}`);
+  }
+  if (options.markdown) {
+    fs.writeFileSync(options.markdown, markdown);
+    console.error(`Wrote ${options.markdown}`);
+  } else {
+    process.stdout.write(markdown);
+  }
+  return 0;
+};
+
+main(process.argv.slice(2)).then((code) => {
+  process.exitCode = code;
+}, (error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
@@ -0,0 +1,113 @@
+#!/usr/bin/env node
+/**
+ * @fileoverview Command-line ingestion of reference documents into the evidence corpus.
+ * Usage:
+ *
+ *     npm run ingest -- <file or directory>...   Ingest .md, .markdown, .txt, .html and .htm files
+ *     npm run ingest -- --list                   List the ingested documents
+ *     npm run ingest -- --remove <id>...         Remove documents
+ *
+ * Each file is stored under an id derived from its name, so ingesting it again replaces it.
+ * The corpus is the one configured with `EVIDENCE_STORE_BACKEND` and `EVIDENCE_STORE_FILE`.
+ * A running server loads the file corpus at startup, so restart it to pick up changes,
+ * or use the admin documents endpoint instead.
+ * @module scripts/ingest
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { createEvidenceIndexFromEnv, detectFormat } = require('../lib/evidence');
+
+/**
+ * File extensions that are ingested when a directory is given.
+ * @type {string[]}
+ */
+const EXTENSIONS = ['.md', '.markdown', '.txt', '.html', '.htm'];
+
+/**
+ * List the ingestible files under a path.
+ * @param {string} target - File or directory
+ * @returns {string[]} File paths
+ */
+const collectFiles = (target) => {
+  if (!fs.statSync(target).isDirectory()) return [target];
+  return fs.readdirSync(target, { withFileTypes: true })
+    .flatMap((entry) => {
+      const entryPath = path.join(target, entry.name);
+      if (entry.isDirectory()) return collectFiles(entryPath);
+      return EXTENSIONS.includes(path.extname(entry.name).toLowerCase()) ? [entryPath] : [];
+    });
+};
+
+/**
+ * Derive a document identifier from a file name.
+ * @param {string} filePath - File path
+ * @returns {string} Identifier
+ */
+const documentId = (filePath) => path.basename(filePath, path.extname(filePath))
+  .toLowerCase()
+  .replace(/[^a-z0-9_.-]+/g, '-')
+  .replace(/^-+|-+$/g, '')
+  .slice(0, 100) || 'document';
+
+/**
+ * Run the command.
+ * @param {string[]} args - Command-line arguments
+ * @returns {Promise<number>} Exit code
+ */
+const main = async (args) => {
+  const index = createEvidenceIndexFromEnv();
+  if (!index) {
+    console.error('The evidence corpus is disabled (EVIDENCE_STORE_BACKEND=none).');
+    return 1;
+  }
+
+  if (args[0] === '--list') {
+    const documents = await index.list();
+    documents.forEach(({ id, title, passageCount }) => console.log(`${id}\t${passageCount} passages\t${title}`));
+    console.log(`${documents.length} documents`);
+    return 0;
+  }
+
+  if (args[0] === '--remove') {
+    let failed = 0;
+    for (const id of args.slice(1)) {
+      if (await index.remove(id)) {
+        console.log(`Removed ${id}`);
+      } else {
+        console.error(`No document ${id}`);
+        failed++;
+      }
+    }
+    return failed ? 1 : 0;
+  }
+
+  if (!args.length) {
+    console.error('Usage: npm run ingest -- <file or directory>... | --list | --remove <id>...');
+    return 1;
+  }
+
+  let failed = 0;
+  for (const filePath of args.flatMap(collectFiles)) {
+    try {
+      const document = await index.ingest({
+        id: documentId(filePath),
+        format: detectFormat(filePath),
+        content: fs.readFileSync(filePath, 'utf8')
+      });
+      console.log(`Ingested ${filePath} as ${document.id} (${document.passageCount} passages)`);
+    } catch (error) {
+      console.error(`Failed to ingest ${filePath}: ${error.message}`);
+      failed++;
+    }
+  }
+  return failed ? 1 : 0;
+};
+
+main(process.argv.slice(2)).then((code) => {
+  process.exitCode = code;
+}, (error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
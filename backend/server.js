@@ -1,15 +1,51 @@
 /**
  * @fileoverview Express server for the fact-checking web application.
- * This server handles API requests for fact-checking functionality using OpenAI's GPT-4 API.
+ * This server handles API requests for fact-checking functionality using a configurable LLM provider
+ * (OpenAI, an OpenAI-compatible local server, or an offline mock).
  * It provides endpoints for health checks and fact-checking requests, with proper error handling
- * and CORS support.
+ * and CORS support. The API is versioned under `/api/v1` and described by an OpenAPI document
+ * (`lib/openapi`); the unversioned `/api` paths remain as a deprecated alias.
  * @module server
  */
 
 require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
-const OpenAI = require('openai');
+const { createProvider, UpstreamError, UpstreamTimeoutError, CircuitOpenError } = require('./providers');
+const { factCheck, streamFactCheck, InvalidModelOutputError } = require('./lib/factCheck');
+const { analyzeText } = require('./lib/claims');
+const { createVerdictCacheFromEnv } = require('./lib/verdictCache');
+const { createRecordStoreFromEnv } = require('./lib/factCheckRecords');
+const { createCitationVerifierFromEnv } = require('./lib/citations');
+const { createEvidenceIndexFromEnv, toSource, InvalidDocumentError } = require('./lib/evidence');
+const { isUrl, analyzeArticle, ArticleError } = require('./lib/article');
+const { FetchPageError } = require('./lib/fetchPage');
+const { createJobQueueFromEnv } = require('./lib/jobs');
+const { deliverWebhook } = require('./lib/webhooks');
+const { requireAdmin } = require('./middleware/requireAdmin');
+const { requireMetricsToken } = require('./middleware/requireMetricsToken');
+const { createConsensusCheckerFromEnv } = require('./lib/consensus');
+const { createRateLimiter } = require('./middleware/rateLimit');
+const { createApiKeyAuthFromEnv } = require('./middleware/apiKeyAuth');
+const { createApiKeyStoreFromEnv, InvalidApiKeyError } = require('./lib/apiKeys');
+const { createCorsOptions } = require('./middleware/cors');
+const { createUsageTrackerFromEnv, createUsageMiddleware } = require('./lib/analytics');
+const { logger } = require('./lib/logger');
+const { metrics, countGrades, createHttpMetricsMiddleware, CONTENT_TYPE: METRICS_CONTENT_TYPE } = require('./lib/metrics');
+const { createRequestContext } = require('./middleware/requestContext');
+const { createApiContractFromEnv } = require('./middleware/apiContract');
+const { createDeprecatedApiAliasFromEnv } = require('./middleware/deprecatedApi');
+const { sendError, errorBody, toLegacyErrorBody } = require('./lib/apiErrors');
+const { openApiDocument } = require('./lib/openapi');
+const { createPromptSelector, createPromptSelectorFromEnv } = require('./lib/prompts');
+const { createInputScreener, createInputScreenerFromEnv, InputRejectedError } = require('./lib/inputScreening');
+const {
+  createFeedbackStoreFromEnv,
+  validateFeedback,
+  exportDisputes,
+  disputesToCsv,
+  InvalidFeedbackError
+} = require('./lib/feedback');
 
 /**
  * Express application instance.
@@ -19,56 +55,495 @@ const OpenAI = require('openai');
 const app = express();
 const port = process.env.PORT || 3001;
 
-// Log environment variables (without sensitive data)
-console.log('Environment:', process.env.NODE_ENV);
-console.log('Port:', port);
-console.log('OpenAI API Key exists:', !!process.env.OPENAI_API_KEY);
+// Log the configuration (without sensitive data)
+logger.info('Starting server', {
+  environment: process.env.NODE_ENV,
+  port,
+  llmProvider: process.env.LLM_PROVIDER || 'openai',
+  openAiKeyConfigured: Boolean(process.env.OPENAI_API_KEY)
+});
+
+/**
+ * Middleware Configuration
+ * - Trust proxy: Uses the client address forwarded by the hosting platform's proxy for `req.ip`
+ *   (`TRUST_PROXY` hops, one by default in production)
+ * - Request context: Assigns each request a correlation id and logs it
+ * - Metrics: Counts and times every request for the Prometheus metrics
+ * - CORS: Enables cross-origin requests from the web app and the browser extension
+ * - Deprecated API: Marks requests to the unversioned `/api` alias as deprecated and gives
+ *   them the earlier error bodies, including for body parsing errors
+ * - JSON: Parses JSON request bodies
+ */
+app.set('trust proxy', Number(process.env.TRUST_PROXY ?? (process.env.NODE_ENV === 'production' ? 1 : 0)));
+app.use(createRequestContext(logger));
+app.use(createHttpMetricsMiddleware(metrics));
+app.use(cors(createCorsOptions()));
+app.use(createDeprecatedApiAliasFromEnv());
+app.use(express.json());
+
+/**
+ * Router of the API endpoints, mounted under `/api/v1` and, as a deprecated alias, under `/api`.
+ * @type {express.Router}
+ */
+const api = express.Router();
+
+/**
+ * Names of the datastores that failed to initialize, reported by the readiness check.
+ * @type {Set<string>}
+ */
+const failedDatastores = new Set();
+
+/**
+ * Initialize the store of partner API keys.
+ * If the store cannot be set up, requests with a key answer 503 and keyless requests are
+ * handled as before.
+ * @type {?Object}
+ */
+let apiKeyStore = null;
+try {
+  apiKeyStore = createApiKeyStoreFromEnv();
+} catch (error) {
+  logger.error('Error initializing API key store, continuing without it', { error });
+  failedDatastores.add('apiKeys');
+}
+
+/**
+ * Middleware authenticating API keys, applied to the endpoints that call the LLM before the rate
+ * limiter, which limits keys separately. Handlers count a request against the key's monthly
+ * quota with `apiKeyAuth.charge` once it is validated and screened.
+ * @type {Function}
+ */
+const apiKeyAuth = createApiKeyAuthFromEnv(apiKeyStore);
+
+/**
+ * Requests a batch counts for against the rate limit: one per statement. Its API key's quota is
+ * charged the same once the statements are screened.
+ * @param {Object} req - Express request object
+ * @returns {number} Number of statements, at least 1
+ */
+const batchCost = (req) => (Array.isArray(req.body.statements) ? Math.max(1, req.body.statements.length) : 1);
+
+/**
+ * Per-client rate limiter applied to the endpoints that call the LLM.
+ * @type {Function}
+ */
+const rateLimit = createRateLimiter();
+
+/**
+ * Stricter per-client rate limiter for reader feedback, which costs nothing to send in bulk.
+ * @type {Function}
+ */
+const feedbackRateLimit = createRateLimiter({
+  ...process.env,
+  RATE_LIMIT_IP_LIMIT: process.env.FEEDBACK_RATE_LIMIT_IP_LIMIT || '10',
+  RATE_LIMIT_IP_WINDOW_SECONDS: process.env.FEEDBACK_RATE_LIMIT_IP_WINDOW_SECONDS || '3600'
+});
+
+/**
+ * Per-client rate limiter for the admin endpoints, so that the admin credential cannot be
+ * guessed by trying one token after another.
+ * @type {Function}
+ */
+const adminRateLimit = createRateLimiter({
+  ...process.env,
+  RATE_LIMIT_IP_LIMIT: process.env.ADMIN_RATE_LIMIT_IP_LIMIT || '30',
+  RATE_LIMIT_IP_WINDOW_SECONDS: process.env.ADMIN_RATE_LIMIT_IP_WINDOW_SECONDS || '60'
+});
+
+/**
+ * Usage analytics of the fact-checking endpoints, shown on the admin dashboard.
+ * @type {Object}
+ */
+const usageTracker = createUsageTrackerFromEnv();
+
+/**
+ * Middleware recording each fact-checking request to the usage analytics. Placed before the
+ * rate limiter so that rejected requests are counted too.
+ * @type {Function}
+ */
+const trackUsage = createUsageMiddleware(usageTracker);
+
+/**
+ * Initialize the LLM provider selected by configuration.
+ * A misconfigured provider does not stop the server: the health check stays up and
+ * the fact-checking endpoints answer 503 until the configuration is fixed.
+ * @type {?LLMProvider}
+ */
+let provider = null;
+try {
+  provider = createProvider();
+  logger.info('LLM provider initialized', { provider: provider.name, model: provider.model });
+} catch (error) {
+  logger.error('Error initializing LLM provider', { error });
+}
 
 /**
- * CORS configuration options based on environment
+ * Consensus checker combining several independent verdicts per text, or null when
+ * consensus mode is off and each text gets a single verdict.
+ * @type {?Object}
+ */
+let consensusChecker = null;
+try {
+  consensusChecker = createConsensusCheckerFromEnv(provider);
+  logger.info('Consensus mode', { samples: consensusChecker ? consensusChecker.samples : null });
+} catch (error) {
+  logger.error('Error initializing consensus mode, continuing with single verdicts', { error });
+}
+
+/**
+ * Create the selector of a prompt's versions configured by the environment. If the
+ * configuration is invalid, the latest version of the prompt is used for every text.
+ * @param {string} name - Prompt name
+ * @returns {Object} Prompt selector
+ */
+const initPromptSelector = (name) => {
+  try {
+    const selector = createPromptSelectorFromEnv(name);
+    logger.info('Prompt versions', { prompt: name, weights: selector.weights });
+    return selector;
+  } catch (error) {
+    logger.error('Error initializing prompt versions, continuing with the latest version', { prompt: name, error });
+    return createPromptSelector({ name });
+  }
+};
+
+/**
+ * Selectors of the fact-check and claim extraction prompt versions, for A/B comparisons.
  * @type {Object}
  */
-const corsOptions = {
-  origin: process.env.NODE_ENV === 'production' 
-    ? ['https://www.truthcheck.me', 'https://truthcheck.me', 'https://truthcheck-me.vercel.app'] 
-    : 'http://localhost:3000',
-  methods: 'GET,HEAD,PUT,PATCH,POST,DELETE',
-  credentials: false,
-  optionsSuccessStatus: 204
+const factCheckPrompts = initPromptSelector('fact-check');
+const extractionPrompts = initPromptSelector('claim-extraction');
+
+/**
+ * Describe the error response of a failed model call:
+ *
+ * - 502 `invalid_model_output` when the model keeps returning output that does not match the schema
+ * - 503 `unavailable` while the circuit breaker fails calls fast after repeated failures
+ * - 504 `upstream_timeout` when the model does not answer in time
+ * - 502 `upstream_error` when the model call fails otherwise
+ * - 500 `internal_error` for any other error, without its message
+ *
+ * Upstream errors carry messages of our own, so they are safe to give as details.
+ * @param {Error} error - Error thrown by the pipeline
+ * @returns {{status: number, code: string, details: (string|undefined)}} Status, code and details
+ */
+const describeModelError = (error) => {
+  if (error instanceof InvalidModelOutputError) return { status: 502, code: 'invalid_model_output', details: error.message };
+  if (error instanceof CircuitOpenError) return { status: 503, code: 'unavailable', details: error.message };
+  if (error instanceof UpstreamTimeoutError) return { status: 504, code: 'upstream_timeout', details: error.message };
+  if (error instanceof UpstreamError) return { status: 502, code: 'upstream_error', details: error.message };
+  return { status: 500, code: 'internal_error' };
 };
 
 /**
- * Middleware Configuration
- * - CORS: Enables cross-origin requests with environment-specific configuration
- * - JSON: Parses JSON request bodies
+ * Build the error body of a failed model call.
+ * @param {Error} error - Error thrown by the pipeline
+ * @param {string} message - What failed
+ * @returns {Object} Error body
  */
-app.use(cors(corsOptions));
-app.use(express.json());
+const modelErrorBody = (error, message) => {
+  const { code, details } = describeModelError(error);
+  return errorBody(code, message, details);
+};
+
+/**
+ * Describe the failure of a single claim of an analysis for clients, with the same code and
+ * message as a failed fact-check would get.
+ * @param {Error} error - Error thrown by the claim's fact-check
+ * @returns {{code: string, message: string}} Error code and client-safe message
+ */
+const describeClaimError = (error) => {
+  const { code, details } = describeModelError(error);
+  return { code, message: details || 'Failed to fact-check claim' };
+};
+
+/**
+ * Send the error response of a failed model call, telling clients when to retry while the
+ * circuit breaker is open.
+ * @param {express.Response} res - Express response object
+ * @param {Error} error - Error thrown by the pipeline
+ * @param {string} message - What failed
+ */
+const sendModelError = (res, error, message) => {
+  if (error instanceof CircuitOpenError) {
+    res.set('Retry-After', String(Math.max(1, Math.ceil(error.retryAfterMs / 1000))));
+  }
+  res.status(describeModelError(error).status).json(modelErrorBody(error, message));
+};
 
-// Add request logging middleware
-app.use((req, res, next) => {
-  console.log(`${new Date().toISOString()} - ${req.method} ${req.url}`);
-  console.log('Request headers:', req.headers);
-  console.log('Request body:', req.body);
+/**
+ * Middleware that rejects requests needing the LLM while no provider is available.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Next middleware
+ */
+const requireProvider = (req, res, next) => {
+  if (!provider) {
+    return sendError(res, 503, 'unavailable', 'Fact-checking is temporarily unavailable');
+  }
   next();
-});
+};
 
 /**
- * Initialize OpenAI client with error handling
+ * Initialize the verdict cache selected by configuration.
+ * If the cache cannot be set up, the server runs without one.
+ * @type {?Object}
  */
-let openai;
+let verdictCache = null;
 try {
-  openai = new OpenAI({
-    apiKey: process.env.OPENAI_API_KEY
-  });
-  console.log('OpenAI client initialized successfully');
+  verdictCache = createVerdictCacheFromEnv();
+  logger.info('Verdict cache', { backend: verdictCache ? process.env.VERDICT_CACHE_BACKEND || 'memory' : 'disabled' });
 } catch (error) {
-  console.error('Error initializing OpenAI client:', error);
-  process.exit(1);
+  logger.error('Error initializing verdict cache, continuing without it', { error });
+  failedDatastores.add('verdictCache');
 }
 
 /**
- * Health check endpoint.
+ * Input screener applied to every text before it is checked. If its configuration is
+ * invalid, texts are screened with the default settings.
+ * @type {Object}
+ */
+let inputScreener;
+try {
+  inputScreener = createInputScreenerFromEnv();
+} catch (error) {
+  logger.error('Error initializing input screening, continuing with the defaults', { error });
+  inputScreener = createInputScreener();
+}
+logger.info('Input screening', { maxLength: inputScreener.maxLength });
+
+/**
+ * Screen a text before it is checked, answering with a 422 `input_rejected` error that
+ * gives the `reason` when it is rejected.
+ * @param {express.Request} req - Express request object
+ * @param {express.Response} res - Express response object
+ * @param {string} text - User text
+ * @returns {Promise<?string>} The cleaned text, or null if the text was rejected
+ */
+const screenText = async (req, res, text) => {
+  try {
+    return (await inputScreener.screen(text)).text;
+  } catch (error) {
+    if (!(error instanceof InputRejectedError)) throw error;
+    req.log.warn('Rejected input', { reason: error.reason, ...error.details });
+    sendError(res, 422, 'input_rejected', error.message, { reason: error.reason, ...error.details });
+    return null;
+  }
+};
+
+/**
+ * Count the claims extracted for an analysis against the rate limit and the API key's quota.
+ * The request already took one token and one unit when it was admitted, which pay for the
+ * first claim (or for the extraction when there are none); every other claim takes one more.
+ * @param {express.Request} req - Express request object
+ * @param {express.Response} res - Express response object
+ * @param {Array<Object>} claims - Extracted claims
+ * @returns {Promise<boolean>} Whether the claims may be checked. Otherwise a 429 error was sent
+ */
+const admitClaims = async (req, res, claims) => {
+  const extra = claims.length - 1;
+  if (extra <= 0) return true;
+  return rateLimit.take(req, res, extra) && apiKeyAuth.charge(req, res, extra);
+};
+
+/**
+ * Citation verifier that fetches the cited sources, or null when verification is turned off.
+ * @type {?Object}
+ */
+const citationVerifier = createCitationVerifierFromEnv();
+logger.info('Citation verification', { enabled: Boolean(citationVerifier) });
+
+/**
+ * Attach a verification status to each cited source of a fact-check.
+ * @param {string} text - Checked text
+ * @param {Object} result - Fact-check result
+ * @returns {Promise<Object>} The result with verified sources
+ */
+const verifyResult = async (text, result) => {
+  if (!citationVerifier) return result;
+  return { ...result, sources: await citationVerifier.verifySources(text, result.sources) };
+};
+
+/**
+ * Initialize the local evidence corpus selected by configuration.
+ * If the corpus cannot be loaded, fact-checks run on the model's general knowledge only.
+ * @type {?Object}
+ */
+let evidenceIndex = null;
+try {
+  evidenceIndex = createEvidenceIndexFromEnv();
+  logger.info('Evidence corpus', { backend: evidenceIndex ? process.env.EVIDENCE_STORE_BACKEND || 'file' : 'disabled' });
+} catch (error) {
+  logger.error('Error initializing evidence corpus, continuing without it', { error });
+  failedDatastores.add('evidence');
+}
+
+/**
+ * Retrieve the corpus passages that best match a claim.
+ * A failed search is logged and the claim is checked without evidence.
+ * @param {string} text - Claim text
+ * @returns {Promise<Array<Object>>} Matching passages, best first
+ */
+const retrieveEvidence = async (text) => {
+  if (!evidenceIndex) return [];
+  try {
+    return await evidenceIndex.search(text);
+  } catch (error) {
+    logger.error('Evidence retrieval error', { error });
+    return [];
+  }
+};
+
+/**
+ * Add the corpus passages given to the model to the sources of a fact-check.
+ * Model-cited sources that merely repeat a passage's title are replaced by the passage.
+ * @param {Array<Object>} sources - Sources cited by the model
+ * @param {Array<Object>} evidence - Passages given to the model
+ * @returns {Array<Object>} Sources, followed by the passages with their document id and snippet
+ */
+const withEvidence = (sources, evidence) => {
+  const titles = new Set(evidence.map(passage => passage.title));
+  return [
+    ...sources.filter(source => source.url || !titles.has(source.title)),
+    ...evidence.map(toSource)
+  ];
+};
+
+/**
+ * Fact-check a text against the evidence corpus and verify its sources, reusing a cached
+ * verdict for the same normalized text and prompt version when there is one. In consensus
+ * mode the verdict combines several samples and reports their agreement.
+ * @param {string} text - Text to be fact-checked
+ * @returns {Promise<Object>} Fact-check with `cached` and `checkedAt` metadata
+ */
+const cachedFactCheck = async (text) => {
+  const prompt = factCheckPrompts.select(text);
+  const compute = async () => {
+    const evidence = await retrieveEvidence(text);
+    const verdict = consensusChecker
+      ? await consensusChecker.check(text, { evidence, prompt })
+      : await factCheck(provider, text, { evidence, prompt });
+    const result = await verifyResult(text, verdict);
+    return { ...result, sources: withEvidence(result.sources, evidence) };
+  };
+  if (!verdictCache) {
+    return { ...await compute(), cached: false, checkedAt: new Date().toISOString() };
+  }
+  return verdictCache.wrap(text, compute, { version: prompt.version });
+};
+
+/**
+ * Initialize the store of fact-check records used for permalinks.
+ * If the store cannot be set up, fact-checks still work but are not saved.
+ * @type {?Object}
+ */
+let recordStore = null;
+try {
+  recordStore = createRecordStoreFromEnv();
+} catch (error) {
+  logger.error('Error initializing fact-check record store, continuing without it', { error });
+  failedDatastores.add('factCheckRecords');
+}
+
+/**
+ * Initialize the store of reader feedback on verdicts.
+ * If the store cannot be set up, the feedback endpoints answer 503.
+ * @type {?Object}
+ */
+let feedbackStore = null;
+try {
+  feedbackStore = createFeedbackStoreFromEnv();
+} catch (error) {
+  logger.error('Error initializing feedback store, continuing without it', { error });
+  failedDatastores.add('feedback');
+}
+
+/**
+ * Persist a fact-check so that it can be shared as a permalink.
+ * A failure to save is logged and does not fail the fact-check itself.
+ * @param {string} text - Checked text
+ * @param {Object} result - Fact-check or analysis result
+ * @returns {Promise<Object>} The result, with the record `id` when it was saved
+ */
+const saveRecord = async (text, result) => {
+  if (!recordStore) return result;
+  try {
+    const { id } = await recordStore.create({ text, ...result, model: provider.model, provider: provider.name });
+    return { id, ...result };
+  } catch (error) {
+    logger.error('Error saving fact-check record', { error });
+    return result;
+  }
+};
+
+/**
+ * Shape a batch job for API responses, without its internal fields.
+ * @param {Object} job - Stored job
+ * @param {Object} [options] - View options
+ * @param {boolean} [options.includeItems=true] - Include the per-item results
+ * @returns {Object} Job status, progress, webhook outcome and, optionally, items
+ */
+const jobView = (job, { includeItems = true } = {}) => ({
+  id: job.id,
+  status: job.status,
+  total: job.total,
+  succeeded: job.succeeded,
+  failed: job.failed,
+  createdAt: job.createdAt,
+  startedAt: job.startedAt,
+  completedAt: job.completedAt,
+  webhook: job.webhookUrl ? { url: job.webhookUrl, status: 'pending', ...job.notification } : null,
+  ...(includeItems && {
+    items: job.items.map(({ index, input, status, result, error }) => ({
+      index,
+      text: input,
+      status,
+      ...(result && { result }),
+      ...(error && { error })
+    }))
+  })
+});
+
+/**
+ * Notify the webhook of a batch job, if it has one, that the job is complete.
+ * The notification carries the job summary; results are read from the job endpoint.
+ * @param {Object} job - Completed job
+ * @returns {Promise<?Object>} Delivery outcome, stored on the job
+ */
+const notifyJobComplete = async (job) => {
+  if (!job.webhookUrl) return null;
+  const outcome = await deliverWebhook(job.webhookUrl, 'job.completed', {
+    event: 'job.completed',
+    job: { ...jobView(job, { includeItems: false }), webhook: undefined, url: `/api/v1/jobs/${job.id}` }
+  }, {
+    secret: process.env.WEBHOOK_SECRET,
+    timeoutMs: Number(process.env.WEBHOOK_TIMEOUT_MS || 5000)
+  });
+  logger.info('Webhook delivered', { jobId: job.id, status: outcome.status, attempts: outcome.attempts });
+  return outcome;
+};
+
+/**
+ * Queue of batch fact-check jobs. Each item goes through the same pipeline as
+ * `/api/v1/fact-check`, cache included, and is saved as its own record.
+ * @type {Object}
+ */
+const jobQueue = createJobQueueFromEnv({
+  processItem: async (text) => {
+    if (!provider) throw new Error('Fact-checking is temporarily unavailable');
+    const result = await cachedFactCheck(text);
+    countGrades(metrics, [result]);
+    return saveRecord(text, result);
+  },
+  onComplete: notifyJobComplete
+});
+jobQueue.resume()
+  .then(count => count && logger.info('Resumed unfinished batch jobs', { count }))
+  .catch(error => logger.error('Error resuming batch jobs', { error }));
+
+/**
+ * Health check endpoint, reporting that the process is up (liveness). It does not depend on
+ * the LLM or the datastores; see `/health/ready` for those.
  * @route GET /health
  * @returns {Object} Response object with status and timestamp
  * @returns {string} Response.status - Status of the server
@@ -78,127 +553,898 @@ app.get('/health', (req, res) => {
   try {
     res.json({ status: 'ok', timestamp: new Date().toISOString() });
   } catch (error) {
-    console.error('Health check error:', error);
-    res.status(500).json({ error: 'Internal server error' });
+    req.log.error('Health check error', { error });
+    sendError(res, 500, 'internal_error', 'Internal server error');
   }
 });
 
 /**
- * Fact-checking endpoint that uses OpenAI's GPT-4 API to analyze text.
- * @route POST /api/fact-check
+ * Describe the LLM upstream for the readiness check. The model is not called: the status is
+ * that of the circuit breaker, which follows the outcome of recent calls.
+ * @returns {Object} Upstream `status` (`ok`, `degraded` while a trial call is let through after
+ * failures, or `unavailable`), with the provider, model and circuit breaker state
+ */
+const upstreamReadiness = () => {
+  if (!provider) return { status: 'unavailable', reason: 'No LLM provider is configured' };
+  const circuit = provider.health();
+  const status = { closed: 'ok', half_open: 'degraded', open: 'unavailable' }[circuit.state];
+  return { status, provider: provider.name, model: provider.model, circuit };
+};
+
+/**
+ * Describe the datastores for the readiness check.
+ * @returns {Object<string, {status: string}>} Status of each datastore: `ok`, `disabled` by
+ * configuration, or `unavailable` if it failed to initialize
+ */
+const datastoreReadiness = () => {
+  const stores = {
+    factCheckRecords: recordStore,
+    feedback: feedbackStore,
+    verdictCache,
+    evidence: evidenceIndex,
+    apiKeys: apiKeyStore,
+    jobs: jobQueue
+  };
+  return Object.fromEntries(Object.entries(stores).map(([name, store]) => {
+    if (store) return [name, { status: 'ok' }];
+    return [name, { status: failedDatastores.has(name) ? 'unavailable' : 'disabled' }];
+  }));
+};
+
+/**
+ * Readiness check endpoint, reporting whether the server can handle fact-checks: the LLM
+ * upstream is not failing and every configured datastore is available.
+ * @route GET /health/ready
+ * @returns {Object} Response object with status, timestamp and checks
+ * @returns {string} Response.status - `ready`, or `not_ready` with a 503 status
+ * @returns {string} Response.timestamp - Timestamp of the request
+ * @returns {Object} Response.checks - `upstream`, with its status and circuit breaker state, and
+ * `datastores`, with the status of each datastore
+ */
+app.get('/health/ready', (req, res) => {
+  try {
+    const upstream = upstreamReadiness();
+    const datastores = datastoreReadiness();
+    const ready = upstream.status !== 'unavailable' &&
+      Object.values(datastores).every(datastore => datastore.status !== 'unavailable');
+    res.status(ready ? 200 : 503).json({
+      status: ready ? 'ready' : 'not_ready',
+      timestamp: new Date().toISOString(),
+      checks: { upstream, datastores }
+    });
+  } catch (error) {
+    req.log.error('Readiness check error', { error });
+    sendError(res, 500, 'internal_error', 'Internal server error');
+  }
+});
+
+/**
+ * Metrics endpoint for Prometheus, in its text exposition format. Covers HTTP requests by
+ * route and status, LLM call durations and token usage, model output parse failures and
+ * verdict grades. Requires `METRICS_TOKEN` as a bearer token when one is configured.
+ * @route GET /metrics
+ * @returns {string} Metrics in the Prometheus text exposition format
+ * @throws {Error} 401 - If a metrics token is configured and none is sent
+ * @throws {Error} 403 - If the metrics token is wrong
+ */
+app.get('/metrics', requireMetricsToken, (req, res) => {
+  res.type(METRICS_CONTENT_TYPE).send(metrics.render());
+});
+
+/**
+ * Fact-checking endpoint that uses the configured LLM provider to analyze text.
+ * The model answer is validated against a JSON Schema and retried once if invalid.
+ * @route POST /api/v1/fact-check
  * @param {Object} req - Express request object
  * @param {Object} req.body - Request body
  * @param {string} req.body.text - Text to be fact-checked
  * @returns {Object} Response object with fact-checking results
- * @returns {string} Response.result - AI-generated fact-checking analysis
+ * @returns {string} Response.id - Identifier of the stored record, for the permalink
+ * @returns {string} Response.grade - One of Absolutely False, Mostly False, Neutral, Mostly True, Truth,
+ * derived from the score. These are codes that stay the same whatever the language of the text
+ * @returns {number} Response.score - Factual accuracy from 1 (absolutely false) to 5 (truth)
+ * @returns {?number} Response.confidence - The model's confidence in the score from 0 to 1, or null if not reported
+ * @returns {Object} [Response.consensus] - In consensus mode, the number of `samples` combined and
+ * `failedSamples`, the `models` asked, the `agreement` (share of samples with the final score),
+ * its `level` (unanimous, majority or split) and the `dissents` with their model, grade, score,
+ * confidence and reasoning
+ * @returns {string} Response.reasoning - AI-generated analysis, possibly spanning several paragraphs,
+ * written in the language of the text
+ * @returns {string} Response.language - ISO 639-1 code of the language detected in the text
+ * @returns {string} Response.promptVersion - Version of the system prompt that produced the verdict
+ * @returns {Array<{title: string, url: ?string, verification: ?Object}>} Response.sources - Sources
+ * supporting the analysis, each with a verification `status` of verified, unreachable or unrelated,
+ * the `httpStatus` and `pageTitle` of the cited page, and the claim's key terms it mentions.
+ * Passages retrieved from the evidence corpus come last, with their `documentId` and `snippet`
+ * @returns {boolean} Response.cached - Whether the verdict was served from the verdict cache
+ * @returns {string} Response.checkedAt - When the verdict was produced by the model
  * @throws {Error} 400 - If no text is provided
- * @throws {Error} 500 - If OpenAI API call fails
+ * @throws {Error} 422 - If the text is rejected by input screening: too long, empty once control
+ * characters are removed, looking like prompt injection or flagged by moderation. `details.reason`
+ * is `too_long`, `empty`, `prompt_injection` or `flagged_content`
+ * @throws {Error} 401 - If API keys are required and none is sent, or the API key is unknown
+ * @throws {Error} 403 - If the API key was revoked
+ * @throws {Error} 429 - If the client exceeded its rate limit, or its API key its monthly quota
+ * @throws {Error} 502 - If the model keeps returning output that does not match the schema, or the
+ * LLM call fails after its retries (`upstream_error`)
+ * @throws {Error} 503 - If no LLM provider is available, or the LLM circuit breaker is open after
+ * repeated failures, with a `Retry-After` header
+ * @throws {Error} 504 - If the LLM does not answer in time, retries included (`upstream_timeout`)
  */
-app.post('/api/fact-check', async (req, res) => {
+api.post('/fact-check', trackUsage, apiKeyAuth, rateLimit, requireProvider, async (req, res) => {
   try {
     const { text } = req.body;
-    console.log('Received fact-check request for text:', text.substring(0, 50) + '...');
 
     if (!text || typeof text !== 'string') {
-      console.error('Invalid text input:', text);
-      return res.status(400).json({ error: 'Text is required and must be a string' });
-    }
-
-    console.log('Sending request to OpenAI...');
-    const completion = await openai.chat.completions.create({
-      model: "gpt-4o-mini",
-      messages: [
-        {
-          role: "system",
-          content: "You are a fact-checking assistant. Analyze the given text and provide a response in the following format:\n\nGrade: [Absolutely False, Mostly False, Neutral, Mostly True, or Truth]\nReasoning: [Your detailed analysis]\nSources: [List of links to sources or references.]"
-        },
-        {
-          role: "user",
-          content: text
-        }
-      ],
-      temperature: 0.3,
-      max_tokens: 400
+      req.log.warn('Invalid text input', { type: typeof text });
+      return sendError(res, 400, 'invalid_request', 'Text is required and must be a string');
+    }
+    req.log.info('Received fact-check request', { text, length: text.length, provider: provider.name });
+    const screened = await screenText(req, res, text);
+    if (screened === null) return;
+    if (!(await apiKeyAuth.charge(req, res))) return;
+
+    const result = await saveRecord(screened, await cachedFactCheck(screened));
+    req.log.info('Fact-check complete', {
+      factCheckId: result.id,
+      grade: result.grade,
+      score: result.score,
+      cached: result.cached
     });
 
-    console.log('OpenAI response received');
-    const response = completion.choices[0].message.content;
-    console.log('Raw OpenAI response:', response);
-
-    // Parse the response into structured data
-    const lines = response.split('\n').filter(line => line.trim());
-    let grade = '', reasoning = '', sources = '';
-
-    for (const line of lines) {
-      const trimmedLine = line.trim();
-      if (trimmedLine.toLowerCase().startsWith('grade:')) {
-        grade = trimmedLine.replace(/^grade:\s*/i, '').trim();
-      } else if (trimmedLine.toLowerCase().startsWith('reasoning:')) {
-        reasoning = trimmedLine.replace(/^reasoning:\s*/i, '').trim();
-      } else if (trimmedLine.toLowerCase().startsWith('sources:')) {
-        // Get all lines after "Sources:" until we hit another section or end
-        const sourceLines = [];
-        let i = lines.indexOf(line) + 1;
-        while (i < lines.length && 
-               !lines[i].toLowerCase().startsWith('grade:') && 
-               !lines[i].toLowerCase().startsWith('reasoning:')) {
-          const sourceLine = lines[i].trim();
-          if (sourceLine) {
-            // Remove numbering if present (e.g., "1. ", "2. ")
-            sourceLines.push(sourceLine.replace(/^\d+\.\s*/, ''));
-          }
-          i++;
-        }
-        sources = sourceLines.join(', ');
+    res.locals.checks = [toUsageCheck(screened, result)];
+    res.json(result);
+  } catch (error) {
+    res.locals.error = error;
+    req.log.error('Fact-check error', { error });
+    sendModelError(res, error, 'Failed to fact-check text');
+  }
+});
+
+/**
+ * Batch fact-checking endpoint.
+ * Creates a job that checks every statement in the background, with a bounded number of
+ * statements checked at the same time, and answers immediately. Progress and per-statement
+ * results are read from `GET /api/v1/jobs/:id`. A statement that cannot be checked is reported
+ * as failed without failing the rest of the batch.
+ * @route POST /api/v1/fact-check/batch
+ * @param {Object} req - Express request object
+ * @param {Object} req.body - Request body
+ * @param {string[]} req.body.statements - Statements to be fact-checked
+ * @param {string} [req.body.webhookUrl] - URL that receives a `job.completed` POST once every
+ * statement is settled, signed with `WEBHOOK_SECRET` when configured
+ * @returns {Object} 202 with the job: id, status, total, succeeded, failed, timestamps and webhook,
+ * and a `Location` header pointing at the job endpoint
+ * @throws {Error} 400 - If statements is not a non-empty array of non-empty strings, has too
+ * many items, or the webhook URL is invalid
+ * @throws {Error} 422 - If statements are rejected by input screening, listed in `details.rejected`
+ * with their index and reason
+ * @throws {Error} 401 - If API keys are required and none is sent, or the API key is unknown
+ * @throws {Error} 403 - If the API key was revoked
+ * @throws {Error} 429 - If the client exceeded its rate limit, or its API key its monthly quota. Both
+ * count a batch as one request per statement
+ * @throws {Error} 503 - If no LLM provider is available
+ */
+api.post('/fact-check/batch', trackUsage, apiKeyAuth, rateLimit.cost(batchCost), requireProvider, async (req, res) => {
+  try {
+    const { statements, webhookUrl } = req.body;
+
+    if (!Array.isArray(statements) || statements.length === 0) {
+      return sendError(res, 400, 'invalid_request', 'Statements must be a non-empty array of strings');
+    }
+    if (statements.length > jobQueue.maxItems) {
+      return sendError(res, 400, 'invalid_request', `A batch may contain at most ${jobQueue.maxItems} statements`);
+    }
+    const invalid = statements
+      .map((statement, index) => (typeof statement === 'string' && statement.trim() ? null : index))
+      .filter(index => index !== null);
+    if (invalid.length) {
+      return sendError(res, 400, 'invalid_request', 'Each statement must be a non-empty string', { invalidIndexes: invalid });
+    }
+    if (webhookUrl !== undefined && (typeof webhookUrl !== 'string' || !isUrl(webhookUrl))) {
+      return sendError(res, 400, 'invalid_request', 'Webhook URL must be an http or https URL');
+    }
+    const screened = [];
+    const rejected = [];
+    for (const [index, statement] of statements.entries()) {
+      try {
+        screened.push((await inputScreener.screen(statement)).text);
+      } catch (error) {
+        if (!(error instanceof InputRejectedError)) throw error;
+        rejected.push({ index, reason: error.reason, ...error.details });
+      }
+    }
+    if (rejected.length) {
+      req.log.warn('Rejected batch input', { rejected: rejected.length });
+      return sendError(res, 422, 'input_rejected', 'Some statements were rejected by input screening', { rejected });
+    }
+    if (!(await apiKeyAuth.charge(req, res, screened.length))) return;
+
+    const job = await jobQueue.create(screened, webhookUrl ? { webhookUrl: webhookUrl.trim() } : {});
+    req.log.info('Created batch job', { jobId: job.id, total: job.total });
+
+    res.status(202).location(`${req.baseUrl}/jobs/${job.id}`).json(jobView(job, { includeItems: false }));
+  } catch (error) {
+    res.locals.error = error;
+    req.log.error('Batch creation error', { error });
+    sendError(res, 500, 'internal_error', 'Failed to create batch job');
+  }
+});
+
+/**
+ * Batch job endpoint, reporting progress and per-statement results.
+ * @route GET /api/v1/jobs/:id
+ * @param {Object} req - Express request object
+ * @param {string} req.params.id - Job identifier returned by the batch endpoint
+ * @returns {Object} The job: id, `status` (queued, running or completed), total, succeeded,
+ * failed, timestamps, webhook delivery outcome and `items`, each with its index, text,
+ * `status` (pending, succeeded or failed) and either the fact-check `result` or an `error`
+ * @throws {Error} 404 - If there is no job with that identifier
+ */
+api.get('/jobs/:id', async (req, res) => {
+  try {
+    const job = await jobQueue.get(req.params.id);
+    if (!job) {
+      return sendError(res, 404, 'not_found', 'Job not found');
+    }
+    res.json(jobView(job));
+  } catch (error) {
+    req.log.error('Job lookup error', { error });
+    sendError(res, 500, 'internal_error', 'Failed to load job');
+  }
+});
+
+/**
+ * Write a Server-Sent Event to the response.
+ * @param {express.Response} res - Express response object
+ * @param {string} event - Event name
+ * @param {Object} data - Event payload, sent as JSON
+ */
+const writeEvent = (res, event, data) => {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+/**
+ * Describe a fact-check for the usage analytics.
+ * @param {string} text - Checked text
+ * @param {Object} result - Fact-check result
+ * @returns {{text: string, grade: string, cached: boolean}} Checked statement
+ */
+const toUsageCheck = (text, { grade, cached }) => ({ text, grade, cached });
+
+/**
+ * Write an already complete fact-check as the events of a streamed one.
+ * @param {express.Response} res - Express response object
+ * @param {string} text - Checked text
+ * @param {Object} result - Fact-check with `cached` and `checkedAt` metadata
+ */
+const writeCompleteResult = async (res, text, result) => {
+  const { grade, score, reasoning, sources } = result;
+  res.locals.checks = [toUsageCheck(text, result)];
+  writeEvent(res, 'grade', { grade, score });
+  writeEvent(res, 'reasoning', { delta: reasoning });
+  writeEvent(res, 'sources', { sources });
+  writeEvent(res, 'done', await saveRecord(text, result));
+};
+
+/**
+ * Streaming fact-checking endpoint using Server-Sent Events.
+ * Emits the result progressively while the model generates it. The upstream request
+ * is aborted if the client disconnects before the stream is complete.
+ * @route POST /api/v1/fact-check/stream
+ * @param {Object} req - Express request object
+ * @param {Object} req.body - Request body
+ * @param {string} req.body.text - Text to be fact-checked
+ * @returns {EventStream} Events, each with a JSON payload:
+ * - `grade` - `{ grade, score }` as soon as the score is known
+ * - `reasoning` - `{ delta }` with the next piece of reasoning text
+ * - `sources` - `{ sources }` once the answer is complete, before they are verified
+ * - `done` - the complete validated result, with verified sources, `id`, `cached` and `checkedAt`, which supersedes earlier events
+ * - `error` - an error body, with the request id, if the fact-check failed after the stream started
+ * @throws {Error} 400 - If no text is provided
+ * @throws {Error} 422 - If the text is rejected by input screening: too long, empty once control
+ * characters are removed, looking like prompt injection or flagged by moderation. `details.reason`
+ * is `too_long`, `empty`, `prompt_injection` or `flagged_content`
+ * @throws {Error} 401 - If API keys are required and none is sent, or the API key is unknown
+ * @throws {Error} 403 - If the API key was revoked
+ * @throws {Error} 429 - If the client exceeded its rate limit, or its API key its monthly quota
+ * @throws {Error} 503 - If no LLM provider is available
+ */
+api.post('/fact-check/stream', trackUsage, apiKeyAuth, rateLimit, requireProvider, async (req, res) => {
+  const { text } = req.body;
+
+  if (!text || typeof text !== 'string') {
+    req.log.warn('Invalid text input', { type: typeof text });
+    return sendError(res, 400, 'invalid_request', 'Text is required and must be a string');
+  }
+  req.log.info('Received streaming fact-check request', { text, length: text.length });
+  const screened = await screenText(req, res, text);
+  if (screened === null) return;
+  try {
+    if (!(await apiKeyAuth.charge(req, res))) return;
+  } catch (error) {
+    req.log.error('API key quota error', { error });
+    return sendError(res, 500, 'internal_error', 'Failed to check API key');
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      req.log.info('Client closed the stream, aborting fact-check');
+      controller.abort();
+    }
+  });
+
+  try {
+    if (consensusChecker) {
+      // A combined verdict is only known once every sample is in, so it is sent in one go
+      await writeCompleteResult(res, screened, await cachedFactCheck(screened));
+      return res.end();
+    }
+
+    const prompt = factCheckPrompts.select(screened);
+    const hit = verdictCache && await verdictCache.get(screened, { version: prompt.version });
+    if (hit) {
+      req.log.info('Serving streamed fact-check from cache');
+      await writeCompleteResult(res, screened, { ...hit.result, cached: true, checkedAt: hit.checkedAt });
+      return res.end();
+    }
+
+    const evidence = await retrieveEvidence(screened);
+    for await (const { event, data } of streamFactCheck(provider, screened, { signal: controller.signal, evidence, prompt })) {
+      if (event === 'sources') {
+        writeEvent(res, event, { sources: withEvidence(data.sources, evidence) });
+      } else if (event === 'done') {
+        const verified = await verifyResult(screened, data);
+        const result = { ...verified, sources: withEvidence(verified.sources, evidence) };
+        const entry = verdictCache
+          ? await verdictCache.set(screened, result, { version: prompt.version })
+          : { result, checkedAt: new Date().toISOString() };
+        res.locals.checks = [toUsageCheck(screened, { ...entry.result, cached: false })];
+        writeEvent(res, event, await saveRecord(screened, { ...entry.result, cached: false, checkedAt: entry.checkedAt }));
+      } else {
+        writeEvent(res, event, data);
       }
     }
+  } catch (error) {
+    if (controller.signal.aborted) return;
+    res.locals.error = error;
+    req.log.error('Streaming fact-check error', { error });
+    const body = { ...modelErrorBody(error, 'Failed to fact-check text'), requestId: req.id };
+    writeEvent(res, 'error', res.locals.legacyApi ? toLegacyErrorBody(body) : body);
+  }
+  res.end();
+});
 
-    console.log('Parsed response:', { grade, reasoning, sources });
+/**
+ * Limits applied when fetching articles to analyze.
+ * @type {{timeoutMs: number, maxBytes: number}}
+ */
+const articleFetchOptions = {
+  timeoutMs: Number(process.env.ARTICLE_TIMEOUT_MS || 10000),
+  maxBytes: Number(process.env.ARTICLE_MAX_BYTES || 2000000)
+};
 
-    // Validate the response
-    if (!grade) {
-      console.error('Missing grade in response');
-      throw new Error('Invalid response format: Missing grade');
+/**
+ * Claim analysis endpoint.
+ * Breaks the text into individual checkable claims and grades each one separately.
+ * Given a URL instead, either as `url` or as the whole `text`, the article at that URL is
+ * fetched and its main text is analyzed. An analysis, of text or of an article, counts one
+ * request per extracted claim, at least one, against the rate limit and the API key's quota.
+ * @route POST /api/v1/analyze
+ * @param {Object} req - Express request object
+ * @param {Object} req.body - Request body
+ * @param {string} [req.body.text] - Text to be analyzed, or the URL of an article
+ * @param {string} [req.body.url] - URL of an article to be analyzed
+ * @returns {Object} Response object with per-claim verdicts
+ * @returns {string} Response.id - Identifier of the stored record, for the permalink
+ * @returns {Object} [Response.article] - For URLs, the article `url`, `canonicalUrl`, `title`
+ * and whether its text was `truncated` before analysis
+ * @returns {Array<Object>} Response.claims - Claims with text, start/end character offsets,
+ * grade, score, confidence, reasoning, sources and promptVersion, or an `error` message and `errorCode`
+ * (as for a failed fact-check) if that claim could not be checked. For articles, each claim also has the `excerpt` of the article it refers to
+ * @returns {Object} Response.summary - Claim count, count per grade, average score and overall grade
+ * @returns {string} Response.extractionPromptVersion - Version of the prompt that extracted the claims
+ * @throws {Error} 400 - If no text or URL is provided
+ * @throws {Error} 422 - If the text, or the text of the article at the URL, is rejected by input screening, or the
+ * page at the URL is not an article with text
+ * @throws {Error} 401 - If API keys are required and none is sent, or the API key is unknown
+ * @throws {Error} 403 - If the API key was revoked
+ * @throws {Error} 429 - If the client exceeded its rate limit, or its API key its monthly quota
+ * @throws {Error} 502 - If the claims cannot be extracted from the model output, the article cannot be
+ * fetched, or the LLM call fails after its retries
+ * @throws {Error} 503 - If no LLM provider is available, or the LLM circuit breaker is open after
+ * repeated failures, with a `Retry-After` header
+ * @throws {Error} 504 - If the LLM does not answer in time, retries included
+ */
+api.post('/analyze', trackUsage, apiKeyAuth, rateLimit, requireProvider, async (req, res) => {
+  try {
+    const { text, url } = req.body;
+
+    if (url !== undefined) {
+      if (typeof url !== 'string' || !isUrl(url)) {
+        return sendError(res, 400, 'invalid_request', 'URL must be an http or https URL');
+      }
+    } else if (!text || typeof text !== 'string') {
+      req.log.warn('Invalid text input', { type: typeof text });
+      return sendError(res, 400, 'invalid_request', 'Text is required and must be a string');
     }
-    if (!reasoning) {
-      console.error('Missing reasoning in response');
-      throw new Error('Invalid response format: Missing reasoning');
+
+    const articleUrl = url ?? (isUrl(text) ? text.trim() : null);
+    let result;
+    if (articleUrl) {
+      req.log.info('Received article analyze request', { url: articleUrl });
+      // Fetching the article is work done for the client, so it counts even if its text is rejected
+      if (!(await apiKeyAuth.charge(req, res))) return;
+      const analysis = await analyzeArticle(provider, articleUrl, {
+        screen: inputScreener.screen,
+        check: cachedFactCheck,
+        describeError: describeClaimError,
+        log: req.log,
+        admit: claims => admitClaims(req, res, claims),
+        selectExtractionPrompt: extractionPrompts.select,
+        fetchOptions: articleFetchOptions
+      });
+      if (!analysis) return;
+      result = await saveRecord(articleUrl, analysis);
+    } else {
+      req.log.info('Received analyze request', { text, length: text.length });
+      const screened = await screenText(req, res, text);
+      if (screened === null) return;
+      if (!(await apiKeyAuth.charge(req, res))) return;
+      const analysis = await analyzeText(provider, screened, {
+        check: cachedFactCheck,
+        describeError: describeClaimError,
+        log: req.log,
+        admit: claims => admitClaims(req, res, claims),
+        extractionPrompt: extractionPrompts.select(screened)
+      });
+      if (!analysis) return;
+      result = await saveRecord(screened, analysis);
     }
+    req.log.info('Analysis complete', { summary: result.summary });
 
-    // If no sources provided, use a default message
-    if (!sources) {
-      console.log('No sources provided, using default message');
-      sources = 'No sources found. Answer based on general knowledge.';
+    res.locals.checks = result.claims
+      .filter(claim => !claim.error)
+      .map(claim => toUsageCheck(claim.text, claim));
+    res.json(result);
+  } catch (error) {
+    res.locals.error = error;
+    if (error instanceof ArticleError) {
+      return sendError(res, 422, 'unreadable_article', 'Failed to read article', error.message);
+    }
+    if (error instanceof FetchPageError) {
+      return sendError(res, 502, 'upstream_error', 'Failed to fetch article', error.message);
+    }
+    if (error instanceof InputRejectedError) {
+      req.log.warn('Rejected article', { reason: error.reason, ...error.details });
+      return sendError(res, 422, 'input_rejected', error.message, { reason: error.reason, ...error.details });
     }
+    req.log.error('Analyze error', { error });
+    sendModelError(res, error, 'Failed to analyze text');
+  }
+});
 
-    res.json({ grade, reasoning, sources });
+/**
+ * Stored fact-check endpoint, backing the shareable permalinks.
+ * @route GET /api/v1/fact-checks/:id
+ * @param {Object} req - Express request object
+ * @param {string} req.params.id - Record identifier returned by the fact-checking endpoints
+ * @returns {Object} The stored record: id, text, the fact-check or analysis result,
+ * model, provider and createdAt
+ * @throws {Error} 404 - If there is no record with that identifier
+ */
+api.get('/fact-checks/:id', async (req, res) => {
+  try {
+    const record = recordStore && await recordStore.get(req.params.id);
+    if (!record) {
+      return sendError(res, 404, 'not_found', 'Fact check not found');
+    }
+    res.json(record);
   } catch (error) {
-    console.error('Fact-check error:', error);
-    console.error('Error stack:', error.stack);
-    res.status(500).json({ 
-      error: 'Failed to fact-check text',
-      details: error.message
+    req.log.error('Fact-check lookup error', { error });
+    sendError(res, 500, 'internal_error', 'Failed to load fact check');
+  }
+});
+
+/**
+ * Reader feedback endpoint: a vote up or down on a verdict, or a dispute with a reason and
+ * an optional counter-source. Each client has a single say per fact-check, so a new
+ * submission replaces the previous one. Submissions are rate limited per client, and
+ * submissions filling in the hidden `website` field, which only bots see, are dropped.
+ * @route POST /api/v1/feedback
+ * @param {Object} req - Express request object
+ * @param {Object} req.body - Request body
+ * @param {string} req.body.factCheckId - Identifier of the fact-check record
+ * @param {string} req.body.vote - `up`, `down` or `dispute`
+ * @param {string} [req.body.reason] - Why the verdict is wrong, required for disputes
+ * @param {string} [req.body.counterSource] - URL of a source backing the dispute
+ * @returns {Object} Response object with the stored feedback and the feedback totals
+ * @returns {Object} Response.feedback - Feedback with id, factCheckId, vote, reason,
+ * counterSource and createdAt
+ * @returns {boolean} Response.replaced - Whether earlier feedback from the client was replaced
+ * @returns {Object} Response.totals - Number of up, down and dispute submissions on the fact-check
+ * @throws {Error} 400 - If the feedback is invalid
+ * @throws {Error} 404 - If there is no fact-check with that identifier
+ * @throws {Error} 429 - If the client sends feedback too quickly
+ * @throws {Error} 503 - If feedback cannot be stored
+ */
+api.post('/feedback', feedbackRateLimit, async (req, res) => {
+  try {
+    if (!feedbackStore || !recordStore) {
+      return sendError(res, 503, 'unavailable', 'Feedback is temporarily unavailable');
+    }
+    if (req.body && req.body.website) {
+      req.log.warn('Dropped feedback that filled in the hidden field');
+      return res.status(202).json({ accepted: true });
+    }
+
+    const feedback = validateFeedback(req.body);
+    if (!await recordStore.get(feedback.factCheckId)) {
+      return sendError(res, 404, 'not_found', 'Fact check not found');
+    }
+
+    const { feedback: stored, replaced } = await feedbackStore.submit(feedback, req.ip);
+    req.log.info('Received feedback', { vote: stored.vote, factCheckId: stored.factCheckId });
+    res.status(replaced ? 200 : 201).json({
+      feedback: stored,
+      replaced,
+      totals: await feedbackStore.summarize(stored.factCheckId)
     });
+  } catch (error) {
+    if (error instanceof InvalidFeedbackError) {
+      return sendError(res, 400, 'invalid_request', error.message);
+    }
+    req.log.error('Feedback error', { error });
+    sendError(res, 500, 'internal_error', 'Failed to save feedback');
   }
 });
 
+// Every admin endpoint is rate limited before its credential is checked
+api.use('/admin', adminRateLimit);
+
+/**
+ * Admin endpoint exporting disputed verdicts with the fact-checks they dispute, to audit
+ * model mistakes. Requires the admin credential.
+ * @route GET /api/v1/admin/feedback/disputes
+ * @param {Object} req - Express request object
+ * @param {string} [req.query.format=json] - `json` or `csv`
+ * @returns {Object|string} Response object with the disputes, oldest first, each with id,
+ * factCheckId, reason, counterSource, createdAt and the disputed factCheck's text, grade,
+ * score, confidence, model, provider and createdAt; or the same as a CSV download
+ * @throws {Error} 400 - If the format is unknown
+ * @throws {Error} 401/403 - If the admin credential is missing or wrong
+ * @throws {Error} 503 - If feedback is not stored
+ */
+api.get('/admin/feedback/disputes', requireAdmin, async (req, res) => {
+  try {
+    if (!feedbackStore || !recordStore) {
+      return sendError(res, 503, 'unavailable', 'Feedback is temporarily unavailable');
+    }
+    const format = req.query.format || 'json';
+    if (!['json', 'csv'].includes(format)) {
+      return sendError(res, 400, 'invalid_request', 'Format must be json or csv');
+    }
+
+    const disputes = await exportDisputes(feedbackStore, recordStore);
+    if (format === 'csv') {
+      return res
+        .type('text/csv')
+        .attachment('disputed-verdicts.csv')
+        .send(disputesToCsv(disputes));
+    }
+    res.json({ disputes });
+  } catch (error) {
+    req.log.error('Dispute export error', { error });
+    sendError(res, 500, 'internal_error', 'Failed to export disputes');
+  }
+});
+
+/**
+ * Admin endpoint summarizing the usage of the fact-checking endpoints, for the admin dashboard.
+ * Analytics are kept in memory and start over when the server restarts.
+ * Requires the admin credential.
+ * @route GET /api/v1/admin/analytics
+ * @param {Object} req - Express request object
+ * @param {string} [req.query.hours=24] - Length of the period to summarize, ending now, up to 720
+ * @param {string} [req.query.bucketMinutes=60] - Length of each interval of the request timeline
+ * @returns {Object} Response object with the usage summary
+ * @returns {string} Response.since - Start of the period
+ * @returns {string} Response.until - End of the period
+ * @returns {number} Response.requests - Requests received
+ * @returns {number} Response.errors - Requests that failed
+ * @returns {?number} Response.errorRate - Share of the requests that failed
+ * @returns {Array<{start: string, requests: number, errors: number}>} Response.timeline - Requests per interval
+ * @returns {Object} Response.latency - `averageMs` and `p95Ms` response times, and the number of
+ * requests and average response time per endpoint in `byEndpoint`
+ * @returns {Object<string, number>} Response.errorsByType - Failed requests per error type
+ * @returns {Object<string, number>} Response.gradeDistribution - Verdicts per grade
+ * @returns {Object} Response.cache - Verdict cache `hits`, `misses` and `hitRatio`
+ * @returns {Array<{text: string, count: number, lastGrade: ?string}>} Response.topClaims - Most-checked
+ * statements, most frequent first
+ * @throws {Error} 400 - If the period or interval is not a positive number, or the timeline too long
+ * @throws {Error} 401/403 - If the admin credential is missing or wrong
+ */
+api.get('/admin/analytics', requireAdmin, (req, res) => {
+  const hours = Number(req.query.hours ?? 24);
+  const bucketMinutes = Number(req.query.bucketMinutes ?? 60);
+  if (!(hours > 0 && hours <= 720) || !(bucketMinutes > 0)) {
+    return sendError(res, 400, 'invalid_request', 'Hours must be between 0 and 720 and bucketMinutes a positive number');
+  }
+  if (hours * 60 / bucketMinutes > 1000) {
+    return sendError(res, 400, 'invalid_request', 'The timeline may have at most 1000 intervals');
+  }
+  res.json(usageTracker.summarize({ hours, bucketMinutes }));
+});
+
+/**
+ * Admin endpoint to invalidate cached verdicts, e.g. when a verdict is known to be wrong.
+ * Requires the admin credential.
+ * @route DELETE /api/v1/admin/cache
+ * @param {Object} req - Express request object
+ * @param {Object} req.body - Request body
+ * @param {string} [req.body.text] - Text whose cached verdict, given with the prompt version
+ * currently selected for it, should be removed
+ * @param {boolean} [req.body.all] - Remove every cached verdict instead
+ * @returns {Object} Response object with the number of removed verdicts
+ * @returns {number} Response.removed - Number of cached verdicts removed
+ * @throws {Error} 400 - If neither text nor all is provided
+ * @throws {Error} 401/403 - If the admin credential is missing or wrong
+ * @throws {Error} 404 - If the verdict cache is disabled
+ */
+api.delete('/admin/cache', requireAdmin, async (req, res) => {
+  try {
+    if (!verdictCache) {
+      return sendError(res, 404, 'not_found', 'Verdict cache is disabled');
+    }
+
+    const { text, all } = req.body || {};
+    if (all === true) {
+      const removed = await verdictCache.clear();
+      req.log.info('Cleared cached verdicts', { removed });
+      return res.json({ removed });
+    }
+    if (!text || typeof text !== 'string') {
+      return sendError(res, 400, 'invalid_request', 'Text is required and must be a string, or set all to true');
+    }
+
+    const { version } = factCheckPrompts.select(text);
+    const removed = await verdictCache.invalidate(text, { version }) ? 1 : 0;
+    req.log.info('Invalidated cached verdicts', { removed });
+    res.json({ removed });
+  } catch (error) {
+    req.log.error('Cache invalidation error', { error });
+    sendError(res, 500, 'internal_error', 'Failed to invalidate cache');
+  }
+});
+
+/**
+ * Admin endpoint to add a reference document to the evidence corpus.
+ * A document with the same id is replaced. Cached verdicts are cleared, since they were
+ * produced without the new evidence. Larger documents can be ingested with `npm run ingest`.
+ * Requires the admin credential.
+ * @route POST /api/v1/admin/documents
+ * @param {Object} req - Express request object
+ * @param {Object} req.body - Request body
+ * @param {string} req.body.content - Document source
+ * @param {string} [req.body.format=text] - One of markdown, text or html
+ * @param {string} [req.body.id] - Document identifier, generated when omitted
+ * @param {string} [req.body.title] - Document title, taken from the document when omitted
+ * @param {string} [req.body.url] - Where the original document can be read
+ * @returns {Object} The stored document: id, title, url, format, passageCount and ingestedAt
+ * @throws {Error} 400 - If the document is invalid or has no text
+ * @throws {Error} 401/403 - If the admin credential is missing or wrong
+ * @throws {Error} 404 - If the evidence corpus is disabled
+ */
+api.post('/admin/documents', requireAdmin, async (req, res) => {
+  try {
+    if (!evidenceIndex) {
+      return sendError(res, 404, 'not_found', 'Evidence corpus is disabled');
+    }
+
+    const { content, format, id, title, url } = req.body || {};
+    const document = await evidenceIndex.ingest({ content, format, id, title, url });
+    req.log.info('Ingested document', { documentId: document.id, passageCount: document.passageCount });
+    if (verdictCache) await verdictCache.clear();
+
+    res.status(201).json(document);
+  } catch (error) {
+    if (error instanceof InvalidDocumentError) {
+      return sendError(res, 400, 'invalid_request', error.message);
+    }
+    req.log.error('Document ingestion error', { error });
+    sendError(res, 500, 'internal_error', 'Failed to ingest document');
+  }
+});
+
+/**
+ * Admin endpoint listing the documents of the evidence corpus.
+ * Requires the admin credential.
+ * @route GET /api/v1/admin/documents
+ * @returns {Object} Response object with the documents
+ * @returns {Array<Object>} Response.documents - Documents with id, title, url, format,
+ * passageCount and ingestedAt
+ * @throws {Error} 401/403 - If the admin credential is missing or wrong
+ * @throws {Error} 404 - If the evidence corpus is disabled
+ */
+api.get('/admin/documents', requireAdmin, async (req, res) => {
+  try {
+    if (!evidenceIndex) {
+      return sendError(res, 404, 'not_found', 'Evidence corpus is disabled');
+    }
+    res.json({ documents: await evidenceIndex.list() });
+  } catch (error) {
+    req.log.error('Document listing error', { error });
+    sendError(res, 500, 'internal_error', 'Failed to list documents');
+  }
+});
+
+/**
+ * Admin endpoint to remove a document from the evidence corpus.
+ * Cached verdicts are cleared, since they may rely on the removed document.
+ * Requires the admin credential.
+ * @route DELETE /api/v1/admin/documents/:id
+ * @param {Object} req - Express request object
+ * @param {string} req.params.id - Document identifier
+ * @returns {Object} Response object with the number of removed documents
+ * @returns {number} Response.removed - 1 if the document was removed
+ * @throws {Error} 401/403 - If the admin credential is missing or wrong
+ * @throws {Error} 404 - If the evidence corpus is disabled or there is no such document
+ */
+api.delete('/admin/documents/:id', requireAdmin, async (req, res) => {
+  try {
+    if (!evidenceIndex) {
+      return sendError(res, 404, 'not_found', 'Evidence corpus is disabled');
+    }
+    if (!await evidenceIndex.remove(req.params.id)) {
+      return sendError(res, 404, 'not_found', 'Document not found');
+    }
+    req.log.info('Removed document', { documentId: req.params.id });
+    if (verdictCache) await verdictCache.clear();
+
+    res.json({ removed: 1 });
+  } catch (error) {
+    req.log.error('Document removal error', { error });
+    sendError(res, 500, 'internal_error', 'Failed to remove document');
+  }
+});
+
+/**
+ * Admin endpoint to create an API key for a partner. The key is only ever returned here:
+ * the server keeps its hash only.
+ * Requires the admin credential.
+ * @route POST /api/v1/admin/api-keys
+ * @param {Object} req - Express request object
+ * @param {Object} req.body - Request body
+ * @param {string} req.body.name - Who the key is for
+ * @param {number} [req.body.monthlyQuota] - Fact-checks allowed per month, `API_KEY_DEFAULT_MONTHLY_QUOTA` by default
+ * @returns {Object} 201 with the `key` and the stored `apiKey`: id, name, prefix, monthlyQuota,
+ * createdAt and revokedAt
+ * @throws {Error} 400 - If the name or quota is invalid
+ * @throws {Error} 401/403 - If the admin credential is missing or wrong
+ * @throws {Error} 503 - If the API key store is unavailable
+ */
+api.post('/admin/api-keys', requireAdmin, async (req, res) => {
+  try {
+    if (!apiKeyStore) {
+      return sendError(res, 503, 'unavailable', 'API keys are temporarily unavailable');
+    }
+    const { name, monthlyQuota } = req.body || {};
+    const created = await apiKeyStore.create({ name, monthlyQuota });
+    req.log.info('Created API key', { apiKeyId: created.apiKey.id, monthlyQuota: created.apiKey.monthlyQuota });
+    res.status(201).json(created);
+  } catch (error) {
+    if (error instanceof InvalidApiKeyError) {
+      return sendError(res, 400, 'invalid_request', error.message);
+    }
+    req.log.error('API key creation error', { error });
+    sendError(res, 500, 'internal_error', 'Failed to create API key');
+  }
+});
+
+/**
+ * Admin endpoint listing the API keys with their usage this month.
+ * Requires the admin credential.
+ * @route GET /api/v1/admin/api-keys
+ * @returns {Object} Response object with the keys
+ * @returns {Array<Object>} Response.apiKeys - Keys, oldest first, with id, name, prefix,
+ * monthlyQuota, createdAt, revokedAt and `usage` (the `month` and the fact-checks `used`)
+ * @throws {Error} 401/403 - If the admin credential is missing or wrong
+ * @throws {Error} 503 - If the API key store is unavailable
+ */
+api.get('/admin/api-keys', requireAdmin, async (req, res) => {
+  try {
+    if (!apiKeyStore) {
+      return sendError(res, 503, 'unavailable', 'API keys are temporarily unavailable');
+    }
+    res.json({ apiKeys: await apiKeyStore.list() });
+  } catch (error) {
+    req.log.error('API key listing error', { error });
+    sendError(res, 500, 'internal_error', 'Failed to list API keys');
+  }
+});
+
+/**
+ * Admin endpoint to revoke an API key. The key is kept, marked as revoked, so that its
+ * usage stays on record.
+ * Requires the admin credential.
+ * @route DELETE /api/v1/admin/api-keys/:id
+ * @param {Object} req - Express request object
+ * @param {string} req.params.id - Key identifier
+ * @returns {Object} Response object with the revoked key
+ * @returns {Object} Response.apiKey - The key, with its revokedAt timestamp
+ * @throws {Error} 401/403 - If the admin credential is missing or wrong
+ * @throws {Error} 404 - If there is no such key
+ * @throws {Error} 503 - If the API key store is unavailable
+ */
+api.delete('/admin/api-keys/:id', requireAdmin, async (req, res) => {
+  try {
+    if (!apiKeyStore) {
+      return sendError(res, 503, 'unavailable', 'API keys are temporarily unavailable');
+    }
+    const apiKey = await apiKeyStore.revoke(req.params.id);
+    if (!apiKey) {
+      return sendError(res, 404, 'not_found', 'API key not found');
+    }
+    req.log.info('Revoked API key', { apiKeyId: apiKey.id });
+    res.json({ apiKey });
+  } catch (error) {
+    req.log.error('API key revocation error', { error });
+    sendError(res, 500, 'internal_error', 'Failed to revoke API key');
+  }
+});
+
+/**
+ * OpenAPI document describing the versioned API.
+ * @route GET /api/v1/openapi.json
+ * @returns {Object} OpenAPI 3.1 document
+ */
+app.get('/api/v1/openapi.json', (req, res) => {
+  res.json(openApiDocument);
+});
+
+/**
+ * API mounts. Under `/api/v1`, requests are validated against the OpenAPI document before
+ * they reach the handlers. The unversioned `/api` paths are a deprecated alias running the
+ * same handlers without request validation, so existing clients keep working. Responses
+ * are checked against the document under both, as set by `API_RESPONSE_VALIDATION`.
+ */
+app.use('/api/v1', createApiContractFromEnv({ validateRequests: true }), api);
+app.use('/api', createApiContractFromEnv({ validateRequests: false }), api);
+
 /**
  * 404 Error Handler
  * Catches all undefined routes and returns a 404 status.
  * @route ALL /undefined-routes
  * @returns {Object} Response object with error message
- * @returns {string} Response.error - Error message indicating route not found
+ * @returns {Object} Response.error - Error with the `not_found` code
  */
 app.use((req, res) => {
-  res.status(404).json({ error: 'Not Found' });
+  sendError(res, 404, 'not_found', 'Not Found');
 });
 
 /**
  * Error handling middleware
+ * Malformed and oversized JSON bodies, rejected by the body parser, are client errors;
+ * anything else is logged as an unhandled error.
  */
 app.use((err, req, res, next) => {
-  console.error('Unhandled error:', err);
-  res.status(500).json({ error: 'Internal server error' });
+  if (err.type === 'entity.parse.failed') {
+    return sendError(res, 400, 'invalid_json', 'The request body is not valid JSON', err.message);
+  }
+  if (err.type === 'entity.too.large') {
+    return sendError(res, 413, 'payload_too_large', 'The request body is too large', { limit: err.limit });
+  }
+  (req.log || logger).error('Unhandled error', { error: err });
+  sendError(res, 500, 'internal_error', 'Internal server error');
 });
 
 /**
@@ -208,9 +1454,9 @@ app.use((err, req, res, next) => {
  */
 if (require.main === module) {
   app.listen(port, () => {
-    console.log(`Server is running on port ${port}`);
+    logger.info('Server is running', { port });
   }).on('error', (error) => {
-    console.error('Server failed to start:', error);
+    logger.error('Server failed to start', { error });
     process.exit(1);
   });
 }
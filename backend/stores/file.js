@@ -0,0 +1,70 @@
+/**
+ * @fileoverview Key-value store persisted to a JSON file.
+ * The whole store is kept in memory and written back to disk after every change.
+ * Writes go to a temporary file that is then renamed over the original, so a crash
+ * mid-write never leaves a truncated file behind. Writes are serialized.
+ * @module stores/file
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Create a store persisted to a JSON file.
+ * The file and its directory are created on the first write.
+ * @param {string} filePath - Path of the JSON file
+ * @returns {KeyValueStore} Store
+ */
+const createFileStore = (filePath) => {
+  const map = new Map();
+  if (fs.existsSync(filePath)) {
+    const content = fs.readFileSync(filePath, 'utf8');
+    if (content.trim()) {
+      Object.entries(JSON.parse(content)).forEach(([key, value]) => map.set(key, value));
+    }
+  }
+
+  let pendingWrite = Promise.resolve();
+
+  /**
+   * Queue a write of the current contents to disk. A failed write rejects for its caller only:
+   * the next write is still attempted, and writes the whole contents again.
+   * @returns {Promise<void>} Resolves once the contents are on disk
+   */
+  const persist = () => {
+    const write = pendingWrite.then(async () => {
+      const tempPath = `${filePath}.${process.pid}.tmp`;
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(tempPath, JSON.stringify(Object.fromEntries(map)));
+      await fs.promises.rename(tempPath, filePath);
+    });
+    pendingWrite = write.catch(() => {});
+    return write;
+  };
+
+  return {
+    async get(key) {
+      return map.get(key);
+    },
+    async set(key, value) {
+      map.set(key, value);
+      await persist();
+    },
+    async delete(key) {
+      const existed = map.delete(key);
+      if (existed) await persist();
+      return existed;
+    },
+    async clear() {
+      const size = map.size;
+      map.clear();
+      await persist();
+      return size;
+    },
+    async entries() {
+      return [...map.entries()];
+    }
+  };
+};
+
+module.exports = { createFileStore };
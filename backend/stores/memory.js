@@ -0,0 +1,51 @@
+/**
+ * @fileoverview In-memory key-value store.
+ * Entries live for the lifetime of the process, unless the store is bounded: then the least
+ * recently written entries are evicted to stay within its maximum number of entries.
+ * @module stores/memory
+ */
+
+/**
+ * Asynchronous key-value store interface shared by all store backends.
+ * @typedef {Object} KeyValueStore
+ * @property {function(string): Promise<*>} get - Value for a key, or undefined
+ * @property {function(string, *): Promise<void>} set - Store a value
+ * @property {function(string): Promise<boolean>} delete - Remove a key, true if it existed
+ * @property {function(): Promise<number>} clear - Remove every key, returns how many were removed
+ * @property {function(): Promise<Array<Array>>} entries - All `[key, value]` pairs
+ */
+
+/**
+ * Create an in-memory store.
+ * @param {Object} [options] - Store options
+ * @param {number} [options.maxEntries=Infinity] - Maximum number of entries
+ * @returns {KeyValueStore} Store
+ */
+const createMemoryStore = ({ maxEntries = Infinity } = {}) => {
+  const map = new Map();
+
+  return {
+    async get(key) {
+      return map.get(key);
+    },
+    async set(key, value) {
+      // Maps iterate in insertion order, so re-inserting keeps the oldest writes first
+      map.delete(key);
+      map.set(key, value);
+      if (map.size > maxEntries) map.delete(map.keys().next().value);
+    },
+    async delete(key) {
+      return map.delete(key);
+    },
+    async clear() {
+      const size = map.size;
+      map.clear();
+      return size;
+    },
+    async entries() {
+      return [...map.entries()];
+    }
+  };
+};
+
+module.exports = { createMemoryStore };
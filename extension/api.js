@@ -0,0 +1,54 @@
+/**
+ * @fileoverview Calls to the TruthCheckMe API from the extension.
+ */
+
+/**
+ * API used until another one is set on the options page
+ * @type {string}
+ */
+export const DEFAULT_API_URL = 'https://truthcheck-me-31b7d3b7e525.herokuapp.com';
+
+/**
+ * Longest selection sent for checking, in characters
+ * @type {number}
+ */
+export const MAX_TEXT_LENGTH = 5000;
+
+/**
+ * Gets the API URL set on the options page
+ * @returns {Promise<string>} API base URL, without a trailing slash
+ */
+export const getApiUrl = async () => {
+  const { apiUrl } = await chrome.storage.sync.get({ apiUrl: DEFAULT_API_URL });
+  return apiUrl.replace(/\/+$/, '');
+};
+
+/**
+ * Fact-checks a text with the `/api/v1/fact-check` endpoint
+ * @param {string} text - Text to check
+ * @param {Object} [options] - Request options
+ * @param {string} [options.apiUrl] - API base URL, read from the options by default
+ * @param {AbortSignal} [options.signal] - Aborts the request when triggered
+ * @returns {Promise<Object>} Fact check with grade, score, confidence, reasoning and sources
+ * @throws {Error} If the request fails, with a message fit to show to the user
+ */
+export const factCheck = async (text, { apiUrl, signal } = {}) => {
+  const baseUrl = apiUrl || await getApiUrl();
+  const response = await fetch(`${baseUrl}/api/v1/fact-check`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Accept: 'application/json' },
+    body: JSON.stringify({ text: text.slice(0, MAX_TEXT_LENGTH) }),
+    signal
+  });
+
+  if (response.status === 429) {
+    const retryAfter = Number(response.headers.get('Retry-After')) || 60;
+    throw new Error(`You're checking facts a little too quickly. Try again in ${retryAfter} seconds.`);
+  }
+  if (!response.ok) {
+    const { error = {} } = await response.json().catch(() => ({}));
+    const details = typeof error.details === 'string' ? error.details : error.message;
+    throw new Error(`Failed to check facts: ${details || response.status}`);
+  }
+  return response.json();
+};
@@ -0,0 +1,80 @@
+/**
+ * @fileoverview Service worker of the TruthCheckMe extension.
+ * Adds a "Check with TruthCheckMe" context menu entry for selected text. Choosing it
+ * fact-checks the selection and keeps the latest check in session storage, where the
+ * popup reads it; the toolbar badge shows the score once the check is done.
+ */
+
+import { factCheck, MAX_TEXT_LENGTH } from './api.js';
+import { getResultScore, getScoreColor } from './grades.js';
+
+/**
+ * Identifier of the context menu entry
+ * @type {string}
+ */
+const MENU_ID = 'truthcheckme-check-selection';
+
+/**
+ * Session storage key of the latest check
+ * @type {string}
+ */
+const STORAGE_KEY = 'lastCheck';
+
+chrome.runtime.onInstalled.addListener(() => {
+  chrome.contextMenus.create({
+    id: MENU_ID,
+    title: 'Check with TruthCheckMe',
+    contexts: ['selection']
+  });
+});
+
+/**
+ * Updates the latest check, unless another check has been started since
+ * @param {number} requestedAt - When the check to update was started
+ * @param {Object} update - Fields to set on the check
+ * @returns {Promise<boolean>} Whether the check was still the latest one
+ */
+const updateCheck = async (requestedAt, update) => {
+  const { [STORAGE_KEY]: current } = await chrome.storage.session.get(STORAGE_KEY);
+  if (current?.requestedAt !== requestedAt) return false;
+  await chrome.storage.session.set({ [STORAGE_KEY]: { ...current, ...update } });
+  return true;
+};
+
+/**
+ * Fact-checks selected text and records the outcome for the popup. Selections longer than
+ * the API accepts are cut, and the check is marked as `truncated` so the popup can say so.
+ * @param {string} selection - Selected text
+ */
+const checkSelection = async (selection) => {
+  const requestedAt = Date.now();
+  const truncated = selection.length > MAX_TEXT_LENGTH;
+  const text = truncated ? selection.slice(0, MAX_TEXT_LENGTH) : selection;
+  await chrome.storage.session.set({ [STORAGE_KEY]: { status: 'loading', text, truncated, requestedAt } });
+  await chrome.action.setBadgeText({ text: '…' });
+  await chrome.action.setBadgeBackgroundColor({ color: '#6c757d' });
+
+  try {
+    const result = await factCheck(text);
+    if (await updateCheck(requestedAt, { status: 'done', result })) {
+      const score = getResultScore(result);
+      await chrome.action.setBadgeText({ text: score ? String(score) : '' });
+      await chrome.action.setBadgeBackgroundColor({ color: getScoreColor(score) });
+    }
+  } catch (error) {
+    console.error('Fact check failed:', error);
+    if (await updateCheck(requestedAt, { status: 'error', error: error.message })) {
+      await chrome.action.setBadgeText({ text: '!' });
+      await chrome.action.setBadgeBackgroundColor({ color: '#dc3545' });
+    }
+  }
+};
+
+chrome.contextMenus.onClicked.addListener((info) => {
+  if (info.menuItemId !== MENU_ID || !info.selectionText?.trim()) return;
+
+  // Show the popup while the check runs; browsers that can't open it programmatically
+  // still show the result once the user clicks the toolbar button
+  chrome.action.openPopup?.().catch(() => {});
+  checkSelection(info.selectionText.trim());
+});
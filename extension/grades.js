@@ -0,0 +1,35 @@
+/**
+ * @fileoverview Grade labels and colours, matching those of the web app
+ * (`src/utils/grades.js`), which the web app tests check this module against.
+ */
+
+/**
+ * Grade labels, from least to most truthful; the label of score n is GRADES[n - 1]
+ * @type {string[]}
+ */
+export const GRADES = ['Absolutely False', 'Mostly False', 'Neutral', 'Mostly True', 'Truth'];
+
+/**
+ * Colors of the grades, in the same order as GRADES
+ * @type {string[]}
+ */
+export const GRADE_COLORS = ['#dc3545', '#ff6b6b', '#ffd93d', '#6bff6b', '#28a745'];
+
+/**
+ * Get the score of a fact check, from its score or else its grade label
+ * @param {Object} result - Fact check from the API
+ * @returns {?number} The score from 1 to 5, or null for no grade
+ */
+export const getResultScore = (result) => {
+  if (typeof result.score === 'number') return Math.min(5, Math.max(1, Math.round(result.score)));
+  const index = GRADES.indexOf(result.grade);
+  if (index !== -1) return index + 1;
+  return result.grade ? 3 : null;
+};
+
+/**
+ * Get the background color of a score
+ * @param {?number} score - The score from 1 to 5
+ * @returns {string} The background color in hex format
+ */
+export const getScoreColor = (score) => (score ? GRADE_COLORS[score - 1] : '#ffffff');
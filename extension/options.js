@@ -0,0 +1,43 @@
+/**
+ * @fileoverview Options page of the TruthCheckMe extension, for pointing it at another API,
+ * e.g. a development server. Access to a new API host is asked for when it is saved.
+ */
+
+import { DEFAULT_API_URL, getApiUrl } from './api.js';
+
+const form = document.getElementById('options');
+const input = document.getElementById('api-url');
+const status = document.getElementById('status');
+
+/**
+ * Saves an API URL after the user grants access to its host
+ * @param {string} value - API base URL
+ */
+const save = async (value) => {
+  const url = new URL(value);
+  const granted = await chrome.permissions.request({ origins: [`${url.origin}/*`] });
+  if (!granted) {
+    status.textContent = `TruthCheckMe needs access to ${url.origin} to use this API.`;
+    return;
+  }
+  await chrome.storage.sync.set({ apiUrl: url.origin + url.pathname.replace(/\/+$/, '') });
+  input.value = await getApiUrl();
+  status.textContent = 'Saved.';
+};
+
+form.addEventListener('submit', (event) => {
+  event.preventDefault();
+  save(input.value).catch((error) => {
+    status.textContent = `Could not save: ${error.message}`;
+  });
+});
+
+document.getElementById('reset').addEventListener('click', async () => {
+  await chrome.storage.sync.remove('apiUrl');
+  input.value = DEFAULT_API_URL;
+  status.textContent = 'Saved.';
+});
+
+getApiUrl().then((apiUrl) => {
+  input.value = apiUrl;
+});
@@ -0,0 +1,139 @@
+/**
+ * @fileoverview Popup of the TruthCheckMe extension, showing the latest fact check.
+ * Content coming from the page or the API is only ever inserted as text.
+ */
+
+import { MAX_TEXT_LENGTH } from './api.js';
+import { GRADES, getResultScore, getScoreColor } from './grades.js';
+
+/**
+ * Session storage key of the latest check, written by the service worker
+ * @type {string}
+ */
+const STORAGE_KEY = 'lastCheck';
+
+const content = document.getElementById('content');
+
+/**
+ * Creates an element with optional class name and text
+ * @param {string} tag - Tag name
+ * @param {Object} [options] - Element options
+ * @param {string} [options.className] - Class name
+ * @param {string} [options.text] - Text content
+ * @returns {HTMLElement} The element
+ */
+const element = (tag, { className, text } = {}) => {
+  const node = document.createElement(tag);
+  if (className) node.className = className;
+  if (text !== undefined) node.textContent = text;
+  return node;
+};
+
+/**
+ * Renders the sources of a fact check, linking those with a web address
+ * @param {Array<Object>} sources - Sources from the API
+ * @returns {HTMLElement} Sources list or note
+ */
+const renderSources = (sources = []) => {
+  if (!sources.length) {
+    return element('p', { className: 'muted', text: 'No sources found. Answer based on general knowledge.' });
+  }
+
+  const list = element('ul');
+  sources.forEach(({ title, url }) => {
+    const item = element('li');
+    if (url && /^https?:\/\//i.test(url)) {
+      const link = element('a', { text: title || url });
+      link.href = url;
+      link.target = '_blank';
+      link.rel = 'noopener noreferrer';
+      item.append(link);
+    } else {
+      item.textContent = title;
+    }
+    list.append(item);
+  });
+  return list;
+};
+
+/**
+ * Renders a completed fact check
+ * @param {Object} result - Fact check from the API
+ * @returns {HTMLElement[]} Elements to show
+ */
+const renderResult = (result) => {
+  const score = getResultScore(result);
+  const grade = element('p', { className: 'grade', text: `Grade: ${score ? GRADES[score - 1] : result.grade}` });
+  grade.style.backgroundColor = getScoreColor(score);
+
+  const meter = element('div', { className: 'meter' });
+  meter.setAttribute('role', 'meter');
+  meter.setAttribute('aria-label', 'Truth score');
+  meter.setAttribute('aria-valuemin', '1');
+  meter.setAttribute('aria-valuemax', '5');
+  meter.setAttribute('aria-valuenow', String(score));
+  GRADES.forEach((label, index) => {
+    const segment = element('span');
+    segment.title = label;
+    if (index < score) segment.style.backgroundColor = getScoreColor(index + 1);
+    meter.append(segment);
+  });
+
+  const confidence = typeof result.confidence === 'number'
+    ? element('p', { className: 'muted', text: `Confidence: ${Math.round(result.confidence * 100)}%` })
+    : null;
+
+  const reasoning = (result.reasoning || '').split(/\n\s*\n/).map(paragraph => {
+    const node = element('p', { text: paragraph });
+    if (result.language) node.lang = result.language;
+    return node;
+  });
+
+  return [
+    grade,
+    meter,
+    ...(confidence ? [confidence] : []),
+    element('h2', { text: 'Reasoning' }),
+    ...reasoning,
+    element('h2', { text: 'Sources' }),
+    renderSources(result.sources)
+  ];
+};
+
+/**
+ * Renders the latest check
+ * @param {?Object} check - Latest check from session storage
+ */
+const render = (check) => {
+  if (!check) {
+    content.replaceChildren(element('p', {
+      className: 'muted',
+      text: 'Select text on any page, right-click it and choose "Check with TruthCheckMe".'
+    }));
+    return;
+  }
+
+  const nodes = [element('blockquote', { className: 'selection', text: check.text })];
+  if (check.truncated) {
+    nodes.push(element('p', {
+      className: 'notice',
+      text: `The selection was too long, so only its first ${MAX_TEXT_LENGTH.toLocaleString()} characters are checked.`
+    }));
+  }
+  if (check.status === 'loading') {
+    nodes.push(element('p', { className: 'muted', text: 'Checking...' }));
+  } else if (check.status === 'error') {
+    nodes.push(element('p', { className: 'error', text: check.error }));
+  } else {
+    nodes.push(...renderResult(check.result));
+  }
+  content.replaceChildren(...nodes);
+};
+
+chrome.storage.session.get(STORAGE_KEY).then(({ [STORAGE_KEY]: check }) => render(check));
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === 'session' && changes[STORAGE_KEY]) render(changes[STORAGE_KEY].newValue);
+});
+
+// The result has been seen, so the toolbar badge no longer needs to announce it
+chrome.action.setBadgeText({ text: '' });
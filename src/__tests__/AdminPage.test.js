@@ -0,0 +1,60 @@
+import React from 'react';
+import { render, screen, waitFor } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import AdminPage from '../components/AdminPage';
+
+global.fetch = jest.fn();
+
+const analytics = {
+  since: '2026-01-01T00:00:00.000Z',
+  until: '2026-01-02T00:00:00.000Z',
+  requests: 40,
+  errors: 2,
+  errorRate: 0.05,
+  timeline: [
+    { start: '2026-01-01T00:00:00.000Z', requests: 30, errors: 2 },
+    { start: '2026-01-01T01:00:00.000Z', requests: 10, errors: 0 }
+  ],
+  latency: { averageMs: 850, p95Ms: 2100, byEndpoint: { 'POST /api/fact-check': { requests: 40, averageMs: 850 } } },
+  errorsByType: { rate_limited: 2 },
+  gradeDistribution: { 'Absolutely False': 5, 'Mostly False': 3, Neutral: 10, 'Mostly True': 8, Truth: 12 },
+  cache: { hits: 10, misses: 28, hitRatio: 0.263 },
+  topClaims: [{ text: 'The Earth is flat.', count: 7, lastGrade: 'Absolutely False' }]
+};
+
+describe('AdminPage Component', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    window.sessionStorage.clear();
+  });
+
+  test('asks for the admin credential and shows the analytics', async () => {
+    global.fetch.mockResolvedValueOnce({ ok: true, status: 200, json: async () => analytics });
+    render(<AdminPage />);
+
+    await userEvent.type(screen.getByLabelText('Admin credential'), 'secret');
+    await userEvent.click(screen.getByRole('button', { name: 'Sign in' }));
+
+    expect(await screen.findByText('Most-checked claims')).toBeInTheDocument();
+    expect(global.fetch).toHaveBeenCalledWith(
+      expect.stringMatching(/\/api\/v1\/admin\/analytics\?hours=24&bucketMinutes=60$/),
+      expect.objectContaining({ headers: { Authorization: 'Bearer secret' } })
+    );
+    expect(screen.getByText('5%')).toBeInTheDocument();
+    expect(screen.getByText('850 ms', { selector: '.fs-3' })).toBeInTheDocument();
+    expect(screen.getByText('26.3%')).toBeInTheDocument();
+    expect(screen.getByText('rate_limited')).toBeInTheDocument();
+    expect(screen.getByText('The Earth is flat.')).toBeInTheDocument();
+    expect(window.sessionStorage.getItem('truthcheckme.adminToken')).toBe('secret');
+  });
+
+  test('forgets a rejected credential', async () => {
+    window.sessionStorage.setItem('truthcheckme.adminToken', 'wrong');
+    global.fetch.mockResolvedValueOnce({ ok: false, status: 403, json: async () => ({}) });
+    render(<AdminPage />);
+
+    expect(await screen.findByText('The admin credential is missing or wrong.')).toBeInTheDocument();
+    await waitFor(() => expect(window.sessionStorage.getItem('truthcheckme.adminToken')).toBeNull());
+    expect(screen.getByLabelText('Admin credential')).toBeInTheDocument();
+  });
+});
@@ -64,7 +64,7 @@ describe('App Component', () => {
       json: () => Promise.resolve({
         grade: 'Absolutely False',
         reasoning: 'Test reasoning',
-        sources: 'Test sources'
+        sources: [{ title: 'Test sources', url: null }]
       })
     });
 
@@ -87,7 +87,7 @@ describe('App Component', () => {
       json: () => Promise.resolve({
         grade: 'Mostly False',
         reasoning: 'Test reasoning',
-        sources: 'Test sources'
+        sources: [{ title: 'Test sources', url: null }]
       })
     });
 
@@ -110,7 +110,7 @@ describe('App Component', () => {
       json: () => Promise.resolve({
         grade: 'Neutral',
         reasoning: 'Test reasoning',
-        sources: 'Test sources'
+        sources: [{ title: 'Test sources', url: null }]
       })
     });
 
@@ -133,7 +133,7 @@ describe('App Component', () => {
       json: () => Promise.resolve({
         grade: 'Mostly True',
         reasoning: 'Test reasoning',
-        sources: 'Test sources'
+        sources: [{ title: 'Test sources', url: null }]
       })
     });
 
@@ -156,7 +156,7 @@ describe('App Component', () => {
       json: () => Promise.resolve({
         grade: 'Truth',
         reasoning: 'Test reasoning',
-        sources: 'Test sources'
+        sources: [{ title: 'Test sources', url: null }]
       })
     });
 
@@ -214,7 +214,7 @@ describe('App Component', () => {
       const mockResponse = {
         grade: 'Truth',
         reasoning: 'Test reasoning',
-        sources: 'Test sources'
+        sources: [{ title: 'Test sources', url: null }]
       };
 
       global.fetch.mockImplementationOnce(() => 
@@ -250,10 +250,49 @@ describe('App Component', () => {
         const body = card.querySelector('.card-body');
         expect(body).toHaveTextContent(`Grade: ${mockResponse.grade}`);
         expect(body).toHaveTextContent(`Reasoning: ${mockResponse.reasoning}`);
-        expect(body).toHaveTextContent(`Sources: ${mockResponse.sources}`);
+        expect(body).toHaveTextContent(`Sources:${mockResponse.sources[0].title}`);
       });
     });
 
+    test('renders a verification badge for each checked source', async () => {
+      const mockResponse = {
+        grade: 'Truth',
+        reasoning: 'Test reasoning',
+        sources: [
+          {
+            title: 'Supporting page',
+            url: 'https://example.com/a',
+            verification: { status: 'verified', httpStatus: 200, pageTitle: 'Example A', matchedTerms: ['test'] }
+          },
+          {
+            title: 'Dead link',
+            url: 'https://example.com/b',
+            verification: { status: 'unreachable', httpStatus: 404, pageTitle: null, matchedTerms: [], reason: 'HTTP 404' }
+          },
+          { title: 'Common knowledge', url: null, verification: null }
+        ]
+      };
+
+      global.fetch.mockImplementationOnce(() =>
+        Promise.resolve({
+          ok: true,
+          json: () => Promise.resolve(mockResponse)
+        })
+      );
+
+      render(<App />);
+
+      await userEvent.type(screen.getByRole('textbox', { name: /fact check input/i }), 'Test input');
+      await userEvent.click(screen.getByRole('button', { name: /check facts/i }));
+
+      await waitFor(() => {
+        expect(screen.getByText('Verified')).toHaveClass('bg-success');
+      });
+      expect(screen.getByText('Verified')).toHaveAttribute('title', 'HTTP 200 · Example A');
+      expect(screen.getByText('Unreachable')).toHaveClass('bg-danger');
+      expect(screen.getByText('Common knowledge')).toBeInTheDocument();
+    });
+
     test('renders error message in Alert component', async () => {
       const errorMessage = 'Failed to check facts';
       global.fetch.mockImplementationOnce(() => 
@@ -0,0 +1,54 @@
+import React from 'react';
+import { render, screen, waitFor } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import FeedbackPanel from '../components/FeedbackPanel';
+
+global.fetch = jest.fn();
+
+describe('FeedbackPanel Component', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('sends a vote on the verdict', async () => {
+    global.fetch.mockResolvedValueOnce({ ok: true, status: 201, json: async () => ({}) });
+    render(<FeedbackPanel id="abc" />);
+
+    await userEvent.click(screen.getByRole('button', { name: 'The verdict is right' }));
+
+    await waitFor(() => expect(screen.getByRole('status')).toHaveTextContent('Thanks for your feedback!'));
+    expect(global.fetch).toHaveBeenCalledWith(expect.stringMatching(/\/api\/v1\/feedback$/), expect.objectContaining({
+      method: 'POST',
+      body: JSON.stringify({ factCheckId: 'abc', website: '', vote: 'up' })
+    }));
+    expect(screen.getByRole('button', { name: 'The verdict is right' })).toHaveAttribute('aria-pressed', 'true');
+  });
+
+  test('sends a dispute with its reason and counter-source', async () => {
+    global.fetch.mockResolvedValueOnce({ ok: true, status: 201, json: async () => ({}) });
+    render(<FeedbackPanel id="abc" />);
+
+    await userEvent.click(screen.getByRole('button', { name: 'Dispute this verdict' }));
+    await userEvent.type(screen.getByLabelText('Why is the verdict wrong?'), 'The census says otherwise.');
+    await userEvent.type(screen.getByLabelText('Source showing otherwise (optional)'), 'https://example.org/census');
+    await userEvent.click(screen.getByRole('button', { name: 'Send dispute' }));
+
+    await waitFor(() => expect(screen.getByRole('status')).toHaveTextContent('your dispute will be reviewed'));
+    expect(JSON.parse(global.fetch.mock.calls[0][1].body)).toEqual({
+      factCheckId: 'abc',
+      website: '',
+      vote: 'dispute',
+      reason: 'The census says otherwise.',
+      counterSource: 'https://example.org/census'
+    });
+  });
+
+  test('explains when feedback is sent too often', async () => {
+    global.fetch.mockResolvedValueOnce({ ok: false, status: 429, json: async () => ({ error: { code: 'rate_limited', message: 'Too many requests' } }) });
+    render(<FeedbackPanel id="abc" />);
+
+    await userEvent.click(screen.getByRole('button', { name: 'The verdict is wrong' }));
+
+    expect(await screen.findByText(/too much feedback sent/)).toBeInTheDocument();
+  });
+});
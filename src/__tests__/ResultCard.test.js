@@ -0,0 +1,69 @@
+import React from 'react';
+import { render, screen } from '@testing-library/react';
+import ResultCard from '../components/ResultCard';
+import { getBackgroundColor, normalizeGrade } from '../utils/grades';
+
+describe('ResultCard Component', () => {
+  test('renders the score on a meter with the confidence', () => {
+    render(<ResultCard result={{ grade: 'Mostly True', score: 4, confidence: 0.85, reasoning: 'Because.', sources: [] }} />);
+
+    const meter = screen.getByRole('meter', { name: /truth score/i });
+    expect(meter).toHaveAttribute('aria-valuenow', '4');
+    expect(meter).toHaveAttribute('aria-valuetext', '4 of 5, Mostly True');
+    expect(meter).toHaveTextContent('4 / 5');
+    expect(screen.getByText('Confidence: 85%')).toBeInTheDocument();
+  });
+
+  test('says when the model did not report its confidence', () => {
+    render(<ResultCard result={{ grade: 'Neutral', score: 3, confidence: null, reasoning: 'Unclear.', sources: [] }} />);
+
+    expect(screen.getByText('Confidence: not reported')).toBeInTheDocument();
+  });
+
+  test('derives the score of results that only have a label', () => {
+    render(<ResultCard result={{ grade: 'mostly false', reasoning: 'Hardly.', sources: [] }} />);
+
+    expect(screen.getByRole('region')).toHaveTextContent('Grade: Mostly False');
+    expect(screen.getByRole('meter')).toHaveAttribute('aria-valuenow', '2');
+    expect(screen.queryByText(/Confidence/)).not.toBeInTheDocument();
+  });
+
+  test('says when the samples of a consensus check agreed', () => {
+    const consensus = { samples: 3, failedSamples: 0, models: ['gpt-4o-mini'], agreement: 1, level: 'unanimous', dissents: [] };
+    render(<ResultCard result={{ grade: 'Truth', score: 5, reasoning: 'Yes.', sources: [], consensus }} />);
+
+    expect(screen.getByText('All 3 independent checks agreed on this grade.')).toBeInTheDocument();
+    expect(screen.queryByText('The models disagreed.')).not.toBeInTheDocument();
+  });
+
+  test('lists the dissenting verdicts when the models disagreed', () => {
+    const consensus = {
+      samples: 3,
+      failedSamples: 0,
+      models: ['gpt-4o-mini', 'gpt-4o'],
+      agreement: 0.67,
+      level: 'majority',
+      dissents: [{ model: 'gpt-4o', grade: 'Mostly False', score: 2, confidence: 0.6, reasoning: 'Doubtful.' }]
+    };
+    render(<ResultCard result={{ grade: 'Mostly True', score: 4, reasoning: 'Likely.', sources: [], consensus }} />);
+
+    expect(screen.getByText('The models disagreed.')).toBeInTheDocument();
+    expect(screen.getByText(/2 of 3 independent checks gave this grade/)).toBeInTheDocument();
+    expect(screen.getByText('gpt-4o: Mostly False')).toBeInTheDocument();
+  });
+});
+
+describe('Grade Normalization', () => {
+  test('maps synonyms, casing and off-scale scores onto the grades', () => {
+    expect(normalizeGrade('TRUTH')).toBe('Truth');
+    expect(normalizeGrade('Pants on Fire')).toBe('Absolutely False');
+    expect(normalizeGrade(7)).toBe('Truth');
+    expect(normalizeGrade(0)).toBe('Absolutely False');
+    expect(normalizeGrade('')).toBeNull();
+  });
+
+  test('colors unknown labels as neutral rather than white', () => {
+    expect(getBackgroundColor('Somewhat plausible')).toBe(getBackgroundColor('Neutral'));
+    expect(getBackgroundColor(undefined)).toBe('#ffffff');
+  });
+});
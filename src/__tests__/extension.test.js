@@ -0,0 +1,19 @@
+import { GRADES as EXTENSION_GRADES, getResultScore, getScoreColor } from '../../extension/grades';
+import { GRADES, getBackgroundColor } from '../utils/grades';
+
+describe('Browser Extension Grades', () => {
+  test('uses the grades and colours of the web app', () => {
+    expect(EXTENSION_GRADES).toEqual(GRADES);
+    GRADES.forEach((grade, index) => {
+      expect(getScoreColor(index + 1)).toBe(getBackgroundColor(grade));
+    });
+    expect(getScoreColor(null)).toBe(getBackgroundColor(undefined));
+  });
+
+  test('reads the score of results with or without one', () => {
+    expect(getResultScore({ grade: 'Truth', score: 5 })).toBe(5);
+    expect(getResultScore({ grade: 'Mostly False' })).toBe(2);
+    expect(getResultScore({ grade: 'Unheard of' })).toBe(3);
+    expect(getResultScore({})).toBeNull();
+  });
+});
@@ -0,0 +1,51 @@
+import React from 'react';
+import { render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { I18nProvider, translate } from '../i18n';
+import LanguageSwitcher from '../components/LanguageSwitcher';
+import ResultCard from '../components/ResultCard';
+
+describe('Internationalization', () => {
+  const result = { grade: 'Mostly True', score: 4, confidence: 0.5, reasoning: 'Porque sí.', sources: [], language: 'es' };
+
+  beforeEach(() => {
+    window.localStorage.clear();
+  });
+
+  test('switches the interface language from the language switcher', async () => {
+    render(
+      <I18nProvider>
+        <LanguageSwitcher />
+        <ResultCard result={result} />
+      </I18nProvider>
+    );
+    expect(screen.getByRole('region')).toHaveTextContent('Grade: Mostly True');
+
+    await userEvent.click(screen.getByRole('button', { name: /english/i }));
+    await userEvent.click(screen.getByRole('button', { name: 'Español' }));
+
+    expect(screen.getByRole('region', { name: 'Resultado de la verificación' }))
+      .toHaveTextContent('Calificación: Mayormente cierto');
+    expect(screen.getByText('Porque sí.')).toHaveAttribute('lang', 'es');
+    expect(document.documentElement.lang).toBe('es');
+    expect(window.localStorage.getItem('truthcheckme.language')).toBe('es');
+  });
+
+  test('restores the language chosen before', () => {
+    window.localStorage.setItem('truthcheckme.language', 'fr');
+    render(
+      <I18nProvider>
+        <ResultCard result={result} />
+      </I18nProvider>
+    );
+
+    expect(screen.getByRole('region')).toHaveTextContent('Verdict : Plutôt vrai');
+    expect(screen.getByText('Confiance : 50 %')).toBeInTheDocument();
+  });
+
+  test('fills in placeholders and falls back to English', () => {
+    expect(translate('fr', 'form.seconds', { count: 3 })).toBe('3 secondes');
+    expect(translate('de', 'form.submit')).toBe('Check Facts');
+    expect(translate('es', 'no.such.message')).toBe('no.such.message');
+  });
+});
@@ -18,6 +18,9 @@ const AboutPage = () => {
               <p className="mb-4">
                 At its core, TruthCheckMe uses OpenAI's ChatGPT to evaluate the truthfulness of user-submitted statements. When you enter a statement into the app, the system analyzes it in the context of publicly available knowledge and reasoning patterns, then returns a <strong>truth grade</strong> (from "Absolutely False" to "Truth") along with a short explanation.
               </p>
+              <p className="mb-4">
+                Statements can be written in English, Spanish, French, German, Italian or Portuguese. The explanation comes back in the language of the statement, and the interface itself is available in English, Spanish and French.
+              </p>
               <p className="mb-4">
                 This approach doesn't just tell you whether something is true or false—it encourages <strong>critical thinking</strong> by providing context for the evaluation.
               </p>
@@ -43,6 +46,14 @@ const AboutPage = () => {
               <p className="mb-4">
                 Knowledge of the world is limited up to October 2023. Statements about events after that date may not be answered correctly.
               </p>
+              <p className="mb-4">
+                When our reference library holds documents relevant to a statement, TruthCheckMe gives them to the model and lists the passages it relied on as <strong>Library</strong> sources.
+              </p>
+
+              <h2 className="h3 mb-3">Browser Extension</h2>
+              <p className="mb-4">
+                The TruthCheckMe browser extension checks facts on the fly: select text on any page, right-click it and choose <strong>Check with TruthCheckMe</strong> to see its grade, reasoning and sources without leaving the page.
+              </p>
 
               <h2 className="h3 mb-3">Future Plans</h2>
               <p className="mb-4">
@@ -51,7 +62,6 @@ const AboutPage = () => {
               <ul className="mb-4">
                 <li>Improved grading transparency</li>
                 <li>Improved sourcing of citations for supporting evidence</li>
-                <li>A Chrome extension for on-the-fly fact checks</li>
               </ul>
 
               <p className="small text-muted mt-4 pt-3 border-top">
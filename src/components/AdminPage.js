@@ -0,0 +1,376 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Container, Row, Col, Card, Form, Button, Alert, Spinner, Table, ButtonGroup } from 'react-bootstrap';
+import { GRADES, getBackgroundColor } from '../utils/grades';
+import { useTranslation } from '../i18n';
+
+/**
+ * Session storage key keeping the admin credential for the browser session
+ * @type {string}
+ */
+const TOKEN_KEY = 'truthcheckme.adminToken';
+
+/**
+ * Periods the dashboard can show, with the length of each interval of the request timeline
+ * @type {Array<{hours: number, bucketMinutes: number}>}
+ */
+const PERIODS = [
+  { hours: 24, bucketMinutes: 60 },
+  { hours: 168, bucketMinutes: 360 },
+  { hours: 720, bucketMinutes: 1440 }
+];
+
+/**
+ * Reads the admin credential saved for this browser session
+ * @returns {string} Credential, or an empty string
+ */
+const readToken = () => {
+  try {
+    return window.sessionStorage.getItem(TOKEN_KEY) || '';
+  } catch (error) {
+    return '';
+  }
+};
+
+/**
+ * Formats a ratio as a percentage
+ * @param {?number} value - Ratio from 0 to 1, or null when there is nothing to compare
+ * @returns {string} Percentage, or a dash
+ */
+const formatPercent = (value) => (value === null || value === undefined ? '–' : `${Math.round(value * 1000) / 10}%`);
+
+/**
+ * Stat component showing one key figure of the dashboard
+ * @param {Object} props - Component props
+ * @param {string} props.label - What the figure is
+ * @param {string|number} props.value - Figure
+ * @param {string} [props.detail] - Secondary information
+ * @returns {JSX.Element} Rendered component
+ */
+function Stat({ label, value, detail }) {
+  return (
+    <Card className="h-100 shadow-sm">
+      <Card.Body>
+        <div className="small text-muted">{label}</div>
+        <div className="fs-3 fw-bold">{value}</div>
+        {detail && <div className="small text-muted">{detail}</div>}
+      </Card.Body>
+    </Card>
+  );
+}
+
+/**
+ * AdminPage component with the usage and verdict analytics, for holders of the admin credential
+ * @returns {JSX.Element} Rendered component
+ */
+function AdminPage() {
+  const { language, t } = useTranslation();
+  const [token, setToken] = useState(readToken);
+  const [tokenInput, setTokenInput] = useState('');
+  const [period, setPeriod] = useState(PERIODS[0]);
+  const [analytics, setAnalytics] = useState(null);
+  const [loading, setLoading] = useState(false);
+  // Error message identifier and parameters, translated when rendered
+  const [error, setError] = useState(null);
+
+  /**
+   * Remembers the admin credential for the browser session, or forgets it
+   * @param {string} value - Credential, or an empty string to sign out
+   */
+  const saveToken = useCallback((value) => {
+    setToken(value);
+    setAnalytics(null);
+    try {
+      if (value) window.sessionStorage.setItem(TOKEN_KEY, value);
+      else window.sessionStorage.removeItem(TOKEN_KEY);
+    } catch (err) {
+      // The credential then only lasts until the page is reloaded
+    }
+  }, []);
+
+  useEffect(() => {
+    if (!token) return undefined;
+    const controller = new AbortController();
+
+    /**
+     * Loads the analytics of the selected period from the admin API
+     */
+    const loadAnalytics = async () => {
+      setLoading(true);
+      setError(null);
+      try {
+        const params = new URLSearchParams({ hours: period.hours, bucketMinutes: period.bucketMinutes });
+        const response = await fetch(`${process.env.REACT_APP_API_URL}/api/v1/admin/analytics?${params}`, {
+          headers: { Authorization: `Bearer ${token}` },
+          signal: controller.signal
+        });
+        if (response.status === 401 || response.status === 403) {
+          saveToken('');
+          setError({ key: 'admin.invalidCredential' });
+          return;
+        }
+        if (response.status === 503) {
+          setError({ key: 'admin.notConfigured' });
+          return;
+        }
+        if (!response.ok) {
+          throw new Error(response.status);
+        }
+        setAnalytics(await response.json());
+      } catch (err) {
+        if (err.name !== 'AbortError') {
+          console.error('Error loading analytics:', err);
+          setError({ key: 'admin.failed', params: { status: err.message } });
+        }
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadAnalytics();
+    return () => controller.abort();
+  }, [token, period, saveToken]);
+
+  /**
+   * Signs in with the entered credential
+   * @param {Event} e - Form submission event
+   */
+  const handleSignIn = (e) => {
+    e.preventDefault();
+    if (tokenInput.trim()) {
+      saveToken(tokenInput.trim());
+      setTokenInput('');
+    }
+  };
+
+  const maxRequests = analytics ? Math.max(1, ...analytics.timeline.map(bucket => bucket.requests)) : 1;
+  const gradeTotal = analytics ? Object.values(analytics.gradeDistribution).reduce((sum, count) => sum + count, 0) : 0;
+
+  return (
+    <Container className="flex-grow-1 py-5" role="main">
+      <Row className="justify-content-center">
+        <Col className="col-12 col-lg-10">
+          <div className="d-flex align-items-center mb-4">
+            <h1 className="h2 mb-0">{t('admin.title')}</h1>
+            {token && (
+              <Button variant="outline-secondary" size="sm" className="ms-auto" onClick={() => saveToken('')}>
+                {t('admin.signOut')}
+              </Button>
+            )}
+          </div>
+
+          {error && <Alert variant="danger">{t(error.key, error.params)}</Alert>}
+
+          {!token && (
+            <Card className="shadow-sm">
+              <Card.Body>
+                <Form onSubmit={handleSignIn}>
+                  <Form.Group className="mb-3" controlId="admin-token">
+                    <Form.Label>{t('admin.credential')}</Form.Label>
+                    <Form.Control
+                      type="password"
+                      autoComplete="current-password"
+                      value={tokenInput}
+                      onChange={(e) => setTokenInput(e.target.value)}
+                      required
+                    />
+                  </Form.Group>
+                  <Button type="submit" variant="primary">{t('admin.signIn')}</Button>
+                </Form>
+              </Card.Body>
+            </Card>
+          )}
+
+          {token && (
+            <ButtonGroup size="sm" className="mb-4" aria-label={t('admin.period')}>
+              {PERIODS.map(option => (
+                <Button
+                  key={option.hours}
+                  variant={option === period ? 'primary' : 'outline-primary'}
+                  onClick={() => setPeriod(option)}
+                  aria-pressed={option === period}
+                >
+                  {t(`admin.period.${option.hours}`)}
+                </Button>
+              ))}
+            </ButtonGroup>
+          )}
+
+          {token && loading && !analytics && (
+            <div className="text-center">
+              <Spinner animation="border" role="status" aria-label={t('admin.loading')} />
+            </div>
+          )}
+
+          {token && analytics && (
+            <>
+              <Row className="g-3 mb-4">
+                <Col xs={6} md={3}>
+                  <Stat label={t('admin.requests')} value={analytics.requests.toLocaleString(language)} />
+                </Col>
+                <Col xs={6} md={3}>
+                  <Stat
+                    label={t('admin.errorRate')}
+                    value={formatPercent(analytics.errorRate)}
+                    detail={t('admin.errorCount', { count: analytics.errors })}
+                  />
+                </Col>
+                <Col xs={6} md={3}>
+                  <Stat
+                    label={t('admin.latency')}
+                    value={analytics.latency.averageMs === null ? '–' : `${analytics.latency.averageMs} ms`}
+                    detail={analytics.latency.p95Ms === null ? undefined : t('admin.p95', { ms: analytics.latency.p95Ms })}
+                  />
+                </Col>
+                <Col xs={6} md={3}>
+                  <Stat
+                    label={t('admin.cacheHitRatio')}
+                    value={formatPercent(analytics.cache.hitRatio)}
+                    detail={t('admin.cacheCounts', { hits: analytics.cache.hits, misses: analytics.cache.misses })}
+                  />
+                </Col>
+              </Row>
+
+              <Card className="shadow-sm mb-4">
+                <Card.Header>{t('admin.requestsOverTime')}</Card.Header>
+                <Card.Body>
+                  <div className="d-flex align-items-end gap-1" style={{ height: '8rem' }} role="list">
+                    {analytics.timeline.map(bucket => (
+                      <div
+                        key={bucket.start}
+                        role="listitem"
+                        className="flex-grow-1 d-flex flex-column justify-content-end"
+                        style={{ height: '100%' }}
+                        title={t('admin.bucket', {
+                          start: new Date(bucket.start).toLocaleString(language),
+                          requests: bucket.requests,
+                          errors: bucket.errors
+                        })}
+                      >
+                        <div className="bg-danger" style={{ height: `${bucket.errors / maxRequests * 100}%` }}></div>
+                        <div
+                          className="bg-primary"
+                          style={{ height: `${(bucket.requests - bucket.errors) / maxRequests * 100}%`, minHeight: bucket.requests ? 2 : 0 }}
+                        ></div>
+                      </div>
+                    ))}
+                  </div>
+                </Card.Body>
+              </Card>
+
+              <Row className="g-3 mb-4">
+                <Col md={6}>
+                  <Card className="h-100 shadow-sm">
+                    <Card.Header>{t('admin.gradeDistribution')}</Card.Header>
+                    <Card.Body>
+                      {GRADES.map((grade, index) => {
+                        const count = analytics.gradeDistribution[grade] || 0;
+                        return (
+                          <div key={grade} className="mb-2">
+                            <div className="d-flex small">
+                              <span>{t(`grades.${index + 1}`)}</span>
+                              <span className="ms-auto">{count}</span>
+                            </div>
+                            <div className="bg-light rounded" style={{ height: '0.5rem' }}>
+                              <div
+                                className="rounded h-100"
+                                style={{
+                                  width: `${gradeTotal ? count / gradeTotal * 100 : 0}%`,
+                                  backgroundColor: getBackgroundColor(grade)
+                                }}
+                              ></div>
+                            </div>
+                          </div>
+                        );
+                      })}
+                    </Card.Body>
+                  </Card>
+                </Col>
+                <Col md={6}>
+                  <Card className="h-100 shadow-sm">
+                    <Card.Header>{t('admin.errorsByType')}</Card.Header>
+                    <Card.Body>
+                      {Object.keys(analytics.errorsByType).length ? (
+                        <Table size="sm" className="mb-0">
+                          <tbody>
+                            {Object.entries(analytics.errorsByType)
+                              .sort(([, a], [, b]) => b - a)
+                              .map(([type, count]) => (
+                                <tr key={type}>
+                                  <td><code>{type}</code></td>
+                                  <td className="text-end">{count}</td>
+                                </tr>
+                              ))}
+                          </tbody>
+                        </Table>
+                      ) : (
+                        <p className="text-muted mb-0">{t('admin.noErrors')}</p>
+                      )}
+                    </Card.Body>
+                  </Card>
+                </Col>
+              </Row>
+
+              <Card className="shadow-sm mb-4">
+                <Card.Header>{t('admin.latencyByEndpoint')}</Card.Header>
+                <Table size="sm" className="mb-0">
+                  <thead>
+                    <tr>
+                      <th>{t('admin.endpoint')}</th>
+                      <th className="text-end">{t('admin.requests')}</th>
+                      <th className="text-end">{t('admin.averageLatency')}</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {Object.entries(analytics.latency.byEndpoint).map(([endpoint, stats]) => (
+                      <tr key={endpoint}>
+                        <td><code>{endpoint}</code></td>
+                        <td className="text-end">{stats.requests}</td>
+                        <td className="text-end">{stats.averageMs} ms</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </Table>
+              </Card>
+
+              <Card className="shadow-sm">
+                <Card.Header>{t('admin.topClaims')}</Card.Header>
+                {analytics.topClaims.length ? (
+                  <Table size="sm" className="mb-0">
+                    <thead>
+                      <tr>
+                        <th>{t('admin.claim')}</th>
+                        <th>{t('admin.lastGrade')}</th>
+                        <th className="text-end">{t('admin.checks')}</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {analytics.topClaims.map(claim => (
+                        <tr key={claim.text}>
+                          <td>{claim.text}</td>
+                          <td>
+                            {claim.lastGrade && (
+                              <span className="badge text-dark" style={{ backgroundColor: getBackgroundColor(claim.lastGrade) }}>
+                                {t(`grades.${GRADES.indexOf(claim.lastGrade) + 1}`)}
+                              </span>
+                            )}
+                          </td>
+                          <td className="text-end">{claim.count}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </Table>
+                ) : (
+                  <Card.Body>
+                    <p className="text-muted mb-0">{t('admin.noClaims')}</p>
+                  </Card.Body>
+                )}
+              </Card>
+            </>
+          )}
+        </Col>
+      </Row>
+    </Container>
+  );
+}
+
+export default AdminPage;
@@ -0,0 +1,104 @@
+import React, { useState, useEffect } from 'react';
+import { Container, Row, Col, Alert, Spinner } from 'react-bootstrap';
+import { useParams, Link } from 'react-router-dom';
+import ResultCard from './ResultCard';
+import ClaimList from './ClaimList';
+import { getBackgroundColor } from '../utils/grades';
+import { useTranslation } from '../i18n';
+
+/**
+ * CheckPage component rendering a stored fact check from its permalink
+ * @returns {JSX.Element} Rendered component
+ */
+function CheckPage() {
+  const { id } = useParams();
+  const { language, t } = useTranslation();
+  const [record, setRecord] = useState(null);
+  // Error message identifier and parameters, translated when rendered
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const controller = new AbortController();
+
+    /**
+     * Loads the stored fact check from the API
+     */
+    const loadRecord = async () => {
+      setRecord(null);
+      setError(null);
+      try {
+        const response = await fetch(`${process.env.REACT_APP_API_URL}/api/v1/fact-checks/${encodeURIComponent(id)}`, {
+          signal: controller.signal
+        });
+        if (response.status === 404) {
+          setError({ key: 'check.notFound' });
+          return;
+        }
+        if (!response.ok) {
+          throw new Error(response.status);
+        }
+        setRecord(await response.json());
+      } catch (err) {
+        if (err.name !== 'AbortError') {
+          console.error('Error loading fact check:', err);
+          setError({ key: 'check.failed', params: { status: err.message } });
+        }
+      }
+    };
+
+    loadRecord();
+    return () => controller.abort();
+  }, [id]);
+
+  return (
+    <Container
+      className="flex-grow-1 py-5"
+      role="main"
+      style={{
+        backgroundColor: getBackgroundColor(record?.grade || record?.summary?.overallGrade),
+        transition: 'background-color 0.3s ease',
+        minHeight: '100vh'
+      }}
+    >
+      <Row className="justify-content-center">
+        <Col className="col-12 col-md-8 col-lg-6">
+          {!record && !error && (
+            <div className="text-center">
+              <Spinner animation="border" role="status" aria-label={t('check.loading')} />
+            </div>
+          )}
+
+          {error && (
+            <Alert variant="danger" className="shadow-sm">
+              <Alert.Heading className="d-flex align-items-center">
+                <i className="fas fa-exclamation-circle me-2"></i>
+                {t('common.error')}
+              </Alert.Heading>
+              <p>{t(error.key, error.params)}</p>
+              <Link to="/">{t('check.another')}</Link>
+            </Alert>
+          )}
+
+          {record && (
+            <>
+              <blockquote className="blockquote bg-white p-4 rounded shadow-sm mb-0">
+                <p className="mb-2">{record.text}</p>
+                <footer className="blockquote-footer mb-0">
+                  {t('check.checkedOn', { date: new Date(record.createdAt).toLocaleString(language) })}
+                </footer>
+              </blockquote>
+              {record.claims
+                ? <ClaimList claims={record.claims} summary={record.summary} article={record.article} id={record.id} />
+                : <ResultCard result={record} />}
+              <div className="text-center mt-4">
+                <Link to="/" className="btn btn-light shadow-sm">{t('check.another')}</Link>
+              </div>
+            </>
+          )}
+        </Col>
+      </Row>
+    </Container>
+  );
+}
+
+export default CheckPage;
@@ -0,0 +1,105 @@
+import React from 'react';
+import { Card, ListGroup, Badge } from 'react-bootstrap';
+import SourceList from './SourceList';
+import ShareLink from './ShareLink';
+import { getBackgroundColor, getGradeScore } from '../utils/grades';
+import { useTranslation } from '../i18n';
+
+/**
+ * ClaimList component for displaying the per-claim verdicts of an analyzed text
+ * @param {Object} props - Component props
+ * @param {Array<Object>} props.claims - Claims with their grade, score, confidence, reasoning, sources
+ * and, in consensus mode, consensus report
+ * @param {Object} props.summary - Summary with claim count, count per grade, average score and overall grade
+ * @param {Object} [props.article] - For analyzed articles, their title, canonical URL and whether the text was cut off
+ * @param {string} [props.id] - Identifier of the stored analysis, for the permalink
+ * @returns {JSX.Element} Rendered component
+ */
+function ClaimList({ claims, summary, article, id }) {
+  const { t } = useTranslation();
+
+  return (
+    <Card className="mt-4 shadow-sm" role="region" aria-label={t('claims.region')}>
+      <Card.Header className="bg-primary text-white py-3">
+        <div className="d-flex align-items-center justify-content-between">
+          <span>
+            <i className="fas fa-list-check me-2"></i>
+            {t(summary.totalClaims === 1 ? 'claims.checkedOne' : 'claims.checkedOther', { count: summary.totalClaims })}
+          </span>
+          {summary.overallGrade && (
+            <Badge bg="light" text="dark">
+              {t('claims.overall', { grade: t(`grades.${getGradeScore(summary.overallGrade)}`) })}
+              {summary.averageScore != null && ` (${summary.averageScore} / 5)`}
+            </Badge>
+          )}
+        </div>
+      </Card.Header>
+      {article && (
+        <Card.Body className="border-bottom">
+          <Card.Title as="h2" className="h5 mb-1">{article.title || article.canonicalUrl}</Card.Title>
+          <a href={article.canonicalUrl} target="_blank" rel="noopener noreferrer" className="small text-break">
+            {article.canonicalUrl}
+          </a>
+          {article.truncated && (
+            <p className="small text-muted mt-2 mb-0">{t('claims.truncated')}</p>
+          )}
+        </Card.Body>
+      )}
+      <ListGroup variant="flush">
+        {claims.map((claim, index) => (
+          <ListGroup.Item
+            key={`${claim.start}-${index}`}
+            className="p-4"
+            style={{ borderLeft: `0.5rem solid ${getBackgroundColor(claim.score ?? claim.grade)}` }}
+          >
+            <p className="fw-bold mb-2">“{claim.text}”</p>
+            {claim.excerpt && claim.excerpt !== claim.text && (
+              <blockquote className="small text-muted border-start ps-2 mb-2">
+                {t('claims.fromArticle', { excerpt: claim.excerpt })}
+              </blockquote>
+            )}
+            {claim.error ? (
+              <p className="text-danger mb-0">{t('claims.failed', { error: claim.error })}</p>
+            ) : (
+              <>
+                <p className="mb-2">
+                  <span
+                    className="badge text-dark"
+                    style={{ backgroundColor: getBackgroundColor(claim.score ?? claim.grade) }}
+                  >
+                    {t(`grades.${getGradeScore(claim.score ?? claim.grade)}`)}
+                  </span>
+                  {typeof claim.confidence === 'number' && (
+                    <span className="small text-muted ms-2">
+                      {t('confidence.short', { percent: Math.round(claim.confidence * 100) })}
+                    </span>
+                  )}
+                  {claim.consensus && claim.consensus.level !== 'unanimous' && (
+                    <span className="badge bg-warning text-dark ms-2">
+                      <i className="fas fa-balance-scale me-1" aria-hidden="true"></i>
+                      {t('consensus.disagreed')}
+                    </span>
+                  )}
+                </p>
+                {claim.reasoning.split(/\n\s*\n/).map((paragraph, paragraphIndex) => (
+                  <p key={paragraphIndex} className="mb-2" lang={claim.language}>{paragraph}</p>
+                ))}
+                <div>
+                  <strong>{t('result.sources')}</strong>
+                  <SourceList sources={claim.sources} />
+                </div>
+              </>
+            )}
+          </ListGroup.Item>
+        ))}
+      </ListGroup>
+      {id && (
+        <Card.Footer className="bg-white">
+          <ShareLink id={id} />
+        </Card.Footer>
+      )}
+    </Card>
+  );
+}
+
+export default ClaimList;
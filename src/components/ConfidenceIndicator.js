@@ -0,0 +1,37 @@
+import React from 'react';
+import { ProgressBar } from 'react-bootstrap';
+import { useTranslation } from '../i18n';
+
+/**
+ * ConfidenceIndicator component showing how confident the model is in its grade
+ * @param {Object} props - Component props
+ * @param {?number} props.confidence - Confidence from 0 to 1, or null if the model did not report one
+ * @returns {JSX.Element} Rendered component
+ */
+function ConfidenceIndicator({ confidence }) {
+  const { t } = useTranslation();
+
+  if (typeof confidence !== 'number') {
+    return <p className="small text-muted mb-3">{t('confidence.notReported')}</p>;
+  }
+
+  const percent = Math.round(confidence * 100);
+  let variant = 'danger';
+  if (confidence >= 0.7) variant = 'success';
+  else if (confidence >= 0.4) variant = 'warning';
+
+  return (
+    <div className="d-flex align-items-center gap-2 mb-3">
+      <span className="small text-nowrap">{t('confidence.value', { percent })}</span>
+      <ProgressBar
+        now={percent}
+        variant={variant}
+        className="flex-grow-1"
+        style={{ height: '0.5rem' }}
+        aria-label={t('confidence.label')}
+      />
+    </div>
+  );
+}
+
+export default ConfidenceIndicator;
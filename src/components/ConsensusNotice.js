@@ -0,0 +1,51 @@
+import React from 'react';
+import { Alert } from 'react-bootstrap';
+import { getGradeScore } from '../utils/grades';
+import { useTranslation } from '../i18n';
+
+/**
+ * ConsensusNotice component telling whether the samples of a consensus fact check agreed,
+ * and listing the dissenting verdicts when they did not
+ * @param {Object} props - Component props
+ * @param {Object} [props.consensus] - Consensus report of the fact check, absent outside consensus mode
+ * @returns {?JSX.Element} Rendered component
+ */
+function ConsensusNotice({ consensus }) {
+  const { t } = useTranslation();
+
+  if (!consensus) return null;
+
+  if (consensus.level === 'unanimous') {
+    return (
+      <p className="small text-success mb-3">
+        <i className="fas fa-users me-2" aria-hidden="true"></i>
+        {t('consensus.unanimous', { samples: consensus.samples })}
+      </p>
+    );
+  }
+
+  return (
+    <Alert variant="warning" className="py-2 mb-3">
+      <p className="mb-1">
+        <i className="fas fa-balance-scale me-2" aria-hidden="true"></i>
+        <strong>{t('consensus.disagreed')}</strong>{' '}
+        {t('consensus.agreement', {
+          agreeing: consensus.samples - consensus.dissents.length,
+          samples: consensus.samples
+        })}
+      </p>
+      <ul className="small mb-0">
+        {consensus.dissents.map((dissent, index) => (
+          <li key={index}>
+            {t('consensus.dissent', {
+              model: dissent.model,
+              grade: t(`grades.${getGradeScore(dissent.score ?? dissent.grade)}`)
+            })}
+          </li>
+        ))}
+      </ul>
+    </Alert>
+  );
+}
+
+export default ConsensusNotice;
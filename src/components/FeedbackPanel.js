@@ -0,0 +1,145 @@
+import React, { useState } from 'react';
+import { Button, ButtonGroup, Form, Alert } from 'react-bootstrap';
+import { useTranslation } from '../i18n';
+
+/**
+ * FeedbackPanel component letting readers vote on a verdict or dispute it
+ * @param {Object} props - Component props
+ * @param {string} props.id - Identifier of the stored fact check
+ * @returns {JSX.Element} Rendered component
+ */
+function FeedbackPanel({ id }) {
+  const { t } = useTranslation();
+  const [vote, setVote] = useState(null);
+  const [disputing, setDisputing] = useState(false);
+  const [reason, setReason] = useState('');
+  const [counterSource, setCounterSource] = useState('');
+  // Left empty by people; bots filling in every field get their feedback dropped
+  const [website, setWebsite] = useState('');
+  const [sending, setSending] = useState(false);
+  const [error, setError] = useState(null);
+
+  /**
+   * Sends feedback on the fact check to the API
+   * @param {Object} feedback - Vote and, for disputes, reason and counter-source
+   */
+  const sendFeedback = async (feedback) => {
+    setSending(true);
+    setError(null);
+    try {
+      const response = await fetch(`${process.env.REACT_APP_API_URL}/api/v1/feedback`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ factCheckId: id, website, ...feedback })
+      });
+      if (!response.ok) {
+        const body = await response.json().catch(() => ({}));
+        throw new Error(response.status === 429 ? t('feedback.tooMany') : body.error?.message || response.status);
+      }
+      setVote(feedback.vote);
+      setDisputing(false);
+    } catch (err) {
+      console.error('Error sending feedback:', err);
+      setError(err.message);
+    } finally {
+      setSending(false);
+    }
+  };
+
+  /**
+   * Submits the dispute form
+   * @param {Event} e - Form submission event
+   */
+  const handleDispute = (e) => {
+    e.preventDefault();
+    sendFeedback({ vote: 'dispute', reason, counterSource: counterSource.trim() || undefined });
+  };
+
+  return (
+    <div className="mt-3">
+      <div className="d-flex align-items-center flex-wrap gap-2">
+        <span className="small text-muted">{t('feedback.question')}</span>
+        <ButtonGroup size="sm" aria-label={t('feedback.label')}>
+          <Button
+            variant={vote === 'up' ? 'success' : 'outline-success'}
+            onClick={() => sendFeedback({ vote: 'up' })}
+            disabled={sending}
+            aria-pressed={vote === 'up'}
+            aria-label={t('feedback.up')}
+          >
+            <i className="fas fa-thumbs-up" aria-hidden="true"></i>
+          </Button>
+          <Button
+            variant={vote === 'down' ? 'danger' : 'outline-danger'}
+            onClick={() => sendFeedback({ vote: 'down' })}
+            disabled={sending}
+            aria-pressed={vote === 'down'}
+            aria-label={t('feedback.down')}
+          >
+            <i className="fas fa-thumbs-down" aria-hidden="true"></i>
+          </Button>
+        </ButtonGroup>
+        <Button
+          size="sm"
+          variant="link"
+          onClick={() => setDisputing(!disputing)}
+          aria-expanded={disputing}
+          disabled={sending}
+        >
+          {t('feedback.dispute')}
+        </Button>
+      </div>
+
+      {disputing && (
+        <Form onSubmit={handleDispute} className="mt-2">
+          <Form.Group className="mb-2" controlId={`dispute-reason-${id}`}>
+            <Form.Label className="small">{t('feedback.reason')}</Form.Label>
+            <Form.Control
+              as="textarea"
+              rows={3}
+              value={reason}
+              onChange={(e) => setReason(e.target.value)}
+              minLength={10}
+              maxLength={1000}
+              required
+            />
+          </Form.Group>
+          <Form.Group className="mb-2" controlId={`dispute-source-${id}`}>
+            <Form.Label className="small">{t('feedback.counterSource')}</Form.Label>
+            <Form.Control
+              type="url"
+              value={counterSource}
+              onChange={(e) => setCounterSource(e.target.value)}
+              placeholder="https://"
+            />
+          </Form.Group>
+          <div className="d-none" aria-hidden="true">
+            <Form.Control
+              name="website"
+              tabIndex={-1}
+              autoComplete="off"
+              value={website}
+              onChange={(e) => setWebsite(e.target.value)}
+            />
+          </div>
+          <Button type="submit" size="sm" variant="warning" disabled={sending}>
+            {t('feedback.submitDispute')}
+          </Button>
+        </Form>
+      )}
+
+      {vote && !error && (
+        <p className="small text-success mt-2 mb-0" role="status">
+          {t(vote === 'dispute' ? 'feedback.disputeThanks' : 'feedback.thanks')}
+        </p>
+      )}
+      {error && (
+        <Alert variant="danger" className="small py-2 mt-2 mb-0">
+          {t('feedback.failed', { error })}
+        </Alert>
+      )}
+    </div>
+  );
+}
+
+export default FeedbackPanel;
@@ -0,0 +1,42 @@
+import React from 'react';
+import { GRADES, getBackgroundColor } from '../utils/grades';
+import { useTranslation } from '../i18n';
+
+/**
+ * GradeMeter component showing a score on the five-step grade scale
+ * @param {Object} props - Component props
+ * @param {number} props.score - Score from 1 (Absolutely False) to 5 (Truth)
+ * @returns {JSX.Element} Rendered component
+ */
+function GradeMeter({ score }) {
+  const { t } = useTranslation();
+
+  return (
+    <div
+      className="d-flex align-items-center gap-2 mb-3"
+      role="meter"
+      aria-label={t('meter.label')}
+      aria-valuemin={1}
+      aria-valuemax={5}
+      aria-valuenow={score}
+      aria-valuetext={t('meter.valueText', { score, grade: t(`grades.${score}`) })}
+    >
+      <div className="d-flex flex-grow-1 gap-1" aria-hidden="true">
+        {GRADES.map((grade, index) => (
+          <div
+            key={grade}
+            title={t(`grades.${index + 1}`)}
+            className="flex-fill rounded"
+            style={{
+              height: '0.75rem',
+              backgroundColor: index < score ? getBackgroundColor(index + 1) : '#e9ecef'
+            }}
+          />
+        ))}
+      </div>
+      <span className="small text-muted text-nowrap">{score} / 5</span>
+    </div>
+  );
+}
+
+export default GradeMeter;
@@ -1,15 +1,102 @@
-import React, { useState } from 'react';
-import { Form, Button, Spinner } from 'react-bootstrap';
+import React, { useState, useRef, useEffect } from 'react';
+import { Form, Button, Spinner, Alert } from 'react-bootstrap';
+import { readEventStream } from '../utils/eventStream';
+import { useTranslation } from '../i18n';
+
+/**
+ * Checks whether the input is a link to an article rather than a statement
+ * @param {string} value - Input text
+ * @returns {boolean} True if the whole input is an http(s) URL
+ */
+const isArticleUrl = (value) => /^https?:\/\/[^\s/]+\S*$/i.test(value.trim());
+
+/**
+ * Message keys explaining each reason the server can reject an input for
+ * @type {Object<string, string>}
+ */
+const REJECTION_MESSAGES = {
+  too_long: 'form.rejectedTooLong',
+  empty: 'form.rejectedEmpty',
+  prompt_injection: 'form.rejectedInjection',
+  flagged_content: 'form.rejectedFlagged'
+};
+
+/**
+ * Reads why the server rejected the input from an `input_rejected` error body
+ * @param {string} body - Response body
+ * @returns {?Object} Rejection details with the `reason`, or null for other errors
+ */
+const readRejection = (body) => {
+  try {
+    const { error } = JSON.parse(body);
+    return error && error.code === 'input_rejected' ? { ...error.details } : null;
+  } catch (parseError) {
+    return null;
+  }
+};
 
 /**
  * InputForm component for submitting text to be fact-checked
  * @param {Object} props - Component props
- * @param {Function} props.onSubmit - Callback function when form is submitted
+ * @param {Function} props.onSubmit - Callback function with the final result or error
+ * @param {Function} [props.onProgress] - Callback function with the partial result while it streams in
  * @returns {JSX.Element} Rendered component
  */
-function InputForm({ onSubmit }) {
+function InputForm({ onSubmit, onProgress }) {
+  const { t } = useTranslation();
   const [text, setText] = useState('');
   const [isLoading, setIsLoading] = useState(false);
+  const [splitClaims, setSplitClaims] = useState(false);
+  const [retryIn, setRetryIn] = useState(0);
+  const [rejection, setRejection] = useState(null);
+  const controllerRef = useRef(null);
+  const partialRef = useRef({});
+  const articleMode = isArticleUrl(text);
+
+  // Count down until the rate limit allows another check
+  useEffect(() => {
+    if (retryIn <= 0) return undefined;
+    const timer = setTimeout(() => setRetryIn(seconds => seconds - 1), 1000);
+    return () => clearTimeout(timer);
+  }, [retryIn]);
+
+  /**
+   * Reads the streamed fact check, reporting each partial result as it arrives
+   * @param {Response} response - Fetch response with a `text/event-stream` body
+   * @returns {Promise<Object>} The complete fact check result
+   */
+  const readFactCheckStream = async (response) => {
+    let result = null;
+    await readEventStream(response, ({ event, data }) => {
+      switch (event) {
+        case 'grade':
+          partialRef.current = { ...partialRef.current, grade: data.grade, score: data.score };
+          break;
+        case 'reasoning':
+          partialRef.current = {
+            ...partialRef.current,
+            reasoning: (partialRef.current.reasoning || '') + data.delta
+          };
+          break;
+        case 'sources':
+          partialRef.current = { ...partialRef.current, sources: data.sources };
+          break;
+        case 'done':
+          result = data;
+          return;
+        case 'error':
+          throw new Error(t('form.failed', { details: data.error.details || data.error.message }));
+        default:
+          return;
+      }
+      onProgress?.(partialRef.current);
+    });
+
+    if (!result) {
+      throw new Error(t('form.failed', { details: t('form.endedUnexpectedly') }));
+    }
+    return result;
+  };
 
   /**
    * Handles form submission
@@ -19,13 +106,17 @@ function InputForm({ onSubmit }) {
     e.preventDefault();
     if (!text.trim()) return;
 
+    const controller = new AbortController();
+    controllerRef.current = controller;
+    partialRef.current = {};
+    setRejection(null);
     setIsLoading(true);
     try {
       // Log the API URL being used
       console.log('API URL:', process.env.REACT_APP_API_URL);
 
       // First check if the server is up
-      const healthCheck = await fetch(`${process.env.REACT_APP_API_URL}/health`);
+      const healthCheck = await fetch(`${process.env.REACT_APP_API_URL}/health`, { signal: controller.signal });
       if (!healthCheck.ok) {
         const errorText = await healthCheck.text();
         console.error('Health check failed:', errorText);
@@ -34,62 +125,128 @@ function InputForm({ onSubmit }) {
       const healthData = await healthCheck.json();
       console.log('Server health:', healthData);
 
-      // Then send the fact-check request
-      const factCheckUrl = `${process.env.REACT_APP_API_URL}/api/fact-check`;
+      // Then send the claim analysis request when checking an article or splitting into claims,
+      // or stream the fact-check
+      const analyze = articleMode || splitClaims;
+      const factCheckUrl = `${process.env.REACT_APP_API_URL}/api/v1/${analyze ? 'analyze' : 'fact-check/stream'}`;
       console.log('Sending request to:', factCheckUrl);
       
       const response = await fetch(factCheckUrl, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
-          'Accept': 'application/json'
+          'Accept': analyze ? 'application/json' : 'text/event-stream'
         },
-        body: JSON.stringify({ text }),
+        body: JSON.stringify(articleMode ? { url: text.trim() } : { text }),
+        signal: controller.signal
       });
 
       console.log('Response status:', response.status);
       console.log('Response headers:', Object.fromEntries(response.headers.entries()));
 
+      if (response.status === 429) {
+        // Rate limited: wait for the time the server asks for before allowing another check
+        const retryAfter = Number(response.headers.get('Retry-After')) || 60;
+        setRetryIn(retryAfter);
+        return;
+      }
+
       if (!response.ok) {
         const errorText = await response.text();
         console.error('Error response:', errorText);
-        throw new Error(`Failed to check facts: ${response.status} ${errorText}`);
+        const rejected = response.status === 422 && readRejection(errorText);
+        if (rejected) {
+          // The input itself cannot be checked: explain why next to it rather than as a failed check
+          setRejection(rejected);
+          return;
+        }
+        throw new Error(t('form.failed', { details: `${response.status} ${errorText}` }));
       }
 
-      const data = await response.json();
+      const data = analyze ? await response.json() : await readFactCheckStream(response);
       console.log('Response data:', data);
       onSubmit(data);
     } catch (error) {
-      console.error('Error details:', error);
-      onSubmit({ error: error.message });
+      if (error.name === 'AbortError') {
+        // Keep whatever was received before the user cancelled
+        onSubmit(partialRef.current.grade
+          ? { ...partialRef.current, cancelled: true }
+          : { error: t('form.cancelled') });
+      } else {
+        console.error('Error details:', error);
+        onSubmit({ error: error.message });
+      }
     } finally {
+      controllerRef.current = null;
       setIsLoading(false);
     }
   };
 
+  /**
+   * Cancels the fact check in progress
+   */
+  const handleCancel = () => {
+    controllerRef.current?.abort();
+  };
+
   return (
     <Form onSubmit={handleSubmit} className="mb-4" role="form">
       <Form.Group className="mb-3">
         <Form.Label htmlFor="fact-check-input" className="fw-bold">
-          Enter a statement to fact check:
+          {t('form.label')}
         </Form.Label>
         <Form.Control
           type="text"
           id="fact-check-input"
           value={text}
-          onChange={(e) => setText(e.target.value)}
-          placeholder="Type your statement here..."
-          aria-label="Fact check input"
+          onChange={(e) => {
+            setText(e.target.value);
+            setRejection(null);
+          }}
+          placeholder={t('form.placeholder')}
+          aria-label={t('form.inputLabel')}
           className="form-control-lg shadow-sm"
           disabled={isLoading}
+          isInvalid={Boolean(rejection)}
+          aria-describedby={rejection ? 'fact-check-input-rejection' : undefined}
         />
+        {rejection && (
+          <Alert variant="danger" id="fact-check-input-rejection" className="mt-2 mb-0 shadow-sm">
+            <i className="fas fa-ban me-2"></i>
+            <strong>{t('form.rejected')}</strong>{' '}
+            {t(REJECTION_MESSAGES[rejection.reason] || 'form.rejectedOther', { maxLength: rejection.maxLength })}
+          </Alert>
+        )}
+        {articleMode ? (
+          <Form.Text className="d-block mt-2">
+            <i className="fas fa-newspaper me-1"></i>
+            {t('form.articleHint')}
+          </Form.Text>
+        ) : (
+          <Form.Check
+            type="switch"
+            id="split-claims-switch"
+            className="mt-2"
+            label={t('form.splitClaims')}
+            checked={splitClaims}
+            onChange={(e) => setSplitClaims(e.target.checked)}
+            disabled={isLoading}
+          />
+        )}
       </Form.Group>
+      {retryIn > 0 && (
+        <Alert variant="warning" className="shadow-sm">
+          <i className="fas fa-hourglass-half me-2"></i>
+          {t('form.rateLimited')}{' '}
+          <strong>{t(retryIn === 1 ? 'form.second' : 'form.seconds', { count: retryIn })}</strong>.
+        </Alert>
+      )}
       <Button 
         type="submit" 
         variant="primary" 
         size="lg" 
         className="w-100 shadow-sm"
-        disabled={!text.trim() || isLoading}
+        disabled={!text.trim() || isLoading || retryIn > 0}
       >
         {isLoading ? (
           <>
@@ -101,15 +258,25 @@ function InputForm({ onSubmit }) {
               aria-hidden="true"
               className="me-2"
             />
-            Checking...
+            {t('form.checking')}
           </>
         ) : (
           <>
             <i className="fas fa-search me-2"></i>
-            Check Facts
+            {t('form.submit')}
           </>
         )}
       </Button>
+      {isLoading && (
+        <Button
+          type="button"
+          variant="outline-secondary"
+          className="w-100 mt-2"
+          onClick={handleCancel}
+        >
+          {t('form.cancel')}
+        </Button>
+      )}
     </Form>
   );
 }
@@ -0,0 +1,40 @@
+import React from 'react';
+import { NavDropdown } from 'react-bootstrap';
+import { LANGUAGES, useTranslation } from '../i18n';
+
+/**
+ * LanguageSwitcher component letting the user pick the interface language from the Navbar
+ * @returns {JSX.Element} Rendered component
+ */
+function LanguageSwitcher() {
+  const { language, setLanguage, t } = useTranslation();
+  const current = LANGUAGES.find(({ code }) => code === language);
+
+  return (
+    <NavDropdown
+      id="language-switcher"
+      align="end"
+      aria-label={t('nav.language')}
+      title={
+        <>
+          <i className="fas fa-globe me-1" aria-hidden="true"></i>
+          {current.name}
+        </>
+      }
+    >
+      {LANGUAGES.map(({ code, name }) => (
+        <NavDropdown.Item
+          key={code}
+          as="button"
+          lang={code}
+          active={code === language}
+          onClick={() => setLanguage(code)}
+        >
+          {name}
+        </NavDropdown.Item>
+      ))}
+    </NavDropdown>
+  );
+}
+
+export default LanguageSwitcher;
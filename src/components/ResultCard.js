@@ -1,80 +1,72 @@
 import React from 'react';
-import { Card } from 'react-bootstrap';
+import { Card, Spinner } from 'react-bootstrap';
+import SourceList from './SourceList';
+import ShareLink from './ShareLink';
+import GradeMeter from './GradeMeter';
+import ConfidenceIndicator from './ConfidenceIndicator';
+import ConsensusNotice from './ConsensusNotice';
+import FeedbackPanel from './FeedbackPanel';
+import { getGradeScore } from '../utils/grades';
+import { useTranslation } from '../i18n';
 
 /**
  * ResultCard component for displaying fact-checking results
  * @param {Object} props - Component props
- * @param {Object} props.result - Fact-checking result object
+ * @param {Object} props.result - Fact-checking result object, possibly still streaming in
  * @returns {JSX.Element} Rendered component
  */
 function ResultCard({ result }) {
-  if (!result || result.error) {
-    return (
-      <Card className="shadow-sm mb-4">
-        <Card.Body>
-          <Card.Text className="text-danger">
-            {result?.error || 'An error occurred while fact-checking.'}
-          </Card.Text>
-        </Card.Body>
-      </Card>
-    );
-  }
-
-  console.log('ResultCard received result:', result);
-  console.log('Grade value:', result.grade);
-  console.log('Grade type:', typeof result.grade);
-
-  const getBackgroundColor = (grade) => {
-    console.log('getBackgroundColor called with grade:', grade);
-    console.log('Grade type in function:', typeof grade);
-    
-    // Normalize the grade string
-    const normalizedGrade = grade.trim();
-    
-    switch (normalizedGrade) {
-      case 'Absolutely False':
-        return '#dc3545'; // Dark red
-      case 'Mostly False':
-        return '#ff6b6b'; // Light red
-      case 'Neutral':
-        return '#ffd93d'; // Yellow
-      case 'Mostly True':
-        return '#6bff6b'; // Light green
-      case 'Truth':
-        return '#28a745'; // Full green
-      default:
-        console.log('No matching grade found, using default color');
-        return '#6c757d'; // Gray for unknown
-    }
-  };
-
-  const backgroundColor = getBackgroundColor(result.grade);
-  console.log('Selected background color:', backgroundColor);
+  const { t } = useTranslation();
+  const score = getGradeScore(result.score ?? result.grade);
 
   return (
-    <Card className="shadow-sm mb-4">
-      <Card.Body>
-        <Card.Title 
-          className="mb-3" 
-          style={{ 
-            color: 'white',
-            backgroundColor: backgroundColor,
-            padding: '0.5rem 1rem',
-            borderRadius: '0.25rem',
-            display: 'inline-block'
-          }}
-        >
-          {result.grade}
-        </Card.Title>
-        <Card.Text>
-          <strong>Reasoning:</strong> {result.reasoning}
-        </Card.Text>
-        <Card.Text>
-          <strong>Sources:</strong> {result.sources}
-        </Card.Text>
+    <Card className="mt-4 shadow-sm" role="region" aria-label={t('result.region')}>
+      <Card.Header className={`${result.grade ? 'bg-primary' : 'bg-danger'} text-white py-3`}>
+        <div className="d-flex align-items-center">
+          <i className={`fas ${result.grade ? 'fa-check-circle' : 'fa-exclamation-circle'} me-2`}></i>
+          {result.grade ? t('result.title') : t('common.error')}
+          {result.streaming && (
+            <Spinner animation="grow" size="sm" className="ms-auto" role="status" aria-label={t('result.receiving')} />
+          )}
+        </div>
+      </Card.Header>
+      <Card.Body className="p-4">
+        {result.grade ? (
+          <>
+            <Card.Text><strong>{t('result.grade')}</strong> {t(`grades.${score}`)}</Card.Text>
+            <GradeMeter score={score} />
+            {'confidence' in result && <ConfidenceIndicator confidence={result.confidence} />}
+            <ConsensusNotice consensus={result.consensus} />
+            <Card.Text as="div">
+              <strong>{t('result.reasoning')}</strong>
+              {(result.reasoning || '').split(/\n\s*\n/).map((paragraph, index) => (
+                <p key={index} className="mb-2" lang={result.language}>{paragraph}</p>
+              ))}
+            </Card.Text>
+            {(result.sources || !result.streaming) && (
+              <div>
+                <strong>{t('result.sources')}</strong>
+                <SourceList sources={result.sources} />
+              </div>
+            )}
+            {result.cancelled && (
+              <Card.Text className="text-muted fst-italic mt-3">
+                {t('result.cancelled')}
+              </Card.Text>
+            )}
+          </>
+        ) : (
+          <Card.Text>{t('result.unexpected')}</Card.Text>
+        )}
       </Card.Body>
+      {result.id && (
+        <Card.Footer className="bg-white">
+          <ShareLink id={result.id} />
+          {result.grade && <FeedbackPanel id={result.id} />}
+        </Card.Footer>
+      )}
     </Card>
   );
 }
 
-export default ResultCard; 
\ No newline at end of file
+export default ResultCard;
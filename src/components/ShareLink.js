@@ -0,0 +1,42 @@
+import React, { useState } from 'react';
+import { Button, InputGroup, Form } from 'react-bootstrap';
+import { useTranslation } from '../i18n';
+
+/**
+ * ShareLink component showing the permalink of a stored fact check with a copy button
+ * @param {Object} props - Component props
+ * @param {string} props.id - Identifier of the stored fact check
+ * @returns {JSX.Element} Rendered component
+ */
+function ShareLink({ id }) {
+  const { t } = useTranslation();
+  const [copied, setCopied] = useState(false);
+  const permalink = `${window.location.origin}/check/${id}`;
+
+  /**
+   * Copies the permalink to the clipboard
+   */
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(permalink);
+      setCopied(true);
+    } catch (error) {
+      console.error('Error copying permalink:', error);
+    }
+  };
+
+  return (
+    <InputGroup size="sm">
+      <InputGroup.Text>
+        <i className="fas fa-link me-1"></i>
+        {t('share.label')}
+      </InputGroup.Text>
+      <Form.Control readOnly value={permalink} aria-label={t('share.permalink')} onFocus={(e) => e.target.select()} />
+      <Button variant="outline-secondary" onClick={handleCopy}>
+        {copied ? t('share.copied') : t('share.copy')}
+      </Button>
+    </InputGroup>
+  );
+}
+
+export default ShareLink;
@@ -0,0 +1,110 @@
+import React from 'react';
+import { Badge } from 'react-bootstrap';
+import { useTranslation } from '../i18n';
+
+/**
+ * Badge label message and colour for each source verification status
+ * @type {Object<string, {label: string, bg: string}>}
+ */
+const VERIFICATION_BADGES = {
+  verified: { label: 'sources.verified', bg: 'success' },
+  unrelated: { label: 'sources.unrelated', bg: 'warning' },
+  unreachable: { label: 'sources.unreachable', bg: 'danger' }
+};
+
+/**
+ * VerificationBadge component showing whether a cited page exists and supports the claim
+ * @param {Object} props - Component props
+ * @param {?Object} props.verification - Verification of the source from the API
+ * @returns {?JSX.Element} Rendered component, or nothing if the source was not verified
+ */
+function VerificationBadge({ verification }) {
+  const { t } = useTranslation();
+  const badge = verification && VERIFICATION_BADGES[verification.status];
+  if (!badge) return null;
+
+  const details = [
+    verification.httpStatus && `HTTP ${verification.httpStatus}`,
+    verification.pageTitle,
+    verification.reason
+  ].filter(Boolean).join(' · ');
+
+  return (
+    <Badge bg={badge.bg} text={badge.bg === 'warning' ? 'dark' : undefined} className="ms-2" title={details || undefined}>
+      {t(badge.label)}
+    </Badge>
+  );
+}
+
+/**
+ * EvidenceSnippet component showing the passage of a library document a fact check relied on
+ * @param {Object} props - Component props
+ * @param {?string} props.documentId - Identifier of the library document, if the source is one
+ * @param {?string} props.snippet - Excerpt of the passage
+ * @returns {?JSX.Element} Rendered component, or nothing for other sources
+ */
+function EvidenceSnippet({ documentId, snippet }) {
+  const { t } = useTranslation();
+  if (!documentId) return null;
+
+  return (
+    <>
+      <Badge bg="info" text="dark" className="ms-2" title={t('sources.document', { id: documentId })}>{t('sources.library')}</Badge>
+      {snippet && <blockquote className="small text-muted border-start ps-2 mt-1 mb-0">{snippet}</blockquote>}
+    </>
+  );
+}
+
+/**
+ * SourceList component for rendering the sources of a fact check as clickable links
+ * @param {Object} props - Component props
+ * @param {Array<Object>} props.sources - The sources array from the API: title, url, and either
+ * a verification or, for passages of the evidence library, a documentId and snippet
+ * @returns {JSX.Element} Rendered component
+ */
+function SourceList({ sources }) {
+  const { t } = useTranslation();
+
+  if (!sources || sources.length === 0) {
+    return <div className="mb-2">{t('sources.none')}</div>;
+  }
+
+  return (
+    <>
+      {sources.map(({ title, url, verification, documentId, snippet }, index) => {
+        // Render sources that come with a URL as links
+        if (url) {
+          return (
+            <div key={`${url}-${index}`} className="mb-2">
+              <a
+                href={url}
+                target="_blank"
+                rel="noopener noreferrer"
+                className="text-decoration-none"
+                onClick={(e) => {
+                  e.preventDefault();
+                  window.open(url, '_blank');
+                }}
+              >
+                <i className="fas fa-external-link-alt me-1"></i>
+                {title || url}
+              </a>
+              <VerificationBadge verification={verification} />
+              <EvidenceSnippet documentId={documentId} snippet={snippet} />
+            </div>
+          );
+        }
+
+        // If there is no URL, return the title as plain text
+        return (
+          <div key={`${title}-${index}`} className="mb-2">
+            {title}
+            <EvidenceSnippet documentId={documentId} snippet={snippet} />
+          </div>
+        );
+      })}
+    </>
+  );
+}
+
+export default SourceList;
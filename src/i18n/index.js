@@ -0,0 +1,103 @@
+import React, { createContext, useContext, useState, useEffect, useCallback, useMemo } from 'react';
+import MESSAGES from './messages';
+
+/**
+ * Languages the interface is available in, with their name in that language
+ * @type {Array<{code: string, name: string}>}
+ */
+export const LANGUAGES = [
+  { code: 'en', name: 'English' },
+  { code: 'es', name: 'Español' },
+  { code: 'fr', name: 'Français' }
+];
+
+/**
+ * Language used when the browser prefers none of the supported ones
+ * @type {string}
+ */
+export const DEFAULT_LANGUAGE = 'en';
+
+/**
+ * Local storage key remembering the language chosen with the language switcher
+ * @type {string}
+ */
+const STORAGE_KEY = 'truthcheckme.language';
+
+/**
+ * Translates a message, falling back to English and then to the message identifier
+ * @param {string} language - Language code
+ * @param {string} key - Message identifier
+ * @param {Object} [params] - Values for the placeholders of the message
+ * @returns {string} Translated message
+ */
+export const translate = (language, key, params = {}) => {
+  const message = MESSAGES[language]?.[key] ?? MESSAGES[DEFAULT_LANGUAGE][key] ?? key;
+  return message.replace(/\{(\w+)\}/g, (placeholder, name) => (name in params ? String(params[name]) : placeholder));
+};
+
+/**
+ * Picks the initial interface language: the one chosen before, else the first supported
+ * language the browser prefers
+ * @returns {string} Language code
+ */
+const getInitialLanguage = () => {
+  let stored = null;
+  try {
+    stored = window.localStorage.getItem(STORAGE_KEY);
+  } catch (error) {
+    // Storage may be unavailable, e.g. in private browsing
+  }
+  const preferred = [stored, ...(navigator.languages || [navigator.language])]
+    .filter(Boolean)
+    .map(language => language.slice(0, 2).toLowerCase());
+  return preferred.find(code => MESSAGES[code]) || DEFAULT_LANGUAGE;
+};
+
+const I18nContext = createContext({
+  language: DEFAULT_LANGUAGE,
+  setLanguage: () => {},
+  t: (key, params) => translate(DEFAULT_LANGUAGE, key, params)
+});
+
+/**
+ * I18nProvider component making the interface language available to its children
+ * @param {Object} props - Component props
+ * @param {React.ReactNode} props.children - Child elements
+ * @returns {JSX.Element} Rendered component
+ */
+export function I18nProvider({ children }) {
+  const [language, setLanguageState] = useState(getInitialLanguage);
+
+  // Let assistive technologies and the browser know the page language
+  useEffect(() => {
+    document.documentElement.lang = language;
+  }, [language]);
+
+  /**
+   * Changes the interface language and remembers the choice
+   * @param {string} code - Language code
+   */
+  const setLanguage = useCallback((code) => {
+    if (!MESSAGES[code]) return;
+    setLanguageState(code);
+    try {
+      window.localStorage.setItem(STORAGE_KEY, code);
+    } catch (error) {
+      // The choice then only lasts until the page is reloaded
+    }
+  }, []);
+
+  const value = useMemo(() => ({
+    language,
+    setLanguage,
+    t: (key, params) => translate(language, key, params)
+  }), [language, setLanguage]);
+
+  return <I18nContext.Provider value={value}>{children}</I18nContext.Provider>;
+}
+
+/**
+ * Hook giving access to the interface language and the translate function
+ * @returns {{language: string, setLanguage: Function, t: Function}} Language, setter and translate function
+ */
+export const useTranslation = () => useContext(I18nContext);
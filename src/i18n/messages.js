@@ -0,0 +1,396 @@
+/**
+ * Interface messages per language, keyed by message identifier.
+ * Placeholders in braces, like {count}, are filled in by the translate function.
+ * Grades are translated by score, so that the grade codes returned by the API stay language-neutral.
+ * @type {Object<string, Object<string, string>>}
+ */
+const MESSAGES = {
+  en: {
+    'nav.home': 'Home',
+    'nav.about': 'About',
+    'nav.language': 'Language',
+    'home.tagline': 'Enter any statement to check its factual accuracy using AI',
+    'common.error': 'Error',
+    'footer.rights': 'All rights reserved.',
+
+    'form.label': 'Enter a statement to fact check:',
+    'form.placeholder': 'Type your statement here...',
+    'form.inputLabel': 'Fact check input',
+    'form.articleHint': "This looks like a link. We'll read the article and check each of its claims.",
+    'form.splitClaims': 'Check each claim separately',
+    'form.rateLimited': "You're checking facts a little too quickly. You can check again in",
+    'form.second': '{count} second',
+    'form.seconds': '{count} seconds',
+    'form.submit': 'Check Facts',
+    'form.checking': 'Checking...',
+    'form.cancel': 'Cancel',
+    'form.failed': 'Failed to check facts: {details}',
+    'form.endedUnexpectedly': 'the response ended unexpectedly',
+    'form.cancelled': 'Fact check cancelled.',
+    'form.rejected': "This text can't be checked.",
+    'form.rejectedTooLong': 'It is longer than {maxLength} characters. Shorten it to the statement you want checked.',
+    'form.rejectedEmpty': 'It has no visible text.',
+    'form.rejectedInjection': 'It reads like instructions to the fact checker. Enter only the statement you want checked.',
+    'form.rejectedFlagged': 'It was flagged as abusive content.',
+    'form.rejectedOther': 'Edit it and try again.',
+
+    'result.region': 'Fact check result',
+    'result.title': 'Fact Check Result',
+    'result.receiving': 'Receiving result',
+    'result.grade': 'Grade:',
+    'result.reasoning': 'Reasoning:',
+    'result.sources': 'Sources:',
+    'result.cancelled': 'The fact check was cancelled, so this result is incomplete.',
+    'result.unexpected': 'Unexpected response format received from the API.',
+
+    'grades.1': 'Absolutely False',
+    'grades.2': 'Mostly False',
+    'grades.3': 'Neutral',
+    'grades.4': 'Mostly True',
+    'grades.5': 'Truth',
+
+    'meter.label': 'Truth score',
+    'meter.valueText': '{score} of 5, {grade}',
+    'confidence.label': 'Confidence',
+    'confidence.value': 'Confidence: {percent}%',
+    'confidence.notReported': 'Confidence: not reported',
+    'confidence.short': '{percent}% confidence',
+
+    'consensus.unanimous': 'All {samples} independent checks agreed on this grade.',
+    'consensus.disagreed': 'The models disagreed.',
+    'consensus.agreement': '{agreeing} of {samples} independent checks gave this grade. Other verdicts:',
+    'consensus.dissent': '{model}: {grade}',
+
+    'claims.region': 'Claim analysis result',
+    'claims.checkedOne': '{count} claim checked',
+    'claims.checkedOther': '{count} claims checked',
+    'claims.overall': 'Overall: {grade}',
+    'claims.truncated': 'This article is long, so only its beginning was checked.',
+    'claims.fromArticle': 'From the article: {excerpt}',
+    'claims.failed': 'This claim could not be checked: {error}',
+
+    'sources.none': 'No sources found. Answer based on general knowledge.',
+    'sources.verified': 'Verified',
+    'sources.unrelated': 'Unrelated',
+    'sources.unreachable': 'Unreachable',
+    'sources.library': 'Library',
+    'sources.document': 'Document {id}',
+
+    'share.label': 'Share',
+    'share.permalink': 'Permalink',
+    'share.copy': 'Copy',
+    'share.copied': 'Copied!',
+
+    'feedback.label': 'Rate this verdict',
+    'feedback.question': 'Is this verdict right?',
+    'feedback.up': 'The verdict is right',
+    'feedback.down': 'The verdict is wrong',
+    'feedback.dispute': 'Dispute this verdict',
+    'feedback.reason': 'Why is the verdict wrong?',
+    'feedback.counterSource': 'Source showing otherwise (optional)',
+    'feedback.submitDispute': 'Send dispute',
+    'feedback.thanks': 'Thanks for your feedback!',
+    'feedback.disputeThanks': 'Thanks, your dispute will be reviewed.',
+    'feedback.tooMany': 'too much feedback sent, please try again later',
+    'feedback.failed': 'Could not send feedback: {error}',
+
+    'check.loading': 'Loading fact check',
+    'check.notFound': 'This fact check does not exist or the link is incomplete.',
+    'check.failed': 'Failed to load fact check: {status}',
+    'check.checkedOn': 'Checked on {date}',
+    'check.another': 'Check another statement',
+
+    'admin.title': 'Admin dashboard',
+    'admin.credential': 'Admin credential',
+    'admin.signIn': 'Sign in',
+    'admin.signOut': 'Sign out',
+    'admin.invalidCredential': 'The admin credential is missing or wrong.',
+    'admin.notConfigured': 'Admin access is not configured on the server.',
+    'admin.failed': 'Failed to load analytics: {status}',
+    'admin.loading': 'Loading analytics',
+    'admin.period': 'Period',
+    'admin.period.24': 'Last 24 hours',
+    'admin.period.168': 'Last 7 days',
+    'admin.period.720': 'Last 30 days',
+    'admin.requests': 'Requests',
+    'admin.errorRate': 'Error rate',
+    'admin.errorCount': '{count} errors',
+    'admin.latency': 'Average latency',
+    'admin.p95': '95th percentile: {ms} ms',
+    'admin.cacheHitRatio': 'Cache hit ratio',
+    'admin.cacheCounts': '{hits} hits, {misses} misses',
+    'admin.requestsOverTime': 'Requests over time',
+    'admin.bucket': '{start}: {requests} requests, {errors} errors',
+    'admin.gradeDistribution': 'Grade distribution',
+    'admin.errorsByType': 'Errors by type',
+    'admin.noErrors': 'No errors in this period.',
+    'admin.latencyByEndpoint': 'Latency by endpoint',
+    'admin.endpoint': 'Endpoint',
+    'admin.averageLatency': 'Average latency',
+    'admin.topClaims': 'Most-checked claims',
+    'admin.noClaims': 'No claims checked in this period.',
+    'admin.claim': 'Claim',
+    'admin.lastGrade': 'Last grade',
+    'admin.checks': 'Checks'
+  },
+
+  es: {
+    'nav.home': 'Inicio',
+    'nav.about': 'Acerca de',
+    'nav.language': 'Idioma',
+    'home.tagline': 'Introduce cualquier afirmación para comprobar su exactitud con IA',
+    'common.error': 'Error',
+    'footer.rights': 'Todos los derechos reservados.',
+
+    'form.label': 'Introduce una afirmación para verificar:',
+    'form.placeholder': 'Escribe tu afirmación aquí...',
+    'form.inputLabel': 'Texto a verificar',
+    'form.articleHint': 'Parece un enlace. Leeremos el artículo y verificaremos cada una de sus afirmaciones.',
+    'form.splitClaims': 'Verificar cada afirmación por separado',
+    'form.rateLimited': 'Estás verificando demasiado rápido. Podrás volver a verificar en',
+    'form.second': '{count} segundo',
+    'form.seconds': '{count} segundos',
+    'form.submit': 'Verificar',
+    'form.checking': 'Verificando...',
+    'form.cancel': 'Cancelar',
+    'form.failed': 'No se pudo verificar: {details}',
+    'form.endedUnexpectedly': 'la respuesta terminó inesperadamente',
+    'form.cancelled': 'Verificación cancelada.',
+    'form.rejected': 'Este texto no se puede verificar.',
+    'form.rejectedTooLong': 'Tiene más de {maxLength} caracteres. Acórtalo a la afirmación que quieres verificar.',
+    'form.rejectedEmpty': 'No tiene texto visible.',
+    'form.rejectedInjection': 'Parece contener instrucciones para el verificador. Escribe solo la afirmación que quieres verificar.',
+    'form.rejectedFlagged': 'Se marcó como contenido ofensivo.',
+    'form.rejectedOther': 'Modifícalo e inténtalo de nuevo.',
+
+    'result.region': 'Resultado de la verificación',
+    'result.title': 'Resultado de la verificación',
+    'result.receiving': 'Recibiendo el resultado',
+    'result.grade': 'Calificación:',
+    'result.reasoning': 'Razonamiento:',
+    'result.sources': 'Fuentes:',
+    'result.cancelled': 'La verificación se canceló, por lo que este resultado está incompleto.',
+    'result.unexpected': 'La API devolvió una respuesta con un formato inesperado.',
+
+    'grades.1': 'Totalmente falso',
+    'grades.2': 'Mayormente falso',
+    'grades.3': 'Neutral',
+    'grades.4': 'Mayormente cierto',
+    'grades.5': 'Verdadero',
+
+    'meter.label': 'Puntuación de veracidad',
+    'meter.valueText': '{score} de 5, {grade}',
+    'confidence.label': 'Confianza',
+    'confidence.value': 'Confianza: {percent} %',
+    'confidence.notReported': 'Confianza: no indicada',
+    'confidence.short': '{percent} % de confianza',
+
+    'consensus.unanimous': 'Las {samples} verificaciones independientes coincidieron en esta calificación.',
+    'consensus.disagreed': 'Los modelos no coincidieron.',
+    'consensus.agreement': '{agreeing} de {samples} verificaciones independientes dieron esta calificación. Otros veredictos:',
+    'consensus.dissent': '{model}: {grade}',
+
+    'claims.region': 'Resultado del análisis de afirmaciones',
+    'claims.checkedOne': '{count} afirmación verificada',
+    'claims.checkedOther': '{count} afirmaciones verificadas',
+    'claims.overall': 'Global: {grade}',
+    'claims.truncated': 'Este artículo es largo, así que solo se verificó su comienzo.',
+    'claims.fromArticle': 'Del artículo: {excerpt}',
+    'claims.failed': 'No se pudo verificar esta afirmación: {error}',
+
+    'sources.none': 'No se encontraron fuentes. Respuesta basada en conocimiento general.',
+    'sources.verified': 'Verificada',
+    'sources.unrelated': 'No relacionada',
+    'sources.unreachable': 'Inaccesible',
+    'sources.library': 'Biblioteca',
+    'sources.document': 'Documento {id}',
+
+    'share.label': 'Compartir',
+    'share.permalink': 'Enlace permanente',
+    'share.copy': 'Copiar',
+    'share.copied': '¡Copiado!',
+
+    'feedback.label': 'Valora este veredicto',
+    'feedback.question': '¿Es correcto este veredicto?',
+    'feedback.up': 'El veredicto es correcto',
+    'feedback.down': 'El veredicto es incorrecto',
+    'feedback.dispute': 'Impugnar este veredicto',
+    'feedback.reason': '¿Por qué es incorrecto el veredicto?',
+    'feedback.counterSource': 'Fuente que demuestra lo contrario (opcional)',
+    'feedback.submitDispute': 'Enviar impugnación',
+    'feedback.thanks': '¡Gracias por tu opinión!',
+    'feedback.disputeThanks': 'Gracias, revisaremos tu impugnación.',
+    'feedback.tooMany': 'has enviado demasiadas opiniones, inténtalo más tarde',
+    'feedback.failed': 'No se pudo enviar tu opinión: {error}',
+
+    'check.loading': 'Cargando la verificación',
+    'check.notFound': 'Esta verificación no existe o el enlace está incompleto.',
+    'check.failed': 'No se pudo cargar la verificación: {status}',
+    'check.checkedOn': 'Verificado el {date}',
+    'check.another': 'Verificar otra afirmación',
+
+    'admin.title': 'Panel de administración',
+    'admin.credential': 'Credencial de administrador',
+    'admin.signIn': 'Entrar',
+    'admin.signOut': 'Salir',
+    'admin.invalidCredential': 'Falta la credencial de administrador o es incorrecta.',
+    'admin.notConfigured': 'El acceso de administración no está configurado en el servidor.',
+    'admin.failed': 'No se pudieron cargar las estadísticas: {status}',
+    'admin.loading': 'Cargando las estadísticas',
+    'admin.period': 'Periodo',
+    'admin.period.24': 'Últimas 24 horas',
+    'admin.period.168': 'Últimos 7 días',
+    'admin.period.720': 'Últimos 30 días',
+    'admin.requests': 'Solicitudes',
+    'admin.errorRate': 'Tasa de errores',
+    'admin.errorCount': '{count} errores',
+    'admin.latency': 'Latencia media',
+    'admin.p95': 'Percentil 95: {ms} ms',
+    'admin.cacheHitRatio': 'Aciertos de caché',
+    'admin.cacheCounts': '{hits} aciertos, {misses} fallos',
+    'admin.requestsOverTime': 'Solicitudes a lo largo del tiempo',
+    'admin.bucket': '{start}: {requests} solicitudes, {errors} errores',
+    'admin.gradeDistribution': 'Distribución de calificaciones',
+    'admin.errorsByType': 'Errores por tipo',
+    'admin.noErrors': 'Ningún error en este periodo.',
+    'admin.latencyByEndpoint': 'Latencia por endpoint',
+    'admin.endpoint': 'Endpoint',
+    'admin.averageLatency': 'Latencia media',
+    'admin.topClaims': 'Afirmaciones más verificadas',
+    'admin.noClaims': 'Ninguna afirmación verificada en este periodo.',
+    'admin.claim': 'Afirmación',
+    'admin.lastGrade': 'Última calificación',
+    'admin.checks': 'Verificaciones'
+  },
+
+  fr: {
+    'nav.home': 'Accueil',
+    'nav.about': 'À propos',
+    'nav.language': 'Langue',
+    'home.tagline': "Saisissez une affirmation pour vérifier son exactitude grâce à l'IA",
+    'common.error': 'Erreur',
+    'footer.rights': 'Tous droits réservés.',
+
+    'form.label': 'Saisissez une affirmation à vérifier :',
+    'form.placeholder': 'Tapez votre affirmation ici...',
+    'form.inputLabel': 'Texte à vérifier',
+    'form.articleHint': "Cela ressemble à un lien. Nous lirons l'article et vérifierons chacune de ses affirmations.",
+    'form.splitClaims': 'Vérifier chaque affirmation séparément',
+    'form.rateLimited': 'Vous vérifiez un peu trop vite. Vous pourrez vérifier à nouveau dans',
+    'form.second': '{count} seconde',
+    'form.seconds': '{count} secondes',
+    'form.submit': 'Vérifier',
+    'form.checking': 'Vérification...',
+    'form.cancel': 'Annuler',
+    'form.failed': 'Échec de la vérification : {details}',
+    'form.endedUnexpectedly': 'la réponse s’est interrompue',
+    'form.cancelled': 'Vérification annulée.',
+    'form.rejected': 'Ce texte ne peut pas être vérifié.',
+    'form.rejectedTooLong': 'Il dépasse {maxLength} caractères. Raccourcissez-le à l’affirmation à vérifier.',
+    'form.rejectedEmpty': 'Il ne contient aucun texte visible.',
+    'form.rejectedInjection': 'Il ressemble à des instructions adressées au vérificateur. Saisissez seulement l’affirmation à vérifier.',
+    'form.rejectedFlagged': 'Il a été signalé comme contenu injurieux.',
+    'form.rejectedOther': 'Modifiez-le et réessayez.',
+
+    'result.region': 'Résultat de la vérification',
+    'result.title': 'Résultat de la vérification',
+    'result.receiving': 'Réception du résultat',
+    'result.grade': 'Verdict :',
+    'result.reasoning': 'Raisonnement :',
+    'result.sources': 'Sources :',
+    'result.cancelled': 'La vérification a été annulée, ce résultat est donc incomplet.',
+    'result.unexpected': "L'API a renvoyé une réponse dans un format inattendu.",
+
+    'grades.1': 'Totalement faux',
+    'grades.2': 'Plutôt faux',
+    'grades.3': 'Neutre',
+    'grades.4': 'Plutôt vrai',
+    'grades.5': 'Vrai',
+
+    'meter.label': 'Score de véracité',
+    'meter.valueText': '{score} sur 5, {grade}',
+    'confidence.label': 'Confiance',
+    'confidence.value': 'Confiance : {percent} %',
+    'confidence.notReported': 'Confiance : non indiquée',
+    'confidence.short': '{percent} % de confiance',
+
+    'consensus.unanimous': 'Les {samples} vérifications indépendantes ont abouti à ce verdict.',
+    'consensus.disagreed': 'Les modèles ne sont pas d’accord.',
+    'consensus.agreement': '{agreeing} vérifications indépendantes sur {samples} ont abouti à ce verdict. Autres verdicts :',
+    'consensus.dissent': '{model} : {grade}',
+
+    'claims.region': "Résultat de l'analyse des affirmations",
+    'claims.checkedOne': '{count} affirmation vérifiée',
+    'claims.checkedOther': '{count} affirmations vérifiées',
+    'claims.overall': 'Global : {grade}',
+    'claims.truncated': "Cet article est long, seul son début a donc été vérifié.",
+    'claims.fromArticle': "Extrait de l'article : {excerpt}",
+    'claims.failed': "Cette affirmation n'a pas pu être vérifiée : {error}",
+
+    'sources.none': 'Aucune source trouvée. Réponse fondée sur des connaissances générales.',
+    'sources.verified': 'Vérifiée',
+    'sources.unrelated': 'Sans rapport',
+    'sources.unreachable': 'Inaccessible',
+    'sources.library': 'Bibliothèque',
+    'sources.document': 'Document {id}',
+
+    'share.label': 'Partager',
+    'share.permalink': 'Lien permanent',
+    'share.copy': 'Copier',
+    'share.copied': 'Copié !',
+
+    'feedback.label': 'Évaluer ce verdict',
+    'feedback.question': 'Ce verdict est-il juste ?',
+    'feedback.up': 'Le verdict est juste',
+    'feedback.down': 'Le verdict est faux',
+    'feedback.dispute': 'Contester ce verdict',
+    'feedback.reason': 'Pourquoi le verdict est-il faux ?',
+    'feedback.counterSource': 'Source montrant le contraire (facultatif)',
+    'feedback.submitDispute': 'Envoyer la contestation',
+    'feedback.thanks': 'Merci pour votre avis !',
+    'feedback.disputeThanks': 'Merci, votre contestation sera examinée.',
+    'feedback.tooMany': 'trop d’avis envoyés, réessayez plus tard',
+    'feedback.failed': "Impossible d'envoyer votre avis : {error}",
+
+    'check.loading': 'Chargement de la vérification',
+    'check.notFound': "Cette vérification n'existe pas ou le lien est incomplet.",
+    'check.failed': 'Impossible de charger la vérification : {status}',
+    'check.checkedOn': 'Vérifié le {date}',
+    'check.another': 'Vérifier une autre affirmation',
+
+    'admin.title': "Tableau de bord d'administration",
+    'admin.credential': "Identifiant d'administration",
+    'admin.signIn': 'Se connecter',
+    'admin.signOut': 'Se déconnecter',
+    'admin.invalidCredential': "L'identifiant d'administration est manquant ou incorrect.",
+    'admin.notConfigured': "L'accès d'administration n'est pas configuré sur le serveur.",
+    'admin.failed': 'Impossible de charger les statistiques : {status}',
+    'admin.loading': 'Chargement des statistiques',
+    'admin.period': 'Période',
+    'admin.period.24': 'Dernières 24 heures',
+    'admin.period.168': '7 derniers jours',
+    'admin.period.720': '30 derniers jours',
+    'admin.requests': 'Requêtes',
+    'admin.errorRate': "Taux d'erreur",
+    'admin.errorCount': '{count} erreurs',
+    'admin.latency': 'Latence moyenne',
+    'admin.p95': '95e centile : {ms} ms',
+    'admin.cacheHitRatio': 'Taux de succès du cache',
+    'admin.cacheCounts': '{hits} succès, {misses} échecs',
+    'admin.requestsOverTime': 'Requêtes dans le temps',
+    'admin.bucket': '{start} : {requests} requêtes, {errors} erreurs',
+    'admin.gradeDistribution': 'Répartition des verdicts',
+    'admin.errorsByType': 'Erreurs par type',
+    'admin.noErrors': 'Aucune erreur sur cette période.',
+    'admin.latencyByEndpoint': 'Latence par endpoint',
+    'admin.endpoint': 'Endpoint',
+    'admin.averageLatency': 'Latence moyenne',
+    'admin.topClaims': 'Affirmations les plus vérifiées',
+    'admin.noClaims': 'Aucune affirmation vérifiée sur cette période.',
+    'admin.claim': 'Affirmation',
+    'admin.lastGrade': 'Dernier verdict',
+    'admin.checks': 'Vérifications'
+  }
+};
+
+export default MESSAGES;
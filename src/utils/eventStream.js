@@ -0,0 +1,46 @@
+/**
+ * Parse a single Server-Sent Events frame
+ * @param {string} frame - Raw frame, without the blank line that terminates it
+ * @returns {?{event: string, data: Object}} The parsed event, or null for comment-only frames
+ */
+export const parseEventFrame = (frame) => {
+  let event = 'message';
+  const dataLines = [];
+
+  frame.split('\n').forEach(line => {
+    if (line.startsWith('event:')) {
+      event = line.slice('event:'.length).trim();
+    } else if (line.startsWith('data:')) {
+      dataLines.push(line.slice('data:'.length).replace(/^ /, ''));
+    }
+  });
+
+  if (!dataLines.length) return null;
+  return { event, data: JSON.parse(dataLines.join('\n')) };
+};
+
+/**
+ * Read a Server-Sent Events response body and call a handler for each event
+ * @param {Response} response - Fetch response with a `text/event-stream` body
+ * @param {Function} onEvent - Called with `{ event, data }` for every event, in order
+ * @returns {Promise<void>} Resolves when the stream has ended
+ */
+export const readEventStream = async (response, onEvent) => {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+
+    buffer += decoder.decode(value, { stream: true }).replace(/\r\n/g, '\n');
+    let boundary = buffer.indexOf('\n\n');
+    while (boundary !== -1) {
+      const parsed = parseEventFrame(buffer.slice(0, boundary));
+      buffer = buffer.slice(boundary + 2);
+      if (parsed) await onEvent(parsed);
+      boundary = buffer.indexOf('\n\n');
+    }
+  }
+};
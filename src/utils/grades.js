@@ -0,0 +1,83 @@
+/**
+ * Grade labels, from least to most truthful; the label of score n is GRADES[n - 1]
+ * @type {string[]}
+ */
+export const GRADES = ['Absolutely False', 'Mostly False', 'Neutral', 'Mostly True', 'Truth'];
+
+/**
+ * Colors of the grades, in the same order as GRADES
+ * @type {string[]}
+ */
+const GRADE_COLORS = [
+  '#dc3545', // Dark red
+  '#ff6b6b', // Light red
+  '#ffd93d', // Yellow
+  '#6bff6b', // Light green
+  '#28a745' // Full green
+];
+
+/**
+ * Other labels a model may use, mapped to the score they stand for
+ * @type {Object<string, number>}
+ */
+const LABEL_SCORES = {
+  'false': 1,
+  'pants on fire': 1,
+  'incorrect': 1,
+  'misleading': 2,
+  'mostly incorrect': 2,
+  'half true': 3,
+  'mixed': 3,
+  'unproven': 3,
+  'unverifiable': 3,
+  'mostly correct': 4,
+  'largely true': 4,
+  'true': 5,
+  'correct': 5,
+  'accurate': 5
+};
+
+/**
+ * Get the score of a grade, accepting numeric scores, other casing and common synonyms
+ * @param {string|number} grade - The grade label or score from the API
+ * @returns {?number} The score from 1 to 5, or null for no grade
+ */
+export const getGradeScore = (grade) => {
+  if (typeof grade === 'number' && Number.isFinite(grade)) {
+    return Math.min(5, Math.max(1, Math.round(grade)));
+  }
+  if (typeof grade !== 'string' || !grade.trim()) return null;
+
+  const label = grade.toLowerCase().replace(/[^a-z]+/g, ' ').trim();
+  const index = GRADES.findIndex(known => known.toLowerCase() === label);
+  if (index !== -1) return index + 1;
+  // Labels we don't recognize are treated as undecided rather than left ungraded
+  return LABEL_SCORES[label] ?? 3;
+};
+
+/**
+ * Normalize a grade label or score to one of the known grades
+ * @param {string|number} grade - The grade label or score from the API
+ * @returns {?string} One of GRADES, or null for no grade
+ */
+export const normalizeGrade = (grade) => {
+  const score = getGradeScore(grade);
+  return score ? GRADES[score - 1] : null;
+};
+
+/**
+ * Get the background color based on the grade
+ * @param {string|number} grade - The grade label or score from the API
+ * @returns {string} The background color in hex format
+ */
+export const getBackgroundColor = (grade) => {
+  const score = getGradeScore(grade);
+  return score ? GRADE_COLORS[score - 1] : '#ffffff'; // White for no grade
+};
+
+/**
+ * Convert numeric grade to text description
+ * @param {number} grade - The numeric grade from the API (1-5)
+ * @returns {string} The text description of the grade
+ */
+export const getGradeText = (grade) => (typeof grade === 'number' && normalizeGrade(grade)) || 'Unknown';